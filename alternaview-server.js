@@ -191,6 +191,7 @@ function startServer() {
   app.use('/api/files', require('./server/routes/files'));
   app.use('/api/upload', require('./server/routes/upload'));
   app.use('/api/estimates', require('./server/routes/estimates'));
+  app.use('/api/rate-cards', require('./server/routes/rate-cards'));
   app.use('/api/cues', require('./server/routes/cues'));
   app.use('/api/invoices', require('./server/routes/invoices'));
   app.use('/api/payments', require('./server/routes/payments'));
@@ -0,0 +1,82 @@
+async function loadCues() {
+    try {
+        const response = await fetch('/api/cues/portal', {
+            credentials: 'include'
+        });
+
+        if (!response.ok) {
+            throw new Error('Failed to load cues');
+        }
+
+        const cues = await response.json();
+        displayCues(cues);
+    } catch (error) {
+        console.error('Error loading cues:', error);
+    }
+}
+
+function displayCues(cues) {
+    // Only cues with a delivered version have anything to review
+    const deliveredCues = cues.filter(cue => cue.versions.length > 0);
+    document.getElementById('cuesSection').style.display = deliveredCues.length > 0 ? 'block' : 'none';
+
+    document.getElementById('cuesTableBody').innerHTML = deliveredCues.map(cue => `
+        <tr class="folder-header">
+            <td colspan="4" style="background: #f5f5f5; padding: 0.75rem 1rem; font-weight: 600; color: #333;">
+                ${escapeHtml(cue.cue_number)} ${escapeHtml(cue.title)}
+            </td>
+        </tr>
+        ${cue.versions.map(version => createVersionRow(cue, version)).join('')}
+    `).join('');
+}
+
+function createVersionRow(cue, version) {
+    const isCurrent = version.version === cue.version;
+    const approval = version.status === 'approved'
+        ? `<span style="color: #2e7d32;">✓ Approved by ${escapeHtml(version.approved_by)} · ${formatDate(version.approved_at)}</span>
+           ${version.approval_notes ? `<div style="font-size: 0.85rem; color: #888;">${escapeHtml(version.approval_notes)}</div>` : ''}`
+        : `<button class="btn-action" onclick="approveVersion(${version.id}, '${escapeHtml(cue.cue_number)} ${escapeHtml(version.version)}')" style="padding: 0.4rem 0.9rem;">approve</button>`;
+
+    return `
+        <tr>
+            <td>
+                ${version.file_name
+                    ? `<a href="#" onclick="downloadFile(${version.file_id}); return false;">${escapeHtml(version.file_name)}</a>`
+                    : '<span style="color: #888;">No file attached</span>'}
+                ${version.notes ? `<div style="font-size: 0.85rem; color: #888;">${escapeHtml(version.notes)}</div>` : ''}
+            </td>
+            <td>${escapeHtml(version.version)}${isCurrent ? ' <span style="color: #888;">(current)</span>' : ''}</td>
+            <td class="file-date">${formatDate(version.created_at)}</td>
+            <td>${approval}</td>
+        </tr>
+    `;
+}
+
+async function approveVersion(versionId, label) {
+    // Same name the reviewer signs comments with
+    const approvedBy = prompt(`Approve ${label}? Enter your name:`, localStorage.getItem('review-author') || '');
+    if (!approvedBy || !approvedBy.trim()) {
+        return;
+    }
+    const notes = prompt('Approval notes (optional):', '') || '';
+
+    try {
+        const response = await fetch(`/api/cues/versions/${versionId}/approve`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ approved_by: approvedBy.trim(), notes: notes.trim() })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to approve cue');
+        }
+
+        localStorage.setItem('review-author', approvedBy.trim());
+        await loadCues();
+    } catch (error) {
+        console.error('Error approving cue:', error);
+        alert(`Failed to approve cue: ${error.message}`);
+    }
+}
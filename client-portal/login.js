@@ -35,5 +35,6 @@ checkAuth().then(project => {
         document.getElementById('filesView').style.display = 'block';
         document.getElementById('projectName').textContent = project.name;
         loadFiles();
+        loadCues();
     }
 });
@@ -0,0 +1,110 @@
+/**
+ * Cue Versions API - Cloudflare Pages Function
+ * Converted from Express routes:
+ * - GET /api/cues/:id/versions - Version history (newest first)
+ * - POST /api/cues/:id/versions - Record a delivered version
+ *
+ * Recording a delivery links the file it was delivered as and makes it the
+ * cue's current version; the cue goes back to 'written' for client review.
+ */
+
+const VERSIONS_BY_CUE = `
+  SELECT cv.*, f.original_name as file_name
+  FROM cue_versions cv
+  LEFT JOIN files f ON f.id = cv.file_id
+  WHERE cv.cue_id = ?
+  ORDER BY cv.created_at DESC, cv.id DESC
+`;
+
+export async function onRequestGet(context) {
+  try {
+    const { env, params } = context;
+    const id = parseInt(params.id);
+
+    const cue = await env.DB.prepare(`
+      SELECT id FROM cues WHERE id = ?
+    `).bind(id).first();
+
+    if (!cue) {
+      return Response.json({ error: 'Cue not found' }, { status: 404 });
+    }
+
+    const versions = await env.DB.prepare(VERSIONS_BY_CUE).bind(id).all();
+
+    return Response.json(versions.results || []);
+  } catch (error) {
+    console.error('GET /api/cues/:id/versions error:', error);
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
+
+export async function onRequestPost(context) {
+  try {
+    const { env, request, params } = context;
+    const id = parseInt(params.id);
+    const body = await request.json();
+
+    const cue = await env.DB.prepare(`
+      SELECT * FROM cues WHERE id = ?
+    `).bind(id).first();
+
+    if (!cue) {
+      return Response.json({ error: 'Cue not found' }, { status: 404 });
+    }
+
+    const version = (body.version || '').trim();
+    const fileId = body.file_id ? parseInt(body.file_id) : null;
+    const notes = body.notes || null;
+    if (!version) {
+      return Response.json({ error: 'version required' }, { status: 400 });
+    }
+
+    if (fileId) {
+      const file = await env.DB.prepare(`
+        SELECT id, project_id FROM files WHERE id = ?
+      `).bind(fileId).first();
+
+      if (!file) {
+        return Response.json({ error: 'File not found' }, { status: 404 });
+      }
+      if (file.project_id !== cue.project_id) {
+        return Response.json({ error: 'File belongs to a different project' }, { status: 400 });
+      }
+    }
+
+    const existing = await env.DB.prepare(`
+      SELECT * FROM cue_versions WHERE cue_id = ? AND version = ?
+    `).bind(id, version).first();
+
+    if (existing && existing.status === 'approved') {
+      return Response.json(
+        { error: `${version} is already approved - deliver it as a new version` },
+        { status: 409 }
+      );
+    }
+
+    // One batch so the version and the cue's current version change together
+    await env.DB.batch([
+      existing
+        ? env.DB.prepare(`
+            UPDATE cue_versions SET file_id = ?, notes = ? WHERE id = ?
+          `).bind(fileId, notes, existing.id)
+        : env.DB.prepare(`
+            INSERT INTO cue_versions (cue_id, version, file_id, notes) VALUES (?, ?, ?, ?)
+          `).bind(id, version, fileId, notes),
+      env.DB.prepare(`
+        UPDATE cues
+        SET status = 'written', version = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).bind(version, id)
+    ]);
+
+    const versions = await env.DB.prepare(VERSIONS_BY_CUE).bind(id).all();
+    const recorded = (versions.results || []).find(row => row.version === version);
+
+    return Response.json(recorded, { status: 201 });
+  } catch (error) {
+    console.error('POST /api/cues/:id/versions error:', error);
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -7,6 +7,8 @@
  * - POST /api/cues - Create new cue
  */
 
+import { USAGE_TYPES, serializeParties } from '../../../server/utils/cue-sheet.js';
+
 // GET /api/cues - Get all cues for a project
 export async function onRequestGet(context) {
   try {
@@ -48,7 +50,8 @@ export async function onRequestPost(context) {
       start_time,
       end_time,
       theme,
-      version
+      version,
+      usage_type
     } = body;
 
     // Validation
@@ -59,12 +62,29 @@ export async function onRequestPost(context) {
       );
     }
 
+    if (usage_type && !USAGE_TYPES[usage_type]) {
+      return Response.json(
+        { error: `usage_type must be one of: ${Object.keys(USAGE_TYPES).join(', ')}` },
+        { status: 400 }
+      );
+    }
+
+    let composers;
+    let publishers;
+    try {
+      composers = serializeParties(body.composers);
+      publishers = serializeParties(body.publishers);
+    } catch (error) {
+      return Response.json({ error: error.message }, { status: 400 });
+    }
+
     // Insert into D1
     const result = await env.DB.prepare(`
       INSERT INTO cues (
         project_id, cue_number, title, status, duration,
-        notes, start_time, end_time, theme, version
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        notes, start_time, end_time, theme, version,
+        usage_type, composers, publishers
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).bind(
       project_id,
       cue_number,
@@ -75,7 +95,10 @@ export async function onRequestPost(context) {
       start_time || null,
       end_time || null,
       theme || null,
-      version || null
+      version || null,
+      usage_type || null,
+      composers || null,
+      publishers || null
     ).run();
 
     if (!result.success) {
@@ -94,7 +117,10 @@ export async function onRequestPost(context) {
       start_time,
       end_time,
       theme,
-      version
+      version,
+      usage_type: usage_type || null,
+      composers: composers || null,
+      publishers: publishers || null
     }, { status: 201 });
 
   } catch (error) {
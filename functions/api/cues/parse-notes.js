@@ -0,0 +1,25 @@
+/**
+ * Spotting Notes API - Cloudflare Pages Function
+ * Converted from Express route: POST /api/cues/parse-notes
+ *
+ * Parses timecoded text, SRT or WebVTT into timecoded notes; responds with
+ * format null when the text is none of these, e.g. a Logic Pro cue list.
+ */
+
+import { parseSpottingNotes } from '../../../server/utils/spotting-notes.js';
+
+export async function onRequestPost(context) {
+  try {
+    const { request } = context;
+    const { text, fileName = '', frameRate, fps } = await request.json();
+
+    if (typeof text !== 'string') {
+      return Response.json({ error: 'text required' }, { status: 400 });
+    }
+
+    return Response.json(parseSpottingNotes(text, { fileName, frameRate, fps }));
+  } catch (error) {
+    console.error('POST /api/cues/parse-notes error:', error);
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
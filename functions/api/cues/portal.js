@@ -0,0 +1,52 @@
+/**
+ * Cue Portal API - Cloudflare Pages Function
+ * Converted from Express route: GET /api/cues/portal
+ *
+ * Cues for a client's project with their version history.
+ *
+ * NOTE: The Express route reads the project from the client portal session.
+ * Sessions aren't available here yet, so the project comes from ?projectId=
+ * and this requires client authentication in production.
+ */
+
+export async function onRequestGet(context) {
+  try {
+    const { env, request } = context;
+    const url = new URL(request.url);
+    const projectId = parseInt(url.searchParams.get('projectId'));
+
+    if (!projectId || isNaN(projectId)) {
+      return Response.json({ error: 'projectId required' }, { status: 400 });
+    }
+
+    const versions = await env.DB.prepare(`
+      SELECT cv.*, f.original_name as file_name
+      FROM cue_versions cv
+      JOIN cues c ON c.id = cv.cue_id
+      LEFT JOIN files f ON f.id = cv.file_id
+      WHERE c.project_id = ?
+      ORDER BY cv.created_at DESC, cv.id DESC
+    `).bind(projectId).all();
+
+    const cues = await env.DB.prepare(`
+      SELECT * FROM cues
+      WHERE project_id = ?
+      ORDER BY cue_number ASC
+    `).bind(projectId).all();
+
+    const versionRows = versions.results || [];
+    return Response.json((cues.results || []).map(cue => ({
+      id: cue.id,
+      cue_number: cue.cue_number,
+      title: cue.title,
+      status: cue.status,
+      version: cue.version,
+      start_time: cue.start_time,
+      end_time: cue.end_time,
+      versions: versionRows.filter(version => version.cue_id === cue.id)
+    })));
+  } catch (error) {
+    console.error('GET /api/cues/portal error:', error);
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
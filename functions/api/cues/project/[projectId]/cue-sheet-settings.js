@@ -0,0 +1,71 @@
+/**
+ * Cue Sheet Settings API - Cloudflare Pages Function
+ * Converted from Express route: PUT /api/cues/project/:projectId/cue-sheet-settings
+ *
+ * Production details, default composer/publisher splits and the project
+ * frame rate; fields left out of the body keep their stored values.
+ */
+
+import { serializeParties } from '../../../../../server/utils/cue-sheet.js';
+import { FRAME_RATES } from '../../../../../server/utils/frame-rates.js';
+
+export async function onRequestPut(context) {
+  try {
+    const { env, request, params } = context;
+    const projectId = parseInt(params.projectId);
+    const body = await request.json();
+
+    const project = await env.DB.prepare(`
+      SELECT * FROM projects WHERE id = ?
+    `).bind(projectId).first();
+
+    if (!project) {
+      return Response.json({ error: 'Project not found' }, { status: 404 });
+    }
+
+    if (body.frame_rate && !FRAME_RATES[body.frame_rate]) {
+      return Response.json({
+        error: `frame_rate must be one of: ${Object.keys(FRAME_RATES).join(', ')}`
+      }, { status: 400 });
+    }
+
+    let composers;
+    let publishers;
+    try {
+      composers = serializeParties(body.composers);
+      publishers = serializeParties(body.publishers);
+    } catch (error) {
+      return Response.json({ error: error.message }, { status: 400 });
+    }
+
+    const { production_title, episode_title, episode_number, frame_rate } = body;
+    const settings = {
+      production_title: production_title !== undefined ? production_title || null : project.production_title,
+      episode_title: episode_title !== undefined ? episode_title || null : project.episode_title,
+      episode_number: episode_number !== undefined ? episode_number || null : project.episode_number,
+      composers: composers !== undefined ? composers : project.composers,
+      publishers: publishers !== undefined ? publishers : project.publishers,
+      frame_rate: frame_rate !== undefined ? frame_rate || null : project.frame_rate
+    };
+
+    await env.DB.prepare(`
+      UPDATE projects
+      SET production_title = ?, episode_title = ?, episode_number = ?,
+          composers = ?, publishers = ?, frame_rate = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).bind(
+      settings.production_title,
+      settings.episode_title,
+      settings.episode_number,
+      settings.composers,
+      settings.publishers,
+      settings.frame_rate,
+      projectId
+    ).run();
+
+    return Response.json({ project_id: projectId, ...settings });
+  } catch (error) {
+    console.error('PUT /api/cues/project/:projectId/cue-sheet-settings error:', error);
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
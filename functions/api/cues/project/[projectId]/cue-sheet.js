@@ -0,0 +1,59 @@
+/**
+ * Cue Sheet API - Cloudflare Pages Function
+ * Converted from Express route: GET /api/cues/project/:projectId/cue-sheet
+ *
+ * Query: ?format=json|csv|html (default json), ?fps= for times that carry frames (defaults to the project frame rate)
+ */
+
+import { buildCueSheet, formatCueSheetCSV, formatCueSheetHTML } from '../../../../../server/utils/cue-sheet.js';
+
+export async function onRequestGet(context) {
+  try {
+    const { env, request, params } = context;
+    const projectId = parseInt(params.projectId);
+    const url = new URL(request.url);
+    const format = url.searchParams.get('format') || 'json';
+    if (!['json', 'csv', 'html'].includes(format)) {
+      return Response.json({ error: 'format must be json, csv or html' }, { status: 400 });
+    }
+
+    const project = await env.DB.prepare(`
+      SELECT * FROM projects WHERE id = ?
+    `).bind(projectId).first();
+
+    if (!project) {
+      return Response.json({ error: 'Project not found' }, { status: 404 });
+    }
+
+    const cues = await env.DB.prepare(`
+      SELECT * FROM cues
+      WHERE project_id = ?
+      ORDER BY cue_number ASC
+    `).bind(projectId).all();
+
+    const sheet = buildCueSheet(project, cues.results || [], {
+      fps: parseFloat(url.searchParams.get('fps')) || parseFloat(project.frame_rate) || undefined
+    });
+
+    if (format === 'csv') {
+      const fileName = `${sheet.production.title.replace(/[^a-zA-Z0-9-_ ]/g, '_')} cue sheet`;
+      return new Response(formatCueSheetCSV(sheet), {
+        headers: {
+          'Content-Type': 'text/csv; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${fileName}.csv"`
+        }
+      });
+    }
+
+    if (format === 'html') {
+      return new Response(formatCueSheetHTML(sheet), {
+        headers: { 'Content-Type': 'text/html; charset=utf-8' }
+      });
+    }
+
+    return Response.json(sheet);
+  } catch (error) {
+    console.error('GET /api/cues/project/:projectId/cue-sheet error:', error);
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * Cue Import API - Cloudflare Pages Function
+ * Converted from Express route: POST /api/cues/project/:projectId/import
+ *
+ * Accepts a Pro Tools session text export or Logic marker list and returns
+ * a preview of created/updated/unchanged cues; with commit: true and the
+ * preview's fingerprint the changes are applied in one D1 batch (a single
+ * transaction), or a fresh preview comes back with 409 if the cues changed.
+ */
+
+import { parseCueImport, diffCueImport, CUE_IMPORT_FORMATS } from '../../../../../server/utils/cue-import.js';
+
+export async function onRequestPost(context) {
+  try {
+    const { env, request, params } = context;
+    const projectId = parseInt(params.projectId);
+    const { text, format, commit = false, fingerprint } = await request.json();
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return Response.json({ error: 'text required' }, { status: 400 });
+    }
+    if (format && !Object.values(CUE_IMPORT_FORMATS).includes(format)) {
+      return Response.json(
+        { error: `format must be one of: ${Object.values(CUE_IMPORT_FORMATS).join(', ')}` },
+        { status: 400 }
+      );
+    }
+    if (commit && !fingerprint) {
+      return Response.json({ error: 'fingerprint from the import preview required' }, { status: 400 });
+    }
+
+    // Verify project exists
+    const project = await env.DB.prepare(`
+      SELECT id FROM projects WHERE id = ?
+    `).bind(projectId).first();
+
+    if (!project) {
+      return Response.json({ error: 'Project not found' }, { status: 404 });
+    }
+
+    const parsed = parseCueImport(text, format);
+    if (parsed.cues.length === 0) {
+      return Response.json(
+        { error: `No cues found in ${parsed.format === CUE_IMPORT_FORMATS.PRO_TOOLS ? 'Pro Tools' : 'Logic'} export` },
+        { status: 400 }
+      );
+    }
+
+    const existing = await env.DB.prepare(`
+      SELECT * FROM cues
+      WHERE project_id = ?
+      ORDER BY cue_number ASC
+    `).bind(projectId).all();
+
+    const preview = diffCueImport(existing.results || [], parsed.cues);
+
+    if (commit && preview.fingerprint !== fingerprint) {
+      return Response.json({
+        error: 'Cues changed since the import preview',
+        format: parsed.format,
+        committed: false,
+        ...preview
+      }, { status: 409 });
+    }
+
+    if (commit) {
+      const statements = [
+        ...preview.created.map(cue => env.DB.prepare(`
+          INSERT INTO cues (
+            project_id, cue_number, title, status, duration, start_time, end_time
+          ) VALUES (?, ?, ?, 'to-write', ?, ?, ?)
+        `).bind(projectId, cue.cue_number, cue.title, cue.duration, cue.start_time, cue.end_time)),
+        ...preview.updated.map(({ id, cue }) => env.DB.prepare(`
+          UPDATE cues
+          SET title = ?, start_time = ?, end_time = ?, duration = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).bind(cue.title, cue.start_time, cue.end_time, cue.duration, id))
+      ];
+
+      if (statements.length > 0) {
+        const results = await env.DB.batch(statements);
+        preview.created.forEach((cue, index) => {
+          cue.id = results[index].meta.last_row_id;
+        });
+      }
+    }
+
+    return Response.json({ format: parsed.format, committed: !!commit, ...preview });
+  } catch (error) {
+    console.error('POST /api/cues/project/:projectId/import error:', error);
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Cue Version Approval API - Cloudflare Pages Function
+ * Converted from Express route: POST /api/cues/versions/:versionId/approve
+ *
+ * Approving the cue's current version also marks the cue approved; signing
+ * off an older version leaves the cue's status with its current one.
+ *
+ * NOTE: Requires client portal or admin authentication in production. Without
+ * a session there's no admin username to fall back on, so approved_by is required.
+ */
+
+export async function onRequestPost(context) {
+  try {
+    const { env, request, params } = context;
+    const versionId = parseInt(params.versionId);
+    const body = await request.json();
+
+    const version = await env.DB.prepare(`
+      SELECT * FROM cue_versions WHERE id = ?
+    `).bind(versionId).first();
+
+    if (!version) {
+      return Response.json({ error: 'Cue version not found' }, { status: 404 });
+    }
+    if (version.status === 'approved') {
+      return Response.json(
+        { error: `${version.version} was already approved by ${version.approved_by || 'the studio'}` },
+        { status: 409 }
+      );
+    }
+
+    const approvedBy = (body.approved_by || '').trim();
+    if (!approvedBy) {
+      return Response.json({ error: 'approved_by required' }, { status: 400 });
+    }
+
+    const cue = await env.DB.prepare(`
+      SELECT * FROM cues WHERE id = ?
+    `).bind(version.cue_id).first();
+
+    const statements = [
+      env.DB.prepare(`
+        UPDATE cue_versions
+        SET status = 'approved', approved_by = ?, approval_notes = ?, approved_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).bind(approvedBy, body.notes || null, version.id),
+      env.DB.prepare(`
+        INSERT INTO access_logs (project_id, file_id, action, ip_address) VALUES (?, ?, ?, ?)
+      `).bind(
+        cue.project_id,
+        version.file_id,
+        'cue_version_approved',
+        request.headers.get('CF-Connecting-IP') || 'unknown'
+      )
+    ];
+
+    if (cue.version === version.version) {
+      statements.push(env.DB.prepare(`
+        UPDATE cues SET status = 'approved', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).bind(cue.id));
+    }
+
+    await env.DB.batch(statements);
+
+    const approved = await env.DB.prepare(`
+      SELECT * FROM cue_versions WHERE id = ?
+    `).bind(version.id).first();
+
+    return Response.json(approved);
+  } catch (error) {
+    console.error('POST /api/cues/versions/:versionId/approve error:', error);
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
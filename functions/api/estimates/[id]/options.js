@@ -0,0 +1,39 @@
+/**
+ * Estimates API - Get an estimate's options
+ * Converted from Express route: GET /api/estimates/:id/options
+ * Options come in position order, flagging the one the client accepted
+ */
+
+import { parseEstimateOption } from '../../../../server/utils/estimate-pricing.js';
+
+export async function onRequestGet(context) {
+  try {
+    const { env, params } = context;
+    const id = parseInt(params.id);
+
+    const estimate = await env.DB.prepare(`
+      SELECT id, accepted_option_id FROM estimates WHERE id = ?
+    `).bind(id).first();
+
+    if (!estimate) {
+      return Response.json(
+        { error: 'Estimate not found' },
+        { status: 404 }
+      );
+    }
+
+    const options = await env.DB.prepare(`
+      SELECT * FROM estimate_options
+      WHERE estimate_id = ?
+      ORDER BY position, id
+    `).bind(id).all();
+
+    return Response.json((options.results || []).map(row => ({
+      ...parseEstimateOption(row),
+      accepted: row.id === estimate.accepted_option_id
+    })));
+  } catch (error) {
+    console.error('GET /api/estimates/:id/options error:', error);
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
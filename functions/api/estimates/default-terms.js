@@ -0,0 +1,11 @@
+/**
+ * Estimates API - Default estimate terms
+ * Converted from Express route: GET /api/estimates/default-terms
+ * Terms a new estimate starts with (and that acceptance falls back to)
+ */
+
+import { DEFAULT_ESTIMATE_TERMS } from '../../../server/utils/estimate-pricing.js';
+
+export async function onRequestGet() {
+  return Response.json({ terms: DEFAULT_ESTIMATE_TERMS });
+}
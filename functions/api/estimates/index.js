@@ -7,6 +7,8 @@
  * - POST /api/estimates - Create new estimate
  */
 
+import { priceEstimateOptions, parseEstimateOption } from '../../../server/utils/estimate-pricing.js';
+
 // GET /api/estimates - Get all estimates
 export async function onRequestGet(context) {
   try {
@@ -24,27 +26,13 @@ export async function onRequestGet(context) {
   }
 }
 
-// POST /api/estimates - Create new estimate
+// POST /api/estimates - Create new estimate (totals are priced here, never taken from the request).
+// options: [{name, ...scope}] offers the client a choice; without it the body's scope is the only option.
 export async function onRequestPost(context) {
   try {
     const { env, request } = context;
     const body = await request.json();
-
-    const {
-      project_id,
-      runtime,
-      music_minutes = 0,
-      dialogue_hours = 0,
-      sound_design_hours = 0,
-      mix_hours = 0,
-      revision_hours = 0,
-      post_days = 0,
-      bundle_discount = 0,
-      music_cost = 0,
-      post_cost = 0,
-      discount_amount = 0,
-      total_cost = 0
-    } = body;
+    const { project_id } = body;
 
     // Validation
     if (!project_id) {
@@ -54,38 +42,76 @@ export async function onRequestPost(context) {
       );
     }
 
-    // Insert into D1
-    const result = await env.DB.prepare(`
-      INSERT INTO estimates (
-        project_id, runtime, music_minutes, dialogue_hours,
-        sound_design_hours, mix_hours, revision_hours, post_days,
-        bundle_discount, music_cost, post_cost, discount_amount, total_cost
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-      project_id,
-      runtime || null,
-      music_minutes,
-      dialogue_hours,
-      sound_design_hours,
-      mix_hours,
-      revision_hours,
-      post_days,
-      bundle_discount ? 1 : 0,  // Convert boolean to integer
-      music_cost,
-      post_cost,
-      discount_amount,
-      total_cost
-    ).run();
+    const pricingCard = await findPricingCard(env.DB, body);
+    if (!pricingCard) {
+      return Response.json({ error: 'Rate card not found' }, { status: 400 });
+    }
+    const options = priceEstimateOptions(
+      Array.isArray(body.options) && body.options.length > 0 ? body.options : [{ ...body, name: 'Estimate' }],
+      pricingCard.rates
+    );
+    const pricing = options[0];
+
+    // Insert the estimate and its options in one batch (a single transaction)
+    const results = await env.DB.batch([
+      env.DB.prepare(`
+        INSERT INTO estimates (
+          project_id, runtime, music_minutes, dialogue_hours,
+          sound_design_hours, mix_hours, revision_hours, post_days,
+          bundle_discount, music_cost, post_cost, discount_amount, total_cost,
+          rate_card_id, rate_card_version, rush, terms
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        project_id,
+        pricing.runtime,
+        pricing.music_minutes,
+        pricing.dialogue_hours,
+        pricing.sound_design_hours,
+        pricing.mix_hours,
+        pricing.revision_hours,
+        pricing.post_days,
+        pricing.bundle_discount ? 1 : 0,  // Convert boolean to integer
+        pricing.music_cost,
+        pricing.post_cost,
+        pricing.discount_amount,
+        pricing.total_cost,
+        pricingCard.id,
+        pricingCard.version,
+        pricing.rush,
+        (body.terms || '').trim() || null
+      ),
+      ...options.map(option => env.DB.prepare(`
+        INSERT INTO estimate_options (
+          estimate_id, name, position, runtime, music_minutes, dialogue_hours, sound_design_hours,
+          mix_hours, revision_hours, post_days, bundle_discount, rush, music_cost, post_cost,
+          discount_amount, total_cost, estimated_taxes, line_items
+        ) VALUES ((SELECT MAX(id) FROM estimates), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        option.name, option.position, option.runtime, option.music_minutes, option.dialogue_hours,
+        option.sound_design_hours, option.mix_hours, option.revision_hours, option.post_days,
+        option.bundle_discount ? 1 : 0, option.rush, option.music_cost, option.post_cost,
+        option.discount_amount, option.total_cost, option.estimated_taxes, JSON.stringify(option.line_items)
+      ))
+    ]);
 
-    if (!result.success) {
+    if (!results[0].success) {
       throw new Error('Failed to create estimate');
     }
 
+    const id = results[0].meta.last_row_id;
+
+    const savedOptions = await env.DB.prepare(`
+      SELECT * FROM estimate_options WHERE estimate_id = ? ORDER BY position, id
+    `).bind(id).all();
+
     // Return created estimate
     return Response.json({
-      id: result.meta.last_row_id,
+      id,
       project_id,
-      ...body
+      rate_card_id: pricingCard.id,
+      rate_card_version: pricingCard.version,
+      ...pricing,
+      options: savedOptions.results.map(parseEstimateOption)
     });
 
   } catch (error) {
@@ -93,3 +119,26 @@ export async function onRequestPost(context) {
     return Response.json({ error: error.message }, { status: 400 });
   }
 }
+
+// Rates that price an estimate: the version it names, the named card's current version, or the default card.
+// Shared with preview.js, as the Express routes share their findPricingCard.
+export async function findPricingCard(db, body) {
+  let cardId = parseInt(body.rate_card_id);
+  if (!cardId) {
+    const defaultCard = await db.prepare(`
+      SELECT id FROM rate_cards
+      WHERE archived = 0
+      ORDER BY is_default DESC, name
+      LIMIT 1
+    `).first();
+    if (!defaultCard) return null;
+    cardId = defaultCard.id;
+  }
+
+  return db.prepare(`
+    SELECT rc.id, rc.name, v.version, v.rates
+    FROM rate_cards rc
+    JOIN rate_card_versions v ON v.rate_card_id = rc.id
+    WHERE rc.id = ? AND v.version = COALESCE(?, rc.version)
+  `).bind(cardId, parseInt(body.rate_card_version) || null).first();
+}
@@ -0,0 +1,31 @@
+/**
+ * Estimate Preview API - Cloudflare Pages Function
+ * Converted from Express route: POST /api/estimates/preview
+ *
+ * Prices an estimate without saving it (the estimate page's live breakdown)
+ */
+
+import { priceEstimate } from '../../../server/utils/estimate-pricing.js';
+import { findPricingCard } from './index.js';
+
+export async function onRequestPost(context) {
+  try {
+    const { env, request } = context;
+    const body = await request.json();
+
+    const pricingCard = await findPricingCard(env.DB, body);
+    if (!pricingCard) {
+      return Response.json({ error: 'Rate card not found' }, { status: 400 });
+    }
+
+    return Response.json({
+      rate_card_id: pricingCard.id,
+      rate_card_name: pricingCard.name,
+      rate_card_version: pricingCard.version,
+      ...priceEstimate(body, pricingCard.rates)
+    });
+  } catch (error) {
+    console.error('POST /api/estimates/preview error:', error);
+    return Response.json({ error: error.message }, { status: 400 });
+  }
+}
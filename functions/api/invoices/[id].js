@@ -8,6 +8,14 @@
  * - DELETE /api/invoices/:id - Delete invoice
  */
 
+import {
+  SOURCE_PROJECT_SQL,
+  normalizeLineItems,
+  invoiceTotals,
+  isAlreadyBilledError,
+  parseInvoiceRow
+} from '../../../server/utils/invoice-line-items.js';
+
 // GET /api/invoices/:id - Get single invoice with payments
 export async function onRequestGet(context) {
   try {
@@ -16,6 +24,14 @@ export async function onRequestGet(context) {
 
     const data = await env.DB.prepare(`
       SELECT i.*,
+        (
+          SELECT JSON_GROUP_ARRAY(JSON_OBJECT(
+            'id', li.id, 'description', li.description, 'quantity', li.quantity, 'unit', li.unit,
+            'unit_rate', li.unit_rate, 'amount', li.amount, 'taxable', li.taxable,
+            'service_type', li.service_type, 'source_type', li.source_type, 'source_id', li.source_id
+          ))
+          FROM (SELECT * FROM invoice_line_items WHERE invoice_id = i.id ORDER BY sort_order, id) li
+        ) as line_items_json,
         COALESCE(
           JSON_GROUP_ARRAY(
             CASE WHEN p.id IS NOT NULL THEN
@@ -46,7 +62,7 @@ export async function onRequestGet(context) {
     }
 
     // Parse JSON aggregated payments
-    const { payments_json, ...invoice } = data;
+    const { payments_json, ...invoice } = parseInvoiceRow(data);
     return Response.json({
       ...invoice,
       payments: JSON.parse(payments_json || '[]')
@@ -58,7 +74,7 @@ export async function onRequestGet(context) {
   }
 }
 
-// PATCH /api/invoices/:id - Update invoice
+// PATCH /api/invoices/:id - Update invoice (line_items replaces the items; amounts are re-derived)
 export async function onRequestPatch(context) {
   try {
     const { env, request, params } = context;
@@ -79,35 +95,88 @@ export async function onRequestPatch(context) {
 
     // Merge updates
     const updates = { ...invoice, ...body };
-    updates.line_items = typeof updates.line_items === 'string'
-      ? updates.line_items
-      : JSON.stringify(updates.line_items);
-
-    // Update invoice
-    await env.DB.prepare(`
-      UPDATE invoices
-      SET invoice_number = ?, amount = ?, deposit_amount = ?,
-          deposit_percentage = ?, final_amount = ?, status = ?,
-          due_date = ?, issue_date = ?, line_items = ?,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `).bind(
-      updates.invoice_number,
-      updates.amount,
-      updates.deposit_amount,
-      updates.deposit_percentage,
-      updates.final_amount,
-      updates.status,
-      updates.due_date,
-      updates.issue_date,
-      updates.line_items,
-      id
-    ).run();
-
-    return Response.json({ ...invoice, ...body, id });
+    const replaceItems = body.line_items !== undefined;
+
+    let items;
+    if (replaceItems) {
+      try {
+        items = normalizeLineItems(body.line_items);
+        for (const [index, item] of items.entries()) {
+          if (!item.source_type) continue;
+          const source = await env.DB.prepare(SOURCE_PROJECT_SQL[item.source_type]).bind(item.source_id).first();
+          if (!source || source.project_id !== invoice.project_id) {
+            throw new Error(`Line item ${index + 1}: ${item.source_type} ${item.source_id} is not part of this project`);
+          }
+        }
+      } catch (error) {
+        return Response.json({ error: error.message }, { status: 400 });
+      }
+    } else {
+      const stored = await env.DB.prepare(`
+        SELECT * FROM invoice_line_items WHERE invoice_id = ? ORDER BY sort_order, id
+      `).bind(id).all();
+      items = stored.results;
+    }
+    const totals = invoiceTotals(items, updates.deposit_percentage);
+
+    // Update invoice, replacing its line items when new ones were sent
+    await env.DB.batch([
+      env.DB.prepare(`
+        UPDATE invoices
+        SET invoice_number = ?, amount = ?, deposit_amount = ?,
+            deposit_percentage = ?, final_amount = ?, status = ?,
+            due_date = ?, issue_date = ?,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).bind(
+        updates.invoice_number,
+        totals.amount,
+        totals.deposit_amount,
+        updates.deposit_percentage,
+        totals.final_amount,
+        updates.status,
+        updates.due_date,
+        updates.issue_date,
+        id
+      ),
+      ...(replaceItems ? [
+        env.DB.prepare('DELETE FROM invoice_line_items WHERE invoice_id = ?').bind(id),
+        env.DB.prepare(`
+          UPDATE comments SET billed_in_invoice_id = NULL, updated_at = CURRENT_TIMESTAMP
+          WHERE billed_in_invoice_id = ?
+        `).bind(id),
+        ...items.map(item => env.DB.prepare(`
+          INSERT INTO invoice_line_items (
+            invoice_id, description, quantity, unit, unit_rate, amount, taxable,
+            service_type, source_type, source_id, sort_order
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+          id, item.description, item.quantity, item.unit, item.unit_rate, item.amount, item.taxable ? 1 : 0,
+          item.service_type, item.source_type, item.source_id, item.sort_order
+        )),
+        ...items.filter(item => item.source_type === 'comment').map(item => env.DB.prepare(`
+          UPDATE comments SET billed_in_invoice_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).bind(id, item.source_id))
+      ] : [])
+    ]);
+
+    return Response.json({
+      ...updates,
+      id,
+      amount: totals.amount,
+      deposit_amount: totals.deposit_amount,
+      final_amount: totals.final_amount,
+      line_items: items.map(item => ({ ...item, taxable: !!item.taxable }))
+    });
 
   } catch (error) {
     console.error('PATCH /api/invoices/:id error:', error);
+    if (isAlreadyBilledError(error)) {
+      return Response.json(
+        { error: 'An hours log entry or comment on this invoice is already billed on another invoice' },
+        { status: 409 }
+      );
+    }
     return Response.json({ error: error.message }, { status: 500 });
   }
 }
@@ -118,9 +187,16 @@ export async function onRequestDelete(context) {
     const { env, params } = context;
     const id = parseInt(params.id);
 
-    await env.DB.prepare(`
-      DELETE FROM invoices WHERE id = ?
-    `).bind(id).run();
+    // Billed comments go back on the project's billable list
+    await env.DB.batch([
+      env.DB.prepare(`
+        UPDATE comments SET billed_in_invoice_id = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE billed_in_invoice_id = ?
+      `).bind(id),
+      env.DB.prepare(`
+        DELETE FROM invoices WHERE id = ?
+      `).bind(id)
+    ]);
 
     return Response.json({
       success: true,
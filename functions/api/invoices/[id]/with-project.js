@@ -4,6 +4,8 @@
  * Optimized - single query with JOIN and JSON_GROUP_ARRAY for payments
  */
 
+import { parseInvoiceRow } from '../../../../server/utils/invoice-line-items.js';
+
 export async function onRequestGet(context) {
   try {
     const { env, params } = context;
@@ -14,6 +16,14 @@ export async function onRequestGet(context) {
         i.*,
         p.name as project_name,
         p.client_name,
+        (
+          SELECT JSON_GROUP_ARRAY(JSON_OBJECT(
+            'id', li.id, 'description', li.description, 'quantity', li.quantity, 'unit', li.unit,
+            'unit_rate', li.unit_rate, 'amount', li.amount, 'taxable', li.taxable,
+            'service_type', li.service_type, 'source_type', li.source_type, 'source_id', li.source_id
+          ))
+          FROM (SELECT * FROM invoice_line_items WHERE invoice_id = i.id ORDER BY sort_order, id) li
+        ) as line_items_json,
         COALESCE(
           JSON_GROUP_ARRAY(
             CASE WHEN pm.id IS NOT NULL THEN
@@ -44,7 +54,7 @@ export async function onRequestGet(context) {
     }
 
     // Parse JSON aggregated payments
-    const { payments_json, ...invoice } = data;
+    const { payments_json, ...invoice } = parseInvoiceRow(data);
     return Response.json({
       ...invoice,
       payments: JSON.parse(payments_json || '[]')
@@ -7,24 +7,41 @@
  * - POST /api/invoices - Create new invoice
  */
 
+import {
+  SOURCE_PROJECT_SQL,
+  normalizeLineItems,
+  invoiceTotals,
+  isAlreadyBilledError,
+  parseInvoiceRow
+} from '../../../server/utils/invoice-line-items.js';
+
 // GET /api/invoices - Get all invoices
 export async function onRequestGet(context) {
   try {
     const { env } = context;
 
     const result = await env.DB.prepare(`
-      SELECT * FROM invoices
-      ORDER BY created_at DESC
+      SELECT i.*,
+        (
+          SELECT JSON_GROUP_ARRAY(JSON_OBJECT(
+            'id', li.id, 'description', li.description, 'quantity', li.quantity, 'unit', li.unit,
+            'unit_rate', li.unit_rate, 'amount', li.amount, 'taxable', li.taxable,
+            'service_type', li.service_type, 'source_type', li.source_type, 'source_id', li.source_id
+          ))
+          FROM (SELECT * FROM invoice_line_items WHERE invoice_id = i.id ORDER BY sort_order, id) li
+        ) as line_items_json
+      FROM invoices i
+      ORDER BY i.created_at DESC
     `).all();
 
-    return Response.json(result.results);
+    return Response.json(result.results.map(parseInvoiceRow));
   } catch (error) {
     console.error('GET /api/invoices error:', error);
     return Response.json({ error: error.message }, { status: 500 });
   }
 }
 
-// POST /api/invoices - Create new invoice
+// POST /api/invoices - Create new invoice (amounts are derived from line_items)
 export async function onRequestPost(context) {
   try {
     const { env, request } = context;
@@ -33,10 +50,7 @@ export async function onRequestPost(context) {
     const {
       project_id,
       invoice_number,
-      amount = 0,
-      deposit_amount = 0,
       deposit_percentage = 0,
-      final_amount = 0,
       status = 'draft',
       due_date,
       issue_date,
@@ -51,43 +65,87 @@ export async function onRequestPost(context) {
       );
     }
 
-    const lineItemsJson = typeof line_items === 'string'
-      ? line_items
-      : JSON.stringify(line_items);
+    const items = normalizeLineItems(line_items);
+    await checkLineItemSources(env.DB, items, project_id);
+    const totals = invoiceTotals(items, deposit_percentage);
 
-    // Insert into D1
-    const result = await env.DB.prepare(`
-      INSERT INTO invoices (
-        project_id, invoice_number, amount, deposit_amount,
-        deposit_percentage, final_amount, status, due_date,
-        issue_date, line_items
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).bind(
-      project_id,
-      invoice_number || null,
-      amount,
-      deposit_amount,
-      deposit_percentage,
-      final_amount,
-      status,
-      due_date || null,
-      issue_date || null,
-      lineItemsJson
-    ).run();
+    // Insert the invoice and its items into D1. A batch runs as one transaction,
+    // so the newest invoice is the one just inserted.
+    const results = await env.DB.batch([
+      env.DB.prepare(`
+        INSERT INTO invoices (
+          project_id, invoice_number, amount, deposit_amount,
+          deposit_percentage, final_amount, status, due_date,
+          issue_date
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        project_id,
+        invoice_number || null,
+        totals.amount,
+        totals.deposit_amount,
+        deposit_percentage,
+        totals.final_amount,
+        status,
+        due_date || null,
+        issue_date || null
+      ),
+      ...items.map(item => env.DB.prepare(`
+        INSERT INTO invoice_line_items (
+          invoice_id, description, quantity, unit, unit_rate, amount, taxable,
+          service_type, source_type, source_id, sort_order
+        ) VALUES ((SELECT MAX(id) FROM invoices), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        item.description, item.quantity, item.unit, item.unit_rate, item.amount, item.taxable ? 1 : 0,
+        item.service_type, item.source_type, item.source_id, item.sort_order
+      )),
+      // Billed comments drop off the project's billable list
+      ...items.filter(item => item.source_type === 'comment').map(item => env.DB.prepare(`
+        UPDATE comments
+        SET billed_in_invoice_id = (SELECT MAX(id) FROM invoices), updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).bind(item.source_id))
+    ]);
 
-    if (!result.success) {
+    if (!results[0].success) {
       throw new Error('Failed to create invoice');
     }
 
+    const id = results[0].meta.last_row_id;
+
     // Return created invoice
     return Response.json({
-      id: result.meta.last_row_id,
+      id,
       project_id,
-      ...body
+      invoice_number: invoice_number || null,
+      deposit_percentage,
+      status,
+      due_date: due_date || null,
+      issue_date: issue_date || null,
+      amount: totals.amount,
+      deposit_amount: totals.deposit_amount,
+      final_amount: totals.final_amount,
+      line_items: items
     });
 
   } catch (error) {
     console.error('POST /api/invoices error:', error);
+    if (isAlreadyBilledError(error)) {
+      return Response.json(
+        { error: 'An hours log entry or comment on this invoice is already billed on another invoice' },
+        { status: 409 }
+      );
+    }
     return Response.json({ error: error.message }, { status: 400 });
   }
 }
+
+// Throws when a line item bills work from another project
+async function checkLineItemSources(db, items, projectId) {
+  for (const [index, item] of items.entries()) {
+    if (!item.source_type) continue;
+    const source = await db.prepare(SOURCE_PROJECT_SQL[item.source_type]).bind(item.source_id).first();
+    if (!source || source.project_id !== parseInt(projectId)) {
+      throw new Error(`Line item ${index + 1}: ${item.source_type} ${item.source_id} is not part of this project`);
+    }
+  }
+}
@@ -3,18 +3,29 @@
  * Converted from Express route: GET /api/invoices/project/:projectId
  */
 
+import { parseInvoiceRow } from '../../../../server/utils/invoice-line-items.js';
+
 export async function onRequestGet(context) {
   try {
     const { env, params } = context;
     const projectId = parseInt(params.projectId);
 
     const result = await env.DB.prepare(`
-      SELECT * FROM invoices
-      WHERE project_id = ?
-      ORDER BY created_at DESC
+      SELECT i.*,
+        (
+          SELECT JSON_GROUP_ARRAY(JSON_OBJECT(
+            'id', li.id, 'description', li.description, 'quantity', li.quantity, 'unit', li.unit,
+            'unit_rate', li.unit_rate, 'amount', li.amount, 'taxable', li.taxable,
+            'service_type', li.service_type, 'source_type', li.source_type, 'source_id', li.source_id
+          ))
+          FROM (SELECT * FROM invoice_line_items WHERE invoice_id = i.id ORDER BY sort_order, id) li
+        ) as line_items_json
+      FROM invoices i
+      WHERE i.project_id = ?
+      ORDER BY i.created_at DESC
     `).bind(projectId).all();
 
-    return Response.json(result.results);
+    return Response.json(result.results.map(parseInvoiceRow));
   } catch (error) {
     console.error('GET /api/invoices/project/:projectId error:', error);
     return Response.json({ error: error.message }, { status: 500 });
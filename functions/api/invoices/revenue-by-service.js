@@ -0,0 +1,39 @@
+/**
+ * Invoices API - Invoiced revenue by service type
+ * Converted from Express route: GET /api/invoices/revenue-by-service
+ * Drafts are excluded; ?from=&to= bound the issue date
+ */
+
+export async function onRequestGet(context) {
+  try {
+    const { env, request } = context;
+    const url = new URL(request.url);
+    const from = url.searchParams.get('from') || null;
+    const to = url.searchParams.get('to') || null;
+
+    // Deposit invoices count their share of each item
+    const result = await env.DB.prepare(`
+      SELECT
+        li.service_type,
+        ROUND(SUM(li.amount * (CASE WHEN i.deposit_percentage > 0 THEN i.deposit_percentage / 100.0 ELSE 1 END)), 2) as revenue,
+        ROUND(SUM(CASE WHEN li.taxable THEN li.amount ELSE 0 END
+          * (CASE WHEN i.deposit_percentage > 0 THEN i.deposit_percentage / 100.0 ELSE 1 END)), 2) as taxable_revenue,
+        COUNT(DISTINCT i.id) as invoice_count
+      FROM invoice_line_items li
+      JOIN invoices i ON i.id = li.invoice_id
+      WHERE i.status != 'draft'
+        AND (? IS NULL OR i.issue_date >= ?)
+        AND (? IS NULL OR i.issue_date <= ?)
+      GROUP BY li.service_type
+      ORDER BY revenue DESC
+    `).bind(from, from, to, to).all();
+
+    const services = result.results;
+    const total = Math.round(services.reduce((sum, row) => sum + row.revenue, 0) * 100) / 100;
+
+    return Response.json({ from, to, total, services });
+  } catch (error) {
+    console.error('GET /api/invoices/revenue-by-service error:', error);
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -4,6 +4,13 @@
  * Unified transaction endpoint for creating invoice, payment, and updating project
  */
 
+import {
+  SOURCE_PROJECT_SQL,
+  normalizeLineItems,
+  invoiceTotals,
+  isAlreadyBilledError
+} from '../../../server/utils/invoice-line-items.js';
+
 export async function onRequestPost(context) {
   try {
     const { env, request } = context;
@@ -18,10 +25,16 @@ export async function onRequestPost(context) {
       );
     }
 
-    // Prepare line items JSON
-    const lineItemsJson = typeof invoice.line_items === 'string'
-      ? invoice.line_items
-      : JSON.stringify(invoice.line_items);
+    // Amounts are derived from the line items
+    const items = normalizeLineItems(invoice.line_items);
+    for (const [index, item] of items.entries()) {
+      if (!item.source_type) continue;
+      const source = await env.DB.prepare(SOURCE_PROJECT_SQL[item.source_type]).bind(item.source_id).first();
+      if (!source || source.project_id !== parseInt(invoice.project_id)) {
+        throw new Error(`Line item ${index + 1}: ${item.source_type} ${item.source_id} is not part of this project`);
+      }
+    }
+    const totals = invoiceTotals(items, invoice.deposit_percentage);
 
     // Build transaction statements
     const statements = [
@@ -30,20 +43,35 @@ export async function onRequestPost(context) {
         INSERT INTO invoices (
           project_id, invoice_number, amount, deposit_amount,
           deposit_percentage, final_amount, status, due_date,
-          issue_date, line_items
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          issue_date
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `).bind(
         invoice.project_id,
         invoice.invoice_number || null,
-        invoice.amount || 0,
-        invoice.deposit_amount || 0,
+        totals.amount,
+        totals.deposit_amount,
         invoice.deposit_percentage || 0,
-        invoice.final_amount || 0,
+        totals.final_amount,
         invoice.status || 'sent',
         invoice.due_date || null,
-        invoice.issue_date || null,
-        lineItemsJson
-      )
+        invoice.issue_date || null
+      ),
+      // ...and its line items. A batch runs as one transaction, so the newest invoice is this one.
+      ...items.map(item => env.DB.prepare(`
+        INSERT INTO invoice_line_items (
+          invoice_id, description, quantity, unit, unit_rate, amount, taxable,
+          service_type, source_type, source_id, sort_order
+        ) VALUES ((SELECT MAX(id) FROM invoices), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).bind(
+        item.description, item.quantity, item.unit, item.unit_rate, item.amount, item.taxable ? 1 : 0,
+        item.service_type, item.source_type, item.source_id, item.sort_order
+      )),
+      // Billed comments drop off the project's billable list
+      ...items.filter(item => item.source_type === 'comment').map(item => env.DB.prepare(`
+        UPDATE comments
+        SET billed_in_invoice_id = (SELECT MAX(id) FROM invoices), updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).bind(item.source_id))
     ];
 
     // Execute transaction using D1 batch
@@ -78,11 +106,18 @@ export async function onRequestPost(context) {
     return Response.json({
       success: true,
       invoice_id: invoiceId,
+      amount: totals.amount,
       message: 'Invoice and payment created successfully'
     });
 
   } catch (error) {
     console.error('POST /api/invoices/with-payment error:', error);
+    if (isAlreadyBilledError(error)) {
+      return Response.json(
+        { error: 'An hours log entry or comment on this invoice is already billed on another invoice' },
+        { status: 409 }
+      );
+    }
     return Response.json({ error: error.message }, { status: 400 });
   }
 }
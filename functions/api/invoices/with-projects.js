@@ -4,6 +4,8 @@
  * Optimized - single query with JOIN
  */
 
+import { parseInvoiceRow } from '../../../server/utils/invoice-line-items.js';
+
 export async function onRequestGet(context) {
   try {
     const { env, request } = context;
@@ -14,14 +16,22 @@ export async function onRequestGet(context) {
       SELECT
         i.*,
         p.name as project_name,
-        p.client_name
+        p.client_name,
+        (
+          SELECT JSON_GROUP_ARRAY(JSON_OBJECT(
+            'id', li.id, 'description', li.description, 'quantity', li.quantity, 'unit', li.unit,
+            'unit_rate', li.unit_rate, 'amount', li.amount, 'taxable', li.taxable,
+            'service_type', li.service_type, 'source_type', li.source_type, 'source_id', li.source_id
+          ))
+          FROM (SELECT * FROM invoice_line_items WHERE invoice_id = i.id ORDER BY sort_order, id) li
+        ) as line_items_json
       FROM invoices i
       LEFT JOIN projects p ON p.id = i.project_id
       ORDER BY i.created_at DESC
       LIMIT ?
     `).bind(limit).all();
 
-    return Response.json(result.results);
+    return Response.json(result.results.map(parseInvoiceRow));
   } catch (error) {
     console.error('GET /api/invoices/with-projects error:', error);
     return Response.json({ error: error.message }, { status: 500 });
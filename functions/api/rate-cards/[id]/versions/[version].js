@@ -0,0 +1,37 @@
+/**
+ * Rate Card Version API - Cloudflare Pages Function
+ * Converted from Express route: GET /api/rate-cards/:id/versions/:version
+ *
+ * The rates a card had at a version (what priced an older estimate)
+ */
+
+import { parseRateCard } from '../../../../../server/utils/rate-cards.js';
+
+export async function onRequestGet(context) {
+  try {
+    const { env, params } = context;
+    const id = parseInt(params.id);
+
+    const card = await env.DB.prepare(`
+      SELECT * FROM rate_cards WHERE id = ?
+    `).bind(id).first();
+
+    if (!card) {
+      return Response.json({ error: 'Rate card not found' }, { status: 404 });
+    }
+
+    const snapshot = await env.DB.prepare(`
+      SELECT version, rates FROM rate_card_versions
+      WHERE rate_card_id = ? AND version = ?
+    `).bind(id, parseInt(params.version)).first();
+
+    if (!snapshot) {
+      return Response.json({ error: 'Rate card version not found' }, { status: 404 });
+    }
+
+    return Response.json(parseRateCard({ ...card, version: snapshot.version, rates: snapshot.rates }));
+  } catch (error) {
+    console.error('GET /api/rate-cards/:id/versions/:version error:', error);
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * Rate Cards API - Cloudflare Pages Function
+ * Converted from Express route: server/routes/rate-cards.js
+ *
+ * Endpoints:
+ * - GET /api/rate-cards - Get all active rate cards
+ * - POST /api/rate-cards - Create rate card
+ */
+
+import { normalizeRates, parseRateCard } from '../../../server/utils/rate-cards.js';
+
+// GET /api/rate-cards - Get all active rate cards
+export async function onRequestGet(context) {
+  try {
+    const { env } = context;
+
+    const result = await env.DB.prepare(`
+      SELECT * FROM rate_cards
+      WHERE archived = 0
+      ORDER BY is_default DESC, name
+    `).all();
+
+    return Response.json((result.results || []).map(parseRateCard));
+  } catch (error) {
+    console.error('GET /api/rate-cards error:', error);
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
+
+// POST /api/rate-cards - Create rate card (version 1 is snapshotted with it)
+export async function onRequestPost(context) {
+  try {
+    const { env, request } = context;
+    const body = await request.json();
+
+    const name = (body.name || '').trim();
+    if (!name) {
+      return Response.json({ error: 'name required' }, { status: 400 });
+    }
+
+    const existing = await env.DB.prepare(`
+      SELECT id FROM rate_cards WHERE name = ?
+    `).bind(name).first();
+
+    if (existing) {
+      return Response.json({ error: `A rate card named "${name}" already exists` }, { status: 409 });
+    }
+
+    let rates;
+    try {
+      rates = JSON.stringify(normalizeRates(body.rates));
+    } catch (error) {
+      return Response.json({ error: error.message }, { status: 400 });
+    }
+
+    const statements = [];
+    if (body.is_default) {
+      statements.push(env.DB.prepare(`UPDATE rate_cards SET is_default = 0 WHERE is_default = 1`));
+    }
+    statements.push(env.DB.prepare(`
+      INSERT INTO rate_cards (name, client_name, rates, is_default)
+      VALUES (?, ?, ?, ?)
+    `).bind(name, (body.client_name || '').trim() || null, rates, body.is_default ? 1 : 0));
+    statements.push(env.DB.prepare(`
+      INSERT INTO rate_card_versions (rate_card_id, version, rates)
+      SELECT id, 1, rates FROM rate_cards WHERE name = ?
+    `).bind(name));
+
+    await env.DB.batch(statements);
+
+    const card = await env.DB.prepare(`
+      SELECT * FROM rate_cards WHERE name = ?
+    `).bind(name).first();
+
+    return Response.json(parseRateCard(card), { status: 201 });
+  } catch (error) {
+    console.error('POST /api/rate-cards error:', error);
+    return Response.json({ error: error.message }, { status: 400 });
+  }
+}
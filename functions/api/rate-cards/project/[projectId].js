@@ -0,0 +1,42 @@
+/**
+ * Project Rate Card API - Cloudflare Pages Function
+ * Converted from Express route: PUT /api/rate-cards/project/:projectId
+ *
+ * Select the rate card for a project (null falls back to the client's card or the default)
+ */
+
+export async function onRequestPut(context) {
+  try {
+    const { env, request, params } = context;
+    const projectId = parseInt(params.projectId);
+    const body = await request.json();
+
+    const project = await env.DB.prepare(`
+      SELECT id FROM projects WHERE id = ?
+    `).bind(projectId).first();
+
+    if (!project) {
+      return Response.json({ error: 'Project not found' }, { status: 404 });
+    }
+
+    const rateCardId = body.rate_card_id ? parseInt(body.rate_card_id) : null;
+    if (rateCardId) {
+      const card = await env.DB.prepare(`
+        SELECT id FROM rate_cards WHERE id = ? AND archived = 0
+      `).bind(rateCardId).first();
+
+      if (!card) {
+        return Response.json({ error: 'Rate card not found' }, { status: 404 });
+      }
+    }
+
+    await env.DB.prepare(`
+      UPDATE projects SET rate_card_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).bind(rateCardId, projectId).run();
+
+    return Response.json({ project_id: projectId, rate_card_id: rateCardId });
+  } catch (error) {
+    console.error('PUT /api/rate-cards/project/:projectId error:', error);
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
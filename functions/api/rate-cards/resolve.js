@@ -0,0 +1,47 @@
+/**
+ * Rate Card Resolve API - Cloudflare Pages Function
+ * Converted from Express route: GET /api/rate-cards/resolve
+ *
+ * The card that prices a project or client: ?project_id= and/or ?client_name=
+ */
+
+import { parseRateCard, resolveRateCard } from '../../../server/utils/rate-cards.js';
+
+export async function onRequestGet(context) {
+  try {
+    const { env, request } = context;
+    const url = new URL(request.url);
+    const projectId = parseInt(url.searchParams.get('project_id'));
+
+    let project = null;
+    if (projectId) {
+      project = await env.DB.prepare(`
+        SELECT id, client_name, rate_card_id FROM projects WHERE id = ?
+      `).bind(projectId).first();
+
+      if (!project) {
+        return Response.json({ error: 'Project not found' }, { status: 404 });
+      }
+    }
+
+    const result = await env.DB.prepare(`
+      SELECT * FROM rate_cards
+      WHERE archived = 0
+      ORDER BY is_default DESC, name
+    `).all();
+
+    const card = resolveRateCard((result.results || []).map(parseRateCard), {
+      rateCardId: project?.rate_card_id,
+      clientName: url.searchParams.get('client_name') || project?.client_name
+    });
+
+    if (!card) {
+      return Response.json({ error: 'No rate cards configured' }, { status: 404 });
+    }
+
+    return Response.json(card);
+  } catch (error) {
+    console.error('GET /api/rate-cards/resolve error:', error);
+    return Response.json({ error: error.message }, { status: 500 });
+  }
+}
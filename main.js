@@ -37,6 +37,10 @@ function initializeDatabase() {
 // NoteMarker PTSL imports
 const { PTSLConnectionManager } = require('./src/notemarker/ptsl-connection-manager');
 const MarkerCreationPipeline = require('./src/notemarker/marker-creation-pipeline');
+const { MarkerLedger } = require('./src/notemarker/marker-ledger');
+const { SessionSettingsStore } = require('./src/notemarker/session-settings-store');
+const { parseReviewNotes } = require('./src/notemarker/frameio-parser');
+const { FRAME_RATES } = require('./src/notemarker/timecode-calculator');
 
 // Alternaview server
 const alternaviewServer = require('./alternaview-server');
@@ -44,6 +48,7 @@ const alternaviewServer = require('./alternaview-server');
 // PTSL manager instances
 let ptslManager = null;
 let markerPipeline = null;
+let sessionSettingsStore = null;
 
 function createWindow() {
     const appPath = getAppPath();
@@ -98,6 +103,9 @@ function initializePTSL() {
         });
 
         markerPipeline = new MarkerCreationPipeline(ptslManager);
+        markerPipeline.setLedger(new MarkerLedger());
+        sessionSettingsStore = new SessionSettingsStore();
+        markerPipeline.setSessionStore(sessionSettingsStore);
         console.log('PTSL initialized successfully');
     } catch (error) {
         console.error('Failed to initialize PTSL:', error);
@@ -210,26 +218,259 @@ ipcMain.handle('ptsl:createMarkersFromFile', async (event, filePath) => {
     }
 });
 
-// File dialog for Frame.io TXT files
-ipcMain.handle('dialog:openFile', async () => {
+// Preview what a marker run would add, skip, rename or offset - nothing is created
+ipcMain.handle('ptsl:previewMarkers', async (event, notes, options = {}) => {
+    try {
+        if (!markerPipeline) {
+            throw new Error('Marker pipeline not initialized');
+        }
+
+        const result = await markerPipeline.createMarkers(notes, { ...options, preview: true });
+        return { success: true, data: result };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Create the markers from an approved preview
+ipcMain.handle('ptsl:commitMarkerPreview', async (event, previewId) => {
+    try {
+        if (!markerPipeline) {
+            throw new Error('Marker pipeline not initialized');
+        }
+
+        // Progress is sent on 'marker-creation-progress'
+        markerPipeline.ipcHandler = event.sender;
+
+        const result = await markerPipeline.commitPreview(previewId);
+        return { success: true, data: result };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Undo: remove exactly the markers the last live run created
+ipcMain.handle('ptsl:getLastMarkerRun', async () => {
+    try {
+        return { success: true, data: markerPipeline ? markerPipeline.getLastRun() : null };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('ptsl:undoLastMarkerRun', async () => {
+    try {
+        if (!markerPipeline) {
+            throw new Error('Marker pipeline not initialized');
+        }
+
+        const result = await markerPipeline.undoLastRun();
+        return { success: true, data: result };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// NoteMarker settings and import history remembered per Pro Tools session
+ipcMain.handle('ptsl:getSessionSettings', async () => {
+    try {
+        if (!ptslManager || !sessionSettingsStore) {
+            throw new Error('PTSL not initialized');
+        }
+
+        const sessionInfo = await ptslManager.getSessionInfo();
+        const sessionName = sessionInfo?.name;
+
+        return {
+            success: true,
+            data: {
+                sessionName,
+                timecodeRate: sessionInfo?.timecodeFormat || null,
+                settings: sessionSettingsStore.getSettings(sessionName),
+                history: sessionSettingsStore.getHistory(sessionName),
+                // Checked before saving so a rate change since the last visit is reported once
+                timecodeMismatch: sessionSettingsStore.checkTimecodeRate(sessionName, sessionInfo?.timecodeFormat)
+            }
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+ipcMain.handle('ptsl:saveSessionSettings', async (event, settings = {}) => {
+    try {
+        if (!ptslManager || !sessionSettingsStore) {
+            throw new Error('PTSL not initialized');
+        }
+
+        const sessionInfo = await ptslManager.getSessionInfo();
+        const saved = sessionSettingsStore.saveSettings(sessionInfo?.name, settings, sessionInfo?.timecodeFormat);
+        return { success: true, data: { sessionName: sessionInfo?.name, saved } };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Marker creation straight from Alternaview review comments
+ipcMain.handle('ptsl:createMarkersFromComments', async (event, fileId, options = {}) => {
+    try {
+        if (!markerPipeline) {
+            throw new Error('Marker pipeline not initialized');
+        }
+
+        const { NOTE_SOURCE_TYPE, loadFileCommentNotes } = require('./src/notemarker/comment-note-source');
+        const { file, notes, skipped } = loadFileCommentNotes(fileId, {
+            includeResolved: !!options.includeResolved,
+            includeReplies: options.includeReplies !== false
+        });
+
+        if (notes.length === 0) {
+            return { success: true, data: { file: file.original_name, total: 0, created: 0, skipped, results: [] } };
+        }
+
+        // Progress is sent on 'marker-creation-progress'
+        markerPipeline.ipcHandler = event.sender;
+
+        const result = await markerPipeline.createMarkers(notes, {
+            ...options,
+            sourceName: file.original_name,
+            sourceType: NOTE_SOURCE_TYPE,
+            // Review player timecode is relative to picture start
+            sessionStart: options.pictureStart || options.sessionStart
+        });
+
+        return { success: true, data: { file: file.original_name, ...result, commentsSkipped: skipped } };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Export session markers as a Frame.io-style note list (and optionally post as comments)
+ipcMain.handle('ptsl:exportMemoryLocations', async (event, options = {}) => {
+    try {
+        if (!ptslManager) {
+            throw new Error('PTSL not initialized');
+        }
+
+        const {
+            EXPORT_FORMATS,
+            frameRateKeyFromSession,
+            memoryLocationsToNotes,
+            formatNotesAsTXT,
+            formatNotesAsCSV,
+            postNotesAsComments
+        } = require('./src/notemarker/marker-exporter');
+
+        const sessionInfo = await ptslManager.getSessionInfo();
+        const { memoryLocations } = await ptslManager.getMemoryLocations();
+
+        const { notes, skipped } = memoryLocationsToNotes(memoryLocations, {
+            sessionStart: options.sessionStart || '00:00:00:00',
+            frameRate: options.frameRate || frameRateKeyFromSession(sessionInfo.frameRate, sessionInfo.timecodeFormat),
+            author: options.author || 'Mix',
+            // Session info may report the rate as an enum name such as "SR_48000"
+            sampleRate: parseInt(String(sessionInfo.sampleRate).replace(/\D/g, ''), 10) || 48000
+        });
+
+        const format = options.format === EXPORT_FORMATS.CSV ? EXPORT_FORMATS.CSV : EXPORT_FORMATS.TXT;
+        const content = format === EXPORT_FORMATS.CSV ? formatNotesAsCSV(notes) : formatNotesAsTXT(notes);
+
+        let filePath = null;
+        if (options.saveToFile) {
+            const result = await dialog.showSaveDialog({
+                title: 'Export Session Markers',
+                defaultPath: `${sessionInfo.name || 'markers'}.${format}`,
+                filters: [{ name: format.toUpperCase(), extensions: [format] }]
+            });
+
+            if (!result.canceled && result.filePath) {
+                await fs.promises.writeFile(result.filePath, content, 'utf8');
+                filePath = result.filePath;
+            }
+        }
+
+        let posted = null;
+        if (options.postToFileId) {
+            posted = postNotesAsComments(options.postToFileId, notes);
+        }
+
+        return { success: true, data: { format, content, notes, skipped, filePath, posted } };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// Diagnostics bundle for bug reports (PTSL session IDs are redacted)
+ipcMain.handle('ptsl:getDiagnostics', async (event, options = {}) => {
+    try {
+        const { buildDiagnosticsBundle } = require('./src/notemarker/ptsl-diagnostics');
+        const bundle = buildDiagnosticsBundle({
+            connectionManager: ptslManager,
+            markerPipeline,
+            app: { name: app.getName(), version: app.getVersion() },
+            commandLimit: options.commandLimit
+        });
+
+        let filePath = null;
+        if (options.saveToFile) {
+            const stamp = bundle.generatedAt.replace(/[:.]/g, '-');
+            const result = await dialog.showSaveDialog({
+                title: 'Export NoteMarker Diagnostics',
+                defaultPath: `notemarker-diagnostics-${stamp}.json`,
+                filters: [{ name: 'JSON', extensions: ['json'] }]
+            });
+
+            if (!result.canceled && result.filePath) {
+                await fs.promises.writeFile(result.filePath, JSON.stringify(bundle, null, 2), 'utf8');
+                filePath = result.filePath;
+            }
+        }
+
+        return { success: true, data: { bundle, filePath } };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+});
+
+// File dialog for review notes (Frame.io TXT/CSV/JSON, Avid locators, EDL, SRT/WebVTT, spotting notes)
+ipcMain.handle('dialog:openFile', async (event, options = {}) => {
     try {
         const result = await dialog.showOpenDialog({
-            properties: ['openFile'],
+            title: 'Import Review Notes',
+            properties: options.multiple ? ['openFile', 'multiSelections'] : ['openFile'],
             filters: [
-                { name: 'Text Files', extensions: ['txt'] },
+                { name: 'Review Notes', extensions: ['txt', 'csv', 'json', 'edl', 'srt', 'vtt'] },
                 { name: 'All Files', extensions: ['*'] }
             ]
         });
 
         if (!result.canceled && result.filePaths.length > 0) {
-            return { success: true, filePath: result.filePaths[0] };
+            return { success: true, filePath: result.filePaths[0], filePaths: result.filePaths };
         }
-        return { success: false };
+        return { success: false, canceled: result.canceled };
     } catch (error) {
         return { success: false, error: error.message };
     }
 });
 
+// Parse review notes already read by the renderer (drag/drop, file input)
+ipcMain.handle('notes:parse', async (event, content, fileName, options = {}) => {
+    return parseReviewNotes(content, { ...options, fileName });
+});
+
+// Frame rates the marker pipeline accepts, for the renderer's settings validation
+ipcMain.handle('notes:frameRates', () => Object.keys(FRAME_RATES));
+
+// Read and parse a review notes file picked in the native dialog
+ipcMain.handle('notes:parseFile', async (event, filePath, options = {}) => {
+    try {
+        const content = await fs.promises.readFile(filePath, 'utf8');
+        return parseReviewNotes(content, { ...options, fileName: path.basename(filePath) });
+    } catch (error) {
+        return { success: false, fileName: path.basename(filePath || ''), error: error.message };
+    }
+});
+
 // ============================================================================
 // Alternaview Media Folder IPC Handlers
 // ============================================================================
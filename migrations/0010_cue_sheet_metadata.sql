@@ -0,0 +1,13 @@
+-- Cue sheet (ASCAP/BMI/SOCAN) metadata
+-- Production details and default composer/publisher splits live on the project;
+-- composers/publishers are JSON arrays of {name, pro, ipi, share}
+ALTER TABLE projects ADD COLUMN production_title TEXT;
+ALTER TABLE projects ADD COLUMN episode_title TEXT;
+ALTER TABLE projects ADD COLUMN episode_number TEXT;
+ALTER TABLE projects ADD COLUMN composers TEXT;
+ALTER TABLE projects ADD COLUMN publishers TEXT;
+
+-- Per-cue usage code (MT, ET, BI, BV, VI, VV) and optional split overrides
+ALTER TABLE cues ADD COLUMN usage_type TEXT;
+ALTER TABLE cues ADD COLUMN composers TEXT;
+ALTER TABLE cues ADD COLUMN publishers TEXT;
@@ -0,0 +1,25 @@
+-- Cue version history: each delivered version, the file it was delivered as,
+-- and who approved it (cues.version mirrors the latest delivery)
+CREATE TABLE IF NOT EXISTS cue_versions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  cue_id INTEGER NOT NULL,
+  version TEXT NOT NULL,
+  file_id INTEGER,
+  notes TEXT,
+  status TEXT DEFAULT 'delivered',
+  approved_by TEXT,
+  approval_notes TEXT,
+  approved_at DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (cue_id) REFERENCES cues(id) ON DELETE CASCADE,
+  FOREIGN KEY (file_id) REFERENCES files(id) ON DELETE SET NULL,
+  UNIQUE(cue_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cue_versions_cue ON cue_versions(cue_id);
+
+-- Existing cue versions become the first history entries
+INSERT OR IGNORE INTO cue_versions (cue_id, version, status)
+SELECT id, version, CASE WHEN status IN ('approved', 'complete') THEN 'approved' ELSE 'delivered' END
+FROM cues
+WHERE version IS NOT NULL AND version != '';
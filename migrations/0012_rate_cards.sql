@@ -0,0 +1,40 @@
+-- Rate cards: named per-service rates selectable per project or client.
+-- rates is JSON: {music_per_minute, post_per_day, dialogue_per_day, sound_design_per_day,
+-- mix_per_day, revisions_per_day, hours_per_day, bundle_discount, tax_rate, rush_multipliers}
+CREATE TABLE IF NOT EXISTS rate_cards (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE,
+  client_name TEXT,
+  rates TEXT NOT NULL,
+  version INTEGER DEFAULT 1,
+  is_default BOOLEAN DEFAULT 0,
+  archived BOOLEAN DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Snapshot of a card's rates at each version, so estimates stay traceable after edits
+CREATE TABLE IF NOT EXISTS rate_card_versions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  rate_card_id INTEGER NOT NULL,
+  version INTEGER NOT NULL,
+  rates TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (rate_card_id) REFERENCES rate_cards(id) ON DELETE CASCADE,
+  UNIQUE(rate_card_id, version)
+);
+
+ALTER TABLE projects ADD COLUMN rate_card_id INTEGER;
+
+-- Which rate card version priced each estimate
+ALTER TABLE estimates ADD COLUMN rate_card_id INTEGER;
+ALTER TABLE estimates ADD COLUMN rate_card_version INTEGER;
+ALTER TABLE estimates ADD COLUMN rush TEXT;
+
+-- Default card with the rates the estimate and invoice pages used to hardcode
+INSERT INTO rate_cards (name, rates, is_default)
+SELECT 'Standard', '{"music_per_minute":150,"post_per_day":500,"dialogue_per_day":500,"sound_design_per_day":500,"mix_per_day":500,"revisions_per_day":500,"hours_per_day":8,"bundle_discount":0.1,"tax_rate":0.3,"rush_multipliers":{"rush":1.5}}', 1
+WHERE NOT EXISTS (SELECT 1 FROM rate_cards);
+
+INSERT OR IGNORE INTO rate_card_versions (rate_card_id, version, rates)
+SELECT id, version, rates FROM rate_cards;
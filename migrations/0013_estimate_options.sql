@@ -0,0 +1,50 @@
+-- Estimate options: named alternatives ("basic" vs "full mix") the client picks between.
+-- The estimates row mirrors the first option; line_items is the priced breakdown as JSON.
+CREATE TABLE IF NOT EXISTS estimate_options (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  estimate_id INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  position INTEGER DEFAULT 0,
+  runtime REAL DEFAULT 0,
+  music_minutes REAL DEFAULT 0,
+  dialogue_hours REAL DEFAULT 0,
+  sound_design_hours REAL DEFAULT 0,
+  mix_hours REAL DEFAULT 0,
+  revision_hours REAL DEFAULT 0,
+  post_days REAL DEFAULT 0,
+  bundle_discount BOOLEAN DEFAULT 0,
+  rush TEXT,
+  music_cost REAL DEFAULT 0,
+  post_cost REAL DEFAULT 0,
+  discount_amount REAL DEFAULT 0,
+  total_cost REAL DEFAULT 0,
+  estimated_taxes REAL DEFAULT 0,
+  line_items TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (estimate_id) REFERENCES estimates(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_estimate_options_estimate ON estimate_options(estimate_id);
+
+-- Which option the client accepted from a shared estimate
+ALTER TABLE estimates ADD COLUMN accepted_option_id INTEGER;
+ALTER TABLE estimates ADD COLUMN accepted_by TEXT;
+ALTER TABLE estimates ADD COLUMN accepted_at DATETIME;
+
+-- Estimate share links (type 'estimate') point at the estimate they offer
+ALTER TABLE share_links ADD COLUMN estimate_id INTEGER DEFAULT NULL;
+
+-- Existing single-scope estimates become one-option estimates
+INSERT INTO estimate_options (
+  estimate_id, name, runtime, music_minutes, dialogue_hours, sound_design_hours, mix_hours,
+  revision_hours, post_days, bundle_discount, rush, music_cost, post_cost, discount_amount, total_cost,
+  estimated_taxes
+)
+SELECT id, 'Estimate', CAST(runtime AS REAL), music_minutes, dialogue_hours, sound_design_hours, mix_hours,
+  revision_hours, post_days, bundle_discount, rush, music_cost, post_cost, discount_amount, total_cost,
+  ROUND(total_cost * COALESCE((
+    SELECT json_extract(v.rates, '$.tax_rate') FROM rate_card_versions v
+    WHERE v.rate_card_id = estimates.rate_card_id AND v.version = estimates.rate_card_version
+  ), 0.3), 2)
+FROM estimates
+WHERE id NOT IN (SELECT estimate_id FROM estimate_options);
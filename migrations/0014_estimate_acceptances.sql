@@ -0,0 +1,21 @@
+-- Terms the client agrees to when accepting an estimate (NULL uses the standard terms)
+ALTER TABLE estimates ADD COLUMN terms TEXT;
+
+-- Signed estimate acceptances: the drawn signature (JPEG data URL), a snapshot of the
+-- option and terms the client signed with its SHA-256, where it was signed from, and
+-- the signed PDF filed with the project
+CREATE TABLE IF NOT EXISTS estimate_acceptances (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  estimate_id INTEGER NOT NULL UNIQUE,
+  option_id INTEGER NOT NULL,
+  accepted_by TEXT NOT NULL,
+  signature TEXT NOT NULL,
+  snapshot TEXT NOT NULL,
+  snapshot_hash TEXT NOT NULL,
+  ip_address TEXT,
+  user_agent TEXT,
+  pdf_file_id INTEGER,
+  accepted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (estimate_id) REFERENCES estimates(id) ON DELETE CASCADE,
+  FOREIGN KEY (pdf_file_id) REFERENCES files(id) ON DELETE SET NULL
+);
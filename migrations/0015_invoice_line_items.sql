@@ -0,0 +1,84 @@
+-- Invoice line items: the invoice amount is derived from these. source_type/source_id name
+-- the billed work: an estimate, an hours_log entry, a billable comment or a delivered file.
+CREATE TABLE IF NOT EXISTS invoice_line_items (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  invoice_id INTEGER NOT NULL,
+  description TEXT NOT NULL,
+  quantity REAL DEFAULT 1,
+  unit TEXT,
+  unit_rate REAL DEFAULT 0,
+  amount REAL DEFAULT 0,
+  taxable BOOLEAN DEFAULT 1,
+  service_type TEXT DEFAULT 'other',
+  source_type TEXT,
+  source_id INTEGER,
+  sort_order INTEGER DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_line_items_invoice ON invoice_line_items(invoice_id);
+
+-- An hours_log entry or comment is billed on one invoice at most
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoice_line_items_billed_source
+  ON invoice_line_items(source_type, source_id) WHERE source_type IN ('hours_log', 'comment');
+
+-- Move items out of the old invoices.line_items JSON. Amount-only items were priced at the
+-- standard rates, and an Adjustment line keeps each invoice's total where it was.
+INSERT INTO invoice_line_items (
+  invoice_id, description, quantity, unit, unit_rate, amount, service_type, sort_order
+)
+WITH legacy AS (
+  SELECT i.id AS invoice_id, item.key AS sort_order,
+    COALESCE(NULLIF(TRIM(json_extract(item.value, '$.description')), ''), 'Line item') AS description,
+    json_extract(item.value, '$.quantity') AS quantity,
+    COALESCE(json_extract(item.value, '$.unit_rate'), json_extract(item.value, '$.rate')) AS rate,
+    json_extract(item.value, '$.amount') AS amount
+  FROM invoices i, json_each(
+    CASE WHEN json_valid(i.line_items) AND json_type(i.line_items) = 'array' THEN i.line_items ELSE '[]' END
+  ) item
+  WHERE i.id NOT IN (SELECT invoice_id FROM invoice_line_items)
+),
+typed AS (
+  SELECT *,
+    CASE
+      WHEN description LIKE '%music%' THEN 'music'
+      WHEN description LIKE '%post%' THEN 'post'
+      WHEN description LIKE '%discount%' THEN 'discount'
+      ELSE 'other'
+    END AS service_type
+  FROM legacy
+),
+rated AS (
+  SELECT invoice_id, sort_order, description, service_type, quantity, amount,
+    COALESCE(rate, CASE WHEN quantity IS NULL THEN
+      CASE service_type WHEN 'music' THEN 150 WHEN 'post' THEN 500 END
+    END) AS rate
+  FROM typed
+),
+priced AS (
+  SELECT invoice_id, sort_order, description, service_type,
+    COALESCE(quantity, CAST(amount AS REAL) / rate, 1) AS quantity,
+    COALESCE(rate, CAST(amount AS REAL) / quantity, amount, 0) AS unit_rate,
+    ROUND(COALESCE(amount, quantity * rate, 0), 2) AS amount
+  FROM rated
+),
+items AS (
+  SELECT * FROM priced WHERE amount <> 0
+),
+adjustments AS (
+  SELECT i.id AS invoice_id,
+    ROUND(COALESCE(i.amount, 0) / (CASE WHEN i.deposit_percentage > 0 THEN i.deposit_percentage / 100.0 ELSE 1 END)
+      - COALESCE((SELECT SUM(amount) FROM items WHERE items.invoice_id = i.id), 0), 2) AS amount,
+    (SELECT COUNT(*) FROM items WHERE items.invoice_id = i.id) AS sort_order
+  FROM invoices i
+  WHERE i.id NOT IN (SELECT invoice_id FROM invoice_line_items)
+)
+SELECT invoice_id, description, quantity,
+  CASE service_type WHEN 'music' THEN 'minute' WHEN 'post' THEN 'day' END,
+  unit_rate, amount, service_type, sort_order
+FROM items
+UNION ALL
+SELECT invoice_id, 'Adjustment', 1, NULL, amount, amount, 'adjustment', sort_order
+FROM adjustments
+WHERE ABS(amount) >= 0.01;
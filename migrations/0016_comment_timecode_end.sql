@@ -0,0 +1,2 @@
+-- Range comments: out point for notes that cover a span of picture (NULL for point notes)
+ALTER TABLE comments ADD COLUMN timecode_end TEXT;
@@ -0,0 +1,2 @@
+-- Picture frame rate (a TimecodeCalculator FRAME_RATES key) for cue sheets and spotting notes
+ALTER TABLE projects ADD COLUMN frame_rate TEXT;
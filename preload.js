@@ -18,9 +18,22 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
         // Session information
         getSessionInfo: () => ipcRenderer.invoke('ptsl:getSessionInfo'),
+        getSessionSettings: () => ipcRenderer.invoke('ptsl:getSessionSettings'),
+        saveSessionSettings: (settings) => ipcRenderer.invoke('ptsl:saveSessionSettings', settings),
 
         // Marker creation
         createMarkersFromFile: (filePath) => ipcRenderer.invoke('ptsl:createMarkersFromFile', filePath),
+        createMarkersFromComments: (fileId, options) => ipcRenderer.invoke('ptsl:createMarkersFromComments', fileId, options),
+        previewMarkers: (notes, options) => ipcRenderer.invoke('ptsl:previewMarkers', notes, options),
+        commitMarkerPreview: (previewId) => ipcRenderer.invoke('ptsl:commitMarkerPreview', previewId),
+        getLastMarkerRun: () => ipcRenderer.invoke('ptsl:getLastMarkerRun'),
+        undoLastMarkerRun: () => ipcRenderer.invoke('ptsl:undoLastMarkerRun'),
+
+        // Marker export (Pro Tools -> notes/comments)
+        exportMemoryLocations: (options) => ipcRenderer.invoke('ptsl:exportMemoryLocations', options),
+
+        // Diagnostics bundle (errors, circuit breaker, connection history, command latencies)
+        getDiagnostics: (options) => ipcRenderer.invoke('ptsl:getDiagnostics', options),
 
         // Listen for progress updates
         onProgress: (callback) => {
@@ -28,11 +41,21 @@ contextBridge.exposeInMainWorld('electronAPI', {
         },
         removeProgressListener: () => {
             ipcRenderer.removeAllListeners('ptsl:progress');
+        },
+        onMarkerProgress: (callback) => {
+            ipcRenderer.on('marker-creation-progress', (_event, data) => callback(data));
         }
     },
 
+    // Review notes parsing (Frame.io, Avid locators, EDL, SRT/WebVTT, spotting notes)
+    notes: {
+        parse: (content, fileName, options) => ipcRenderer.invoke('notes:parse', content, fileName, options),
+        parseFile: (filePath, options) => ipcRenderer.invoke('notes:parseFile', filePath, options),
+        frameRates: () => ipcRenderer.invoke('notes:frameRates')
+    },
+
     // File dialog
-    openFileDialog: () => ipcRenderer.invoke('dialog:openFile'),
+    openFileDialog: (options) => ipcRenderer.invoke('dialog:openFile', options),
 
     // Alternaview folder dialogs
     selectFolderDialog: () => ipcRenderer.invoke('dialog:selectFolder'),
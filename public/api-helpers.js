@@ -24,6 +24,12 @@ const ProjectsAPI = {
     return response.json();
   },
 
+  async getFiles(id) {
+    const response = await fetch(`${API_BASE}/projects/${id}/files`);
+    if (!response.ok) throw new Error('Failed to fetch project files');
+    return response.json();
+  },
+
   async create(projectData) {
     const response = await fetch(`${API_BASE}/projects`, {
       method: 'POST',
@@ -79,6 +85,54 @@ const CuesAPI = {
     return response.json();
   },
 
+  // Pass the preview's fingerprint to commit; a 409 error carries the fresh preview
+  async importCues(projectId, text, { commit = false, fingerprint } = {}) {
+    const response = await fetch(`${API_BASE}/cues/project/${projectId}/import`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, commit, fingerprint })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      const error = new Error(data.error || 'Failed to import cues');
+      error.status = response.status;
+      error.preview = data;
+      throw error;
+    }
+    return data;
+  },
+
+  async getCueSheet(projectId) {
+    const response = await fetch(`${API_BASE}/cues/project/${projectId}/cue-sheet`);
+    if (!response.ok) throw new Error('Failed to build cue sheet');
+    return response.json();
+  },
+
+  cueSheetUrl(projectId, format) {
+    return `${API_BASE}/cues/project/${projectId}/cue-sheet?format=${format}`;
+  },
+
+  async updateCueSheetSettings(projectId, settings) {
+    const response = await fetch(`${API_BASE}/cues/project/${projectId}/cue-sheet-settings`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(settings)
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to save cue sheet settings');
+    return data;
+  },
+
+  async parseSpottingNotes(text, fileName, frameRate) {
+    const response = await fetch(`${API_BASE}/cues/parse-notes`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, fileName, frameRate })
+    });
+    if (!response.ok) throw new Error('Failed to parse spotting notes');
+    return response.json();
+  },
+
   async update(id, cueData) {
     const response = await fetch(`${API_BASE}/cues/${id}`, {
       method: 'PATCH',
@@ -89,6 +143,23 @@ const CuesAPI = {
     return response.json();
   },
 
+  async getVersions(id) {
+    const response = await fetch(`${API_BASE}/cues/${id}/versions`);
+    if (!response.ok) throw new Error('Failed to fetch cue versions');
+    return response.json();
+  },
+
+  async recordVersion(id, versionData) {
+    const response = await fetch(`${API_BASE}/cues/${id}/versions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(versionData)
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to record cue version');
+    return data;
+  },
+
   async delete(id) {
     const response = await fetch(`${API_BASE}/cues/${id}`, {
       method: 'DELETE'
@@ -106,6 +177,75 @@ const CuesAPI = {
   }
 };
 
+// ============================================
+// RATE CARDS API
+// ============================================
+
+const RateCardsAPI = {
+  async getAll() {
+    const response = await fetch(`${API_BASE}/rate-cards`);
+    if (!response.ok) throw new Error('Failed to fetch rate cards');
+    return response.json();
+  },
+
+  async getVersion(id, version) {
+    const response = await fetch(`${API_BASE}/rate-cards/${id}/versions/${version}`);
+    if (!response.ok) throw new Error('Failed to fetch rate card version');
+    return response.json();
+  },
+
+  // Card pricing a project or client: the project's card, then the client's, then the default
+  async resolve({ projectId, clientName } = {}) {
+    const params = new URLSearchParams();
+    if (projectId) params.set('project_id', projectId);
+    if (clientName) params.set('client_name', clientName);
+    const response = await fetch(`${API_BASE}/rate-cards/resolve?${params}`);
+    if (!response.ok) throw new Error('Failed to resolve rate card');
+    return response.json();
+  },
+
+  async create(cardData) {
+    const response = await fetch(`${API_BASE}/rate-cards`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(cardData)
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to create rate card');
+    return data;
+  },
+
+  async update(id, cardData) {
+    const response = await fetch(`${API_BASE}/rate-cards/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(cardData)
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to update rate card');
+    return data;
+  },
+
+  async archive(id) {
+    const response = await fetch(`${API_BASE}/rate-cards/${id}`, {
+      method: 'DELETE'
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to archive rate card');
+    return data;
+  },
+
+  async setForProject(projectId, rateCardId) {
+    const response = await fetch(`${API_BASE}/rate-cards/project/${projectId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ rate_card_id: rateCardId })
+    });
+    if (!response.ok) throw new Error('Failed to set project rate card');
+    return response.json();
+  }
+};
+
 // ============================================
 // ESTIMATES API
 // ============================================
@@ -122,6 +262,18 @@ const EstimatesAPI = {
     return response.json();
   },
 
+  // Priced breakdown for scope inputs, without saving
+  async preview(scope) {
+    const response = await fetch(`${API_BASE}/estimates/preview`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(scope)
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to price estimate');
+    return data;
+  },
+
   async create(estimateData) {
     const response = await fetch(`${API_BASE}/estimates`, {
       method: 'POST',
@@ -138,6 +290,33 @@ const EstimatesAPI = {
     });
     if (!response.ok) throw new Error('Failed to delete estimate');
     return response.json();
+  },
+
+  // Terms a new estimate starts with
+  async getDefaultTerms() {
+    const response = await fetch(`${API_BASE}/estimates/default-terms`);
+    if (!response.ok) throw new Error('Failed to fetch default estimate terms');
+    return (await response.json()).terms;
+  },
+
+  // Options offered to the client, with the accepted one flagged
+  async getOptions(id) {
+    const response = await fetch(`${API_BASE}/estimates/${id}/options`);
+    if (!response.ok) throw new Error('Failed to fetch estimate options');
+    return response.json();
+  },
+
+  // Share link where the client picks and accepts an option
+  async share(id) {
+    const response = await fetch(`${API_BASE}/share/generate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ type: 'estimate', estimate_id: id }),
+      credentials: 'include'
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to generate share link');
+    return data;
   }
 };
 
@@ -202,6 +381,16 @@ const InvoicesAPI = {
     return response.json();
   },
 
+  // Invoiced revenue by service type; from/to are optional issue dates (YYYY-MM-DD)
+  async getRevenueByService({ from, to } = {}) {
+    const params = new URLSearchParams();
+    if (from) params.set('from', from);
+    if (to) params.set('to', to);
+    const response = await fetch(`${API_BASE}/invoices/revenue-by-service?${params}`);
+    if (!response.ok) throw new Error('Failed to fetch revenue by service');
+    return response.json();
+  },
+
   async create(invoiceData) {
     const response = await fetch(`${API_BASE}/invoices`, {
       method: 'POST',
@@ -343,6 +532,7 @@ if (typeof window !== 'undefined') {
   window.ProjectsAPI = ProjectsAPI;
   window.CuesAPI = CuesAPI;
   window.EstimatesAPI = EstimatesAPI;
+  window.RateCardsAPI = RateCardsAPI;
   window.ScopeAPI = ScopeAPI;
   window.InvoicesAPI = InvoicesAPI;
   window.PaymentsAPI = PaymentsAPI;
@@ -37,7 +37,8 @@ function authenticateProjectAccess(req, res, next) {
     try {
       const shareLink = shareLinkQueries.findByToken.get(req.query.token);
 
-      if (shareLink && shareLink.expires_at > Date.now()) {
+      // Estimate links only open their estimate (see routes/share.js), never the project
+      if (shareLink && shareLink.type !== 'estimate' && shareLink.expires_at > Date.now()) {
         req.projectId = shareLink.project_id;
         req.fileId = shareLink.file_id || null;
         req.isShareLink = true;
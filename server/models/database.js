@@ -1,6 +1,8 @@
 const Database = require('better-sqlite3');
 const path = require('path');
 const config = require('../../alternaview-config');
+const { DEFAULT_RATES } = require('../utils/rate-cards');
+const { SOURCE_PROJECT_SQL } = require('../utils/invoice-line-items');
 
 // Initialize database - use a path relative to the app directory
 const dbPath = config.dbPath || path.join(__dirname, '../../alternaview.db');
@@ -75,7 +77,8 @@ function initDatabase() {
     { name: 'access_count', type: 'INTEGER', default: ' DEFAULT 0' },
     { name: 'last_accessed_at', type: 'INTEGER', default: ' DEFAULT NULL' },
     { name: 'ftp_path', type: 'TEXT', default: ' DEFAULT NULL' },
-    { name: 'type', type: 'TEXT', default: " DEFAULT 'download'" }
+    { name: 'type', type: 'TEXT', default: " DEFAULT 'download'" },
+    { name: 'estimate_id', type: 'INTEGER', default: ' DEFAULT NULL' }
   ];
 
   shareLinkFields.forEach(field => {
@@ -86,6 +89,9 @@ function initDatabase() {
     }
   });
 
+  // Migration: estimate links reach their project through the estimate, not project_id
+  db.exec("UPDATE share_links SET project_id = NULL WHERE type = 'estimate' AND project_id IS NOT NULL");
+
   // Migration: Add transcoded_file_path column if it doesn't exist
   const fileColumns = db.prepare("PRAGMA table_info(files)").all();
   const hasTranscodedPath = fileColumns.some(col => col.name === 'transcoded_file_path');
@@ -231,6 +237,24 @@ function initDatabase() {
     }
   }
 
+  // Cue sheet metadata: production details, default composer/publisher splits (JSON arrays)
+  // and the picture frame rate cue times and spotting notes are read at
+  const cueSheetProjectFields = ['production_title', 'episode_title', 'episode_number', 'composers', 'publishers', 'frame_rate'];
+  cueSheetProjectFields.forEach(field => {
+    const hasField = projectColumns.some(col => col.name === field);
+    if (!hasField) {
+      db.exec(`ALTER TABLE projects ADD COLUMN ${field} TEXT`);
+      console.log(`Added ${field} column to projects table`);
+    }
+  });
+
+  // Rate card pricing this project (null = client's card or the default)
+  const hasRateCard = projectColumns.some(col => col.name === 'rate_card_id');
+  if (!hasRateCard) {
+    db.exec('ALTER TABLE projects ADD COLUMN rate_card_id INTEGER');
+    console.log('Added rate_card_id column to projects table');
+  }
+
   // PHASE 3: Add transcoding status tracking to files
   const hasTranscodingStatus = fileColumns.some(col => col.name === 'transcoding_status');
   if (!hasTranscodingStatus) {
@@ -311,6 +335,75 @@ function initDatabase() {
     console.log('Added reply_to_id column to comments table');
   }
 
+  // NoteMarker: record which Pro Tools session a comment was spotted into
+  const hasSpottedSession = commentColumns.some(col => col.name === 'spotted_session');
+  if (!hasSpottedSession) {
+    db.exec('ALTER TABLE comments ADD COLUMN spotted_session TEXT');
+    db.exec('ALTER TABLE comments ADD COLUMN spotted_at DATETIME');
+    console.log('Added spotted_session/spotted_at columns to comments table');
+  }
+
+  // Range comments: out point for notes that cover a span of picture
+  const hasTimecodeEnd = commentColumns.some(col => col.name === 'timecode_end');
+  if (!hasTimecodeEnd) {
+    db.exec('ALTER TABLE comments ADD COLUMN timecode_end TEXT');
+    console.log('Added timecode_end column to comments table');
+  }
+
+  // NoteMarker: ledger of notes that became Pro Tools memory locations
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS marker_ledger (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_name TEXT NOT NULL,
+      note_key TEXT NOT NULL,
+      source_type TEXT NOT NULL,
+      source_name TEXT,
+      comment_id INTEGER,
+      marker_number INTEGER,
+      marker_name TEXT,
+      note_timecode TEXT,
+      final_timecode TEXT,
+      conflict_resolution TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (comment_id) REFERENCES comments(id) ON DELETE SET NULL,
+      UNIQUE(session_name, note_key)
+    )
+  `);
+
+  // NoteMarker: settings remembered per Pro Tools session, and what was imported into it
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS notemarker_sessions (
+      session_name TEXT PRIMARY KEY,
+      frame_rate TEXT,
+      session_start TEXT,
+      marker_track TEXT,
+      route_by TEXT,
+      conflict_strategy TEXT,
+      timecode_rate TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS notemarker_import_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_name TEXT NOT NULL,
+      source_name TEXT,
+      source_type TEXT,
+      note_count INTEGER DEFAULT 0,
+      created_count INTEGER DEFAULT 0,
+      skipped_count INTEGER DEFAULT 0,
+      failed_count INTEGER DEFAULT 0,
+      already_spotted_count INTEGER DEFAULT 0,
+      frame_rate TEXT,
+      session_start TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_notemarker_import_history_session ON notemarker_import_history(session_name, created_at)');
+
   // PHASE 3: Create invoice_deliverables junction table
   db.exec(`
     CREATE TABLE IF NOT EXISTS invoice_deliverables (
@@ -382,6 +475,139 @@ function initDatabase() {
     )
   `);
 
+  // Rate cards - named per-service rates, selectable per project or client
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rate_cards (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      client_name TEXT,
+      rates TEXT NOT NULL,
+      version INTEGER DEFAULT 1,
+      is_default BOOLEAN DEFAULT 0,
+      archived BOOLEAN DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  // Snapshot of a card's rates at each version, so estimates stay traceable after edits
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rate_card_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      rate_card_id INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      rates TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (rate_card_id) REFERENCES rate_cards(id) ON DELETE CASCADE,
+      UNIQUE(rate_card_id, version)
+    )
+  `);
+
+  // Seed the default card with the rates the estimate and invoice pages used to hardcode
+  const rateCardCount = db.prepare('SELECT COUNT(*) as count FROM rate_cards').get().count;
+  if (rateCardCount === 0) {
+    const seeded = db.prepare('INSERT INTO rate_cards (name, rates, is_default) VALUES (?, ?, 1)')
+      .run('Standard', JSON.stringify(DEFAULT_RATES));
+    db.prepare('INSERT INTO rate_card_versions (rate_card_id, version, rates) VALUES (?, 1, ?)')
+      .run(seeded.lastInsertRowid, JSON.stringify(DEFAULT_RATES));
+  }
+
+  // Which rate card version priced each estimate
+  try {
+    db.exec(`ALTER TABLE estimates ADD COLUMN rate_card_id INTEGER`);
+  } catch (e) { /* Column already exists */ }
+  try {
+    db.exec(`ALTER TABLE estimates ADD COLUMN rate_card_version INTEGER`);
+  } catch (e) { /* Column already exists */ }
+  try {
+    db.exec(`ALTER TABLE estimates ADD COLUMN rush TEXT`);
+  } catch (e) { /* Column already exists */ }
+
+  // Which option the client accepted from a shared estimate
+  try {
+    db.exec(`ALTER TABLE estimates ADD COLUMN accepted_option_id INTEGER`);
+  } catch (e) { /* Column already exists */ }
+  try {
+    db.exec(`ALTER TABLE estimates ADD COLUMN accepted_by TEXT`);
+  } catch (e) { /* Column already exists */ }
+  try {
+    db.exec(`ALTER TABLE estimates ADD COLUMN accepted_at DATETIME`);
+  } catch (e) { /* Column already exists */ }
+
+  // Terms the client agrees to when accepting (NULL uses the standard terms)
+  try {
+    db.exec(`ALTER TABLE estimates ADD COLUMN terms TEXT`);
+  } catch (e) { /* Column already exists */ }
+
+  // Estimate options - named alternatives ("basic" vs "full mix") the client picks between.
+  // The estimates row mirrors the first option.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS estimate_options (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      estimate_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      position INTEGER DEFAULT 0,
+      runtime REAL DEFAULT 0,
+      music_minutes REAL DEFAULT 0,
+      dialogue_hours REAL DEFAULT 0,
+      sound_design_hours REAL DEFAULT 0,
+      mix_hours REAL DEFAULT 0,
+      revision_hours REAL DEFAULT 0,
+      post_days REAL DEFAULT 0,
+      bundle_discount BOOLEAN DEFAULT 0,
+      rush TEXT,
+      music_cost REAL DEFAULT 0,
+      post_cost REAL DEFAULT 0,
+      discount_amount REAL DEFAULT 0,
+      total_cost REAL DEFAULT 0,
+      estimated_taxes REAL DEFAULT 0,
+      line_items TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (estimate_id) REFERENCES estimates(id) ON DELETE CASCADE
+    )
+  `);
+
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_estimate_options_estimate ON estimate_options(estimate_id);
+  `);
+
+  // Estimate acceptances - the client's signature with a snapshot of what they signed,
+  // where from, and the signed PDF filed with the project
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS estimate_acceptances (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      estimate_id INTEGER NOT NULL UNIQUE,
+      option_id INTEGER NOT NULL,
+      accepted_by TEXT NOT NULL,
+      signature TEXT NOT NULL,
+      snapshot TEXT NOT NULL,
+      snapshot_hash TEXT NOT NULL,
+      ip_address TEXT,
+      user_agent TEXT,
+      pdf_file_id INTEGER,
+      accepted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (estimate_id) REFERENCES estimates(id) ON DELETE CASCADE,
+      FOREIGN KEY (pdf_file_id) REFERENCES files(id) ON DELETE SET NULL
+    )
+  `);
+
+  // Existing single-scope estimates become one-option estimates
+  db.exec(`
+    INSERT INTO estimate_options (
+      estimate_id, name, runtime, music_minutes, dialogue_hours, sound_design_hours, mix_hours,
+      revision_hours, post_days, bundle_discount, rush, music_cost, post_cost, discount_amount, total_cost,
+      estimated_taxes
+    )
+    SELECT id, 'Estimate', CAST(runtime AS REAL), music_minutes, dialogue_hours, sound_design_hours, mix_hours,
+      revision_hours, post_days, bundle_discount, rush, music_cost, post_cost, discount_amount, total_cost,
+      ROUND(total_cost * COALESCE((
+        SELECT json_extract(v.rates, '$.tax_rate') FROM rate_card_versions v
+        WHERE v.rate_card_id = estimates.rate_card_id AND v.version = estimates.rate_card_version
+      ), 0.3), 2)
+    FROM estimates
+    WHERE id NOT IN (SELECT estimate_id FROM estimate_options)
+  `);
+
   // Cues table (replaces localStorage 'cue-tracker-cues')
   db.exec(`
     CREATE TABLE IF NOT EXISTS cues (
@@ -415,6 +641,43 @@ function initDatabase() {
   try {
     db.exec(`ALTER TABLE cues ADD COLUMN version TEXT`);
   } catch (e) { /* Column already exists */ }
+  // Cue sheet fields: PRO usage code and composer/publisher splits overriding the project's (JSON arrays)
+  try {
+    db.exec(`ALTER TABLE cues ADD COLUMN usage_type TEXT`);
+  } catch (e) { /* Column already exists */ }
+  try {
+    db.exec(`ALTER TABLE cues ADD COLUMN composers TEXT`);
+  } catch (e) { /* Column already exists */ }
+  try {
+    db.exec(`ALTER TABLE cues ADD COLUMN publishers TEXT`);
+  } catch (e) { /* Column already exists */ }
+
+  // Cue version history - one row per delivered version, cues.version mirrors the latest
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS cue_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      cue_id INTEGER NOT NULL,
+      version TEXT NOT NULL,
+      file_id INTEGER,
+      notes TEXT,
+      status TEXT DEFAULT 'delivered',
+      approved_by TEXT,
+      approval_notes TEXT,
+      approved_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (cue_id) REFERENCES cues(id) ON DELETE CASCADE,
+      FOREIGN KEY (file_id) REFERENCES files(id) ON DELETE SET NULL,
+      UNIQUE(cue_id, version)
+    )
+  `);
+  db.exec('CREATE INDEX IF NOT EXISTS idx_cue_versions_cue ON cue_versions(cue_id)');
+  // Cues tracked before version history start with their current version
+  db.exec(`
+    INSERT OR IGNORE INTO cue_versions (cue_id, version, status)
+    SELECT id, version, CASE WHEN status IN ('approved', 'complete') THEN 'approved' ELSE 'delivered' END
+    FROM cues
+    WHERE version IS NOT NULL AND version != ''
+  `);
 
   // Invoices table (replaces localStorage invoice data)
   db.exec(`
@@ -483,10 +746,102 @@ function initDatabase() {
     )
   `);
 
+  // Invoice line items - the invoice amount is derived from these. source_type/source_id
+  // name the billed work: an estimate, an hours_log entry, a billable comment or a delivered file.
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS invoice_line_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      invoice_id INTEGER NOT NULL,
+      description TEXT NOT NULL,
+      quantity REAL DEFAULT 1,
+      unit TEXT,
+      unit_rate REAL DEFAULT 0,
+      amount REAL DEFAULT 0,
+      taxable BOOLEAN DEFAULT 1,
+      service_type TEXT DEFAULT 'other',
+      source_type TEXT,
+      source_id INTEGER,
+      sort_order INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE
+    )
+  `);
+
+  // An hours_log entry or comment is billed on one invoice at most
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_invoice_line_items_invoice ON invoice_line_items(invoice_id);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_invoice_line_items_billed_source
+      ON invoice_line_items(source_type, source_id) WHERE source_type IN ('hours_log', 'comment');
+  `);
+
+  // Move items out of the old invoices.line_items JSON. Amount-only items were priced at the
+  // standard rates, and an Adjustment line keeps each invoice's total where it was.
+  // Invoices that already have items are skipped, so each invoice is only moved once.
+  db.exec(`
+    INSERT INTO invoice_line_items (
+      invoice_id, description, quantity, unit, unit_rate, amount, service_type, sort_order
+    )
+    WITH legacy AS (
+      SELECT i.id AS invoice_id, item.key AS sort_order,
+        COALESCE(NULLIF(TRIM(json_extract(item.value, '$.description')), ''), 'Line item') AS description,
+        json_extract(item.value, '$.quantity') AS quantity,
+        COALESCE(json_extract(item.value, '$.unit_rate'), json_extract(item.value, '$.rate')) AS rate,
+        json_extract(item.value, '$.amount') AS amount
+      FROM invoices i, json_each(
+        CASE WHEN json_valid(i.line_items) AND json_type(i.line_items) = 'array' THEN i.line_items ELSE '[]' END
+      ) item
+      WHERE i.id NOT IN (SELECT invoice_id FROM invoice_line_items)
+    ),
+    typed AS (
+      SELECT *,
+        CASE
+          WHEN description LIKE '%music%' THEN 'music'
+          WHEN description LIKE '%post%' THEN 'post'
+          WHEN description LIKE '%discount%' THEN 'discount'
+          ELSE 'other'
+        END AS service_type
+      FROM legacy
+    ),
+    rated AS (
+      SELECT invoice_id, sort_order, description, service_type, quantity, amount,
+        COALESCE(rate, CASE WHEN quantity IS NULL THEN
+          CASE service_type WHEN 'music' THEN 150 WHEN 'post' THEN 500 END
+        END) AS rate
+      FROM typed
+    ),
+    priced AS (
+      SELECT invoice_id, sort_order, description, service_type,
+        COALESCE(quantity, CAST(amount AS REAL) / rate, 1) AS quantity,
+        COALESCE(rate, CAST(amount AS REAL) / quantity, amount, 0) AS unit_rate,
+        ROUND(COALESCE(amount, quantity * rate, 0), 2) AS amount
+      FROM rated
+    ),
+    items AS (
+      SELECT * FROM priced WHERE amount <> 0
+    ),
+    adjustments AS (
+      SELECT i.id AS invoice_id,
+        ROUND(COALESCE(i.amount, 0) / (CASE WHEN i.deposit_percentage > 0 THEN i.deposit_percentage / 100.0 ELSE 1 END)
+          - COALESCE((SELECT SUM(amount) FROM items WHERE items.invoice_id = i.id), 0), 2) AS amount,
+        (SELECT COUNT(*) FROM items WHERE items.invoice_id = i.id) AS sort_order
+      FROM invoices i
+      WHERE i.id NOT IN (SELECT invoice_id FROM invoice_line_items)
+    )
+    SELECT invoice_id, description, quantity,
+      CASE service_type WHEN 'music' THEN 'minute' WHEN 'post' THEN 'day' END,
+      unit_rate, amount, service_type, sort_order
+    FROM items
+    UNION ALL
+    SELECT invoice_id, 'Adjustment', 1, NULL, amount, amount, 'adjustment', sort_order
+    FROM adjustments
+    WHERE ABS(amount) >= 0.01
+  `);
+
   // Create indexes for foreign keys (10-100x performance improvement)
   db.exec(`
     CREATE INDEX IF NOT EXISTS idx_files_project ON files(project_id);
     CREATE INDEX IF NOT EXISTS idx_comments_file ON comments(file_id);
+    CREATE INDEX IF NOT EXISTS idx_marker_ledger_comment ON marker_ledger(comment_id);
     CREATE INDEX IF NOT EXISTS idx_estimates_project ON estimates(project_id);
     CREATE INDEX IF NOT EXISTS idx_invoices_project ON invoices(project_id);
     CREATE INDEX IF NOT EXISTS idx_payments_invoice ON payments(invoice_id);
@@ -675,6 +1030,16 @@ const projectQueries = {
   updateMediaFolder: db.prepare('UPDATE projects SET media_folder_path = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'),
   updatePasswordProtection: db.prepare('UPDATE projects SET password_protected = ?, password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'),
   updatePassword: db.prepare('UPDATE projects SET password = ?, password_plaintext = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'),
+  updateRateCard: db.prepare('UPDATE projects SET rate_card_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'),
+  // An accepted estimate option sets the project's totals and moves it out of prospects
+  applyAcceptedEstimate: db.prepare(`
+    UPDATE projects
+    SET status = CASE WHEN status = 'prospects' THEN 'active' ELSE status END,
+        music_coverage = ?, estimated_total = ?, estimated_taxes = ?, net_after_taxes = ?,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `),
+  updateCueSheetSettings: db.prepare('UPDATE projects SET production_title = ?, episode_title = ?, episode_number = ?, composers = ?, publishers = ?, frame_rate = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'),
   delete: db.prepare('DELETE FROM projects WHERE id = ?'),
   // PHASE 3: Soft delete methods
   archive: db.prepare('UPDATE projects SET archived = 1, archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?'),
@@ -718,7 +1083,7 @@ const fileQueries = {
 
 // Comment queries
 const commentQueries = {
-  create: db.prepare('INSERT INTO comments (file_id, author_name, timecode, comment_text, reply_to_id) VALUES (?, ?, ?, ?, ?)'),
+  create: db.prepare('INSERT INTO comments (file_id, author_name, timecode, timecode_end, comment_text, reply_to_id) VALUES (?, ?, ?, ?, ?, ?)'),
   findByFile: db.prepare('SELECT * FROM comments WHERE file_id = ? ORDER BY created_at ASC'),
   findById: db.prepare('SELECT * FROM comments WHERE id = ?'),
   updateStatus: db.prepare('UPDATE comments SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'),
@@ -726,6 +1091,10 @@ const commentQueries = {
   // PHASE 3: Billable comments management
   updateBillable: db.prepare('UPDATE comments SET billable = ?, estimated_hours = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'),
   linkToInvoice: db.prepare('UPDATE comments SET billed_in_invoice_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'),
+  unlinkInvoice: db.prepare('UPDATE comments SET billed_in_invoice_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE billed_in_invoice_id = ?'),
+  // NoteMarker: comment became a Pro Tools marker
+  markSpotted: db.prepare('UPDATE comments SET spotted_session = ?, spotted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?'),
+  clearSpotted: db.prepare('UPDATE comments SET spotted_session = NULL, spotted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND spotted_session = ?'),
   getBillableByProject: db.prepare(`
     SELECT c.*, f.original_name as file_name, f.project_id
     FROM comments c
@@ -737,6 +1106,49 @@ const commentQueries = {
   `)
 };
 
+// NoteMarker marker ledger queries
+const markerLedgerQueries = {
+  upsert: db.prepare(`
+    INSERT INTO marker_ledger (
+      session_name, note_key, source_type, source_name, comment_id, marker_number,
+      marker_name, note_timecode, final_timecode, conflict_resolution
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(session_name, note_key) DO UPDATE SET
+      marker_number = excluded.marker_number,
+      marker_name = excluded.marker_name,
+      final_timecode = excluded.final_timecode,
+      conflict_resolution = excluded.conflict_resolution,
+      updated_at = CURRENT_TIMESTAMP
+  `),
+  findBySession: db.prepare('SELECT * FROM marker_ledger WHERE session_name = ? ORDER BY created_at ASC'),
+  deleteBySessionAndMarker: db.prepare('DELETE FROM marker_ledger WHERE session_name = ? AND marker_number = ?')
+};
+
+// NoteMarker per-session settings and import history queries
+const noteMarkerSessionQueries = {
+  findByName: db.prepare('SELECT * FROM notemarker_sessions WHERE session_name = ?'),
+  upsert: db.prepare(`
+    INSERT INTO notemarker_sessions (
+      session_name, frame_rate, session_start, marker_track, route_by, conflict_strategy, timecode_rate
+    ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(session_name) DO UPDATE SET
+      frame_rate = excluded.frame_rate,
+      session_start = excluded.session_start,
+      marker_track = excluded.marker_track,
+      route_by = excluded.route_by,
+      conflict_strategy = excluded.conflict_strategy,
+      timecode_rate = COALESCE(excluded.timecode_rate, notemarker_sessions.timecode_rate),
+      updated_at = CURRENT_TIMESTAMP
+  `),
+  addImport: db.prepare(`
+    INSERT INTO notemarker_import_history (
+      session_name, source_name, source_type, note_count, created_count, skipped_count,
+      failed_count, already_spotted_count, frame_rate, session_start
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  findImportsBySession: db.prepare('SELECT * FROM notemarker_import_history WHERE session_name = ? ORDER BY created_at DESC, id DESC LIMIT ?')
+};
+
 // Access log queries
 const logQueries = {
   create: db.prepare('INSERT INTO access_logs (project_id, file_id, action, ip_address) VALUES (?, ?, ?, ?)'),
@@ -751,7 +1163,8 @@ const shareLinkQueries = {
   findByProject: db.prepare('SELECT * FROM share_links WHERE project_id = ? AND file_id IS NULL'),
   findByFile: db.prepare('SELECT * FROM share_links WHERE file_id = ?'),
   delete: db.prepare('DELETE FROM share_links WHERE id = ?'),
-  deleteByProject: db.prepare('DELETE FROM share_links WHERE project_id = ?')
+  deleteByProject: db.prepare('DELETE FROM share_links WHERE project_id = ?'),
+  deleteByEstimate: db.prepare('DELETE FROM share_links WHERE estimate_id = ?')
 };
 
 // Project scope queries
@@ -784,8 +1197,8 @@ const scopeQueries = {
 // Estimate queries
 const estimateQueries = {
   create: db.prepare(`
-    INSERT INTO estimates (project_id, runtime, music_minutes, dialogue_hours, sound_design_hours, mix_hours, revision_hours, post_days, bundle_discount, music_cost, post_cost, discount_amount, total_cost)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO estimates (project_id, runtime, music_minutes, dialogue_hours, sound_design_hours, mix_hours, revision_hours, post_days, bundle_discount, music_cost, post_cost, discount_amount, total_cost, rate_card_id, rate_card_version, rush, terms)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `),
   findById: db.prepare('SELECT * FROM estimates WHERE id = ?'),
   findByProject: db.prepare('SELECT * FROM estimates WHERE project_id = ? ORDER BY created_at DESC'),
@@ -811,16 +1224,47 @@ const estimateQueries = {
     LEFT JOIN projects p ON p.id = e.project_id
     WHERE e.id = ?
   `),
+  // Only the first acceptance sticks
+  accept: db.prepare(`
+    UPDATE estimates
+    SET accepted_option_id = ?, accepted_by = ?, accepted_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND accepted_option_id IS NULL
+  `),
   delete: db.prepare('DELETE FROM estimates WHERE id = ?')
 };
 
+// Estimate option queries
+const estimateOptionQueries = {
+  create: db.prepare(`
+    INSERT INTO estimate_options (
+      estimate_id, name, position, runtime, music_minutes, dialogue_hours, sound_design_hours, mix_hours,
+      revision_hours, post_days, bundle_discount, rush, music_cost, post_cost, discount_amount, total_cost,
+      estimated_taxes, line_items
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  findById: db.prepare('SELECT * FROM estimate_options WHERE id = ?'),
+  findByEstimate: db.prepare('SELECT * FROM estimate_options WHERE estimate_id = ? ORDER BY position, id')
+};
+
+// Estimate acceptance queries
+const estimateAcceptanceQueries = {
+  create: db.prepare(`
+    INSERT INTO estimate_acceptances (
+      estimate_id, option_id, accepted_by, signature, snapshot, snapshot_hash, ip_address, user_agent
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  findById: db.prepare('SELECT * FROM estimate_acceptances WHERE id = ?'),
+  findByEstimate: db.prepare('SELECT * FROM estimate_acceptances WHERE estimate_id = ?'),
+  setPdfFile: db.prepare('UPDATE estimate_acceptances SET pdf_file_id = ? WHERE id = ?')
+};
+
 // Cue queries
 const cueQueries = {
-  create: db.prepare('INSERT INTO cues (project_id, cue_number, title, status, duration, notes, start_time, end_time, theme, version) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'),
+  create: db.prepare('INSERT INTO cues (project_id, cue_number, title, status, duration, notes, start_time, end_time, theme, version, usage_type, composers, publishers) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'),
   findById: db.prepare('SELECT * FROM cues WHERE id = ?'),
   findByProject: db.prepare('SELECT * FROM cues WHERE project_id = ? ORDER BY cue_number'),
   getAll: db.prepare('SELECT * FROM cues ORDER BY project_id, cue_number'),
-  update: db.prepare('UPDATE cues SET cue_number = ?, title = ?, status = ?, duration = ?, notes = ?, start_time = ?, end_time = ?, theme = ?, version = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'),
+  update: db.prepare('UPDATE cues SET cue_number = ?, title = ?, status = ?, duration = ?, notes = ?, start_time = ?, end_time = ?, theme = ?, version = ?, usage_type = ?, composers = ?, publishers = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'),
   delete: db.prepare('DELETE FROM cues WHERE id = ?'),
   deleteByProject: db.prepare('DELETE FROM cues WHERE project_id = ?'),
   getCueStatsByProject: db.prepare(`
@@ -846,15 +1290,85 @@ const cueQueries = {
   `)
 };
 
+// Cue version queries
+const cueVersionQueries = {
+  create: db.prepare('INSERT INTO cue_versions (cue_id, version, file_id, notes) VALUES (?, ?, ?, ?)'),
+  findById: db.prepare('SELECT * FROM cue_versions WHERE id = ?'),
+  findByCueAndVersion: db.prepare('SELECT * FROM cue_versions WHERE cue_id = ? AND version = ?'),
+  updateDelivery: db.prepare('UPDATE cue_versions SET file_id = ?, notes = ? WHERE id = ?'),
+  findByCue: db.prepare(`
+    SELECT cv.*, f.original_name as file_name
+    FROM cue_versions cv
+    LEFT JOIN files f ON f.id = cv.file_id
+    WHERE cv.cue_id = ?
+    ORDER BY cv.created_at DESC, cv.id DESC
+  `),
+  findByProject: db.prepare(`
+    SELECT cv.*, f.original_name as file_name
+    FROM cue_versions cv
+    JOIN cues c ON c.id = cv.cue_id
+    LEFT JOIN files f ON f.id = cv.file_id
+    WHERE c.project_id = ?
+    ORDER BY cv.created_at DESC, cv.id DESC
+  `),
+  approve: db.prepare(`
+    UPDATE cue_versions
+    SET status = 'approved', approved_by = ?, approval_notes = ?, approved_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `)
+};
+
+// Rate card queries
+const rateCardQueries = {
+  getAll: db.prepare('SELECT * FROM rate_cards WHERE archived = 0 ORDER BY is_default DESC, name'),
+  findById: db.prepare('SELECT * FROM rate_cards WHERE id = ?'),
+  findByName: db.prepare('SELECT * FROM rate_cards WHERE name = ?'),
+  findDefault: db.prepare('SELECT * FROM rate_cards WHERE archived = 0 ORDER BY is_default DESC, name LIMIT 1'),
+  // Rates a card had at a version (its current version when null)
+  findPricing: db.prepare(`
+    SELECT rc.id, rc.name, v.version, v.rates
+    FROM rate_cards rc
+    JOIN rate_card_versions v ON v.rate_card_id = rc.id
+    WHERE rc.id = ? AND v.version = COALESCE(?, rc.version)
+  `),
+  create: db.prepare('INSERT INTO rate_cards (name, client_name, rates, is_default) VALUES (?, ?, ?, ?)'),
+  update: db.prepare('UPDATE rate_cards SET name = ?, client_name = ?, rates = ?, version = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?'),
+  clearDefault: db.prepare('UPDATE rate_cards SET is_default = 0 WHERE is_default = 1'),
+  setDefault: db.prepare('UPDATE rate_cards SET is_default = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?'),
+  archive: db.prepare('UPDATE rate_cards SET archived = 1, is_default = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ?'),
+  clearFromProjects: db.prepare('UPDATE projects SET rate_card_id = NULL WHERE rate_card_id = ?'),
+  createVersion: db.prepare('INSERT INTO rate_card_versions (rate_card_id, version, rates) VALUES (?, ?, ?)'),
+  findVersion: db.prepare('SELECT * FROM rate_card_versions WHERE rate_card_id = ? AND version = ?'),
+  getVersions: db.prepare('SELECT * FROM rate_card_versions WHERE rate_card_id = ? ORDER BY version DESC')
+};
+
+// An invoice's line items in order as JSON text (parsed by parseInvoiceRow in utils/invoice-line-items)
+const invoiceLineItemsJson = `(
+      SELECT JSON_GROUP_ARRAY(JSON_OBJECT(
+        'id', li.id,
+        'description', li.description,
+        'quantity', li.quantity,
+        'unit', li.unit,
+        'unit_rate', li.unit_rate,
+        'amount', li.amount,
+        'taxable', li.taxable,
+        'service_type', li.service_type,
+        'source_type', li.source_type,
+        'source_id', li.source_id
+      ))
+      FROM (SELECT * FROM invoice_line_items WHERE invoice_id = i.id ORDER BY sort_order, id) li
+    ) as line_items_json`;
+
 // Invoice queries
 const invoiceQueries = {
   create: db.prepare(`
-    INSERT INTO invoices (project_id, invoice_number, amount, deposit_amount, deposit_percentage, final_amount, status, due_date, issue_date, line_items)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO invoices (project_id, invoice_number, amount, deposit_amount, deposit_percentage, final_amount, status, due_date, issue_date)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `),
   findById: db.prepare('SELECT * FROM invoices WHERE id = ?'),
   getWithPayments: db.prepare(`
     SELECT i.*,
+      ${invoiceLineItemsJson},
       COALESCE(
         JSON_GROUP_ARRAY(
           CASE WHEN p.id IS NOT NULL THEN
@@ -880,7 +1394,8 @@ const invoiceQueries = {
     SELECT
       i.*,
       p.name as project_name,
-      p.client_name
+      p.client_name,
+      ${invoiceLineItemsJson}
     FROM invoices i
     LEFT JOIN projects p ON p.id = i.project_id
     ORDER BY i.created_at DESC
@@ -897,6 +1412,7 @@ const invoiceQueries = {
       i.*,
       p.name as project_name,
       p.client_name,
+      ${invoiceLineItemsJson},
       COALESCE(
         JSON_GROUP_ARRAY(
           CASE WHEN pm.id IS NOT NULL THEN
@@ -918,11 +1434,16 @@ const invoiceQueries = {
     WHERE i.id = ?
     GROUP BY i.id
   `),
-  findByProject: db.prepare('SELECT * FROM invoices WHERE project_id = ? ORDER BY created_at DESC'),
-  getAll: db.prepare('SELECT * FROM invoices ORDER BY created_at DESC'),
+  findByProject: db.prepare(`
+    SELECT i.*, ${invoiceLineItemsJson}
+    FROM invoices i
+    WHERE i.project_id = ?
+    ORDER BY i.created_at DESC
+  `),
+  getAll: db.prepare(`SELECT i.*, ${invoiceLineItemsJson} FROM invoices i ORDER BY i.created_at DESC`),
   update: db.prepare(`
     UPDATE invoices
-    SET invoice_number = ?, amount = ?, deposit_amount = ?, deposit_percentage = ?, final_amount = ?, status = ?, due_date = ?, issue_date = ?, line_items = ?, updated_at = CURRENT_TIMESTAMP
+    SET invoice_number = ?, amount = ?, deposit_amount = ?, deposit_percentage = ?, final_amount = ?, status = ?, due_date = ?, issue_date = ?, updated_at = CURRENT_TIMESTAMP
     WHERE id = ?
   `),
   updateStatus: db.prepare(`
@@ -933,6 +1454,38 @@ const invoiceQueries = {
   delete: db.prepare('DELETE FROM invoices WHERE id = ?')
 };
 
+// Invoice line item queries
+const invoiceLineItemQueries = {
+  create: db.prepare(`
+    INSERT INTO invoice_line_items (
+      invoice_id, description, quantity, unit, unit_rate, amount, taxable, service_type, source_type, source_id, sort_order
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `),
+  findByInvoice: db.prepare('SELECT * FROM invoice_line_items WHERE invoice_id = ? ORDER BY sort_order, id'),
+  deleteByInvoice: db.prepare('DELETE FROM invoice_line_items WHERE invoice_id = ?'),
+  // Project a line item's source belongs to, by source_type
+  sourceProject: Object.fromEntries(
+    Object.entries(SOURCE_PROJECT_SQL).map(([sourceType, sql]) => [sourceType, db.prepare(sql)])
+  ),
+  // Invoiced revenue by service type, skipping drafts. Deposit invoices count their share of each item.
+  revenueByService: db.prepare(`
+    SELECT
+      li.service_type,
+      ROUND(SUM(li.amount * (CASE WHEN i.deposit_percentage > 0 THEN i.deposit_percentage / 100.0 ELSE 1 END)), 2) as revenue,
+      ROUND(SUM(CASE WHEN li.taxable THEN li.amount ELSE 0 END
+        * (CASE WHEN i.deposit_percentage > 0 THEN i.deposit_percentage / 100.0 ELSE 1 END)), 2) as taxable_revenue,
+      COUNT(DISTINCT i.id) as invoice_count
+    FROM invoice_line_items li
+    JOIN invoices i ON i.id = li.invoice_id
+    WHERE i.status != 'draft'
+      AND (? IS NULL OR i.issue_date >= ?)
+      AND (? IS NULL OR i.issue_date <= ?)
+    GROUP BY li.service_type
+    ORDER BY revenue DESC
+  `)
+};
+
 // Payment queries
 const paymentQueries = {
   create: db.prepare('INSERT INTO payments (invoice_id, project_id, amount, payment_date, payment_method, payment_type, notes) VALUES (?, ?, ?, ?, ?, ?, ?)'),
@@ -1036,12 +1589,19 @@ module.exports = {
   projectQueries,
   fileQueries,
   commentQueries,
+  markerLedgerQueries,
+  noteMarkerSessionQueries,
   logQueries,
   shareLinkQueries,
   scopeQueries,
   estimateQueries,
+  estimateOptionQueries,
+  estimateAcceptanceQueries,
   cueQueries,
+  cueVersionQueries,
+  rateCardQueries,
   invoiceQueries,
+  invoiceLineItemQueries,
   paymentQueries,
   deliverableQueries,
   accountingQueries,
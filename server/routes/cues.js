@@ -1,7 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { cueQueries, projectQueries } = require('../models/database');
+const { db, cueQueries, cueVersionQueries, projectQueries, fileQueries, logQueries } = require('../models/database');
+const { authenticateProjectAccess } = require('../middleware/auth');
 const cache = require('../utils/cache');
+const { parseCueImport, diffCueImport, CUE_IMPORT_FORMATS } = require('../utils/cue-import');
+const { USAGE_TYPES, serializeParties, buildCueSheet, formatCueSheetCSV, formatCueSheetHTML } = require('../utils/cue-sheet');
+const { parseSpottingNotes } = require('../utils/spotting-notes');
+const { FRAME_RATES } = require('../utils/frame-rates');
 
 // Get all cues
 router.get('/', (req, res) => {
@@ -49,18 +54,175 @@ router.get('/project/:projectId/stats', (req, res) => {
   }
 });
 
+// Cue sheet for PRO registration (ASCAP/BMI/SOCAN)
+// ?format=json (default, includes warnings), csv, or html (printable - save as PDF from the browser)
+router.get('/project/:projectId/cue-sheet', (req, res) => {
+  try {
+    const projectId = parseInt(req.params.projectId);
+    const format = req.query.format || 'json';
+    if (!['json', 'csv', 'html'].includes(format)) {
+      return res.status(400).json({ error: 'format must be json, csv or html' });
+    }
+
+    const project = projectQueries.findById.get(projectId);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+
+    const fps = parseFloat(req.query.fps) || parseFloat(project.frame_rate) || undefined;
+    const sheet = buildCueSheet(project, cueQueries.findByProject.all(projectId), { fps });
+
+    if (format === 'json') return res.json(sheet);
+
+    const fileName = `${sheet.production.title.replace(/[^a-zA-Z0-9-_ ]/g, '_')} cue sheet`;
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+      return res.send(formatCueSheetCSV(sheet));
+    }
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(formatCueSheetHTML(sheet));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update cue sheet production details, default composer/publisher splits and frame rate
+router.put('/project/:projectId/cue-sheet-settings', (req, res) => {
+  try {
+    const projectId = parseInt(req.params.projectId);
+    const project = projectQueries.findById.get(projectId);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+
+    const { production_title, episode_title, episode_number, frame_rate } = req.body;
+    if (frame_rate && !FRAME_RATES[frame_rate]) {
+      return res.status(400).json({ error: `frame_rate must be one of: ${Object.keys(FRAME_RATES).join(', ')}` });
+    }
+
+    let composers;
+    let publishers;
+    try {
+      composers = serializeParties(req.body.composers);
+      publishers = serializeParties(req.body.publishers);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const settings = {
+      production_title: production_title !== undefined ? production_title || null : project.production_title,
+      episode_title: episode_title !== undefined ? episode_title || null : project.episode_title,
+      episode_number: episode_number !== undefined ? episode_number || null : project.episode_number,
+      composers: composers !== undefined ? composers : project.composers,
+      publishers: publishers !== undefined ? publishers : project.publishers,
+      frame_rate: frame_rate !== undefined ? frame_rate || null : project.frame_rate
+    };
+
+    projectQueries.updateCueSheetSettings.run(
+      settings.production_title, settings.episode_title, settings.episode_number,
+      settings.composers, settings.publishers, settings.frame_rate, projectId
+    );
+
+    res.json({ project_id: projectId, ...settings });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import a Pro Tools session text export or Logic marker list
+// Returns a preview of created/updated/unchanged cues; with commit: true and the preview's fingerprint
+// applies it in one transaction, or responds 409 with a fresh preview if the cues changed since
+router.post('/project/:projectId/import', (req, res) => {
+  try {
+    const projectId = parseInt(req.params.projectId);
+    const { text, format, commit = false, fingerprint } = req.body;
+
+    if (typeof text !== 'string' || !text.trim()) return res.status(400).json({ error: 'text required' });
+    if (format && !Object.values(CUE_IMPORT_FORMATS).includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${Object.values(CUE_IMPORT_FORMATS).join(', ')}` });
+    }
+    if (commit && !fingerprint) return res.status(400).json({ error: 'fingerprint from the import preview required' });
+    if (!projectQueries.findById.get(projectId)) return res.status(404).json({ error: 'Project not found' });
+
+    const parsed = parseCueImport(text, format);
+    if (parsed.cues.length === 0) {
+      return res.status(400).json({ error: `No cues found in ${parsed.format === CUE_IMPORT_FORMATS.PRO_TOOLS ? 'Pro Tools' : 'Logic'} export` });
+    }
+
+    const preview = diffCueImport(cueQueries.findByProject.all(projectId), parsed.cues);
+
+    if (commit && preview.fingerprint !== fingerprint) {
+      return res.status(409).json({
+        error: 'Cues changed since the import preview',
+        format: parsed.format,
+        committed: false,
+        ...preview
+      });
+    }
+
+    if (commit) {
+      db.transaction(() => {
+        preview.created.forEach(cue => {
+          const result = cueQueries.create.run(
+            projectId, cue.cue_number, cue.title, 'to-write', cue.duration, null,
+            cue.start_time, cue.end_time, null, null, null, null, null
+          );
+          cue.id = result.lastInsertRowid;
+        });
+        preview.updated.forEach(({ id, cue }) => {
+          cueQueries.update.run(
+            cue.cue_number, cue.title, cue.status, cue.duration,
+            cue.notes, cue.start_time, cue.end_time, cue.theme,
+            cue.version, cue.usage_type, cue.composers, cue.publishers, id
+          );
+        });
+      })();
+
+      cache.invalidate(`cues:project:${projectId}`);
+      cache.invalidate(`cues:project:${projectId}:stats`);
+      cache.invalidate(`projects:kanban-data:${projectId}`);
+    }
+
+    res.json({ format: parsed.format, committed: !!commit, ...preview });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Parse spotting notes (timecoded text, SRT or WebVTT) into timecoded notes
+// Responds with format null when the text is none of these, e.g. a Logic Pro cue list
+router.post('/parse-notes', (req, res) => {
+  try {
+    const { text, fileName = '', frameRate, fps } = req.body;
+    if (typeof text !== 'string') return res.status(400).json({ error: 'text required' });
+
+    res.json(parseSpottingNotes(text, { fileName, frameRate, fps }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Create new cue
 router.post('/', (req, res) => {
   try {
     const { project_id, cue_number = '', title = '', status = 'to-write',
-            duration, notes, start_time, end_time, theme, version } = req.body;
+            duration, notes, start_time, end_time, theme, version,
+            usage_type = null, composers, publishers } = req.body;
 
     if (!project_id) return res.status(400).json({ error: 'project_id required' });
+    if (usage_type && !USAGE_TYPES[usage_type]) {
+      return res.status(400).json({ error: `usage_type must be one of: ${Object.keys(USAGE_TYPES).join(', ')}` });
+    }
 
-    const result = cueQueries.create.run(
-      project_id, cue_number, title, status, duration, notes,
-      start_time, end_time, theme, version
-    );
+    const result = db.transaction(() => {
+      const created = cueQueries.create.run(
+        project_id, cue_number, title, status, duration, notes,
+        start_time, end_time, theme, version,
+        usage_type, serializeParties(composers) ?? null, serializeParties(publishers) ?? null
+      );
+      if (version) {
+        cueVersionQueries.create.run(created.lastInsertRowid, version, null, null);
+      }
+      return created;
+    })();
 
     // Invalidate cache for this project
     cache.invalidate(`cues:project:${project_id}`);
@@ -81,11 +243,42 @@ router.patch('/:id', (req, res) => {
     if (!cue) return res.status(404).json({ error: 'Cue not found' });
 
     const updates = { ...cue, ...req.body };
-    cueQueries.update.run(
-      updates.cue_number, updates.title, updates.status, updates.duration,
-      updates.notes, updates.start_time, updates.end_time, updates.theme,
-      updates.version, id
-    );
+    if (updates.usage_type && !USAGE_TYPES[updates.usage_type]) {
+      return res.status(400).json({ error: `usage_type must be one of: ${Object.keys(USAGE_TYPES).join(', ')}` });
+    }
+    let composers;
+    let publishers;
+    try {
+      composers = serializeParties(req.body.composers);
+      publishers = serializeParties(req.body.publishers);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    db.transaction(() => {
+      cueQueries.update.run(
+        updates.cue_number, updates.title, updates.status, updates.duration,
+        updates.notes, updates.start_time, updates.end_time, updates.theme,
+        updates.version, updates.usage_type || null,
+        composers === undefined ? cue.composers : composers,
+        publishers === undefined ? cue.publishers : publishers,
+        id
+      );
+
+      if (!updates.version) return;
+
+      // A version typed into the tracker starts its history entry (the file is attached on delivery)
+      let current = cueVersionQueries.findByCueAndVersion.get(id, updates.version);
+      if (!current) {
+        cueVersionQueries.create.run(id, updates.version, null, null);
+        current = cueVersionQueries.findByCueAndVersion.get(id, updates.version);
+      }
+
+      // Approving the cue signs off its current version
+      if (updates.status === 'approved' && cue.status !== 'approved' && current.status !== 'approved') {
+        cueVersionQueries.approve.run(req.body.approved_by || null, req.body.approval_notes || null, current.id);
+      }
+    })();
 
     // Invalidate cache for this project
     cache.invalidate(`cues:project:${cue.project_id}`);
@@ -98,6 +291,133 @@ router.patch('/:id', (req, res) => {
   }
 });
 
+// Get version history for a cue (newest first)
+router.get('/:id/versions', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const cue = cueQueries.findById.get(id);
+    if (!cue) return res.status(404).json({ error: 'Cue not found' });
+
+    res.json(cueVersionQueries.findByCue.all(id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Record a delivered version: links the file it was delivered as and makes it the cue's current version
+router.post('/:id/versions', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const cue = cueQueries.findById.get(id);
+    if (!cue) return res.status(404).json({ error: 'Cue not found' });
+
+    const version = (req.body.version || '').trim();
+    const fileId = req.body.file_id ? parseInt(req.body.file_id) : null;
+    const notes = req.body.notes || null;
+    if (!version) return res.status(400).json({ error: 'version required' });
+
+    if (fileId) {
+      const file = fileQueries.findById.get(fileId);
+      if (!file) return res.status(404).json({ error: 'File not found' });
+      if (file.project_id !== cue.project_id) {
+        return res.status(400).json({ error: 'File belongs to a different project' });
+      }
+    }
+
+    const existing = cueVersionQueries.findByCueAndVersion.get(id, version);
+    if (existing && existing.status === 'approved') {
+      return res.status(409).json({ error: `${version} is already approved - deliver it as a new version` });
+    }
+
+    db.transaction(() => {
+      if (existing) {
+        cueVersionQueries.updateDelivery.run(fileId, notes, existing.id);
+      } else {
+        cueVersionQueries.create.run(id, version, fileId, notes);
+      }
+      // A new delivery goes back to the client for review
+      cueQueries.update.run(
+        cue.cue_number, cue.title, 'written', cue.duration, cue.notes, cue.start_time,
+        cue.end_time, cue.theme, version, cue.usage_type, cue.composers, cue.publishers, id
+      );
+    })();
+
+    cache.invalidate(`cues:project:${cue.project_id}`);
+    cache.invalidate(`cues:project:${cue.project_id}:stats`);
+    cache.invalidate(`projects:kanban-data:${cue.project_id}`);
+
+    const recorded = cueVersionQueries.findByCue.all(id).find(row => row.version === version);
+    res.status(201).json(recorded);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Client portal: cues for the signed-in project with their version history
+router.get('/portal', (req, res) => {
+  if (!req.session.projectId) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  try {
+    const projectId = req.session.projectId;
+    const versions = cueVersionQueries.findByProject.all(projectId);
+    const cues = cueQueries.findByProject.all(projectId).map(cue => ({
+      id: cue.id,
+      cue_number: cue.cue_number,
+      title: cue.title,
+      status: cue.status,
+      version: cue.version,
+      start_time: cue.start_time,
+      end_time: cue.end_time,
+      versions: versions.filter(version => version.cue_id === cue.id)
+    }));
+
+    res.json(cues);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Approve a specific cue version (client portal or admin)
+router.post('/versions/:versionId/approve', authenticateProjectAccess, (req, res) => {
+  try {
+    const version = cueVersionQueries.findById.get(parseInt(req.params.versionId));
+    if (!version) return res.status(404).json({ error: 'Cue version not found' });
+
+    const cue = cueQueries.findById.get(version.cue_id);
+    if (!req.isAdmin && cue.project_id !== req.projectId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+    if (version.status === 'approved') {
+      return res.status(409).json({ error: `${version.version} was already approved by ${version.approved_by || 'the studio'}` });
+    }
+
+    const approvedBy = (req.body.approved_by || '').trim() || (req.isAdmin ? req.session.username : '');
+    if (!approvedBy) return res.status(400).json({ error: 'approved_by required' });
+
+    db.transaction(() => {
+      cueVersionQueries.approve.run(approvedBy, req.body.notes || null, version.id);
+      // Signing off an older version leaves the cue's status with its current one
+      if (cue.version === version.version) {
+        cueQueries.update.run(
+          cue.cue_number, cue.title, 'approved', cue.duration, cue.notes, cue.start_time,
+          cue.end_time, cue.theme, cue.version, cue.usage_type, cue.composers, cue.publishers, cue.id
+        );
+      }
+      logQueries.create.run(cue.project_id, version.file_id, 'cue_version_approved', req.ip || 'unknown');
+    })();
+
+    cache.invalidate(`cues:project:${cue.project_id}`);
+    cache.invalidate(`cues:project:${cue.project_id}:stats`);
+    cache.invalidate(`projects:kanban-data:${cue.project_id}`);
+
+    res.json(cueVersionQueries.findById.get(version.id));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Delete cue
 router.delete('/:id', (req, res) => {
   try {
@@ -1,6 +1,31 @@
 const express = require('express');
 const router = express.Router();
-const { estimateQueries, scopeQueries, projectQueries } = require('../models/database');
+const {
+  db, estimateQueries, estimateOptionQueries, estimateAcceptanceQueries, scopeQueries, projectQueries,
+  rateCardQueries, shareLinkQueries
+} = require('../models/database');
+const { requireAdmin } = require('../middleware/auth');
+const {
+  DEFAULT_ESTIMATE_TERMS, priceEstimate, priceEstimateOptions, parseEstimateOption
+} = require('../utils/estimate-pricing');
+const { parseSignature, formatAcceptancePDF } = require('../utils/estimate-acceptance');
+
+/**
+ * Find the rates that price an estimate: the version it names, the named
+ * card's current version, or the default card
+ * @param {Object} body - Request body with optional rate_card_id / rate_card_version
+ * @returns {Object|undefined} {id, name, version, rates}
+ */
+function findPricingCard(body) {
+  const cardId = body.rate_card_id || rateCardQueries.findDefault.get()?.id;
+  if (!cardId) return undefined;
+  return rateCardQueries.findPricing.get(parseInt(cardId), parseInt(body.rate_card_version) || null);
+}
+
+// Terms a new estimate starts with (and that acceptance falls back to)
+router.get('/default-terms', (req, res) => {
+  res.json({ terms: DEFAULT_ESTIMATE_TERMS });
+});
 
 // Get all estimates with project info (optimized - single query with JOIN)
 router.get('/with-projects', (req, res) => {
@@ -34,23 +59,67 @@ router.get('/project/:projectId', (req, res) => {
   }
 });
 
-// Create new estimate
-router.post('/', (req, res) => {
+// Price an estimate without saving it (the estimate page's live breakdown)
+router.post('/preview', (req, res) => {
   try {
-    const { project_id, runtime, music_minutes = 0, dialogue_hours = 0,
-            sound_design_hours = 0, mix_hours = 0, revision_hours = 0,
-            post_days = 0, bundle_discount = 0, music_cost = 0,
-            post_cost = 0, discount_amount = 0, total_cost = 0 } = req.body;
+    const pricingCard = findPricingCard(req.body);
+    if (!pricingCard) return res.status(400).json({ error: 'Rate card not found' });
+
+    res.json({
+      rate_card_id: pricingCard.id,
+      rate_card_name: pricingCard.name,
+      rate_card_version: pricingCard.version,
+      ...priceEstimate(req.body, pricingCard.rates)
+    });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
+// Create new estimate - totals are priced here, never taken from the request.
+// options: [{name, ...scope}] offers the client a choice; without it the body's scope is the only option.
+router.post('/', (req, res) => {
+  try {
+    const { project_id } = req.body;
     if (!project_id) return res.status(400).json({ error: 'project_id required' });
 
-    const result = estimateQueries.create.run(
-      project_id, runtime, music_minutes, dialogue_hours, sound_design_hours,
-      mix_hours, revision_hours, post_days, bundle_discount ? 1 : 0,
-      music_cost, post_cost, discount_amount, total_cost
+    const pricingCard = findPricingCard(req.body);
+    if (!pricingCard) return res.status(400).json({ error: 'Rate card not found' });
+    const options = priceEstimateOptions(
+      Array.isArray(req.body.options) && req.body.options.length > 0 ? req.body.options : [{ ...req.body, name: 'Estimate' }],
+      pricingCard.rates
     );
+    const pricing = options[0];
+
+    const id = db.transaction(() => {
+      const result = estimateQueries.create.run(
+        project_id, pricing.runtime, pricing.music_minutes, pricing.dialogue_hours,
+        pricing.sound_design_hours, pricing.mix_hours, pricing.revision_hours, pricing.post_days,
+        pricing.bundle_discount ? 1 : 0, pricing.music_cost, pricing.post_cost,
+        pricing.discount_amount, pricing.total_cost,
+        pricingCard.id, pricingCard.version, pricing.rush, (req.body.terms || '').trim() || null
+      );
+
+      options.forEach(option => {
+        estimateOptionQueries.create.run(
+          result.lastInsertRowid, option.name, option.position, option.runtime, option.music_minutes,
+          option.dialogue_hours, option.sound_design_hours, option.mix_hours, option.revision_hours,
+          option.post_days, option.bundle_discount ? 1 : 0, option.rush, option.music_cost, option.post_cost,
+          option.discount_amount, option.total_cost, option.estimated_taxes, JSON.stringify(option.line_items)
+        );
+      });
+
+      return result.lastInsertRowid;
+    })();
 
-    res.json({ id: result.lastInsertRowid, project_id, ...req.body });
+    res.json({
+      id,
+      project_id,
+      rate_card_id: pricingCard.id,
+      rate_card_version: pricingCard.version,
+      ...pricing,
+      options: estimateOptionQueries.findByEstimate.all(id).map(parseEstimateOption)
+    });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
@@ -72,11 +141,61 @@ router.get('/:id/with-project', (req, res) => {
   }
 });
 
-// Delete estimate
+// Get an estimate's options, flagging the one the client accepted
+router.get('/:id/options', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const estimate = estimateQueries.findById.get(id);
+    if (!estimate) return res.status(404).json({ error: 'Estimate not found' });
+
+    res.json(estimateOptionQueries.findByEstimate.all(id).map(row => ({
+      ...parseEstimateOption(row),
+      accepted: row.id === estimate.accepted_option_id
+    })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the client's signed acceptance: who, when, from where, and the snapshot they signed
+router.get('/:id/acceptance', requireAdmin, (req, res) => {
+  try {
+    const acceptance = estimateAcceptanceQueries.findByEstimate.get(parseInt(req.params.id));
+    if (!acceptance) return res.status(404).json({ error: 'Estimate has not been accepted' });
+
+    res.json({ ...acceptance, snapshot: JSON.parse(acceptance.snapshot) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Download the signed estimate PDF, rebuilt from the stored snapshot and signature
+router.get('/:id/acceptance/pdf', requireAdmin, (req, res) => {
+  try {
+    const acceptance = estimateAcceptanceQueries.findByEstimate.get(parseInt(req.params.id));
+    if (!acceptance) return res.status(404).json({ error: 'Estimate has not been accepted' });
+
+    const pdf = formatAcceptancePDF(
+      { ...acceptance, snapshot: JSON.parse(acceptance.snapshot) },
+      parseSignature(acceptance.signature)
+    );
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="estimate-${acceptance.estimate_id}-signed.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Delete estimate (its share links go with it)
 router.delete('/:id', (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    estimateQueries.delete.run(id);
+    db.transaction(() => {
+      shareLinkQueries.deleteByEstimate.run(id);
+      estimateQueries.delete.run(id);
+    })();
     res.json({ success: true, message: 'Estimate deleted' });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -518,10 +518,13 @@ function getComments(fileId, projectId, res) {
       id: c.id,
       author: c.author_name,
       timecode: c.timecode,
+      timecodeEnd: c.timecode_end || null,
       text: c.comment_text,
       status: c.status || 'open',
       createdAt: c.created_at,
-      reply_to_id: c.reply_to_id || null
+      reply_to_id: c.reply_to_id || null,
+      spottedSession: c.spotted_session || null,
+      spottedAt: c.spotted_at || null
     })));
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -530,7 +533,7 @@ function getComments(fileId, projectId, res) {
 
 function addComment(fileId, projectId, body, res, req) {
   try {
-    const { author_name, timecode, comment_text, reply_to_id } = body;
+    const { author_name, timecode, timecode_end, comment_text, reply_to_id } = body;
     if (!author_name || !comment_text) {
       return res.status(400).json({ error: 'Author name and comment required' });
     }
@@ -540,7 +543,10 @@ function addComment(fileId, projectId, body, res, req) {
       return res.status(result.status).json({ error: result.error });
     }
 
-    const insertResult = commentQueries.create.run(fileId, author_name, timecode || null, comment_text, reply_to_id || null);
+    // Range comments need an in point; replies are never ranges
+    const timecodeEnd = timecode && !reply_to_id ? timecode_end || null : null;
+
+    const insertResult = commentQueries.create.run(fileId, author_name, timecode || null, timecodeEnd, comment_text, reply_to_id || null);
     const commentId = insertResult.lastInsertRowid;
 
     // Fetch the newly created comment to get the auto-generated created_at timestamp
@@ -560,6 +566,7 @@ function addComment(fileId, projectId, body, res, req) {
       id: newComment.id,
       author: newComment.author_name,
       timecode: newComment.timecode,
+      timecodeEnd: newComment.timecode_end || null,
       text: newComment.comment_text,
       status: newComment.status || 'open',
       createdAt: newComment.created_at,
@@ -1,8 +1,58 @@
 const express = require('express');
 const router = express.Router();
-const { invoiceQueries, paymentQueries, projectQueries, deliverableQueries, db } = require('../models/database');
+const {
+  invoiceQueries, invoiceLineItemQueries, paymentQueries, projectQueries, deliverableQueries, commentQueries, db
+} = require('../models/database');
 const { requireAdmin } = require('../middleware/auth');
 const cache = require('../utils/cache');
+const {
+  normalizeLineItems, invoiceTotals, isAlreadyBilledError, parseInvoiceRow
+} = require('../utils/invoice-line-items');
+
+const ALREADY_BILLED = 'An hours log entry or comment on this invoice is already billed on another invoice';
+
+/**
+ * Validate line items and check that the work they bill belongs to the invoice's project
+ * @param {Array|string} lineItems - Line items from the request
+ * @param {number} projectId - The invoice's project
+ * @returns {Array} Normalized items
+ * @throws {Error} When an item is malformed or bills another project's work
+ */
+function prepareLineItems(lineItems, projectId) {
+  const items = normalizeLineItems(lineItems);
+  items.forEach((item, index) => {
+    if (!item.source_type) return;
+    const source = invoiceLineItemQueries.sourceProject[item.source_type].get(item.source_id);
+    if (!source || source.project_id !== parseInt(projectId)) {
+      throw new Error(`Line item ${index + 1}: ${item.source_type} ${item.source_id} is not part of this project`);
+    }
+  });
+  return items;
+}
+
+// Invoice with its line items and payments, or undefined
+function getInvoice(id) {
+  const data = invoiceQueries.getWithPayments.get(id);
+  if (!data) return undefined;
+
+  // Parse JSON aggregated payments
+  const { payments_json, ...invoice } = parseInvoiceRow(data);
+  return { ...invoice, payments: JSON.parse(payments_json || '[]') };
+}
+
+// Replace an invoice's line items (call inside a transaction). Billed comments
+// are linked to the invoice so they drop off the project's billable list.
+function saveLineItems(invoiceId, items) {
+  invoiceLineItemQueries.deleteByInvoice.run(invoiceId);
+  commentQueries.unlinkInvoice.run(invoiceId);
+  items.forEach(item => {
+    invoiceLineItemQueries.create.run(
+      invoiceId, item.description, item.quantity, item.unit, item.unit_rate, item.amount,
+      item.taxable ? 1 : 0, item.service_type, item.source_type, item.source_id, item.sort_order
+    );
+    if (item.source_type === 'comment') commentQueries.linkToInvoice.run(invoiceId, item.source_id);
+  });
+}
 
 // Get all invoices with project info (optimized - single query with JOIN)
 router.get('/with-projects', (req, res) => {
@@ -10,7 +60,7 @@ router.get('/with-projects', (req, res) => {
     const limit = parseInt(req.query.limit) || 50;
     const invoices = cache.wrap(
       `invoices:with-projects:${limit}`,
-      () => invoiceQueries.getAllWithProjects.all(limit),
+      () => invoiceQueries.getAllWithProjects.all(limit).map(parseInvoiceRow),
       30000  // 30 second cache
     );
     res.json(invoices);
@@ -32,10 +82,24 @@ router.get('/next-number', (req, res) => {
   }
 });
 
+// Invoiced revenue by service type (drafts excluded): ?from=&to= bound the issue date
+router.get('/revenue-by-service', (req, res) => {
+  try {
+    const from = req.query.from || null;
+    const to = req.query.to || null;
+    const services = invoiceLineItemQueries.revenueByService.all(from, from, to, to);
+    const total = Math.round(services.reduce((sum, row) => sum + row.revenue, 0) * 100) / 100;
+
+    res.json({ from, to, total, services });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get all invoices
 router.get('/', (req, res) => {
   try {
-    const invoices = invoiceQueries.getAll.all();
+    const invoices = invoiceQueries.getAll.all().map(parseInvoiceRow);
     res.json(invoices);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -46,7 +110,7 @@ router.get('/', (req, res) => {
 router.get('/project/:projectId', (req, res) => {
   try {
     const projectId = parseInt(req.params.projectId);
-    const invoices = invoiceQueries.findByProject.all(projectId);
+    const invoices = invoiceQueries.findByProject.all(projectId).map(parseInvoiceRow);
     res.json(invoices);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -61,7 +125,7 @@ router.get('/:id/with-project', (req, res) => {
 
     if (!data) return res.status(404).json({ error: 'Invoice not found' });
 
-    const { payments_json, ...invoice } = data;
+    const { payments_json, ...invoice } = parseInvoiceRow(data);
     res.json({ ...invoice, payments: JSON.parse(payments_json || '[]') });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -72,38 +136,42 @@ router.get('/:id/with-project', (req, res) => {
 router.get('/:id', (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    const data = invoiceQueries.getWithPayments.get(id);
+    const invoice = getInvoice(id);
 
-    if (!data) return res.status(404).json({ error: 'Invoice not found' });
+    if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
 
-    // Parse JSON aggregated payments
-    const { payments_json, ...invoice } = data;
-    res.json({ ...invoice, payments: JSON.parse(payments_json || '[]') });
+    res.json(invoice);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Create new invoice
+// Create new invoice - amounts are derived from line_items
 router.post('/', (req, res) => {
   try {
-    const { project_id, invoice_number, amount = 0, deposit_amount = 0,
-            deposit_percentage = 0, final_amount = 0, status = 'draft',
+    const { project_id, invoice_number, deposit_percentage = 0, status = 'draft',
             due_date, issue_date, line_items = [] } = req.body;
 
     if (!project_id) return res.status(400).json({ error: 'project_id required' });
 
-    const lineItemsJson = typeof line_items === 'string' ? line_items : JSON.stringify(line_items);
-    const result = invoiceQueries.create.run(
-      project_id, invoice_number, amount, deposit_amount, deposit_percentage,
-      final_amount, status, due_date, issue_date, lineItemsJson
-    );
+    const items = prepareLineItems(line_items, project_id);
+    const totals = invoiceTotals(items, deposit_percentage);
+
+    const id = db.transaction(() => {
+      const result = invoiceQueries.create.run(
+        project_id, invoice_number, totals.amount, totals.deposit_amount, deposit_percentage,
+        totals.final_amount, status, due_date, issue_date
+      );
+      saveLineItems(result.lastInsertRowid, items);
+      return result.lastInsertRowid;
+    })();
 
     // Invalidate cache
     cache.invalidatePattern('invoices:with-projects:');
 
-    res.json({ id: result.lastInsertRowid, project_id, ...req.body });
+    res.json(getInvoice(id));
   } catch (error) {
+    if (isAlreadyBilledError(error)) return res.status(409).json({ error: ALREADY_BILLED });
     res.status(400).json({ error: error.message });
   }
 });
@@ -117,27 +185,26 @@ router.post('/with-payment', (req, res) => {
       return res.status(400).json({ error: 'Invoice and payment data required' });
     }
 
+    const items = prepareLineItems(invoice.line_items, invoice.project_id);
+    const totals = invoiceTotals(items, invoice.deposit_percentage);
+
     // Use transaction for atomicity
     const createInvoiceWithPayment = db.transaction(() => {
-      // 1. Create invoice
-      const lineItemsJson = typeof invoice.line_items === 'string'
-        ? invoice.line_items
-        : JSON.stringify(invoice.line_items);
-
+      // 1. Create invoice and its line items
       const invoiceResult = invoiceQueries.create.run(
         invoice.project_id,
         invoice.invoice_number,
-        invoice.amount,
-        invoice.deposit_amount || 0,
+        totals.amount,
+        totals.deposit_amount,
         invoice.deposit_percentage || 0,
-        invoice.final_amount || 0,
+        totals.final_amount,
         invoice.status || 'sent',
         invoice.due_date,
-        invoice.issue_date,
-        lineItemsJson
+        invoice.issue_date
       );
 
       const invoiceId = invoiceResult.lastInsertRowid;
+      saveLineItems(invoiceId, items);
 
       // 2. Create payment record
       paymentQueries.create.run(
@@ -168,14 +235,16 @@ router.post('/with-payment', (req, res) => {
     res.json({
       success: true,
       invoice_id: invoiceId,
+      amount: totals.amount,
       message: 'Invoice and payment created successfully'
     });
   } catch (error) {
+    if (isAlreadyBilledError(error)) return res.status(409).json({ error: ALREADY_BILLED });
     res.status(400).json({ error: error.message });
   }
 });
 
-// Update invoice
+// Update invoice - sending line_items replaces them; amounts are re-derived either way
 router.patch('/:id', (req, res) => {
   try {
     const id = parseInt(req.params.id);
@@ -183,21 +252,32 @@ router.patch('/:id', (req, res) => {
     if (!invoice) return res.status(404).json({ error: 'Invoice not found' });
 
     const updates = { ...invoice, ...req.body };
-    updates.line_items = typeof updates.line_items === 'string'
-      ? updates.line_items
-      : JSON.stringify(updates.line_items);
-
-    invoiceQueries.update.run(
-      updates.invoice_number, updates.amount, updates.deposit_amount,
-      updates.deposit_percentage, updates.final_amount, updates.status,
-      updates.due_date, updates.issue_date, updates.line_items, id
-    );
+
+    let items;
+    try {
+      items = req.body.line_items !== undefined
+        ? prepareLineItems(req.body.line_items, invoice.project_id)
+        : invoiceLineItemQueries.findByInvoice.all(id);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const totals = invoiceTotals(items, updates.deposit_percentage);
+
+    db.transaction(() => {
+      invoiceQueries.update.run(
+        updates.invoice_number, totals.amount, totals.deposit_amount,
+        updates.deposit_percentage, totals.final_amount, updates.status,
+        updates.due_date, updates.issue_date, id
+      );
+      if (req.body.line_items !== undefined) saveLineItems(id, items);
+    })();
 
     // Invalidate cache
     cache.invalidatePattern('invoices:with-projects:');
 
-    res.json({ ...invoice, ...req.body, id });
+    res.json(getInvoice(id));
   } catch (error) {
+    if (isAlreadyBilledError(error)) return res.status(409).json({ error: ALREADY_BILLED });
     res.status(500).json({ error: error.message });
   }
 });
@@ -206,7 +286,10 @@ router.patch('/:id', (req, res) => {
 router.delete('/:id', (req, res) => {
   try {
     const id = parseInt(req.params.id);
-    invoiceQueries.delete.run(id);
+    db.transaction(() => {
+      commentQueries.unlinkInvoice.run(id);
+      invoiceQueries.delete.run(id);
+    })();
 
     // Invalidate cache
     cache.invalidatePattern('invoices:with-projects:');
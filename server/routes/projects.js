@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const { projectQueries, fileQueries, shareLinkQueries, scopeQueries, estimateQueries, db } = require('../models/database');
+const { projectQueries, fileQueries, shareLinkQueries, scopeQueries, estimateQueries, estimateOptionQueries, rateCardQueries, db } = require('../models/database');
 const { requireAdmin } = require('../middleware/auth');
 const fs = require('fs');
 const path = require('path');
@@ -12,6 +12,7 @@ const folderSync = require('../services/folder-sync');
 const { generateSecurePassword } = require('../utils/password-generator');
 const transcoder = require('../services/transcoder');
 const cache = require('../utils/cache');
+const { priceEstimateOptions } = require('../utils/estimate-pricing');
 
 // Get storage path configuration
 router.get('/config/storage-path', (req, res) => {
@@ -200,6 +201,24 @@ router.post('/with-estimate', requireAdmin, (req, res) => {
       return res.status(400).json({ error: 'Folder path already in use by another project' });
     }
 
+    // Price the estimate here rather than trusting the page's totals;
+    // estimate.options offers the client a choice, otherwise the estimate's scope is the only option
+    let pricingCard = null;
+    let options = [];
+    let pricing = null;
+    if (estimate) {
+      const cardId = estimate.rate_card_id || rateCardQueries.findDefault.get()?.id;
+      pricingCard = cardId ? rateCardQueries.findPricing.get(parseInt(cardId), parseInt(estimate.rate_card_version) || null) : null;
+      if (!pricingCard) {
+        return res.status(400).json({ error: 'Rate card not found' });
+      }
+      options = priceEstimateOptions(
+        Array.isArray(estimate.options) && estimate.options.length > 0 ? estimate.options : [{ ...estimate, name: 'Estimate' }],
+        pricingCard.rates
+      );
+      pricing = options[0];
+    }
+
     // Use transaction for atomicity
     const createProject = db.transaction(() => {
       // 1. Create project
@@ -221,9 +240,9 @@ router.post('/with-estimate', requireAdmin, (req, res) => {
         project.music_coverage || 0,
         project.timeline_start || null,
         project.timeline_end || null,
-        project.estimated_total || 0,
-        project.estimated_taxes || 0,
-        project.net_after_taxes || 0
+        pricing ? pricing.total_cost : project.estimated_total || 0,
+        pricing ? pricing.estimated_taxes : project.estimated_taxes || 0,
+        pricing ? pricing.net_after_taxes : project.net_after_taxes || 0
       );
 
       const projectId = result.lastInsertRowid;
@@ -231,6 +250,11 @@ router.post('/with-estimate', requireAdmin, (req, res) => {
       // Update folder_path in database
       db.prepare('UPDATE projects SET folder_path = ? WHERE id = ?').run(safeFolderPath, projectId);
 
+      // The card that priced the estimate keeps pricing the project's invoices
+      if (pricingCard) {
+        projectQueries.updateRateCard.run(pricingCard.id, projectId);
+      }
+
       // 2. Create scope if provided
       if (scope) {
         scopeQueries.upsert.run(
@@ -245,28 +269,43 @@ router.post('/with-estimate', requireAdmin, (req, res) => {
       }
 
       // 3. Create estimate if provided
-      if (estimate) {
-        estimateQueries.create.run(
+      let estimateId = null;
+      if (pricing) {
+        const estimateResult = estimateQueries.create.run(
           projectId,
-          estimate.runtime || 0,
-          estimate.music_minutes || 0,
-          estimate.dialogue_hours || 0,
-          estimate.sound_design_hours || 0,
-          estimate.mix_hours || 0,
-          estimate.revision_hours || 0,
-          estimate.post_days || 0,
-          estimate.bundle_discount ? 1 : 0,
-          estimate.music_cost || 0,
-          estimate.post_cost || 0,
-          estimate.discount_amount || 0,
-          estimate.total_cost || 0
+          pricing.runtime,
+          pricing.music_minutes,
+          pricing.dialogue_hours,
+          pricing.sound_design_hours,
+          pricing.mix_hours,
+          pricing.revision_hours,
+          pricing.post_days,
+          pricing.bundle_discount ? 1 : 0,
+          pricing.music_cost,
+          pricing.post_cost,
+          pricing.discount_amount,
+          pricing.total_cost,
+          pricingCard.id,
+          pricingCard.version,
+          pricing.rush,
+          (estimate.terms || '').trim() || null
         );
+
+        options.forEach(option => {
+          estimateOptionQueries.create.run(
+            estimateResult.lastInsertRowid, option.name, option.position, option.runtime, option.music_minutes,
+            option.dialogue_hours, option.sound_design_hours, option.mix_hours, option.revision_hours,
+            option.post_days, option.bundle_discount ? 1 : 0, option.rush, option.music_cost, option.post_cost,
+            option.discount_amount, option.total_cost, option.estimated_taxes, JSON.stringify(option.line_items)
+          );
+        });
+        estimateId = estimateResult.lastInsertRowid;
       }
 
-      return projectId;
+      return { projectId, estimateId };
     });
 
-    const projectId = createProject();
+    const { projectId, estimateId } = createProject();
 
     // Create folder structure on FTP drive
     const ftpPath = path.join(config.storagePath, safeFolderPath);
@@ -279,6 +318,7 @@ router.post('/with-estimate', requireAdmin, (req, res) => {
     res.json({
       success: true,
       project_id: projectId,
+      estimate_id: estimateId,
       folder_path: safeFolderPath,
       message: 'Project, scope, and estimate created successfully'
     });
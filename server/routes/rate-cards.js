@@ -0,0 +1,178 @@
+const express = require('express');
+const router = express.Router();
+const { db, rateCardQueries, projectQueries } = require('../models/database');
+const cache = require('../utils/cache');
+const { normalizeRates, parseRateCard, resolveRateCard, ratesEqual } = require('../utils/rate-cards');
+
+// Get all active rate cards
+router.get('/', (req, res) => {
+  try {
+    res.json(rateCardQueries.getAll.all().map(parseRateCard));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Resolve the card that prices a project or client: ?project_id= and/or ?client_name=
+router.get('/resolve', (req, res) => {
+  try {
+    const projectId = parseInt(req.query.project_id);
+    const project = projectId ? projectQueries.findById.get(projectId) : null;
+    if (projectId && !project) return res.status(404).json({ error: 'Project not found' });
+
+    const card = resolveRateCard(rateCardQueries.getAll.all().map(parseRateCard), {
+      rateCardId: project?.rate_card_id,
+      clientName: req.query.client_name || project?.client_name
+    });
+    if (!card) return res.status(404).json({ error: 'No rate cards configured' });
+
+    res.json(card);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get a rate card
+router.get('/:id', (req, res) => {
+  try {
+    const card = rateCardQueries.findById.get(parseInt(req.params.id));
+    if (!card) return res.status(404).json({ error: 'Rate card not found' });
+
+    res.json(parseRateCard(card));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get the rates a card had at a version (what priced an older estimate)
+router.get('/:id/versions/:version', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const card = rateCardQueries.findById.get(id);
+    if (!card) return res.status(404).json({ error: 'Rate card not found' });
+
+    const snapshot = rateCardQueries.findVersion.get(id, parseInt(req.params.version));
+    if (!snapshot) return res.status(404).json({ error: 'Rate card version not found' });
+
+    res.json(parseRateCard({ ...card, version: snapshot.version, rates: snapshot.rates }));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create rate card
+router.post('/', (req, res) => {
+  try {
+    const name = (req.body.name || '').trim();
+    if (!name) return res.status(400).json({ error: 'name required' });
+    if (rateCardQueries.findByName.get(name)) {
+      return res.status(409).json({ error: `A rate card named "${name}" already exists` });
+    }
+
+    let rates;
+    try {
+      rates = normalizeRates(req.body.rates);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const id = db.transaction(() => {
+      if (req.body.is_default) rateCardQueries.clearDefault.run();
+      const result = rateCardQueries.create.run(
+        name, (req.body.client_name || '').trim() || null, JSON.stringify(rates), req.body.is_default ? 1 : 0
+      );
+      rateCardQueries.createVersion.run(result.lastInsertRowid, 1, JSON.stringify(rates));
+      return result.lastInsertRowid;
+    })();
+
+    res.status(201).json(parseRateCard(rateCardQueries.findById.get(id)));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Update rate card - changed rates start a new version; estimates keep pointing at the old one
+router.put('/:id', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const card = rateCardQueries.findById.get(id);
+    if (!card || card.archived) return res.status(404).json({ error: 'Rate card not found' });
+
+    const name = req.body.name !== undefined ? (req.body.name || '').trim() : card.name;
+    if (!name) return res.status(400).json({ error: 'name required' });
+    const sameName = rateCardQueries.findByName.get(name);
+    if (sameName && sameName.id !== id) {
+      return res.status(409).json({ error: `A rate card named "${name}" already exists` });
+    }
+
+    let rates;
+    try {
+      rates = req.body.rates !== undefined ? normalizeRates(req.body.rates) : normalizeRates(card.rates);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const clientName = req.body.client_name !== undefined ? (req.body.client_name || '').trim() || null : card.client_name;
+    const version = ratesEqual(rates, card.rates) ? card.version : card.version + 1;
+
+    db.transaction(() => {
+      rateCardQueries.update.run(name, clientName, JSON.stringify(rates), version, id);
+      if (version !== card.version) {
+        rateCardQueries.createVersion.run(id, version, JSON.stringify(rates));
+      }
+      if (req.body.is_default && !card.is_default) {
+        rateCardQueries.clearDefault.run();
+        rateCardQueries.setDefault.run(id);
+      }
+    })();
+
+    res.json(parseRateCard(rateCardQueries.findById.get(id)));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Archive rate card (estimates priced by it keep their version snapshot)
+router.delete('/:id', (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const card = rateCardQueries.findById.get(id);
+    if (!card || card.archived) return res.status(404).json({ error: 'Rate card not found' });
+    if (card.is_default) {
+      return res.status(400).json({ error: 'Make another rate card the default before archiving this one' });
+    }
+
+    db.transaction(() => {
+      rateCardQueries.archive.run(id);
+      rateCardQueries.clearFromProjects.run(id);
+    })();
+    cache.invalidate('projects:all');
+
+    res.json({ success: true, message: 'Rate card archived' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Select the rate card for a project (null falls back to the client's card or the default)
+router.put('/project/:projectId', (req, res) => {
+  try {
+    const projectId = parseInt(req.params.projectId);
+    const project = projectQueries.findById.get(projectId);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+
+    const rateCardId = req.body.rate_card_id ? parseInt(req.body.rate_card_id) : null;
+    if (rateCardId) {
+      const card = rateCardQueries.findById.get(rateCardId);
+      if (!card || card.archived) return res.status(404).json({ error: 'Rate card not found' });
+    }
+
+    projectQueries.updateRateCard.run(rateCardId, projectId);
+    cache.invalidate('projects:all');
+    res.json({ project_id: projectId, rate_card_id: rateCardId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -4,9 +4,15 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
-const { db, fileQueries } = require('../models/database');
+const {
+  db, fileQueries, projectQueries, scopeQueries, estimateQueries, estimateOptionQueries,
+  estimateAcceptanceQueries, logQueries
+} = require('../models/database');
 const { requireAdmin } = require('../middleware/auth');
 const config = require('../../alternaview-config');
+const cache = require('../utils/cache');
+const { DEFAULT_ESTIMATE_TERMS, parseEstimateOption } = require('../utils/estimate-pricing');
+const { parseSignature, buildAcceptanceSnapshot, formatAcceptancePDF } = require('../utils/estimate-acceptance');
 
 // Get the correct app base path (handles packaged Electron apps)
 function getAppPath() {
@@ -58,16 +64,17 @@ const shareQueries = {
 /**
  * Generate Share Link (Admin only)
  * POST /api/share/generate
- * Supports both project_id and file_id
+ * Supports project_id, file_id, ftp_path, and estimate_id (type: 'estimate')
  */
 router.post('/generate', async (req, res) => {
   try {
     console.log('[SHARE] POST /generate request body:', req.body);
-    const { project_id, file_id, ftp_path, expires_in, password, type } = req.body;
-    const linkType = type === 'upload' ? 'upload' : 'download';
+    const { file_id, ftp_path, estimate_id, expires_in, password, type } = req.body;
+    let { project_id } = req.body;
+    const linkType = ['upload', 'estimate'].includes(type) ? type : 'download';
 
-    if (!project_id && !file_id && !ftp_path) {
-      return res.status(400).json({ error: 'project_id, file_id, or ftp_path is required' });
+    if (!project_id && !file_id && !ftp_path && !estimate_id) {
+      return res.status(400).json({ error: 'project_id, file_id, ftp_path, or estimate_id is required' });
     }
 
     // Upload links require an ftp_path (the TO AA folder)
@@ -75,6 +82,16 @@ router.post('/generate', async (req, res) => {
       return res.status(400).json({ error: 'ftp_path is required for upload links' });
     }
 
+    // Estimate links share one estimate's options and nothing else: they carry no project_id,
+    // so the token can't open the project's files or comments
+    if (linkType === 'estimate') {
+      const estimate = estimate_id ? estimateQueries.findById.get(estimate_id) : null;
+      if (!estimate) {
+        return res.status(404).json({ error: 'Estimate not found' });
+      }
+      project_id = null;
+    }
+
     // Verify project or file exists
     if (project_id) {
       const project = db.prepare('SELECT * FROM projects WHERE id = ?').get(project_id);
@@ -128,8 +145,8 @@ router.post('/generate', async (req, res) => {
 
     // Create share link with project_id, file_id, or ftp_path
     db.prepare(`
-      INSERT INTO share_links (token, project_id, file_id, ftp_path, expires_at, password_hash, created_by, type)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO share_links (token, project_id, file_id, ftp_path, expires_at, password_hash, created_by, type, estimate_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).run(
       token,
       project_id || null,
@@ -138,12 +155,13 @@ router.post('/generate', async (req, res) => {
       expiresAt,
       passwordHash,
       null,  // No admin session available yet
-      linkType
+      linkType,
+      linkType === 'estimate' ? estimate_id : null
     );
 
     const url = `https://alternassist.alternatone.com/share/${token}`;
 
-    const logType = project_id ? `project ${project_id}` : file_id ? `file ${file_id}` : `ftp_path ${ftp_path}`;
+    const logType = linkType === 'estimate' ? `estimate ${estimate_id}` : project_id ? `project ${project_id}` : file_id ? `file ${file_id}` : `ftp_path ${ftp_path}`;
     console.log(`[SHARE] Generated share link for ${logType} (expires: ${expiresAt || 'never'}, password: ${passwordHash ? 'yes' : 'no'})`);
 
     res.json({
@@ -311,6 +329,12 @@ function redirectToProject(link, res) {
     return res.send(renderUploadPage(link.token, link));
   }
 
+  // Estimate links get the option picker
+  if (link.type === 'estimate') {
+    const estimate = link.estimate_id ? estimateQueries.getWithProject.get(link.estimate_id) : null;
+    return res.send(renderEstimatePage(link.token, estimate && estimate.project_name ? estimate.project_name : 'Estimate'));
+  }
+
   // Redirect based on link type
   if (link.project_id) {
     // Project share link
@@ -580,6 +604,219 @@ function renderPasswordPrompt(token) {
   `;
 }
 
+/**
+ * Find the estimate link a public estimate request uses
+ * @returns {Object} {link} when usable, otherwise {status, error}
+ */
+function findEstimateLink(token, req) {
+  // Clean up expired links
+  shareQueries.deleteExpired.run();
+
+  const link = shareQueries.findByToken.get(token);
+  if (!link || link.type !== 'estimate' || !link.estimate_id) {
+    return { status: 404, error: 'Estimate link not found or has expired' };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (link.expires_at !== null && link.expires_at < now) {
+    return { status: 410, error: 'This estimate link has expired' };
+  }
+
+  if (link.password_hash && req.session[`share_${token}`] !== true) {
+    return { status: 401, error: 'Authentication required' };
+  }
+
+  return { link };
+}
+
+/**
+ * View a shared estimate's options (Public)
+ * GET /share/:token/estimate
+ * Only what the client sees - no tax reserve or internal notes
+ */
+router.get('/:token/estimate', (req, res) => {
+  try {
+    const { link, status, error } = findEstimateLink(req.params.token, req);
+    if (error) return res.status(status).json({ error });
+
+    const estimate = estimateQueries.getWithProject.get(link.estimate_id);
+    if (!estimate) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+
+    const options = estimateOptionQueries.findByEstimate.all(estimate.id).map(parseEstimateOption);
+
+    res.json({
+      project_name: estimate.project_name,
+      client_name: estimate.client_name,
+      created_at: estimate.created_at,
+      accepted_option_id: estimate.accepted_option_id,
+      accepted_by: estimate.accepted_by,
+      accepted_at: estimate.accepted_at,
+      terms: estimate.terms || DEFAULT_ESTIMATE_TERMS,
+      options: options.map(option => ({
+        id: option.id,
+        name: option.name,
+        line_items: option.line_items,
+        music_minutes: option.music_minutes,
+        post_days: option.post_days,
+        rush: option.rush,
+        discount_amount: option.discount_amount,
+        total_cost: option.total_cost
+      }))
+    });
+  } catch (error) {
+    console.error('Error loading shared estimate:', error);
+    res.status(500).json({ error: 'Failed to load estimate' });
+  }
+});
+
+/**
+ * Accept an option of a shared estimate (Public)
+ * POST /share/:token/accept
+ * Body: {option_id, accepted_by, signature}. signature is a JPEG data URL from the
+ * signature pad. The signature is stored with a snapshot of the option and terms, the
+ * IP and the time; the option becomes the project's scope and totals, the project moves
+ * out of prospects, and a signed PDF is filed in the project's FROM AA folder.
+ */
+router.post('/:token/accept', express.json(), (req, res) => {
+  try {
+    const { link, status, error } = findEstimateLink(req.params.token, req);
+    if (error) return res.status(status).json({ error });
+
+    const acceptedBy = String(req.body.accepted_by || '').trim();
+    if (!acceptedBy) {
+      return res.status(400).json({ error: 'Please enter your name to accept' });
+    }
+
+    let signature;
+    try {
+      signature = parseSignature(req.body.signature);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const estimate = estimateQueries.getWithProject.get(link.estimate_id);
+    if (!estimate) {
+      return res.status(404).json({ error: 'Estimate not found' });
+    }
+    if (estimate.accepted_option_id) {
+      return res.status(409).json({ error: 'This estimate has already been accepted' });
+    }
+
+    const option = estimateOptionQueries.findById.get(parseInt(req.body.option_id));
+    if (!option || option.estimate_id !== estimate.id) {
+      return res.status(404).json({ error: 'Option not found' });
+    }
+
+    // What the client saw and signed, hashed so the PDF can be checked against the record
+    const snapshot = JSON.stringify(buildAcceptanceSnapshot(estimate, parseEstimateOption(option)));
+    const snapshotHash = crypto.createHash('sha256').update(snapshot).digest('hex');
+    const ipAddress = req.ip || 'unknown';
+
+    const acceptanceId = db.transaction(() => {
+      // Another acceptance may have landed since the check above
+      if (estimateQueries.accept.run(option.id, acceptedBy, estimate.id).changes === 0) {
+        return null;
+      }
+
+      const acceptance = estimateAcceptanceQueries.create.run(
+        estimate.id, option.id, acceptedBy, req.body.signature, snapshot, snapshotHash,
+        ipAddress, req.get('user-agent') || null
+      );
+
+      const project = projectQueries.findById.get(estimate.project_id);
+      const scope = scopeQueries.findByProject.get(estimate.project_id);
+      scopeQueries.upsert.run(
+        estimate.project_id,
+        (scope && scope.contact_email) || (project && project.contact_email) || null,
+        Math.round(option.music_minutes),
+        option.dialogue_hours,
+        option.sound_design_hours,
+        option.mix_hours,
+        option.revision_hours
+      );
+      projectQueries.applyAcceptedEstimate.run(
+        Math.round(option.music_minutes),
+        option.total_cost,
+        option.estimated_taxes,
+        option.total_cost - option.estimated_taxes,
+        estimate.project_id
+      );
+      logQueries.create.run(estimate.project_id, null, 'estimate_accepted', ipAddress);
+      return acceptance.lastInsertRowid;
+    })();
+
+    if (!acceptanceId) {
+      return res.status(409).json({ error: 'This estimate has already been accepted' });
+    }
+
+    cache.invalidate('projects:all');
+    cache.invalidate(`projects:kanban-data:${estimate.project_id}`);
+
+    console.log(`[SHARE] Estimate ${estimate.id} accepted: option "${option.name}" by ${acceptedBy}`);
+
+    // The acceptance stands even if the PDF can't be filed - admins can download it from the estimate
+    let pdfFileId = null;
+    try {
+      pdfFileId = fileSignedEstimate(estimateAcceptanceQueries.findById.get(acceptanceId), signature);
+    } catch (error) {
+      console.error(`[SHARE] Failed to file signed PDF for estimate ${estimate.id}:`, error.message);
+    }
+
+    res.json({
+      success: true,
+      accepted_option_id: option.id,
+      accepted_by: acceptedBy,
+      pdf_filed: !!pdfFileId
+    });
+  } catch (error) {
+    console.error('Error accepting estimate:', error);
+    res.status(500).json({ error: 'Failed to accept estimate' });
+  }
+});
+
+/**
+ * Write the signed estimate PDF into the project's FROM AA folder and record it
+ * as a project file, so it shows up alongside the client's deliverables
+ * @param {Object} acceptance - estimate_acceptances row
+ * @param {Object} signature - From parseSignature()
+ * @returns {number} The file id
+ */
+function fileSignedEstimate(acceptance, signature) {
+  const estimate = estimateQueries.findById.get(acceptance.estimate_id);
+  const project = projectQueries.findById.get(estimate.project_id);
+
+  if (!fs.existsSync(config.storagePath)) {
+    throw new Error('FTP drive not mounted');
+  }
+
+  const folderPath = project.folder_path || project.name.replace(/[^a-zA-Z0-9-_]/g, '_');
+  const fromAAPath = path.join(config.storagePath, folderPath, 'FROM AA');
+  fs.mkdirSync(fromAAPath, { recursive: true });
+
+  const pdf = formatAcceptancePDF({ ...acceptance, snapshot: JSON.parse(acceptance.snapshot) }, signature);
+  const filename = `estimate-${estimate.id}-signed-${Date.now()}.pdf`;
+  const filePath = path.join(fromAAPath, filename);
+  fs.writeFileSync(filePath, pdf);
+
+  const result = fileQueries.create.run(
+    project.id,
+    filename,
+    `${project.name} - Signed Estimate.pdf`,
+    filePath,
+    pdf.length,
+    'application/pdf',
+    null, // duration
+    null, // transcoded_file_path
+    'FROM AA'
+  );
+  estimateAcceptanceQueries.setPdfFile.run(result.lastInsertRowid, acceptance.id);
+  projectQueries.updateTimestamp.run(project.id);
+
+  return result.lastInsertRowid;
+}
+
 /**
  * Upload file via share link (Public)
  * POST /share/:token/upload
@@ -1757,4 +1994,412 @@ function renderUploadPage(token, link) {
   `;
 }
 
+/**
+ * Render the client-facing estimate page: each option's line items and total,
+ * the terms, and a name + drawn signature to accept one
+ */
+function renderEstimatePage(token, projectName) {
+  const safeName = String(projectName).replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Estimate - ${safeName}</title>
+    <link href="https://fonts.googleapis.com/css2?family=DM+Sans:wght@300;400;500;600&family=Bricolage+Grotesque:wght@400;500;600&display=swap" rel="stylesheet">
+    <style>
+        :root {
+            --primary-text: #1a1a1a;
+            --subtle-text: #666;
+            --muted-text: #999;
+            --accent-blue: #007acc;
+            --accent-green: #51cf66;
+            --accent-red: #ff6b6b;
+            --bg-primary: #FDF8F0;
+            --bg-secondary: #FEFDFA;
+            --shadow-subtle: 0 4px 20px rgba(0,0,0,0.05);
+            --border-light: 1px solid #f0f0f0;
+            --font-primary: 'DM Sans', system-ui, -apple-system, sans-serif;
+            --font-display: 'Bricolage Grotesque', system-ui, sans-serif;
+            --font-mono: 'SF Mono', 'Menlo', monospace;
+            --radius-lg: 12px;
+        }
+
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+
+        body {
+            font-family: var(--font-primary);
+            background: var(--bg-primary);
+            color: var(--primary-text);
+            line-height: 1.6;
+            display: flex;
+            justify-content: center;
+            min-height: 100vh;
+            padding: 2rem;
+        }
+
+        .container {
+            background: var(--bg-secondary);
+            border-radius: var(--radius-lg);
+            padding: 2.5rem;
+            width: 100%;
+            max-width: 720px;
+            box-shadow: var(--shadow-subtle);
+            border: var(--border-light);
+            align-self: flex-start;
+        }
+
+        .logo {
+            font-family: var(--font-display);
+            font-size: 2rem;
+            font-weight: 400;
+            text-align: center;
+            margin-bottom: 0.25rem;
+            letter-spacing: -0.02em;
+        }
+
+        .subtitle {
+            text-align: center;
+            color: var(--subtle-text);
+            font-size: 0.95rem;
+            margin-bottom: 2rem;
+        }
+
+        .option {
+            display: block;
+            background: white;
+            border: 2px solid #e8e8e8;
+            border-radius: var(--radius-lg);
+            padding: 1.25rem 1.5rem;
+            margin-bottom: 1rem;
+            cursor: pointer;
+            transition: all 0.2s;
+        }
+
+        .option:hover { border-color: #c8dff0; }
+        .option.selected { border-color: var(--accent-blue); }
+        .option.accepted { border-color: var(--accent-green); cursor: default; }
+        .option.declined { opacity: 0.5; cursor: default; }
+        .option input { display: none; }
+
+        .option-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: baseline;
+            margin-bottom: 0.5rem;
+        }
+
+        .option-name {
+            font-family: var(--font-display);
+            font-size: 1.25rem;
+            font-weight: 500;
+        }
+
+        .option-total {
+            font-family: var(--font-mono);
+            font-size: 1.1rem;
+            font-weight: 600;
+        }
+
+        .line-item {
+            display: flex;
+            justify-content: space-between;
+            gap: 1rem;
+            font-size: 0.9rem;
+            color: var(--subtle-text);
+        }
+
+        .line-item .amount { font-family: var(--font-mono); white-space: nowrap; }
+
+        .option-note {
+            font-size: 0.8rem;
+            color: var(--muted-text);
+            margin-top: 0.5rem;
+        }
+
+        .section-label {
+            font-weight: 600;
+            font-size: 0.9rem;
+            margin: 1.5rem 0 0.5rem;
+        }
+
+        .terms {
+            font-size: 0.9rem;
+            color: var(--subtle-text);
+            white-space: pre-wrap;
+        }
+
+        .signature-pad {
+            width: 100%;
+            height: 160px;
+            background: white;
+            border: 1px solid #e8e8e8;
+            border-radius: 8px;
+            cursor: crosshair;
+            touch-action: none;
+        }
+
+        .signature-actions {
+            display: flex;
+            justify-content: space-between;
+            font-size: 0.8rem;
+            color: var(--muted-text);
+        }
+
+        .signature-actions a {
+            color: var(--accent-blue);
+            cursor: pointer;
+        }
+
+        .accept-row {
+            display: flex;
+            gap: 0.5rem;
+            margin-top: 1rem;
+        }
+
+        .accept-row input {
+            flex: 1;
+            padding: 0.85rem 1rem;
+            border: 1px solid #e8e8e8;
+            border-radius: 8px;
+            font-family: var(--font-primary);
+            font-size: 0.95rem;
+        }
+
+        .btn {
+            padding: 0.85rem 1.5rem;
+            color: white;
+            background: var(--accent-blue);
+            border: none;
+            border-radius: 8px;
+            font-family: var(--font-primary);
+            font-size: 0.95rem;
+            font-weight: 500;
+            cursor: pointer;
+            transition: all 0.2s;
+        }
+
+        .btn:hover { background: #006bb3; }
+        .btn:disabled { background: #ccc; cursor: not-allowed; }
+
+        .message {
+            text-align: center;
+            padding: 1rem;
+            margin-top: 1rem;
+            border-radius: 8px;
+            font-size: 0.95rem;
+            display: none;
+        }
+
+        .message.show { display: block; }
+        .message.success { color: #2b8a3e; background: #ebfbee; }
+        .message.error { color: #c53030; background: #fff5f5; border: 1px solid #feb2b2; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="logo">Alternassist</div>
+        <div class="subtitle" id="subtitle">Estimate for ${safeName}</div>
+
+        <div id="options"></div>
+
+        <div id="termsSection" style="display: none;">
+            <div class="section-label">Terms</div>
+            <div class="terms" id="terms"></div>
+        </div>
+
+        <div id="acceptForm" style="display: none;">
+            <div class="section-label">Sign to accept</div>
+            <canvas id="signaturePad" class="signature-pad" width="600" height="160"></canvas>
+            <div class="signature-actions">
+                <span>Draw your signature above</span>
+                <a id="clearSignature">clear</a>
+            </div>
+            <div class="accept-row">
+                <input type="text" id="acceptedBy" placeholder="Your full name" autocomplete="name">
+                <button class="btn" id="acceptBtn" disabled>Accept and sign</button>
+            </div>
+        </div>
+
+        <div class="message" id="message"></div>
+    </div>
+
+    <script>
+        const TOKEN = '${token}';
+        const optionsEl = document.getElementById('options');
+        const acceptForm = document.getElementById('acceptForm');
+        const acceptedByInput = document.getElementById('acceptedBy');
+        const acceptBtn = document.getElementById('acceptBtn');
+        const messageEl = document.getElementById('message');
+        const signaturePad = document.getElementById('signaturePad');
+        const signatureCtx = signaturePad.getContext('2d');
+
+        let selectedOptionId = null;
+        let hasSignature = false;
+        let drawing = false;
+
+        function escapeHtml(value) {
+            const div = document.createElement('div');
+            div.textContent = value === null || value === undefined ? '' : String(value);
+            return div.innerHTML;
+        }
+
+        function formatMoney(amount) {
+            return '$' + Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        }
+
+        function showMessage(text, type) {
+            messageEl.textContent = text;
+            messageEl.className = 'message show ' + type;
+        }
+
+        function updateAcceptButton() {
+            acceptBtn.disabled = !selectedOptionId || !acceptedByInput.value.trim() || !hasSignature;
+        }
+
+        // ---- Signature pad ----
+        // White background so the JPEG sent to the server isn't black where nothing was drawn
+        function clearSignature() {
+            signatureCtx.fillStyle = '#ffffff';
+            signatureCtx.fillRect(0, 0, signaturePad.width, signaturePad.height);
+            signatureCtx.strokeStyle = '#1a1a1a';
+            signatureCtx.lineWidth = 2.5;
+            signatureCtx.lineCap = 'round';
+            signatureCtx.lineJoin = 'round';
+            hasSignature = false;
+            updateAcceptButton();
+        }
+
+        function padPoint(event) {
+            const rect = signaturePad.getBoundingClientRect();
+            return {
+                x: (event.clientX - rect.left) * signaturePad.width / rect.width,
+                y: (event.clientY - rect.top) * signaturePad.height / rect.height
+            };
+        }
+
+        signaturePad.addEventListener('pointerdown', event => {
+            drawing = true;
+            signaturePad.setPointerCapture(event.pointerId);
+            const point = padPoint(event);
+            signatureCtx.beginPath();
+            signatureCtx.moveTo(point.x, point.y);
+        });
+
+        signaturePad.addEventListener('pointermove', event => {
+            if (!drawing) return;
+            const point = padPoint(event);
+            signatureCtx.lineTo(point.x, point.y);
+            signatureCtx.stroke();
+            if (!hasSignature) {
+                hasSignature = true;
+                updateAcceptButton();
+            }
+        });
+
+        ['pointerup', 'pointercancel'].forEach(type => {
+            signaturePad.addEventListener(type, () => { drawing = false; });
+        });
+
+        document.getElementById('clearSignature').addEventListener('click', clearSignature);
+
+        function renderEstimate(estimate) {
+            const accepted = estimate.accepted_option_id;
+
+            document.getElementById('terms').textContent = estimate.terms;
+            document.getElementById('termsSection').style.display = 'block';
+
+            optionsEl.innerHTML = estimate.options.map(option => {
+                const state = accepted ? (option.id === accepted ? 'accepted' : 'declined') : '';
+                const notes = [];
+                if (option.rush) notes.push(escapeHtml(option.rush) + ' turnaround');
+                if (option.discount_amount > 0) notes.push('includes ' + formatMoney(option.discount_amount) + ' bundle discount');
+
+                return \`
+                    <label class="option \${state}" data-id="\${option.id}">
+                        <input type="radio" name="option" value="\${option.id}" \${accepted ? 'disabled' : ''}>
+                        <div class="option-header">
+                            <span class="option-name">\${escapeHtml(option.name)}\${state === 'accepted' ? ' &check;' : ''}</span>
+                            <span class="option-total">\${formatMoney(option.total_cost)}</span>
+                        </div>
+                        \${option.line_items.map(item => \`
+                            <div class="line-item">
+                                <span>\${escapeHtml(item.description)}</span>
+                                <span class="amount">\${formatMoney(item.amount)}</span>
+                            </div>\`).join('')}
+                        \${notes.length ? \`<div class="option-note">\${notes.join(' &middot; ')}</div>\` : ''}
+                    </label>\`;
+            }).join('');
+
+            if (accepted) {
+                acceptForm.style.display = 'none';
+                const option = estimate.options.find(o => o.id === accepted);
+                showMessage('Accepted' + (option ? ' "' + option.name + '"' : '') + ' by ' + estimate.accepted_by +
+                    (estimate.accepted_at ? ' on ' + new Date(estimate.accepted_at.replace(' ', 'T') + 'Z').toLocaleDateString() : '') +
+                    '. Thank you!', 'success');
+                return;
+            }
+
+            acceptForm.style.display = 'block';
+            optionsEl.querySelectorAll('.option').forEach(el => {
+                el.addEventListener('click', () => {
+                    optionsEl.querySelectorAll('.option').forEach(o => o.classList.remove('selected'));
+                    el.classList.add('selected');
+                    selectedOptionId = parseInt(el.dataset.id);
+                    updateAcceptButton();
+                });
+            });
+
+            // A single option is the choice - nothing to pick
+            if (estimate.options.length === 1) {
+                optionsEl.querySelector('.option').click();
+            }
+        }
+
+        async function loadEstimate() {
+            try {
+                const response = await fetch('/share/' + TOKEN + '/estimate');
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to load estimate');
+                renderEstimate(data);
+            } catch (error) {
+                showMessage(error.message, 'error');
+            }
+        }
+
+        acceptedByInput.addEventListener('input', updateAcceptButton);
+        clearSignature();
+
+        acceptBtn.addEventListener('click', async () => {
+            acceptBtn.disabled = true;
+            acceptBtn.textContent = 'Accepting...';
+            try {
+                const response = await fetch('/share/' + TOKEN + '/accept', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        option_id: selectedOptionId,
+                        accepted_by: acceptedByInput.value.trim(),
+                        signature: signaturePad.toDataURL('image/jpeg', 0.8)
+                    })
+                });
+                const data = await response.json();
+                if (!response.ok) throw new Error(data.error || 'Failed to accept estimate');
+                await loadEstimate();
+            } catch (error) {
+                showMessage(error.message, 'error');
+                acceptBtn.textContent = 'Accept and sign';
+                updateAcceptButton();
+            }
+        });
+
+        loadEstimate();
+    </script>
+</body>
+</html>
+  `;
+}
+
 module.exports = router;
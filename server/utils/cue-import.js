@@ -0,0 +1,321 @@
+/**
+ * Cue Import
+ *
+ * Parses Pro Tools session text exports and Logic Pro marker lists into cues,
+ * and diffs them against a project's existing cues.
+ */
+
+const CUE_IMPORT_FORMATS = {
+  PRO_TOOLS: 'protools',
+  LOGIC: 'logic'
+};
+
+// Fields an import owns - status, notes, theme and version stay as the composer left them
+const IMPORTED_FIELDS = ['title', 'start_time', 'end_time', 'duration'];
+
+/**
+ * Detect the export format from its content
+ * @param {string} text - Raw export text
+ * @returns {string} One of CUE_IMPORT_FORMATS
+ */
+function detectCueImportFormat(text) {
+  return text.includes('SESSION NAME:') || text.includes('TRACK LISTING')
+    ? CUE_IMPORT_FORMATS.PRO_TOOLS
+    : CUE_IMPORT_FORMATS.LOGIC;
+}
+
+/**
+ * Parse an export into cues
+ * @param {string} text - Raw export text
+ * @param {string} [format] - Force a format (one of CUE_IMPORT_FORMATS)
+ * @returns {Object} {format, cues: [{cue_number, title, start_time, end_time, duration}]}
+ */
+function parseCueImport(text, format = null) {
+  const resolvedFormat = format || detectCueImportFormat(text);
+  const cues = resolvedFormat === CUE_IMPORT_FORMATS.PRO_TOOLS
+    ? parseProToolsCues(text)
+    : parseLogicProCues(text);
+
+  return { format: resolvedFormat, cues };
+}
+
+/**
+ * Parse a Pro Tools "Export Session Info as Text" file.
+ * Each clip on the track listing becomes a cue; the first clip at a start time wins.
+ * @param {string} content - Raw export text
+ * @returns {Array} Cues numbered 1m1, 1m2, ... in start-time order
+ */
+function parseProToolsCues(content) {
+  const lines = content.split('\n');
+  const cueMap = new Map(); // Track unique cues by start time
+
+  lines.forEach(line => {
+    // Format: CHANNEL EVENT CLIP_NAME START_TIME END_TIME DURATION STATE (tab-separated)
+    const parts = line.trim().split('\t');
+    if (parts.length < 7) return;
+
+    const clipName = parts[2] ? parts[2].trim() : '';
+    const startTime = parts[3] ? parts[3].trim() : '';
+    const endTime = parts[4] ? parts[4].trim() : '';
+
+    // Check if we have valid timecode (HH:MM:SS:FF format)
+    if (!/\d{2}:\d{2}:\d{2}:\d{2}/.test(startTime) || !/\d{2}:\d{2}:\d{2}:\d{2}/.test(endTime)) return;
+
+    // Cue times are HH:MM:SS - drop the frames
+    const start = startTime.substring(0, 8);
+    const end = endTime.substring(0, 8);
+
+    // Extract a clean title from clip name (remove file extensions, channel suffixes)
+    const title = clipName
+      .replace(/\.(wav|aif|aiff|mp3|L|R).*$/i, '') // Remove extensions and L/R channel markers
+      .replace(/_\d{2}(-\d{2})?$/, '') // Remove trailing numbers like _02-01
+      .replace(/[._-]+/g, ' ') // Replace underscores/dashes with spaces
+      .trim();
+
+    if (!cueMap.has(start) && title) {
+      cueMap.set(start, { start, end, title });
+    }
+  });
+
+  return Array.from(cueMap.values()).map((cue, index) => buildCue(index, cue.title, cue.start, cue.end));
+}
+
+/**
+ * Parse a Logic Pro marker list: session settings (BPM, Time Signature, FPS,
+ * Project Start) followed by "start | length | name" rows in bars/beats
+ * @param {string} content - Raw marker list text
+ * @returns {Array} Cues numbered 1m1, 1m2, ... in list order
+ */
+function parseLogicProCues(content) {
+  const lines = content.split('\n');
+  const sessionData = {
+    bpm: 120,
+    timeSig: [4, 4],
+    fps: 23.98,
+    projectStart: '01:00:00:00'
+  };
+
+  // Parse session settings
+  lines.forEach(line => {
+    const trimmed = line.trim();
+
+    if (trimmed.includes('BPM:')) {
+      const match = trimmed.match(/(\d+\.?\d*)/);
+      if (match) sessionData.bpm = parseFloat(match[1]);
+    }
+
+    if (trimmed.includes('Time Signature:')) {
+      const match = trimmed.match(/(\d+)\/(\d+)/);
+      if (match) sessionData.timeSig = [parseInt(match[1]), parseInt(match[2])];
+    }
+
+    if (trimmed.includes('FPS:')) {
+      const match = trimmed.match(/(\d+\.?\d*)/);
+      if (match) sessionData.fps = parseFloat(match[1]);
+    }
+
+    if (trimmed.includes('Project Start:')) {
+      const match = trimmed.match(/(\d{2}:\d{2}:\d{2}:\d{2})/);
+      if (match) sessionData.projectStart = match[1];
+    }
+  });
+
+  // Parse cue list (between ``` markers or after "Start Position | Length")
+  const cueLines = [];
+  let inCueBlock = false;
+
+  lines.forEach(line => {
+    const trimmed = line.trim();
+
+    if (trimmed === '```' || trimmed.includes('Start Position')) {
+      inCueBlock = !inCueBlock;
+      return;
+    }
+
+    if (inCueBlock && trimmed && !trimmed.startsWith('#') && !trimmed.startsWith('-') && trimmed.includes('|')) {
+      cueLines.push(trimmed);
+    }
+  });
+
+  const cues = [];
+  cueLines.forEach((line, index) => {
+    const parts = line.split('|').map(p => p.trim());
+    if (parts.length < 2) return;
+
+    const timecode = convertLogicCue(parts[0], parts[1], sessionData.bpm, sessionData.timeSig, sessionData.fps, sessionData.projectStart);
+    if (timecode) {
+      cues.push(buildCue(index, parts[2] || '', timecode.start, timecode.end));
+    }
+  });
+
+  return cues;
+}
+
+/**
+ * Convert a Logic "bar beat division tick" position and length to HH:MM:SS times
+ * @returns {Object|null} {start, end}, or null if the positions don't parse
+ */
+function convertLogicCue(startPos, lengthPos, bpm, timeSig, fps = 23.98, projectStart = '01:00:00:00') {
+  const startParts = startPos.split(/\s+/).map(Number);
+  const lengthParts = lengthPos.split(/\s+/).map(Number);
+
+  if (startParts.length !== 4 || lengthParts.length !== 4) return null;
+  if (startParts.some(isNaN) || lengthParts.some(isNaN)) return null;
+
+  const [sb, sbe, sd, st] = startParts;
+  const [lb, lbe, ld, lt] = lengthParts;
+
+  const halfNotesPerBar = timeSig[0] / (timeSig[1] / 2);
+  const secondsPerBar = (60 / bpm) * halfNotesPerBar;
+  const secondsPerBeat = secondsPerBar / 4;
+
+  const posToSeconds = (bar, beat, div, tick) => {
+    return ((bar - 1) * secondsPerBar) +
+           ((beat - 1) * secondsPerBeat) +
+           ((div - 1) * secondsPerBeat / 4) +
+           ((tick - 1) * secondsPerBeat / 960);
+  };
+
+  const start = posToSeconds(sb, sbe, sd, st);
+  const length = posToSeconds(lb + 1, lbe + 1, ld + 1, lt + 1) - posToSeconds(1, 1, 1, 1);
+
+  // Bar 1 sits at the project start (frames don't matter at cue resolution)
+  const offsetSeconds = timeToSeconds(projectStart.substring(0, 8));
+
+  return {
+    start: secondsToTime(start + offsetSeconds),
+    end: secondsToTime(start + length + offsetSeconds)
+  };
+}
+
+/**
+ * Diff imported cues against a project's cues.
+ * Imported cue numbers are positional (1m1, 1m2...), so a cue is matched by
+ * start time first and by cue number only when no cue starts at that time.
+ * @param {Array} existingCues - Cue rows for the project
+ * @param {Array} importedCues - Cues from parseCueImport()
+ * @returns {Object} {created, updated: [{id, cue_number, changes, cue}], unchanged, summary, fingerprint}
+ */
+function diffCueImport(existingCues, importedCues) {
+  const matchedIds = new Set();
+  const takenNumbers = new Set(existingCues.map(cue => cue.cue_number));
+  const created = [];
+  const updated = [];
+  const unchanged = [];
+
+  const findMatch = imported => {
+    const unmatched = existingCues.filter(cue => !matchedIds.has(cue.id));
+    return unmatched.find(cue => cue.start_time === imported.start_time) ||
+      unmatched.find(cue => cue.cue_number === imported.cue_number);
+  };
+
+  importedCues.forEach(imported => {
+    const existing = findMatch(imported);
+
+    if (!existing) {
+      created.push(imported);
+      return;
+    }
+
+    matchedIds.add(existing.id);
+    const changes = {};
+    IMPORTED_FIELDS.forEach(field => {
+      // Logic markers can be unnamed - keep the title the cue already has
+      if (field === 'title' && !imported.title) return;
+      if ((existing[field] || '') !== (imported[field] || '')) {
+        changes[field] = { from: existing[field] || null, to: imported[field] };
+      }
+    });
+
+    if (Object.keys(changes).length > 0) {
+      const cue = { ...existing };
+      Object.keys(changes).forEach(field => { cue[field] = changes[field].to; });
+      updated.push({ id: existing.id, cue_number: existing.cue_number, changes, cue });
+    } else {
+      unchanged.push(existing);
+    }
+  });
+
+  // New cues keep their positional number unless a cue the import didn't match already has it
+  let nextNumber = existingCues.length + 1;
+  created.forEach(cue => {
+    if (takenNumbers.has(cue.cue_number)) {
+      while (takenNumbers.has(`1m${nextNumber}`)) nextNumber++;
+      cue.cue_number = `1m${nextNumber}`;
+    }
+    takenNumbers.add(cue.cue_number);
+  });
+
+  return {
+    created,
+    updated,
+    unchanged,
+    summary: {
+      created: created.length,
+      updated: updated.length,
+      unchanged: unchanged.length
+    },
+    fingerprint: fingerprintCueImport(created, updated)
+  };
+}
+
+/**
+ * Fingerprint the changes an import would make, so a commit can check the
+ * project's cues haven't moved since the preview the user confirmed
+ * @param {Array} created - Cues the import would create
+ * @param {Array} updated - {id, changes} for cues the import would update
+ * @returns {string} 32-bit FNV-1a hash as 8 hex digits
+ */
+function fingerprintCueImport(created, updated) {
+  const changes = JSON.stringify([
+    created.map(cue => [cue.cue_number, ...IMPORTED_FIELDS.map(field => cue[field])]),
+    updated.map(({ id, changes: fields }) => [id, fields])
+  ]);
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < changes.length; i++) {
+    hash ^= changes.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function buildCue(index, title, start, end) {
+  return {
+    cue_number: `1m${index + 1}`,
+    title,
+    start_time: start,
+    end_time: end,
+    duration: formatDuration(timeToSeconds(end) - timeToSeconds(start))
+  };
+}
+
+function timeToSeconds(timeStr) {
+  const parts = (timeStr || '').split(':').map(p => parseInt(p) || 0);
+  if (parts.length === 3) return parts[0] * 3600 + parts[1] * 60 + parts[2];
+  if (parts.length === 2) return parts[0] * 60 + parts[1];
+  return 0;
+}
+
+function secondsToTime(seconds) {
+  const hh = Math.floor(seconds / 3600);
+  const mm = Math.floor((seconds % 3600) / 60);
+  const ss = Math.floor(seconds % 60);
+  return `${String(hh).padStart(2, '0')}:${String(mm).padStart(2, '0')}:${String(ss).padStart(2, '0')}`;
+}
+
+// Same MM:SS form cues.html stores
+function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+}
+
+module.exports = {
+  CUE_IMPORT_FORMATS,
+  detectCueImportFormat,
+  parseCueImport,
+  parseProToolsCues,
+  parseLogicProCues,
+  convertLogicCue,
+  diffCueImport
+};
@@ -0,0 +1,316 @@
+/**
+ * Cue Sheet
+ *
+ * Builds PRO cue sheets (ASCAP/BMI/SOCAN style) from a project's cues:
+ * production details, usage codes, composer/publisher splits and timings
+ * rounded the way the societies report them, as JSON, CSV or printable HTML.
+ */
+
+const USAGE_TYPES = {
+  MT: 'Main Title',
+  ET: 'End Title',
+  BI: 'Background Instrumental',
+  BV: 'Background Vocal',
+  VI: 'Visual Instrumental',
+  VV: 'Visual Vocal'
+};
+
+// Most score is underscore - cues without a usage code are reported as BI
+const DEFAULT_USAGE_TYPE = 'BI';
+
+/**
+ * Parse stored composer/publisher splits
+ * @param {string|Array|null} value - JSON text from the database or an array
+ * @returns {Array} [{name, pro, ipi, share}]
+ */
+function parseParties(value) {
+  if (!value) return [];
+
+  let parties = value;
+  if (typeof value === 'string') {
+    try {
+      parties = JSON.parse(value);
+    } catch (e) {
+      return [];
+    }
+  }
+
+  return Array.isArray(parties) ? parties.filter(party => party && party.name) : [];
+}
+
+/**
+ * Validate composer/publisher splits for storage
+ * @param {Array|string|null|undefined} value - Array of {name, pro, ipi, share}
+ * @returns {string|null|undefined} JSON text, null to clear, undefined when not given
+ * @throws {Error} When the splits are malformed
+ */
+function serializeParties(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+
+  const parties = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(parties)) {
+    throw new Error('Composers and publishers must be arrays');
+  }
+
+  return JSON.stringify(parties.map(party => {
+    const name = String(party?.name || '').trim();
+    const share = Number(party?.share);
+    if (!name) throw new Error('Every composer and publisher needs a name');
+    if (!Number.isFinite(share) || share < 0 || share > 100) {
+      throw new Error(`Share for ${name} must be a percentage between 0 and 100`);
+    }
+
+    return {
+      name,
+      pro: String(party.pro || '').trim().toUpperCase(),
+      ipi: String(party.ipi || '').trim(),
+      share
+    };
+  }));
+}
+
+/**
+ * Convert "HH:MM:SS" or "HH:MM:SS:FF" to seconds
+ * @returns {number|null} Seconds, or null for an empty or malformed time
+ */
+function timeToSeconds(time, fps) {
+  const match = /^(\d{1,2}):(\d{2}):(\d{2})(?:[:;](\d{2}))?$/.exec((time || '').trim());
+  if (!match) return null;
+
+  const [, hours, minutes, seconds, frames = '0'] = match;
+  return parseInt(hours) * 3600 + parseInt(minutes) * 60 + parseInt(seconds) + parseInt(frames) / fps;
+}
+
+/**
+ * Round a cue's length the way PROs report it: any part of a second counts
+ * as a whole second, and a cue is never shorter than one second
+ * @param {number} seconds - Exact length
+ * @returns {number} Whole seconds
+ */
+function roundCueSeconds(seconds) {
+  return Math.max(1, Math.ceil(seconds - 1e-6));
+}
+
+/**
+ * Format whole seconds as the M:SS durations cue sheets use
+ */
+function formatCueDuration(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function sumShares(parties) {
+  return Math.round(parties.reduce((sum, party) => sum + (Number(party.share) || 0), 0) * 100) / 100;
+}
+
+/**
+ * Build a cue sheet
+ * @param {Object} project - Project row (name, production_title, episode_title, episode_number, composers, publishers)
+ * @param {Array} cues - Cue rows from cueQueries.findByProject
+ * @param {Object} [options] - {fps = 24} frame rate for times that carry frames
+ * @returns {Object} {production, cues, totals, warnings}
+ */
+function buildCueSheet(project, cues, options = {}) {
+  const { fps = 24 } = options;
+  const defaultComposers = parseParties(project.composers);
+  const defaultPublishers = parseParties(project.publishers);
+  const warnings = [];
+
+  const timedCues = [];
+  cues.forEach(cue => {
+    const start = timeToSeconds(cue.start_time, fps);
+    const end = timeToSeconds(cue.end_time, fps);
+    if (start === null || end === null || end <= start) {
+      warnings.push(`${cue.cue_number}: left off the cue sheet - needs a start and end time`);
+      return;
+    }
+    timedCues.push({ cue, start, end });
+  });
+
+  // Cue sheets list music in program order
+  timedCues.sort((a, b) => a.start - b.start);
+
+  const sheetCues = timedCues.map(({ cue, start, end }, index) => {
+    const usage = USAGE_TYPES[cue.usage_type] ? cue.usage_type : DEFAULT_USAGE_TYPE;
+    if (!cue.usage_type) {
+      warnings.push(`${cue.cue_number}: no usage type, reported as ${DEFAULT_USAGE_TYPE}`);
+    } else if (!USAGE_TYPES[cue.usage_type]) {
+      warnings.push(`${cue.cue_number}: unknown usage type "${cue.usage_type}", reported as ${DEFAULT_USAGE_TYPE}`);
+    }
+
+    const cueComposers = parseParties(cue.composers);
+    const cuePublishers = parseParties(cue.publishers);
+    const composers = cueComposers.length > 0 ? cueComposers : defaultComposers;
+    const publishers = cuePublishers.length > 0 ? cuePublishers : defaultPublishers;
+
+    if (composers.length === 0) {
+      warnings.push(`${cue.cue_number}: no composers`);
+    } else if (sumShares(composers) !== 100) {
+      warnings.push(`${cue.cue_number}: composer shares add up to ${sumShares(composers)}%, not 100%`);
+    }
+    if (publishers.length > 0 && sumShares(publishers) !== 100) {
+      warnings.push(`${cue.cue_number}: publisher shares add up to ${sumShares(publishers)}%, not 100%`);
+    }
+    [...composers, ...publishers].filter(party => !party.pro).forEach(party => {
+      warnings.push(`${cue.cue_number}: ${party.name} has no PRO affiliation`);
+    });
+
+    const durationSeconds = roundCueSeconds(end - start);
+    return {
+      sequence: index + 1,
+      cueNumber: cue.cue_number,
+      title: cue.title || '',
+      usage,
+      usageLabel: USAGE_TYPES[usage],
+      startTime: cue.start_time,
+      endTime: cue.end_time,
+      durationSeconds,
+      duration: formatCueDuration(durationSeconds),
+      composers,
+      publishers
+    };
+  });
+
+  const byUsage = {};
+  sheetCues.forEach(cue => {
+    byUsage[cue.usage] = (byUsage[cue.usage] || 0) + cue.durationSeconds;
+  });
+  const totalSeconds = sheetCues.reduce((sum, cue) => sum + cue.durationSeconds, 0);
+
+  return {
+    production: {
+      title: project.production_title || project.name,
+      episodeTitle: project.episode_title || '',
+      episodeNumber: project.episode_number || ''
+    },
+    cues: sheetCues,
+    totals: {
+      cues: sheetCues.length,
+      durationSeconds: totalSeconds,
+      duration: formatCueDuration(totalSeconds),
+      byUsage: Object.fromEntries(Object.entries(byUsage).map(([usage, seconds]) => [usage, formatCueDuration(seconds)]))
+    },
+    warnings: [...new Set(warnings)]
+  };
+}
+
+function formatParty(party) {
+  return `${party.name}${party.pro ? ` (${party.pro})` : ''}${party.ipi ? ` IPI ${party.ipi}` : ''} ${party.share}%`;
+}
+
+function escapeCSV(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Format a cue sheet as CSV: production details, then one row per cue
+ * @param {Object} sheet - From buildCueSheet()
+ * @returns {string} CSV content
+ */
+function formatCueSheetCSV(sheet) {
+  const rows = [
+    ['Production Title', sheet.production.title],
+    ['Episode Title', sheet.production.episodeTitle],
+    ['Episode Number', sheet.production.episodeNumber],
+    ['Total Music', sheet.totals.duration],
+    [],
+    ['Seq', 'Cue #', 'Title', 'Usage', 'Timing In', 'Timing Out', 'Duration', 'Composers', 'Publishers'],
+    ...sheet.cues.map(cue => [
+      cue.sequence,
+      cue.cueNumber,
+      cue.title,
+      cue.usage,
+      cue.startTime,
+      cue.endTime,
+      cue.duration,
+      cue.composers.map(formatParty).join('; '),
+      cue.publishers.map(formatParty).join('; ')
+    ])
+  ];
+
+  return rows.map(row => row.map(escapeCSV).join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeHTML(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a cue sheet as a printable HTML page (print to PDF from the browser)
+ * @param {Object} sheet - From buildCueSheet()
+ * @returns {string} HTML document
+ */
+function formatCueSheetHTML(sheet) {
+  const { production, totals } = sheet;
+  const partyList = parties => parties.map(party => `<div>${escapeHTML(formatParty(party))}</div>`).join('');
+  const episode = [production.episodeNumber, production.episodeTitle].filter(Boolean).join(' - ');
+
+  const rows = sheet.cues.map(cue => `
+        <tr>
+          <td>${cue.sequence}</td>
+          <td>${escapeHTML(cue.cueNumber)}</td>
+          <td>${escapeHTML(cue.title)}</td>
+          <td title="${escapeHTML(cue.usageLabel)}">${cue.usage}</td>
+          <td>${escapeHTML(cue.startTime)}</td>
+          <td>${escapeHTML(cue.endTime)}</td>
+          <td>${cue.duration}</td>
+          <td>${partyList(cue.composers)}</td>
+          <td>${partyList(cue.publishers)}</td>
+        </tr>`).join('');
+
+  const usageTotals = Object.entries(totals.byUsage)
+    .map(([usage, duration]) => `${usage} ${duration}`)
+    .join(' &middot; ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Cue Sheet - ${escapeHTML(production.title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; font-size: 11px; color: #222; margin: 2rem; }
+    h1 { font-size: 18px; margin: 0 0 0.25rem; }
+    .meta { margin-bottom: 1rem; color: #555; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { border: 1px solid #ccc; padding: 4px 6px; text-align: left; vertical-align: top; }
+    th { background: #f2f2f2; }
+    .totals { margin-top: 1rem; }
+    .legend { margin-top: 0.5rem; color: #777; }
+    .print-button { margin-bottom: 1rem; }
+    @media print { .print-button { display: none; } body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <button class="print-button" onclick="window.print()">print / save as PDF</button>
+  <h1>${escapeHTML(production.title)}</h1>
+  <div class="meta">${episode ? `${escapeHTML(episode)} &middot; ` : ''}Music Cue Sheet</div>
+  <table>
+    <thead>
+      <tr>
+        <th>Seq</th><th>Cue #</th><th>Title</th><th>Usage</th><th>In</th><th>Out</th><th>Duration</th><th>Composers</th><th>Publishers</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <div class="totals">${totals.cues} cues &middot; total music ${totals.duration}${usageTotals ? ` (${usageTotals})` : ''}</div>
+  <div class="legend">${Object.entries(USAGE_TYPES).map(([code, label]) => `${code} ${label}`).join(' &middot; ')}</div>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  USAGE_TYPES,
+  parseParties,
+  serializeParties,
+  roundCueSeconds,
+  buildCueSheet,
+  formatCueSheetCSV,
+  formatCueSheetHTML
+};
@@ -0,0 +1,281 @@
+/**
+ * Estimate Acceptance
+ *
+ * Signed acceptance of a shared estimate: the terms the client agrees to,
+ * validation of the drawn signature, the snapshot of what they saw, and the
+ * signed PDF that gets filed with the project. The PDF is written by hand -
+ * one or more Letter pages of Helvetica text with the signature embedded as
+ * a JPEG - so no PDF library is needed.
+ */
+
+const { DEFAULT_ESTIMATE_TERMS } = require('./estimate-pricing');
+
+// The signature pad posts a JPEG; keep it well under the JSON body limit
+const MAX_SIGNATURE_BYTES = 64 * 1024;
+
+/**
+ * Validate a drawn signature
+ * @param {string} dataUrl - "data:image/jpeg;base64,..." from the signature pad
+ * @returns {Object} {data, width, height, components} - JPEG bytes and dimensions
+ * @throws {Error} When the signature is missing, too large or not a JPEG
+ */
+function parseSignature(dataUrl) {
+  const match = /^data:image\/jpeg;base64,([A-Za-z0-9+/=]+)$/.exec(String(dataUrl || ''));
+  if (!match) throw new Error('Please sign in the signature box');
+
+  const data = Buffer.from(match[1], 'base64');
+  if (data.length > MAX_SIGNATURE_BYTES) throw new Error('Signature image is too large');
+  if (data[0] !== 0xff || data[1] !== 0xd8) throw new Error('Signature must be a JPEG image');
+
+  // Walk the JPEG markers to the frame header, which holds the dimensions
+  let offset = 2;
+  while (offset + 9 < data.length) {
+    if (data[offset] !== 0xff) break;
+    const marker = data[offset + 1];
+    const length = data.readUInt16BE(offset + 2);
+    if (marker >= 0xc0 && marker <= 0xc2) {
+      const height = data.readUInt16BE(offset + 5);
+      const width = data.readUInt16BE(offset + 7);
+      const components = data[offset + 9];
+      if (!width || !height) break;
+      return { data, width, height, components };
+    }
+    offset += 2 + length;
+  }
+
+  throw new Error('Signature image could not be read');
+}
+
+/**
+ * Snapshot of exactly what the client accepted, stored with the signature
+ * @param {Object} estimate - Row from estimateQueries.getWithProject
+ * @param {Object} option - Option from parseEstimateOption()
+ * @returns {Object} {estimate, option, terms}
+ */
+function buildAcceptanceSnapshot(estimate, option) {
+  return {
+    estimate: {
+      id: estimate.id,
+      project_name: estimate.project_name,
+      client_name: estimate.client_name,
+      created_at: estimate.created_at,
+      rate_card_id: estimate.rate_card_id,
+      rate_card_version: estimate.rate_card_version
+    },
+    option: {
+      id: option.id,
+      name: option.name,
+      line_items: option.line_items,
+      music_minutes: option.music_minutes,
+      post_days: option.post_days,
+      rush: option.rush,
+      discount_amount: option.discount_amount,
+      total_cost: option.total_cost
+    },
+    terms: estimate.terms || DEFAULT_ESTIMATE_TERMS
+  };
+}
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 54;
+
+// Helvetica advance widths (1/1000 em) for the characters amounts are made of
+const CHAR_WIDTHS = { '$': 556, ',': 278, '.': 278, '-': 333, ' ': 278 };
+
+function textWidth(text, size) {
+  return [...text].reduce((sum, char) => sum + (CHAR_WIDTHS[char] || (/\d/.test(char) ? 556 : 520)), 0) * size / 1000;
+}
+
+function formatMoney(amount) {
+  return '$' + Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// PDF strings use WinAnsi: swap typographic punctuation, drop anything else outside Latin-1
+function pdfString(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+}
+
+function wrapText(text, size, width) {
+  const maxChars = Math.max(1, Math.floor(width / (size * 0.5)));
+  const lines = [];
+  String(text || '').split(/\r?\n/).forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      if (line && (line + ' ' + word).length > maxChars) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+/**
+ * Build the signed estimate PDF
+ * @param {Object} acceptance - {snapshot, accepted_by, accepted_at, ip_address, snapshot_hash}
+ * @param {Object} [signature] - From parseSignature()
+ * @returns {Buffer} PDF document
+ */
+function formatAcceptancePDF(acceptance, signature) {
+  const { estimate, option, terms } = acceptance.snapshot;
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  const ensureSpace = height => {
+    if (y - height < MARGIN) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+  };
+  const draw = command => pages[pages.length - 1].push(command);
+  const text = (value, x, size, bold = false) => {
+    draw(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td (${pdfString(value)}) Tj ET`);
+  };
+  const textRight = (value, size, bold = false) => {
+    text(value, PAGE_WIDTH - MARGIN - textWidth(String(value), size), size, bold);
+  };
+  const rule = () => draw(`0.8 G 0.5 w ${MARGIN} ${y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${y.toFixed(2)} l S 0 G`);
+  const paragraph = (value, size, indent = 0) => {
+    wrapText(value, size, PAGE_WIDTH - MARGIN * 2 - indent).forEach(line => {
+      ensureSpace(size * 1.4);
+      text(line, MARGIN + indent, size);
+      y -= size * 1.4;
+    });
+  };
+
+  text('Alternatone', MARGIN, 20, true);
+  y -= 24;
+  text('Signed Estimate', MARGIN, 12);
+  y -= 30;
+
+  text(estimate.project_name || 'Project', MARGIN, 14, true);
+  y -= 18;
+  if (estimate.client_name) {
+    text(`Client: ${estimate.client_name}`, MARGIN, 10);
+    y -= 14;
+  }
+  text(`Estimate #${estimate.id}${estimate.created_at ? ` - prepared ${String(estimate.created_at).slice(0, 10)}` : ''}`, MARGIN, 10);
+  y -= 28;
+
+  text(`Accepted option: ${option.name}`, MARGIN, 12, true);
+  y -= 10;
+  rule();
+  y -= 16;
+
+  option.line_items.forEach(item => {
+    const lines = wrapText(item.description, 10, PAGE_WIDTH - MARGIN * 2 - 110);
+    ensureSpace(lines.length * 14);
+    textRight(formatMoney(item.amount), 10);
+    lines.forEach(line => {
+      text(line, MARGIN, 10);
+      y -= 14;
+    });
+  });
+  if (option.discount_amount > 0) {
+    ensureSpace(14);
+    text('Bundle discount (included)', MARGIN, 10);
+    textRight(`-${formatMoney(option.discount_amount)}`, 10);
+    y -= 14;
+  }
+
+  ensureSpace(30);
+  y += 4;
+  rule();
+  y -= 16;
+  text('Total', MARGIN, 12, true);
+  textRight(formatMoney(option.total_cost), 12, true);
+  y -= 32;
+
+  ensureSpace(40);
+  text('Terms', MARGIN, 12, true);
+  y -= 18;
+  paragraph(terms, 10);
+  y -= 18;
+
+  // Signature block stays on one page
+  const sigHeight = signature ? Math.min(80, 200 * signature.height / signature.width) : 0;
+  const sigWidth = signature ? sigHeight * signature.width / signature.height : 0;
+  ensureSpace(sigHeight + 90);
+
+  text('Accepted and signed by', MARGIN, 12, true);
+  y -= 10;
+  if (signature) {
+    y -= sigHeight;
+    draw(`q ${sigWidth.toFixed(2)} 0 0 ${sigHeight.toFixed(2)} ${MARGIN} ${y.toFixed(2)} cm /Sig Do Q`);
+    y -= 6;
+  }
+  rule();
+  y -= 14;
+  text(acceptance.accepted_by, MARGIN, 10);
+  y -= 14;
+  text(`Signed ${acceptance.accepted_at} UTC from ${acceptance.ip_address || 'unknown address'}`, MARGIN, 8);
+  y -= 11;
+  if (acceptance.snapshot_hash) {
+    text(`Document SHA-256: ${acceptance.snapshot_hash}`, MARGIN, 8);
+  }
+
+  // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 signature, then a page and content stream per page
+  const objects = [];
+  const pageIds = pages.map((_, index) => 6 + index * 2);
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+  objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+  objects[5] = signature
+    ? [
+      Buffer.from(`<< /Type /XObject /Subtype /Image /Width ${signature.width} /Height ${signature.height} ` +
+        `/ColorSpace /${signature.components === 1 ? 'DeviceGray' : 'DeviceRGB'} /BitsPerComponent 8 ` +
+        `/Filter /DCTDecode /Length ${signature.data.length} >>\nstream\n`, 'latin1'),
+      signature.data,
+      Buffer.from('\nendstream', 'latin1')
+    ]
+    : '<< >>';
+
+  pages.forEach((commands, index) => {
+    const content = commands.join('\n');
+    objects[pageIds[index]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >>${signature ? ' /XObject << /Sig 5 0 R >>' : ''} >> ` +
+      `/Contents ${pageIds[index] + 1} 0 R >>`;
+    objects[pageIds[index] + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+  });
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let length = chunks[0].length;
+  const offsets = [];
+  const push = chunk => {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, 'latin1');
+    chunks.push(buffer);
+    length += buffer.length;
+  };
+
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = length;
+    push(`${id} 0 obj\n`);
+    [].concat(objects[id]).forEach(push);
+    push('\nendobj\n');
+  }
+
+  const xrefOffset = length;
+  push(`xref\n0 ${objects.length}\n0000000000 65535 f \n`);
+  for (let id = 1; id < objects.length; id++) {
+    push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  push(`trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  parseSignature,
+  buildAcceptanceSnapshot,
+  formatAcceptancePDF
+};
@@ -0,0 +1,203 @@
+/**
+ * Estimate Pricing
+ *
+ * Prices an estimate from its scope inputs and a rate card: music and post
+ * line items, post-day rounding, rush multiplier, bundle discount and tax
+ * reserve - for a single scope or each option of a multi-option estimate.
+ * The Express routes and the Cloudflare functions both price with
+ * this module, so totals never come from the browser.
+ */
+
+const { normalizeRates } = require('./rate-cards');
+
+// Post work billed from logged hours, each at its own day rate
+const POST_SERVICES = [
+  { field: 'dialogue_hours', rate: 'dialogue_per_day', label: 'Dialogue' },
+  { field: 'sound_design_hours', rate: 'sound_design_per_day', label: 'Sound design' },
+  { field: 'mix_hours', rate: 'mix_per_day', label: 'Mix' },
+  { field: 'revision_hours', rate: 'revisions_per_day', label: 'Revisions' }
+];
+
+// Composition pace used for the timeline: two finished minutes a day
+const MUSIC_MINUTES_PER_DAY = 2;
+
+// Terms the estimate form starts with, and the fallback when an estimate was sent without its own
+const DEFAULT_ESTIMATE_TERMS = 'Payment terms: Net 15. Additional revisions beyond the estimated scope ' +
+  'will be billed starting at my half day rate.';
+
+/**
+ * Round hours up to the next half day
+ * @param {number} hours - Total hours
+ * @param {number} [hoursPerDay] - Length of a billed day
+ * @returns {number} Days in 0.5 steps
+ */
+function roundToHalfDay(hours, hoursPerDay = 8) {
+  return Math.ceil(hours / (hoursPerDay / 2)) * 0.5;
+}
+
+function toQuantity(value, field) {
+  if (value === undefined || value === null || value === '') return 0;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`${field} must be a number of 0 or more`);
+  }
+  return number;
+}
+
+function roundHundredths(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Price an estimate
+ * @param {Object} scope - {runtime, music_coverage, music_minutes, dialogue_hours,
+ *   sound_design_hours, mix_hours, revision_hours, bundle_discount, rush}.
+ *   Music minutes come from runtime × music_coverage% when a coverage is given.
+ *   bundle_discount defaults to on; it only applies when music and post are both billed.
+ * @param {Object|string} rates - Rate card rates (see rate-cards.js)
+ * @returns {Object} Breakdown with estimate column names plus line_items and timeline
+ * @throws {Error} When an input is negative or the rush tier isn't on the card
+ */
+function priceEstimate(scope, rates) {
+  const cardRates = normalizeRates(rates);
+  const runtime = toQuantity(scope.runtime, 'runtime');
+  const hasCoverage = scope.music_coverage !== undefined && scope.music_coverage !== null && scope.music_coverage !== '';
+  const musicMinutes = hasCoverage
+    ? runtime * toQuantity(scope.music_coverage, 'music_coverage') / 100
+    : toQuantity(scope.music_minutes, 'music_minutes');
+
+  const rush = String(scope.rush || '').trim().toLowerCase() || null;
+  if (rush && !cardRates.rush_multipliers[rush]) {
+    throw new Error(`Unknown rush tier "${rush}"`);
+  }
+  const rushMultiplier = rush ? cardRates.rush_multipliers[rush] : 1;
+
+  const musicCost = musicMinutes * cardRates.music_per_minute * rushMultiplier;
+
+  const postServices = POST_SERVICES.map(service => ({
+    ...service,
+    hours: toQuantity(scope[service.field], service.field),
+    dayRate: cardRates[service.rate]
+  }));
+  const totalPostHours = postServices.reduce((sum, service) => sum + service.hours, 0);
+  const postDays = roundToHalfDay(totalPostHours, cardRates.hours_per_day);
+  // Days are rounded across all post work and billed at the hours-weighted day rate
+  const postDayRate = totalPostHours > 0
+    ? postServices.reduce((sum, service) => sum + service.hours * service.dayRate, 0) / totalPostHours
+    : cardRates.post_per_day;
+  const postCost = postDays * postDayRate * rushMultiplier;
+
+  const subtotal = musicCost + postCost;
+  const bundleDiscount = scope.bundle_discount !== false && scope.bundle_discount !== 0 &&
+    musicCost > 0 && postCost > 0;
+  const discountAmount = bundleDiscount ? subtotal * cardRates.bundle_discount : 0;
+  const totalCost = subtotal - discountAmount;
+  const estimatedTaxes = totalCost * cardRates.tax_rate;
+
+  const lineItems = [];
+  if (musicCost > 0) {
+    lineItems.push({
+      description: `Music Composition (${roundHundredths(musicMinutes)} minutes)`,
+      quantity: roundHundredths(musicMinutes),
+      unit: 'minute',
+      rate: roundHundredths(cardRates.music_per_minute * rushMultiplier),
+      amount: roundHundredths(musicCost)
+    });
+  }
+  if (postCost > 0) {
+    lineItems.push({
+      description: `Post-Production Audio (${postDays} days: ${postServices
+        .filter(service => service.hours > 0)
+        .map(service => `${service.label.toLowerCase()} ${service.hours}h`)
+        .join(', ')})`,
+      quantity: postDays,
+      unit: 'day',
+      rate: roundHundredths(postDayRate * rushMultiplier),
+      amount: roundHundredths(postCost)
+    });
+  }
+
+  const musicDays = musicMinutes > 0 ? Math.ceil(musicMinutes / MUSIC_MINUTES_PER_DAY) : 0;
+
+  return {
+    runtime,
+    music_minutes: roundHundredths(musicMinutes),
+    dialogue_hours: postServices[0].hours,
+    sound_design_hours: postServices[1].hours,
+    mix_hours: postServices[2].hours,
+    revision_hours: postServices[3].hours,
+    total_post_hours: totalPostHours,
+    post_days: postDays,
+    post_day_rate: roundHundredths(postDayRate),
+    rush,
+    rush_multiplier: rushMultiplier,
+    music_cost: roundHundredths(musicCost),
+    post_cost: roundHundredths(postCost),
+    subtotal: roundHundredths(subtotal),
+    bundle_discount: bundleDiscount,
+    bundle_discount_rate: cardRates.bundle_discount,
+    discount_amount: roundHundredths(discountAmount),
+    total_cost: roundHundredths(totalCost),
+    tax_rate: cardRates.tax_rate,
+    estimated_taxes: roundHundredths(estimatedTaxes),
+    net_after_taxes: roundHundredths(totalCost - estimatedTaxes),
+    line_items: lineItems,
+    timeline: {
+      music_days: musicDays,
+      post_days: postDays,
+      total_days: musicDays + postDays
+    }
+  };
+}
+
+/**
+ * Price the named options of a multi-option estimate
+ * @param {Array} options - [{name, ...scope}] in the order the client sees them
+ * @param {Object|string} rates - Rate card rates
+ * @returns {Array} [{name, position, ...priceEstimate()}]
+ * @throws {Error} When an option has no name, names repeat, or a scope doesn't price
+ */
+function priceEstimateOptions(options, rates) {
+  if (!Array.isArray(options) || options.length === 0) {
+    throw new Error('At least one option is required');
+  }
+
+  const names = new Set();
+  return options.map((option, index) => {
+    const name = String(option?.name || '').trim();
+    if (!name) throw new Error(`Option ${index + 1} needs a name`);
+    if (names.has(name.toLowerCase())) throw new Error(`Option names must be unique ("${name}")`);
+    names.add(name.toLowerCase());
+
+    try {
+      return { name, position: index, ...priceEstimate(option, rates) };
+    } catch (error) {
+      throw new Error(`${name}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Turn an estimate_options row into its API shape
+ * @param {Object} row - estimate_options row (line_items as JSON text)
+ * @returns {Object} Option with parsed line items
+ */
+function parseEstimateOption(row) {
+  let lineItems = [];
+  try {
+    lineItems = row.line_items ? JSON.parse(row.line_items) : [];
+  } catch (e) {
+    lineItems = [];
+  }
+
+  return { ...row, bundle_discount: !!row.bundle_discount, line_items: lineItems };
+}
+
+module.exports = {
+  POST_SERVICES,
+  DEFAULT_ESTIMATE_TERMS,
+  roundToHalfDay,
+  priceEstimate,
+  priceEstimateOptions,
+  parseEstimateOption
+};
@@ -0,0 +1,31 @@
+/**
+ * Frame Rates
+ *
+ * Timecode frame rates with drop-frame support, keyed the way sessions and
+ * projects store them. NoteMarker's TimecodeCalculator, the spotting notes
+ * parser and the cue sheet settings all read this one table.
+ */
+
+const FRAME_RATES = {
+  '23.976': { fps: 23.976, dropFrame: false, framesPerSecond: 24 },
+  '23.98': { fps: 23.976, dropFrame: false, framesPerSecond: 24 },
+  '24': { fps: 24, dropFrame: false, framesPerSecond: 24 },
+  '25': { fps: 25, dropFrame: false, framesPerSecond: 25 },
+  '29.97': { fps: 29.97, dropFrame: false, framesPerSecond: 30 },
+  '29.97drop': { fps: 29.97, dropFrame: true, framesPerSecond: 30 },
+  '30': { fps: 30, dropFrame: false, framesPerSecond: 30 },
+  '50': { fps: 50, dropFrame: false, framesPerSecond: 50 },
+  '59.94': { fps: 59.94, dropFrame: false, framesPerSecond: 60 },
+  '59.94drop': { fps: 59.94, dropFrame: true, framesPerSecond: 60 },
+  '60': { fps: 60, dropFrame: false, framesPerSecond: 60 },
+  '47.952': { fps: 47.952, dropFrame: false, framesPerSecond: 48 },
+  '48': { fps: 48, dropFrame: false, framesPerSecond: 48 },
+  '100': { fps: 100, dropFrame: false, framesPerSecond: 100 },
+  '119.88': { fps: 119.88, dropFrame: false, framesPerSecond: 120 },
+  '119.88drop': { fps: 119.88, dropFrame: true, framesPerSecond: 120 },
+  '120': { fps: 120, dropFrame: false, framesPerSecond: 120 }
+};
+
+module.exports = {
+  FRAME_RATES
+};
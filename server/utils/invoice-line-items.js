@@ -0,0 +1,178 @@
+/**
+ * Invoice Line Items
+ *
+ * Validates structured invoice line items and derives the invoice amount
+ * from them, so an invoice's total can't drift from its items. Each item is
+ * tagged with a service type for revenue reporting and can name the work it
+ * bills: an estimate, an hours_log entry, a billable comment or a delivered
+ * file.
+ */
+
+// What a line item can bill for (source_type), each pointing at a row by source_id
+const LINE_ITEM_SOURCES = ['estimate', 'hours_log', 'comment', 'deliverable'];
+
+// Finds the project a source row belongs to, so an invoice only bills its own project's work.
+// A deliverable is a delivered file.
+const SOURCE_PROJECT_SQL = {
+  estimate: 'SELECT project_id FROM estimates WHERE id = ?',
+  hours_log: 'SELECT project_id FROM hours_log WHERE id = ?',
+  comment: 'SELECT f.project_id FROM comments c JOIN files f ON f.id = c.file_id WHERE c.id = ?',
+  deliverable: 'SELECT project_id FROM files WHERE id = ?'
+};
+
+// Service types revenue is reported by
+const SERVICE_TYPES = [
+  'music', 'post', 'dialogue', 'sound_design', 'mix', 'revisions',
+  'discount', 'adjustment', 'expense', 'other'
+];
+
+function roundHundredths(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Guess an item's service type from its description (items saved before service types existed)
+ * @param {string} description - Line item description
+ * @returns {string} One of SERVICE_TYPES
+ */
+function inferServiceType(description) {
+  const text = String(description || '').toLowerCase();
+  // Post lines list their dialogue/mix hours, so post is matched before its parts
+  if (text.includes('music')) return 'music';
+  if (text.includes('post')) return 'post';
+  if (text.includes('discount')) return 'discount';
+  if (text.includes('dialog')) return 'dialogue';
+  if (text.includes('sound design')) return 'sound_design';
+  if (text.includes('mix')) return 'mix';
+  if (text.includes('revision')) return 'revisions';
+  return 'other';
+}
+
+/**
+ * Validate line items for storage
+ * @param {Array|string} value - [{description, quantity, unit, unit_rate, taxable, service_type,
+ *   source_type, source_id}] or JSON text. `rate` is accepted for unit_rate, and an item
+ *   with only an amount is billed as one unit of that amount.
+ * @returns {Array} Items with amount (quantity × unit_rate) and sort_order in the given order
+ * @throws {Error} When an item is malformed
+ */
+function normalizeLineItems(value) {
+  const items = typeof value === 'string' ? JSON.parse(value || '[]') : (value || []);
+  if (!Array.isArray(items)) {
+    throw new Error('line_items must be an array');
+  }
+
+  return items.map((item, index) => {
+    const label = `Line item ${index + 1}`;
+    const description = String(item?.description || '').trim();
+    if (!description) throw new Error(`${label} needs a description`);
+
+    const hasQuantity = item.quantity !== undefined && item.quantity !== null && item.quantity !== '';
+    const quantity = hasQuantity ? Number(item.quantity) : 1;
+    if (!Number.isFinite(quantity) || quantity < 0) {
+      throw new Error(`${label}: quantity must be a number of 0 or more`);
+    }
+
+    const rate = item.unit_rate ?? item.rate;
+    const hasRate = rate !== undefined && rate !== null && rate !== '';
+    const unitRate = hasRate ? Number(rate) : (quantity ? Number(item.amount || 0) / quantity : 0);
+    if (!Number.isFinite(unitRate)) {
+      throw new Error(`${label}: unit_rate must be a number`);
+    }
+
+    const serviceType = item.service_type
+      ? String(item.service_type).trim().toLowerCase()
+      : inferServiceType(description);
+    if (!SERVICE_TYPES.includes(serviceType)) {
+      throw new Error(`${label}: service_type must be one of ${SERVICE_TYPES.join(', ')}`);
+    }
+
+    const sourceType = item.source_type || null;
+    if (sourceType && !LINE_ITEM_SOURCES.includes(sourceType)) {
+      throw new Error(`${label}: source_type must be one of ${LINE_ITEM_SOURCES.join(', ')}`);
+    }
+    const sourceId = sourceType ? parseInt(item.source_id) : null;
+    if (sourceType && !sourceId) {
+      throw new Error(`${label}: source_id required for a ${sourceType} source`);
+    }
+
+    return {
+      description,
+      quantity,
+      unit: item.unit ? String(item.unit).trim() : null,
+      unit_rate: unitRate,
+      amount: roundHundredths(quantity * unitRate),
+      taxable: item.taxable !== false && item.taxable !== 0,
+      service_type: serviceType,
+      source_type: sourceType,
+      source_id: sourceId,
+      sort_order: index
+    };
+  });
+}
+
+/**
+ * Derive an invoice's amounts from its line items
+ * @param {Array} items - Normalized or stored line items
+ * @param {number} [depositPercentage] - Deposit invoices bill this share of the items
+ * @returns {Object} {subtotal, taxable_subtotal, amount, deposit_amount, final_amount} -
+ *   amount is what this invoice bills; final_amount is the full value of the items
+ */
+function invoiceTotals(items, depositPercentage = 0) {
+  const subtotal = roundHundredths(items.reduce((sum, item) => sum + Number(item.amount || 0), 0));
+  const taxableSubtotal = roundHundredths(items
+    .filter(item => item.taxable)
+    .reduce((sum, item) => sum + Number(item.amount || 0), 0));
+  const isDeposit = Number(depositPercentage) > 0;
+  const amount = roundHundredths(isDeposit ? subtotal * Number(depositPercentage) / 100 : subtotal);
+
+  return {
+    subtotal,
+    taxable_subtotal: taxableSubtotal,
+    amount,
+    deposit_amount: isDeposit ? amount : 0,
+    final_amount: subtotal
+  };
+}
+
+/**
+ * Check whether a failed insert was an hours_log entry or comment that's already on an invoice
+ * @param {Error} error - Error from the database
+ * @returns {boolean}
+ */
+function isAlreadyBilledError(error) {
+  return /UNIQUE constraint failed: invoice_line_items\./.test(error?.message || '');
+}
+
+/**
+ * Turn an invoice row with line_items_json (see the invoice queries) into its API shape
+ * @param {Object} row - Invoice row
+ * @returns {Object} Invoice with a line_items array
+ */
+function parseInvoiceRow(row) {
+  if (!row) return row;
+
+  const { line_items_json, ...invoice } = row;
+  let lineItems = [];
+  try {
+    lineItems = JSON.parse(line_items_json || '[]');
+  } catch (e) {
+    lineItems = [];
+  }
+
+  return {
+    ...invoice,
+    line_items: lineItems.map(item => ({ ...item, taxable: !!item.taxable }))
+  };
+}
+
+module.exports = {
+  LINE_ITEM_SOURCES,
+  SOURCE_PROJECT_SQL,
+  SERVICE_TYPES,
+  inferServiceType,
+  normalizeLineItems,
+  invoiceTotals,
+  isAlreadyBilledError,
+  parseInvoiceRow
+};
@@ -0,0 +1,136 @@
+/**
+ * Rate Cards
+ *
+ * Named sets of per-service rates that price estimates and invoices. Cards are
+ * versioned: every change to a card's rates is snapshotted so an estimate can
+ * always be traced back to the exact rates that priced it.
+ */
+
+// The studio's standard rates - seeds the default card
+const DEFAULT_RATES = {
+  music_per_minute: 150,
+  post_per_day: 500,
+  dialogue_per_day: 500,
+  sound_design_per_day: 500,
+  mix_per_day: 500,
+  revisions_per_day: 500,
+  hours_per_day: 8,
+  bundle_discount: 0.1,
+  tax_rate: 0.3,
+  rush_multipliers: { rush: 1.5 }
+};
+
+const CURRENCY_FIELDS = [
+  'music_per_minute', 'post_per_day', 'dialogue_per_day',
+  'sound_design_per_day', 'mix_per_day', 'revisions_per_day'
+];
+
+// Fractions of the subtotal, not amounts
+const FRACTION_FIELDS = ['bundle_discount', 'tax_rate'];
+
+/**
+ * Validate rates for storage, filling anything missing from DEFAULT_RATES
+ * @param {Object|string} value - Rates object or JSON text
+ * @returns {Object} Complete rates
+ * @throws {Error} When a rate is negative or not a number
+ */
+function normalizeRates(value) {
+  const input = typeof value === 'string' ? JSON.parse(value) : (value || {});
+  const rates = { ...DEFAULT_RATES, ...input };
+
+  CURRENCY_FIELDS.forEach(field => {
+    rates[field] = Number(rates[field]);
+    if (!Number.isFinite(rates[field]) || rates[field] < 0) {
+      throw new Error(`${field} must be a positive amount`);
+    }
+  });
+
+  FRACTION_FIELDS.forEach(field => {
+    rates[field] = Number(rates[field]);
+    if (!Number.isFinite(rates[field]) || rates[field] < 0 || rates[field] >= 1) {
+      throw new Error(`${field} must be a fraction between 0 and 1`);
+    }
+  });
+
+  rates.hours_per_day = Number(rates.hours_per_day);
+  if (!Number.isFinite(rates.hours_per_day) || rates.hours_per_day <= 0) {
+    throw new Error('hours_per_day must be greater than 0');
+  }
+
+  const multipliers = {};
+  Object.entries(rates.rush_multipliers || {}).forEach(([name, multiplier]) => {
+    const key = String(name).trim().toLowerCase();
+    const factor = Number(multiplier);
+    if (!key) return;
+    if (!Number.isFinite(factor) || factor < 1) {
+      throw new Error(`Rush multiplier "${key}" must be 1 or more`);
+    }
+    multipliers[key] = factor;
+  });
+  rates.rush_multipliers = multipliers;
+
+  // Only known fields are stored
+  return Object.fromEntries(Object.keys(DEFAULT_RATES).map(field => [field, rates[field]]));
+}
+
+/**
+ * Turn a rate_cards row into its API shape
+ * @param {Object} row - rate_cards row (rates as JSON text)
+ * @returns {Object|null} Card with parsed rates
+ */
+function parseRateCard(row) {
+  if (!row) return null;
+
+  let rates;
+  try {
+    rates = normalizeRates(row.rates);
+  } catch (e) {
+    rates = { ...DEFAULT_RATES };
+  }
+
+  return {
+    ...row,
+    is_default: !!row.is_default,
+    archived: !!row.archived,
+    rates
+  };
+}
+
+/**
+ * Pick the card that prices a project: the project's own card, then the
+ * client's card, then the default card
+ * @param {Array} cards - Active cards from parseRateCard()
+ * @param {Object} [context] - {rateCardId, clientName}
+ * @returns {Object|null} The card, or null when there are no cards
+ */
+function resolveRateCard(cards, context = {}) {
+  const { rateCardId, clientName } = context;
+
+  if (rateCardId) {
+    const projectCard = cards.find(card => card.id === parseInt(rateCardId));
+    if (projectCard) return projectCard;
+  }
+
+  const client = (clientName || '').trim().toLowerCase();
+  if (client) {
+    const clientCard = cards.find(card => (card.client_name || '').trim().toLowerCase() === client);
+    if (clientCard) return clientCard;
+  }
+
+  return cards.find(card => card.is_default) || cards[0] || null;
+}
+
+/**
+ * Check whether two rate sets price work identically
+ */
+function ratesEqual(a, b) {
+  return JSON.stringify(normalizeRates(a)) === JSON.stringify(normalizeRates(b));
+}
+
+module.exports = {
+  DEFAULT_RATES,
+  normalizeRates,
+  parseRateCard,
+  resolveRateCard,
+  ratesEqual
+};
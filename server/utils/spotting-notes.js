@@ -0,0 +1,332 @@
+/**
+ * Spotting Notes
+ *
+ * Parses the notes directors send outside Frame.io into timecoded notes:
+ * documents with one timecoded line per note, SRT and WebVTT subtitle files.
+ * Subtitle timestamps are milliseconds of real time, so they are converted to
+ * frames at the project's frame rate (29.97 runs slower than the clock).
+ * NoteMarker's spotting-notes-parser wraps these with its logging and
+ * Frame.io duplicate handling.
+ */
+
+const { FRAME_RATES } = require('./frame-rates');
+
+const SPOTTING_FORMATS = {
+  SRT: 'srt',
+  WEBVTT: 'vtt',
+  TIMECODED_TEXT: 'spotting'
+};
+
+const DEFAULT_AUTHOR = 'Spotting Notes';
+
+// "01:02:03:04", "01:02:03;04" (drop), "01:02:03.500" (milliseconds) or "1:02:03"
+const TIME = '\\d{1,2}:\\d{2}:\\d{2}(?:[:;.,]\\d{1,3})?';
+
+const PATTERNS = {
+  // "• 01:02:03:04 – more tension here", "[01:02:03:04 - 01:02:10:00] Swell", "01:02:03:04: hit"
+  NOTE_LINE: new RegExp(`^[\\s*•·>#-]*\\[?(${TIME})\\]?(?:\\s*(?:-->|[-–—]|to)\\s*\\[?(${TIME})\\]?)?(?:\\s*[-–—:|]\\s*|\\s+|$)(.*)$`, 'i'),
+  // "00:00:01,000 --> 00:00:04,000" (SRT) or "00:01.000 --> 00:04.000 line:90%" (WebVTT)
+  CUE_TIMING: /^((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[,.]\d{1,3})/,
+  // Frame.io TXT author header: "001 - Author Name - 06:56PM April 06, 2025"
+  FRAMEIO_HEADER: /^\d+\s*-\s*[^-\r\n]+?\s*-\s*\S.*$/m,
+  VOICE_TAG: /<v(?:\.[^\s>]+)?\s+([^>]+)>/i
+};
+
+/**
+ * Detect the format and parse spotting notes
+ * @param {string} text - Raw file content
+ * @param {Object} [options] - {fileName, frameRate, fps, author}
+ * @returns {Object} {format: one of SPOTTING_FORMATS or null, notes}
+ */
+function parseSpottingNotes(text, options = {}) {
+  const extension = (options.fileName || '').toLowerCase().split('.').pop();
+
+  if (extension === 'vtt' || isWebVTT(text)) {
+    return { format: SPOTTING_FORMATS.WEBVTT, notes: parseWebVTT(text, options) };
+  }
+  if (extension === 'srt' || isSRT(text)) {
+    return { format: SPOTTING_FORMATS.SRT, notes: parseSRT(text, options) };
+  }
+  if (isTimecodedText(text)) {
+    return { format: SPOTTING_FORMATS.TIMECODED_TEXT, notes: parseTimecodedText(text, options) };
+  }
+  return { format: null, notes: [] };
+}
+
+/**
+ * Parse a document of timecoded notes, one note per line.
+ * Lines without a timecode continue the note above them, so wrapped
+ * paragraphs and "timecode on its own line" layouts both work.
+ * @param {string} text - Raw document text (copied or exported as .txt)
+ * @param {Object} [options] - {frameRate, fps, author}
+ * @returns {Array} Notes: {timecode, endTimecode?, text, author, isReply}
+ */
+function parseTimecodedText(text, options = {}) {
+  if (!text || typeof text !== 'string') return [];
+
+  const converter = createTimestampConverter(options);
+  const lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  const notes = [];
+  let current = null;
+  let blankSinceNote = false;
+
+  lines.forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) {
+      blankSinceNote = true;
+      return;
+    }
+
+    const match = line.match(PATTERNS.NOTE_LINE);
+    if (match) {
+      current = {
+        timecode: converter(match[1]),
+        endTimecode: match[2] ? converter(match[2]) : null,
+        lines: match[3] ? [match[3]] : []
+      };
+      notes.push(current);
+      blankSinceNote = false;
+      return;
+    }
+
+    // A paragraph break ends a note unless the note is still waiting for its text
+    if (current && (!blankSinceNote || current.lines.length === 0)) {
+      current.lines.push(line);
+      blankSinceNote = false;
+    }
+  });
+
+  return uniqueNotes(notes.map(note => buildNote({
+    timecode: note.timecode,
+    endTimecode: note.endTimecode,
+    text: note.lines.join(' '),
+    author: options.author
+  }, options)));
+}
+
+/**
+ * Parse an SRT subtitle file
+ * @param {string} text - Raw SRT content
+ * @param {Object} [options] - {frameRate, fps, author}
+ * @returns {Array} Notes with endTimecode from each cue's out time
+ */
+function parseSRT(text, options = {}) {
+  if (!text || typeof text !== 'string') return [];
+  return uniqueNotes(parseSubtitleBlocks(text, options));
+}
+
+/**
+ * Parse a WebVTT subtitle file. NOTE, STYLE and REGION blocks are skipped;
+ * a <v Name> voice tag becomes the note's author.
+ * @param {string} text - Raw WebVTT content
+ * @param {Object} [options] - {frameRate, fps, author}
+ * @returns {Array} Notes with endTimecode from each cue's out time
+ */
+function parseWebVTT(text, options = {}) {
+  if (!text || typeof text !== 'string') return [];
+  return uniqueNotes(parseSubtitleBlocks(text, options));
+}
+
+// Walk blank-line separated subtitle blocks, shared by SRT and WebVTT
+function parseSubtitleBlocks(text, options) {
+  const converter = createTimestampConverter(options);
+  const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+
+  return blocks.map(block => {
+    const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+    const timingIndex = lines.findIndex(line => PATTERNS.CUE_TIMING.test(line));
+    if (timingIndex === -1) return null;
+
+    const [, start, end] = lines[timingIndex].match(PATTERNS.CUE_TIMING);
+    const cueLines = lines.slice(timingIndex + 1);
+    const voice = cueLines.map(line => line.match(PATTERNS.VOICE_TAG)).find(Boolean);
+
+    return buildNote({
+      timecode: converter(start),
+      endTimecode: converter(end),
+      text: cueLines.map(stripSubtitleMarkup).join(' '),
+      author: voice ? voice[1] : options.author
+    }, options);
+  });
+}
+
+// Remove HTML-style tags (<i>, <v Name>, <c.yellow>) and SSA overrides ({\an8})
+function stripSubtitleMarkup(line) {
+  return line
+    .replace(/<[^>]*>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ');
+}
+
+/**
+ * Resolve parser options to a FRAME_RATES key
+ * @param {Object} [options] - {frameRate: FRAME_RATES key, fps: number}
+ * @returns {string} FRAME_RATES key ('30' when neither is supported)
+ */
+function resolveFrameRate(options = {}) {
+  const frameRate = String(options.frameRate || '').toLowerCase();
+  if (FRAME_RATES[frameRate]) return frameRate;
+
+  const fps = String(options.fps || 30);
+  return FRAME_RATES[fps] ? fps : '30';
+}
+
+/**
+ * Convert milliseconds of real time to timecode at a frame rate
+ * @param {number} milliseconds - Time from the start of the media
+ * @param {string} [frameRate='30'] - FRAME_RATES key, e.g. '23.976' or '29.97drop'
+ * @returns {string} Timecode (HH:MM:SS:FF), wrapping at 24 hours
+ */
+function millisecondsToTimecode(milliseconds, frameRate = '30') {
+  const rate = FRAME_RATES[frameRate];
+  const realFps = Number.isInteger(rate.fps) ? rate.fps : rate.framesPerSecond * 1000 / 1001;
+  // Epsilon guards against 0.999999 frames from float division
+  let frames = Math.floor(milliseconds / 1000 * realFps + 1e-6);
+
+  if (rate.dropFrame) {
+    // SMPTE drop-frame skips 2 labels per minute at 29.97, 4 at 59.94, 8 at 119.88,
+    // except every tenth minute
+    const dropped = Math.round(rate.framesPerSecond / 15);
+    const framesPerMinute = rate.framesPerSecond * 60 - dropped;
+    const framesPer10Minutes = rate.framesPerSecond * 600 - dropped * 9;
+    const remainder = frames % framesPer10Minutes;
+
+    frames += dropped * 9 * Math.floor(frames / framesPer10Minutes);
+    if (remainder > dropped) {
+      frames += dropped * Math.floor((remainder - dropped) / framesPerMinute);
+    }
+  }
+
+  const framesPerHour = rate.framesPerSecond * 3600;
+  return [
+    Math.floor(frames / framesPerHour) % 24,
+    Math.floor(frames / (rate.framesPerSecond * 60)) % 60,
+    Math.floor(frames / rate.framesPerSecond) % 60,
+    frames % rate.framesPerSecond
+  ].map(n => n.toString().padStart(2, '0')).join(':');
+}
+
+/**
+ * Parse "HH:MM:SS,mmm", "MM:SS.mmm" or "HH:MM:SS.mmm" into milliseconds
+ * @param {string} timestamp - Subtitle or document timestamp
+ * @returns {number|null} Milliseconds, or null if it isn't a millisecond timestamp
+ */
+function parseMilliseconds(timestamp) {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})$/.exec(String(timestamp || '').trim());
+  if (!match) return null;
+
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return ((parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60 + parseInt(seconds, 10)) * 1000 +
+    parseInt(fraction.padEnd(3, '0'), 10);
+}
+
+// Build a converter from any supported timestamp to an HH:MM:SS:FF string
+function createTimestampConverter(options) {
+  const frameRate = resolveFrameRate(options);
+
+  return timestamp => {
+    // Frames after ':' or ';', two digits after '.' (Avid style) are frames too
+    if (/^\d{1,2}:\d{2}:\d{2}(?:[:;]\d{1,3}|\.\d{2})$/.test(timestamp)) {
+      return timestamp.replace(/[;.](\d+)$/, ':$1');
+    }
+
+    const milliseconds = parseMilliseconds(timestamp);
+    if (milliseconds !== null) {
+      return millisecondsToTimecode(milliseconds, frameRate);
+    }
+
+    // Plain "HH:MM:SS" from a document lands on frame zero
+    return /^\d{1,2}:\d{2}:\d{2}$/.test(timestamp) ? `${timestamp}:00` : timestamp;
+  };
+}
+
+/**
+ * Normalize a timecode to HH:MM:SS:FF if it's a valid time of day at the frame rate
+ * @param {string} timecode - Converted timecode
+ * @param {number} framesPerSecond - Nominal frames per second
+ * @returns {string|null} Normalized timecode, or null if invalid
+ */
+function normalizeTimecode(timecode, framesPerSecond) {
+  const match = /^(\d{1,2}):(\d{2}):(\d{2}):(\d{2,3})$/.exec(timecode || '');
+  if (!match) return null;
+
+  const [hours, minutes, seconds, frames] = match.slice(1).map(part => parseInt(part, 10));
+  if (hours > 23 || minutes > 59 || seconds > 59 || frames >= framesPerSecond) return null;
+
+  return [hours, minutes, seconds, frames].map(n => n.toString().padStart(2, '0')).join(':');
+}
+
+// Validate and assemble a note in the frameio-parser comment shape (null if unusable)
+function buildNote({ timecode, endTimecode, text, author }, options) {
+  const cleanText = (text || '').replace(/\s+/g, ' ').trim();
+  const { framesPerSecond } = FRAME_RATES[resolveFrameRate(options)];
+  const start = normalizeTimecode(timecode, framesPerSecond);
+  if (!cleanText || !start) return null;
+
+  const note = {
+    timecode: start,
+    text: cleanText,
+    author: (author || '').trim() || DEFAULT_AUTHOR,
+    isReply: false
+  };
+
+  // Subtitles that end on the frame they start on are points, not ranges
+  const end = endTimecode ? normalizeTimecode(endTimecode, framesPerSecond) : null;
+  if (end && end > start) {
+    note.endTimecode = end;
+  }
+
+  return note;
+}
+
+// Drop unusable notes and exact repeats (same timecode and text)
+function uniqueNotes(notes) {
+  const seen = new Set();
+  return notes.filter(note => {
+    if (!note) return false;
+    const key = `${note.timecode}|${note.text.toLowerCase()}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Check whether content is an SRT subtitle file
+ */
+function isSRT(text) {
+  return /^\s*\d+\s*(?:\r\n|\r|\n)\s*\d{1,2}:\d{2}:\d{2},\d{1,3}\s*-->/m.test(text || '');
+}
+
+/**
+ * Check whether content is a WebVTT subtitle file
+ */
+function isWebVTT(text) {
+  return /^\uFEFF?WEBVTT(?:[ \t]|$)/m.test((text || '').slice(0, 64));
+}
+
+/**
+ * Check whether content is a document of timecoded notes (and not a Frame.io TXT export)
+ */
+function isTimecodedText(text) {
+  const content = text || '';
+  if (PATTERNS.FRAMEIO_HEADER.test(content)) return false;
+  return content.split(/\r\n|\r|\n/).some(line => PATTERNS.NOTE_LINE.test(line.trim()));
+}
+
+module.exports = {
+  SPOTTING_FORMATS,
+  parseSpottingNotes,
+  parseTimecodedText,
+  parseSRT,
+  parseWebVTT,
+  resolveFrameRate,
+  millisecondsToTimecode,
+  parseMilliseconds,
+  isSRT,
+  isWebVTT,
+  isTimecodedText
+};
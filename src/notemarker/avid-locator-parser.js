@@ -0,0 +1,256 @@
+const { createParserLogger } = require('./parser-log');
+const log = createParserLogger('AvidParser');
+
+const { validateAndNormalizeTimecode, removeDuplicateComments } = require('./frameio-parser');
+const { resolveFrameRate } = require('./spotting-notes-parser');
+const { TimecodeCalculator } = require('./timecode-calculator');
+
+/**
+ * Media Composer locator colours mapped onto the marker colour indices
+ * used by MarkerCreationPipeline (blue 0, red 1, green 2, yellow 3, orange 4)
+ */
+const AVID_LOCATOR_COLORS = {
+    blue: 0,
+    red: 1,
+    green: 2,
+    yellow: 3,
+    orange: 4,
+    cyan: 5,
+    magenta: 6,
+    white: 7,
+    black: 8
+};
+
+const TIMECODE = /\d{1,2}:\d{2}:\d{2}[:;.]\d{2}/;
+
+/**
+ * Parse a Media Composer locator export (Markers window > Export Markers).
+ * Each line is tab-delimited: user, timecode, track, colour, comment[, duration]
+ * @param {string} text - Raw file content
+ * @param {Object} options - {fps, frameRate: FRAME_RATES key used to place locator durations}
+ * @returns {Array} Normalized comments: {timecode, endTimecode?, text, author, isReply, color, colorIndex, track, durationFrames?}
+ */
+function parseAvidLocatorTXT(text, options = {}) {
+    const { fps = 30 } = options;
+    const calculator = new TimecodeCalculator(resolveFrameRate(options));
+
+    if (!text || typeof text !== 'string') {
+        log.warn('Empty or invalid locator file content provided');
+        return [];
+    }
+
+    const lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+    const comments = [];
+
+    lines.forEach((line, index) => {
+        if (!line.trim()) {
+            return;
+        }
+
+        const fields = line.split('\t').map(field => field.trim());
+        if (fields.length < 2 || !TIMECODE.test(fields[1])) {
+            log.debug(`Skipping non-locator line ${index + 1}`, line);
+            return;
+        }
+
+        const [author, timecode, track = '', color = '', ...rest] = fields;
+
+        // Trailing numeric column is the locator duration in frames, not comment text
+        const duration = rest.length > 1 && /^\d+$/.test(rest[rest.length - 1]) ? parseInt(rest.pop(), 10) : null;
+
+        const comment = buildLocatorComment({
+            timecode,
+            text: rest.join(' '),
+            author,
+            color,
+            track,
+            duration
+        }, fps, `locator line ${index + 1}`);
+
+        if (comment && duration > 0) {
+            const endTimecode = locatorEndTimecode(comment.timecode, duration, calculator, `locator line ${index + 1}`);
+            if (endTimecode) {
+                comment.endTimecode = endTimecode;
+            }
+        }
+
+        if (comment) {
+            comments.push(comment);
+        }
+    });
+
+    log.info(`Avid locator parsing complete: ${comments.length} locators`);
+    return removeDuplicateComments(comments);
+}
+
+/**
+ * Parse locator and comment lines from a CMX3600-style EDL.
+ * `* LOC:` lines carry their own timecode and colour; `* COMMENT:` lines
+ * attach to the record-in of the event they follow.
+ * @param {string} text - Raw EDL content
+ * @param {Object} options - {fps, includeComments = true}
+ * @returns {Array} Normalized comments
+ */
+function parseEDLComments(text, options = {}) {
+    const { fps = 30, includeComments = true } = options;
+
+    if (!text || typeof text !== 'string') {
+        log.warn('Empty or invalid EDL content provided');
+        return [];
+    }
+
+    const PATTERNS = {
+        // "001  AX  V  C  01:00:00:00 01:00:05:00 01:00:00:00 01:00:05:00"
+        EVENT: /^(\d{3,6})\s+(\S+)\s+(\S+)\s+(\S+)(?:\s+\d+)?\s+(\d{1,2}:\d{2}:\d{2}[:;.]\d{2})\s+(\d{1,2}:\d{2}:\d{2}[:;.]\d{2})\s+(\d{1,2}:\d{2}:\d{2}[:;.]\d{2})\s+(\d{1,2}:\d{2}:\d{2}[:;.]\d{2})/,
+        // "* LOC: 01:00:02:10 RED     Fix the hit here"
+        LOC: /^\*\s*LOC:\s*(\d{1,2}:\d{2}:\d{2}[:;.]\d{2})\s+(\w+)?\s*(.*)$/i,
+        // "* COMMENT: Music swell"
+        COMMENT: /^\*\s*COMMENT:\s*(.*)$/i
+    };
+
+    const lines = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+    const comments = [];
+    let currentEvent = null;
+
+    lines.forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line) {
+            return;
+        }
+
+        const eventMatch = line.match(PATTERNS.EVENT);
+        if (eventMatch) {
+            currentEvent = {
+                number: eventMatch[1],
+                reel: eventMatch[2],
+                track: eventMatch[3],
+                recordIn: eventMatch[7]
+            };
+            return;
+        }
+
+        const locMatch = line.match(PATTERNS.LOC);
+        if (locMatch) {
+            let [, timecode, color = '', locatorText] = locMatch;
+
+            // Some exporters omit the colour - the first word is then comment text
+            if (color && AVID_LOCATOR_COLORS[color.toLowerCase()] === undefined) {
+                locatorText = `${color} ${locatorText}`;
+                color = '';
+            }
+
+            const comment = buildLocatorComment({
+                timecode,
+                text: locatorText,
+                author: '',
+                color,
+                track: currentEvent?.track || '',
+                event: currentEvent?.number
+            }, fps, `EDL line ${index + 1}`);
+
+            if (comment) {
+                comments.push(comment);
+            }
+            return;
+        }
+
+        const commentMatch = includeComments && line.match(PATTERNS.COMMENT);
+        if (commentMatch) {
+            if (!currentEvent) {
+                log.debug(`Skipping EDL comment before first event at line ${index + 1}`);
+                return;
+            }
+
+            const comment = buildLocatorComment({
+                timecode: currentEvent.recordIn,
+                text: commentMatch[1],
+                author: '',
+                color: '',
+                track: currentEvent.track,
+                event: currentEvent.number
+            }, fps, `EDL line ${index + 1}`);
+
+            if (comment) {
+                comments.push(comment);
+            }
+        }
+    });
+
+    log.info(`EDL parsing complete: ${comments.length} locators/comments`);
+    return removeDuplicateComments(comments);
+}
+
+/**
+ * Check whether content looks like an Avid locator export
+ */
+function isAvidLocatorExport(text) {
+    return /^[^\t\r\n]*\t\d{1,2}:\d{2}:\d{2}[:;.]\d{2}\t/m.test(text || '');
+}
+
+/**
+ * Check whether content looks like an EDL with locators or comments
+ */
+function isEDL(text) {
+    const content = text || '';
+    return /^TITLE:/m.test(content) ||
+        (/^\d{3,6}\s+\S+\s+\S+\s+\S+/m.test(content) && /^\*\s*(LOC|COMMENT):/im.test(content));
+}
+
+/**
+ * Timecode where a locator span ends, or null when it can't be placed at the rate
+ */
+function locatorEndTimecode(timecode, durationFrames, calculator, context) {
+    try {
+        return calculator.framesToTimecodeString(calculator.timecodeStringToFrames(timecode) + durationFrames);
+    } catch (error) {
+        log.warn(`Ignoring duration for ${context}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Validate and assemble a locator in the frameio-parser comment shape
+ */
+function buildLocatorComment({ timecode, text, author, color, track, duration = null, event = null }, fps, context) {
+    const cleanText = (text || '').replace(/\s+/g, ' ').trim();
+    if (!cleanText) {
+        log.debug(`Skipping ${context}: empty locator text`);
+        return null;
+    }
+
+    const validation = validateAndNormalizeTimecode(timecode.replace('.', ':'), Math.round(fps));
+    if (!validation.isValid) {
+        log.warn(`Skipping ${context}: ${validation.error}`);
+        return null;
+    }
+
+    const normalizedColor = (color || '').trim().toLowerCase();
+    const comment = {
+        timecode: validation.timecode,
+        text: cleanText,
+        author: (author || '').trim() || 'Avid',
+        isReply: false,
+        color: normalizedColor || null,
+        track: (track || '').trim() || null
+    };
+
+    if (AVID_LOCATOR_COLORS[normalizedColor] !== undefined) {
+        comment.colorIndex = AVID_LOCATOR_COLORS[normalizedColor];
+    }
+    if (duration !== null) {
+        comment.durationFrames = duration;
+    }
+    if (event !== null && event !== undefined) {
+        comment.edlEvent = event;
+    }
+
+    return comment;
+}
+
+module.exports = {
+    parseAvidLocatorTXT,
+    parseEDLComments,
+    isAvidLocatorExport,
+    isEDL,
+    AVID_LOCATOR_COLORS
+};
@@ -0,0 +1,135 @@
+const log = require('electron-log');
+
+/**
+ * Comment Note Source
+ * Converts Alternaview review comments (the `comments` table behind
+ * /api/files/:id/comments) into the same note shape frameio-parser.js
+ * produces, so they can go straight into MarkerCreationPipeline.createMarkers
+ */
+
+const NOTE_SOURCE_TYPE = 'alternaview-comment';
+
+/**
+ * Convert a review-player timecode ("HH:MM:SS", "MM:SS" or "HH:MM:SS:FF")
+ * into a frame-accurate "HH:MM:SS:FF" timecode relative to picture start
+ * @param {string} timecode - Stored comment timecode
+ * @returns {string|null} Normalized timecode, or null if unusable
+ */
+function normalizeCommentTimecode(timecode) {
+    if (!timecode || typeof timecode !== 'string') {
+        return null;
+    }
+
+    const parts = timecode.trim().split(/[:;]/).map(part => parseInt(part, 10));
+    if (parts.length < 2 || parts.length > 4 || parts.some(part => isNaN(part) || part < 0)) {
+        return null;
+    }
+
+    // Review player stores whole seconds - frames are always zero
+    while (parts.length < 3) parts.unshift(0);
+    if (parts.length === 3) parts.push(0);
+
+    const [hours, minutes, seconds, frames] = parts;
+    if (minutes > 59 || seconds > 59) {
+        return null;
+    }
+
+    return [hours, minutes, seconds, frames]
+        .map(n => n.toString().padStart(2, '0'))
+        .join(':');
+}
+
+/**
+ * Convert comment rows into NoteMarker notes
+ * @param {Array} rows - Rows from commentQueries.findByFile
+ * @param {Object} options - Conversion options
+ * @param {boolean} [options.includeResolved=false] - Include resolved comments (and their replies)
+ * @param {boolean} [options.includeReplies=true] - Include threaded replies as reply markers
+ * @returns {Object} {notes, skipped: [{commentId, reason}]}
+ */
+function commentRowsToNotes(rows, options = {}) {
+    const { includeResolved = false, includeReplies = true } = options;
+
+    const rowsById = new Map(rows.map(row => [row.id, row]));
+    const notes = [];
+    const skipped = [];
+
+    for (const row of rows) {
+        const parent = row.reply_to_id ? rowsById.get(row.reply_to_id) : null;
+        const isReply = !!row.reply_to_id;
+
+        if (isReply && !includeReplies) {
+            skipped.push({ commentId: row.id, reason: 'reply' });
+            continue;
+        }
+
+        // Replies follow their thread's status - resolving a thread resolves its replies
+        const status = (parent || row).status || 'open';
+        if (status === 'resolved' && !includeResolved) {
+            skipped.push({ commentId: row.id, reason: 'resolved' });
+            continue;
+        }
+
+        // Replies are usually posted without a timecode - inherit the parent's
+        const timecode = normalizeCommentTimecode(row.timecode) ||
+            (parent ? normalizeCommentTimecode(parent.timecode) : null);
+
+        if (!timecode) {
+            skipped.push({ commentId: row.id, reason: 'missing timecode' });
+            continue;
+        }
+
+        // Range comments carry an out point; one that doesn't parse leaves a point note
+        const endTimecode = isReply ? null : normalizeCommentTimecode(row.timecode_end);
+
+        notes.push({
+            timecode,
+            ...(endTimecode ? { endTimecode } : {}),
+            text: (row.comment_text || '').trim(),
+            author: row.author_name || 'Unknown',
+            isReply,
+            completed: status === 'resolved',
+            source: NOTE_SOURCE_TYPE,
+            commentId: row.id,
+            fileId: row.file_id
+        });
+    }
+
+    return { notes, skipped };
+}
+
+/**
+ * Load a file's comments from the Alternaview database as NoteMarker notes
+ * @param {number} fileId - File ID
+ * @param {Object} options - See commentRowsToNotes
+ * @returns {Object} {file, notes, skipped}
+ */
+function loadFileCommentNotes(fileId, options = {}) {
+    // Required lazily so the PTSL modules stay usable without the database
+    const { fileQueries, commentQueries } = require('../../server/models/database');
+
+    const file = fileQueries.findById.get(fileId);
+    if (!file) {
+        throw new Error(`File ${fileId} not found`);
+    }
+
+    const rows = commentQueries.findByFile.all(fileId);
+    const { notes, skipped } = commentRowsToNotes(rows, options);
+
+    log.info('Loaded review comments as markers', {
+        fileId,
+        fileName: file.original_name,
+        totalComments: rows.length,
+        notes: notes.length,
+        skipped: skipped.length
+    });
+
+    return { file, notes, skipped };
+}
+
+module.exports = {
+    NOTE_SOURCE_TYPE,
+    normalizeCommentTimecode,
+    commentRowsToNotes,
+    loadFileCommentNotes
+};
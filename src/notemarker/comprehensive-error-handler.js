@@ -75,6 +75,7 @@ class ComprehensiveErrorHandler extends EventEmitter {
         this.circuitState = CIRCUIT_STATES.CLOSED;
         this.circuitFailureCount = 0;
         this.circuitNextAttemptTime = 0;
+        this.circuitTransitions = [];
         
         // Batch operation tracking
         this.batchOperations = new Map();
@@ -676,7 +677,7 @@ class ComprehensiveErrorHandler extends EventEmitter {
      * @returns {Object} Recovery result
      */
     activateCircuitBreaker(error, errorDefinition, context) {
-        this.circuitState = CIRCUIT_STATES.OPEN;
+        this.setCircuitState(CIRCUIT_STATES.OPEN, error.message);
         this.circuitNextAttemptTime = Date.now() + this.options.circuitBreakerTimeout;
         
         log.warn('Circuit breaker activated', {
@@ -723,7 +724,7 @@ class ComprehensiveErrorHandler extends EventEmitter {
         }
         
         // Transition to half-open for testing
-        this.circuitState = CIRCUIT_STATES.HALF_OPEN;
+        this.setCircuitState(CIRCUIT_STATES.HALF_OPEN, 'Timeout elapsed, testing service');
         log.info('Circuit breaker transitioning to half-open state');
         
         return {
@@ -769,20 +770,43 @@ class ComprehensiveErrorHandler extends EventEmitter {
             this.circuitFailureCount = 0;
             
             if (this.circuitState === CIRCUIT_STATES.HALF_OPEN) {
-                this.circuitState = CIRCUIT_STATES.CLOSED;
+                this.setCircuitState(CIRCUIT_STATES.CLOSED, 'Service recovered');
                 log.info('Circuit breaker closed - service recovered');
             }
         } else {
             this.circuitFailureCount++;
             
             if (this.circuitState === CIRCUIT_STATES.HALF_OPEN) {
-                this.circuitState = CIRCUIT_STATES.OPEN;
+                this.setCircuitState(CIRCUIT_STATES.OPEN, 'Service still failing');
                 this.circuitNextAttemptTime = Date.now() + this.options.circuitBreakerTimeout;
                 log.warn('Circuit breaker reopened - service still failing');
             }
         }
     }
     
+    /**
+     * Change circuit breaker state, keeping a history of transitions for diagnostics
+     * @param {string} newState - One of CIRCUIT_STATES
+     * @param {string} reason - Why the state changed
+     */
+    setCircuitState(newState, reason) {
+        const oldState = this.circuitState;
+        if (oldState === newState) {
+            return;
+        }
+        
+        this.circuitState = newState;
+        const transition = { from: oldState, to: newState, reason, timestamp: Date.now() };
+        this.circuitTransitions.push(transition);
+        
+        // Keep only recent transitions (last 50)
+        if (this.circuitTransitions.length > 50) {
+            this.circuitTransitions = this.circuitTransitions.slice(-50);
+        }
+        
+        this.emit('circuit-state-changed', transition);
+    }
+    
     /**
      * Record failed marker for later analysis
      * @param {number} markerIndex - Index of failed marker
@@ -867,7 +891,8 @@ class ComprehensiveErrorHandler extends EventEmitter {
             activeFailedMarkers: this.failedMarkers.size,
             activeBatchOperations: this.batchOperations.size,
             lastErrorTime: this.lastErrorTime,
-            recentErrors: this.errorHistory.slice(-10)
+            recentErrors: this.errorHistory.slice(-10),
+            circuitTransitions: [...this.circuitTransitions]
         };
     }
     
@@ -878,7 +903,7 @@ class ComprehensiveErrorHandler extends EventEmitter {
         this.errorHistory = [];
         this.consecutiveErrors = 0;
         this.lastErrorTime = null;
-        this.circuitState = CIRCUIT_STATES.CLOSED;
+        this.setCircuitState(CIRCUIT_STATES.CLOSED, 'Error tracking reset');
         this.circuitFailureCount = 0;
         this.batchOperations.clear();
         this.failedMarkers.clear();
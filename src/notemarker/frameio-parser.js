@@ -1,10 +1,8 @@
-// Simple console logger for parser
-const log = {
-    info: (msg, data) => console.log('[Parser]', msg, data || ''),
-    warn: (msg, data) => console.warn('[Parser]', msg, data || ''),
-    error: (msg, data) => console.error('[Parser]', msg, data || ''),
-    debug: (msg, data) => {} // Silent in production
-};
+const { createParserLogger } = require('./parser-log');
+const log = createParserLogger('Parser');
+
+const { TimecodeCalculator, FRAME_RATES } = require('./timecode-calculator');
+const { resolveFrameRate } = require('../../server/utils/spotting-notes');
 
 function parseFrameioTXT(text, options = {}) {
     const { diagnosticMode = false } = options;
@@ -74,6 +72,9 @@ function parseFrameioWithStateMachine(text, diagnosticMode = false) {
         // Comment start with timecode: flexible format with validation
         COMMENT_START: /^(\d{1,2}:\d{2}:\d{2}[:;]\d{2})\s*-\s*(.+)$/,
         
+        // Range comment out point: "TC_IN - TC_OUT - text" leaves "TC_OUT - text" after COMMENT_START
+        RANGE_OUT: /^(\d{1,2}:\d{2}:\d{2}[:;]\d{2})\s*-\s*(.+)$/,
+        
         // Bracketed timecode format: single or range - extract all possibilities
         BRACKETED_TIMECODE_RANGE: /\[(\d{1,2}:\d{2}:\d{2}[:;]\d{2})\s*-\s*(\d{1,2}:\d{2}:\d{2}[:;]\d{2})\]/g,
         BRACKETED_TIMECODE_SINGLE: /\[(\d{1,2}:\d{2}:\d{2}[:;]\d{2})\]/g,
@@ -457,6 +458,19 @@ function parseFrameioWithStateMachine(text, diagnosticMode = false) {
         // Validate timecode first
         const validation = validateAndNormalizeTimecode(rawTimecode);
         
+        // Range comment: the text starts with the out point
+        let endTimecode = null;
+        const rangeMatch = text.match(PATTERNS.RANGE_OUT);
+        if (rangeMatch) {
+            const endValidation = validateAndNormalizeTimecode(rangeMatch[1]);
+            if (endValidation.isValid) {
+                endTimecode = endValidation.timecode;
+                text = rangeMatch[2];
+            } else {
+                log.warn(`Ignoring invalid range out point: ${endValidation.error}`, { context });
+            }
+        }
+        
         if (!validation.isValid) {
             log.error(`Skipping comment due to invalid timecode: ${validation.error}`, {
                 rawTimecode,
@@ -475,6 +489,10 @@ function parseFrameioWithStateMachine(text, diagnosticMode = false) {
             isReply: isReply
         };
         
+        if (endTimecode) {
+            comment.endTimecode = endTimecode;
+        }
+        
         log.debug(`Created ${isReply ? 'reply' : 'comment'} at ${validation.timecode}: "${text.substring(0, 30)}..." by ${author}`);
         return comment;
     }
@@ -604,6 +622,16 @@ function parseFrameioWithStateMachine(text, diagnosticMode = false) {
                             isReply: false
                         };
                         
+                        // Bracketed range [TC_IN - TC_OUT]: keep the out point
+                        if (timecodeFormat === 'bracketedRange') {
+                            PATTERNS.BRACKETED_TIMECODE_RANGE.lastIndex = 0;
+                            const rangeMatch = PATTERNS.BRACKETED_TIMECODE_RANGE.exec(line);
+                            const endValidation = rangeMatch ? validateAndNormalizeTimecode(rangeMatch[2]) : null;
+                            if (endValidation?.isValid && validateAndNormalizeTimecode(rangeMatch[1]).timecode === extractedTimecode) {
+                                comment.endTimecode = endValidation.timecode;
+                            }
+                        }
+                        
                         currentTimecode = extractedTimecode;
                         currentComment = comment;
                         
@@ -1203,5 +1231,530 @@ function normalizeTimecode(tc) {
 }
 
 
+// ============================================================================
+// Frame.io CSV / JSON export support
+// ============================================================================
+
+/**
+ * Supported note export formats (Frame.io plus Avid locators/EDL comments)
+ */
+const FRAMEIO_FORMATS = {
+    TXT: 'txt',
+    CSV: 'csv',
+    JSON: 'json',
+    AVID_LOCATORS: 'avid',
+    EDL: 'edl',
+    SRT: 'srt',
+    WEBVTT: 'vtt',
+    TIMECODED_TEXT: 'spotting'
+};
+
+/**
+ * Column header aliases seen across Frame.io CSV exports (legacy and V4).
+ * Headers are compared lowercased with spaces, dashes and underscores stripped.
+ */
+const CSV_COLUMN_ALIASES = {
+    id: ['id', 'commentid', '#', 'commentnumber', 'number'],
+    parentId: ['parentid', 'parentcommentid', 'replyto', 'inreplyto', 'threadid'],
+    author: ['commenter', 'author', 'name', 'owner', 'user', 'createdby'],
+    text: ['comment', 'text', 'commenttext', 'body', 'message'],
+    timecode: ['timecode', 'timecodein', 'tc', 'tcin', 'starttimecode', 'timecodestart'],
+    endTimecode: ['timecodeout', 'tcout', 'endtimecode', 'timecodeend', 'outpoint'],
+    frame: ['frame', 'framenumber', 'timestamp', 'startframe'],
+    completed: ['completed', 'complete', 'resolved', 'status', 'done'],
+    isReply: ['isreply', 'reply', 'type']
+};
+
+/**
+ * Parse any Frame.io comment export (TXT, CSV or JSON), Avid locator export,
+ * EDL, SRT/WebVTT subtitles or a document of timecoded spotting notes,
+ * sniffing the format from the file extension and content.
+ * @param {string} text - Raw file content
+ * @param {Object} options - Parser options
+ * @param {string} [options.fileName] - Original file name, used as a format hint
+ * @param {string} [options.format] - Force a format (one of FRAMEIO_FORMATS)
+ * @param {number} [options.fps=30] - Frame rate used to convert frame numbers to timecode
+ * @param {string} [options.frameRate] - FRAME_RATES key used to convert subtitle milliseconds and export frame numbers (e.g. '29.97drop')
+ * @param {boolean} [options.diagnosticMode=false] - Enable TXT parser diagnostics
+ * @returns {Array} Normalized comments: {timecode, endTimecode?, text, author, isReply, completed?}
+ */
+function parseFrameioExport(text, options = {}) {
+    if (!text || typeof text !== 'string') {
+        log.warn('Empty or invalid file content provided');
+        return [];
+    }
+    
+    const format = options.format || detectFrameioFormat(text, options.fileName);
+    log.info(`Parsing Frame.io export as ${format.toUpperCase()}`, options.fileName || '');
+    
+    // Required lazily - avid-locator-parser and spotting-notes-parser reuse this module's helpers
+    const { parseAvidLocatorTXT, parseEDLComments } = require('./avid-locator-parser');
+    const { parseSRT, parseWebVTT, parseTimecodedText } = require('./spotting-notes-parser');
+    
+    switch (format) {
+        case FRAMEIO_FORMATS.SRT:
+            return parseSRT(text, options);
+        case FRAMEIO_FORMATS.WEBVTT:
+            return parseWebVTT(text, options);
+        case FRAMEIO_FORMATS.TIMECODED_TEXT:
+            return parseTimecodedText(text, options);
+        case FRAMEIO_FORMATS.AVID_LOCATORS:
+            return parseAvidLocatorTXT(text, options);
+        case FRAMEIO_FORMATS.EDL:
+            return parseEDLComments(text, options);
+        case FRAMEIO_FORMATS.JSON:
+            return parseFrameioJSON(text, options);
+        case FRAMEIO_FORMATS.CSV:
+            return parseFrameioCSV(text, options);
+        default:
+            return parseFrameioTXT(text, options);
+    }
+}
+
+/**
+ * Parse a review notes file for the notes queue, in the shape the renderer expects
+ * @param {string} text - Raw file content
+ * @param {Object} [options] - {fileName, format, frameRate: FRAME_RATES key (defaults to '30')}
+ * @returns {Object} {success, fileName, format, comments, invalidComments, summary: {total, valid, original, replies}, error?}
+ */
+function parseReviewNotes(text, options = {}) {
+    const { fileName = '' } = options;
+    const frameRate = FRAME_RATES[String(options.frameRate || '').toLowerCase()]
+        ? String(options.frameRate).toLowerCase()
+        : '30';
+    
+    try {
+        const format = options.format || detectFrameioFormat(text, fileName);
+        const comments = parseFrameioExport(text, {
+            fileName,
+            format,
+            frameRate,
+            fps: FRAME_RATES[frameRate].framesPerSecond
+        });
+        const replies = comments.filter(comment => comment.isReply).length;
+        
+        // The format parsers drop notes they can't place, so everything returned is valid
+        return {
+            success: true,
+            fileName,
+            format,
+            comments,
+            invalidComments: [],
+            summary: {
+                total: comments.length,
+                valid: comments.length,
+                original: comments.length - replies,
+                replies
+            }
+        };
+    } catch (error) {
+        log.error('Failed to parse review notes', { fileName, error: error.message });
+        return { success: false, fileName, error: error.message };
+    }
+}
+
+/**
+ * Detect which Frame.io export format a file contains
+ * @param {string} text - Raw file content
+ * @param {string} [fileName] - Original file name
+ * @returns {string} One of FRAMEIO_FORMATS
+ */
+function detectFrameioFormat(text, fileName = '') {
+    const extension = (fileName || '').toLowerCase().split('.').pop();
+    const trimmed = (text || '').replace(/^\uFEFF/, '').trim();
+    
+    // Content wins over extension - editors rename files more often than you'd think
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+        try {
+            JSON.parse(trimmed);
+            return FRAMEIO_FORMATS.JSON;
+        } catch (e) {
+            log.debug('Content looks like JSON but failed to parse, falling through', e.message);
+        }
+    }
+    
+    const { isSRT, isWebVTT, isTimecodedText } = require('./spotting-notes-parser');
+    if (isWebVTT(trimmed) || (extension === 'vtt' && !isSRT(trimmed))) {
+        return FRAMEIO_FORMATS.WEBVTT;
+    }
+    if (extension === 'srt' || isSRT(trimmed)) {
+        return FRAMEIO_FORMATS.SRT;
+    }
+    
+    if (extension === 'csv' || looksLikeFrameioCSV(trimmed)) {
+        return FRAMEIO_FORMATS.CSV;
+    }
+    
+    const { isAvidLocatorExport, isEDL } = require('./avid-locator-parser');
+    if (extension === 'edl' || isEDL(trimmed)) {
+        return FRAMEIO_FORMATS.EDL;
+    }
+    if (isAvidLocatorExport(trimmed)) {
+        return FRAMEIO_FORMATS.AVID_LOCATORS;
+    }
+    
+    // Frame.io TXT exports also start lines with timecode - their author headers rule them out
+    if (isTimecodedText(trimmed)) {
+        return FRAMEIO_FORMATS.TIMECODED_TEXT;
+    }
+    
+    return FRAMEIO_FORMATS.TXT;
+}
+
+/**
+ * Check whether the first line of a file is a CSV header with comment columns
+ */
+function looksLikeFrameioCSV(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0] || '';
+    if (!firstLine.includes(',')) {
+        return false;
+    }
+    
+    const columns = mapCSVColumns(parseCSVRows(firstLine)[0] || []);
+    return columns.text !== undefined && (columns.timecode !== undefined || columns.frame !== undefined);
+}
+
+/**
+ * Parse a Frame.io CSV comment export
+ * @param {string} text - Raw CSV content
+ * @param {Object} options - {fps, frameRate: FRAME_RATES key for frame-number columns}
+ * @returns {Array} Normalized comments
+ */
+function parseFrameioCSV(text, options = {}) {
+    const { fps = 30 } = options;
+    const frameRate = resolveFrameRate(options);
+    
+    const rows = parseCSVRows(text.replace(/^\uFEFF/, ''));
+    if (rows.length < 2) {
+        log.warn('CSV export contains no comment rows');
+        return [];
+    }
+    
+    const columns = mapCSVColumns(rows[0]);
+    if (columns.text === undefined) {
+        log.warn('CSV export has no comment text column', rows[0]);
+        return [];
+    }
+    if (columns.timecode === undefined && columns.frame === undefined) {
+        log.warn('CSV export has no timecode or frame column', rows[0]);
+        return [];
+    }
+    
+    const cell = (row, key) => columns[key] !== undefined ? (row[columns[key]] || '').trim() : '';
+    
+    // First pass: collect records keyed by id so replies can inherit their parent's timecode
+    const records = [];
+    const recordsById = new Map();
+    
+    for (let i = 1; i < rows.length; i++) {
+        const row = rows[i];
+        if (row.every(value => !value || !value.trim())) {
+            continue;
+        }
+        
+        const record = {
+            id: cell(row, 'id'),
+            parentId: cell(row, 'parentId'),
+            author: cell(row, 'author'),
+            text: cell(row, 'text'),
+            timecode: cell(row, 'timecode'),
+            endTimecode: cell(row, 'endTimecode'),
+            frame: cell(row, 'frame'),
+            completed: cell(row, 'completed'),
+            isReply: cell(row, 'isReply'),
+            rowNumber: i + 1
+        };
+        
+        records.push(record);
+        if (record.id) {
+            recordsById.set(record.id, record);
+        }
+    }
+    
+    const comments = [];
+    for (const record of records) {
+        const parent = record.parentId ? recordsById.get(record.parentId) : null;
+        const isReply = !!record.parentId || /^(true|yes|1|reply)$/i.test(record.isReply);
+        
+        const timecode = resolveExportTimecode(record.timecode || parent?.timecode, record.frame || parent?.frame, frameRate);
+        const comment = buildExportComment({
+            timecode,
+            // Replies are point notes on their parent's in point
+            endTimecode: isReply ? '' : record.endTimecode,
+            text: record.text,
+            author: record.author,
+            isReply,
+            completed: parseCompletedValue(record.completed)
+        }, fps, `CSV row ${record.rowNumber}`);
+        
+        if (comment) {
+            comments.push(comment);
+        }
+    }
+    
+    log.info(`CSV parsing complete: ${records.length} rows, ${comments.length} comments`);
+    return removeDuplicateComments(comments);
+}
+
+/**
+ * Parse a Frame.io JSON comment export (array of comments, or an object
+ * wrapping one under comments/data/results) with nested or flat replies
+ * @param {string} text - Raw JSON content
+ * @param {Object} options - {fps, frameRate: FRAME_RATES key for frame-number fields}
+ * @returns {Array} Normalized comments
+ */
+function parseFrameioJSON(text, options = {}) {
+    const { fps = 30 } = options;
+    const frameRate = resolveFrameRate(options);
+    
+    let data;
+    try {
+        data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        log.error('Failed to parse Frame.io JSON export', error.message);
+        return [];
+    }
+    
+    const entries = Array.isArray(data) ? data : (data.comments || data.data || data.results || []);
+    if (!Array.isArray(entries) || entries.length === 0) {
+        log.warn('JSON export contains no comments');
+        return [];
+    }
+    
+    const entriesById = new Map();
+    entries.forEach(entry => {
+        if (entry && entry.id !== undefined) {
+            entriesById.set(String(entry.id), entry);
+        }
+    });
+    
+    const comments = [];
+    
+    const addEntry = (entry, parent, context) => {
+        if (!entry || typeof entry !== 'object') {
+            return;
+        }
+        
+        const parentId = entry.parent_id ?? entry.parentId ?? entry.parent?.id;
+        const parentEntry = parent || (parentId !== undefined && parentId !== null ? entriesById.get(String(parentId)) : null);
+        const isReply = !!parentEntry || entry.is_reply === true || entry.isReply === true;
+        
+        const timecode = resolveExportTimecode(
+            getJSONTimecode(entry) || (parentEntry && getJSONTimecode(parentEntry)),
+            getJSONFrame(entry) ?? (parentEntry ? getJSONFrame(parentEntry) : undefined),
+            frameRate
+        );
+        
+        const comment = buildExportComment({
+            timecode,
+            endTimecode: isReply ? '' : getJSONEndTimecode(entry),
+            text: entry.text ?? entry.comment ?? entry.body ?? '',
+            author: getJSONAuthor(entry),
+            isReply,
+            completed: parseCompletedValue(entry.completed ?? entry.completed_at ?? entry.resolved ?? entry.status)
+        }, fps, context);
+        
+        if (comment) {
+            comments.push(comment);
+        }
+        
+        const replies = entry.replies || entry.children || [];
+        if (Array.isArray(replies)) {
+            replies.forEach((reply, index) => addEntry(reply, entry, `${context} reply ${index + 1}`));
+        }
+    };
+    
+    entries.forEach((entry, index) => addEntry(entry, null, `JSON comment ${index + 1}`));
+    
+    log.info(`JSON parsing complete: ${entries.length} entries, ${comments.length} comments`);
+    return removeDuplicateComments(comments);
+}
+
+function getJSONTimecode(entry) {
+    const value = entry.timecode ?? entry.timecode_in ?? entry.tc ?? entry.start_timecode;
+    return typeof value === 'string' ? value : '';
+}
+
+function getJSONEndTimecode(entry) {
+    const value = entry.timecode_out ?? entry.end_timecode ?? entry.tc_out ?? entry.out_point;
+    return typeof value === 'string' ? value : '';
+}
+
+function getJSONFrame(entry) {
+    const value = entry.frame ?? entry.timestamp ?? entry.frame_number;
+    return typeof value === 'number' || (typeof value === 'string' && /^\d+$/.test(value)) ? value : undefined;
+}
+
+function getJSONAuthor(entry) {
+    const owner = entry.owner || entry.author || entry.user || entry.commenter;
+    if (typeof owner === 'string') {
+        return owner;
+    }
+    return owner?.name || owner?.display_name || owner?.email || entry.author_name || entry.commenter_name || '';
+}
+
+/**
+ * Pick a timecode string, falling back to a frame count at the given FRAME_RATES key
+ * (drop-frame rates skip frame labels the way the session does)
+ */
+function resolveExportTimecode(timecode, frame, frameRate) {
+    if (timecode && /\d{1,2}:\d{2}:\d{2}[:;]\d{2}/.test(timecode)) {
+        return timecode.match(/\d{1,2}:\d{2}:\d{2}[:;]\d{2}/)[0];
+    }
+    
+    const frameNumber = frame !== undefined && frame !== '' ? parseInt(frame, 10) : NaN;
+    if (!isNaN(frameNumber) && frameNumber >= 0) {
+        return new TimecodeCalculator(frameRate).framesToTimecodeString(frameNumber);
+    }
+    
+    return timecode || '';
+}
+
+/**
+ * Validate and assemble a comment in the same shape as the TXT state machine
+ */
+function buildExportComment({ timecode, endTimecode, text, author, isReply, completed }, fps, context) {
+    const cleanText = (text || '').replace(/\s+/g, ' ').trim();
+    if (!cleanText) {
+        log.debug(`Skipping ${context}: empty comment text`);
+        return null;
+    }
+    
+    const validation = validateAndNormalizeTimecode(timecode, Math.round(fps));
+    if (!validation.isValid) {
+        log.warn(`Skipping ${context}: ${validation.error}`);
+        return null;
+    }
+    
+    const comment = {
+        timecode: validation.timecode,
+        text: cleanText,
+        author: (author || '').trim() || 'Unknown',
+        isReply: !!isReply
+    };
+    
+    if (endTimecode) {
+        const endValidation = validateAndNormalizeTimecode(endTimecode, Math.round(fps));
+        if (endValidation.isValid) {
+            comment.endTimecode = endValidation.timecode;
+        } else {
+            log.warn(`Ignoring range out point for ${context}: ${endValidation.error}`);
+        }
+    }
+    
+    if (completed !== null) {
+        comment.completed = completed;
+    }
+    
+    return comment;
+}
+
+/**
+ * Interpret the many ways exports spell a completed/resolved flag
+ * @returns {boolean|null} null when the export carries no completion state
+ */
+function parseCompletedValue(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value === 'boolean') {
+        return value;
+    }
+    
+    const normalized = String(value).trim().toLowerCase();
+    if (['true', 'yes', 'y', '1', 'completed', 'complete', 'resolved', 'done', 'x', '✓'].includes(normalized)) {
+        return true;
+    }
+    if (['false', 'no', 'n', '0', 'open', 'incomplete', 'unresolved', 'todo'].includes(normalized)) {
+        return false;
+    }
+    
+    // Timestamps such as completed_at mean the comment was completed
+    return !isNaN(Date.parse(normalized));
+}
+
+/**
+ * Map CSV header cells to known column keys
+ * @returns {Object} key -> column index
+ */
+function mapCSVColumns(headerRow) {
+    const columns = {};
+    headerRow.forEach((header, index) => {
+        const normalized = (header || '').toLowerCase().replace(/[\s_\-()]/g, '');
+        for (const [key, aliases] of Object.entries(CSV_COLUMN_ALIASES)) {
+            if (columns[key] === undefined && aliases.includes(normalized)) {
+                columns[key] = index;
+                break;
+            }
+        }
+    });
+    return columns;
+}
+
+/**
+ * Minimal RFC 4180 CSV reader - handles quoted fields, escaped quotes and
+ * newlines inside quotes (multi-line comments are common in exports)
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+function parseCSVRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                field += char;
+            }
+            continue;
+        }
+        
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    return rows;
+}
+
+
 // Export for use in main process
-module.exports = { parseFrameioTXT };
+module.exports = {
+    parseFrameioTXT,
+    parseFrameioCSV,
+    parseFrameioJSON,
+    parseFrameioExport,
+    parseReviewNotes,
+    detectFrameioFormat,
+    validateAndNormalizeTimecode,
+    removeDuplicateComments,
+    FRAMEIO_FORMATS
+};
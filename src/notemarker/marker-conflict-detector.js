@@ -6,7 +6,8 @@
  * 
  * Features:
  * - Precise timecode comparison using TimecodeCalculator
- * - User conflict resolution options (skip, replace, offset)
+ * - Near-duplicate note detection by text similarity, within the batch and against the session
+ * - User conflict resolution options (skip, replace, offset, merge)
  * - Batch conflict resolution (remember choice)
  * - Intelligent offset calculation
  * - Comprehensive conflict reporting
@@ -22,6 +23,7 @@ const CONFLICT_STRATEGIES = {
     SKIP: 'skip',           // Skip conflicting markers
     REPLACE: 'replace',     // Replace existing markers
     OFFSET: 'offset',       // Offset conflicting markers
+    MERGE: 'merge',         // Merge near-duplicate notes into one marker
     ASK_EACH: 'ask_each',   // Ask user for each conflict
     CANCEL: 'cancel'        // Cancel entire operation
 };
@@ -33,9 +35,14 @@ const CONFLICT_TYPES = {
     EXACT_TIMECODE: 'exact_timecode',       // Same timecode, different name
     EXACT_NAME: 'exact_name',               // Same name, different timecode
     EXACT_MATCH: 'exact_match',             // Same name and timecode
-    NEAR_TIMECODE: 'near_timecode'          // Timecodes within threshold
+    NEAR_TIMECODE: 'near_timecode',         // Timecodes within threshold
+    RANGE_OVERLAP: 'range_overlap',         // Range marker overlaps another marker or range
+    NEAR_DUPLICATE: 'near_duplicate'        // Similar note text close by (reworded repeat, reply restating its parent)
 };
 
+// Token containment only counts once the shorter note has this many words
+const MIN_CONTAINMENT_TOKENS = 3;
+
 /**
  * Marker conflict detection and resolution
  */
@@ -50,7 +57,11 @@ class MarkerConflictDetector {
             defaultOffsetFrames: options.defaultOffset || 30,                  // 1 second at 30fps
             enableNearTimecodeDetection: options.enableNearDetection !== false,
             caseSensitiveNames: options.caseSensitiveNames || false,
-            ...options
+            ...options,
+            // After the spread so options left undefined by callers keep their defaults
+            enableDuplicateDetection: options.enableDuplicateDetection !== false,
+            duplicateThreshold: options.duplicateThreshold ?? 0.8,                 // Text similarity (0-1)
+            duplicateWindowSeconds: options.duplicateWindowSeconds ?? 10           // Only notes this close can be duplicates
         };
         
         // Batch resolution state
@@ -66,6 +77,7 @@ class MarkerConflictDetector {
             skipped: 0,
             replaced: 0,
             offset: 0,
+            merged: 0,
             cancelled: 0
         };
         
@@ -101,14 +113,19 @@ class MarkerConflictDetector {
             [CONFLICT_TYPES.EXACT_TIMECODE]: [],
             [CONFLICT_TYPES.EXACT_NAME]: [],
             [CONFLICT_TYPES.EXACT_MATCH]: [],
-            [CONFLICT_TYPES.NEAR_TIMECODE]: []
+            [CONFLICT_TYPES.NEAR_TIMECODE]: [],
+            [CONFLICT_TYPES.RANGE_OVERLAP]: [],
+            [CONFLICT_TYPES.NEAR_DUPLICATE]: []
         };
         
         for (let i = 0; i < newMarkers.length; i++) {
             const newMarker = newMarkers[i];
             
-            // Find conflicts for this marker
-            const markerConflicts = await this.findMarkerConflicts(newMarker, existingMarkers, i);
+            // Find conflicts for this marker, including repeats of earlier notes in the batch
+            const markerConflicts = [
+                ...await this.findMarkerConflicts(newMarker, existingMarkers, i),
+                ...await this.findBatchDuplicates(newMarker, newMarkers.slice(0, i), i)
+            ];
             
             if (markerConflicts.length > 0) {
                 conflicts.push({
@@ -164,6 +181,132 @@ class MarkerConflictDetector {
         return conflicts;
     }
     
+    /**
+     * Find earlier notes in the same batch that a note repeats
+     * @param {Object} newMarker - New marker to check
+     * @param {Array} earlierMarkers - New markers before it in the batch
+     * @param {number} index - Index of new marker
+     * @returns {Array} NEAR_DUPLICATE conflicts; existingMarker describes the earlier note
+     */
+    async findBatchDuplicates(newMarker, earlierMarkers, index) {
+        const conflicts = [];
+        
+        for (let i = 0; i < earlierMarkers.length; i++) {
+            const earlier = earlierMarkers[i];
+            // Shaped like a session marker
+            const pendingMarker = {
+                name: earlier.name,
+                comments: earlier.comments,
+                startLocation: earlier.timecode,
+                endLocation: earlier.endTimecode,
+                pending: true
+            };
+            
+            const conflict = await this.checkNearDuplicate(newMarker, pendingMarker, index);
+            if (conflict) {
+                conflicts.push({ ...conflict, duplicateIndex: i });
+            }
+        }
+        
+        return conflicts;
+    }
+    
+    /**
+     * Check whether a new note repeats a marker's text close to it
+     * @param {Object} newMarker - New marker
+     * @param {Object} existingMarker - Session marker (or pending note shaped like one)
+     * @param {number} newMarkerIndex - Index of new marker
+     * @returns {Object|null} NEAR_DUPLICATE conflict or null
+     */
+    async checkNearDuplicate(newMarker, existingMarker, newMarkerIndex) {
+        if (!this.config.enableDuplicateDetection) {
+            return null;
+        }
+        
+        // Pending notes carry their text in comments; session markers hold it in the
+        // name (NoteMarker writes note text as the Pro Tools marker name)
+        const existingText = existingMarker.comments || existingMarker.name;
+        const similarity = MarkerConflictDetector.textSimilarity(newMarker.comments, existingText);
+        if (similarity < this.config.duplicateThreshold) {
+            return null;
+        }
+        
+        const distance = await this.calculateTimecodeDistance(newMarker.timecode, existingMarker.startLocation);
+        const windowFrames = this.config.duplicateWindowSeconds * this.timecodeCalculator.frameRateInfo.framesPerSecond;
+        if (distance > windowFrames) {
+            return null;
+        }
+        
+        const where = existingMarker.pending ? 'earlier note' : 'marker';
+        return {
+            type: CONFLICT_TYPES.NEAR_DUPLICATE,
+            existingMarker,
+            newMarkerIndex,
+            severity: 'medium',
+            similarity: Math.round(similarity * 100) / 100,
+            distance,
+            description: `Near duplicate: "${newMarker.comments}" at ${newMarker.timecode} is ${Math.round(similarity * 100)}% similar to ${where} "${existingText}" at ${existingMarker.startLocation}`,
+            suggestions: ['merge', 'skip', 'offset']
+        };
+    }
+    
+    /**
+     * Normalize note text for similarity checks: lowercase words, no punctuation
+     * @param {string} text - Note text
+     * @returns {string} Normalized text
+     */
+    static normalizeNoteText(text) {
+        return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+    }
+    
+    /**
+     * Similarity of two notes' text, from 0 (unrelated) to 1 (same after normalization)
+     * Character bigram overlap catches rewording and typos; word containment catches a
+     * reply that restates its parent inside a longer sentence
+     * @param {string} text1 - First note text
+     * @param {string} text2 - Second note text
+     * @returns {number} Similarity
+     */
+    static textSimilarity(text1, text2) {
+        const a = MarkerConflictDetector.normalizeNoteText(text1);
+        const b = MarkerConflictDetector.normalizeNoteText(text2);
+        
+        if (!a || !b) {
+            return 0;
+        }
+        if (a === b) {
+            return 1;
+        }
+        
+        // Sorensen-Dice coefficient over character bigrams
+        const bigrams = text => {
+            const counts = new Map();
+            for (let i = 0; i < text.length - 1; i++) {
+                const bigram = text.substring(i, i + 2);
+                counts.set(bigram, (counts.get(bigram) || 0) + 1);
+            }
+            return counts;
+        };
+        const bigramsA = bigrams(a);
+        const bigramsB = bigrams(b);
+        let shared = 0;
+        bigramsA.forEach((count, bigram) => {
+            shared += Math.min(count, bigramsB.get(bigram) || 0);
+        });
+        const totalBigrams = Math.max(a.length - 1, 0) + Math.max(b.length - 1, 0);
+        const dice = totalBigrams > 0 ? (2 * shared) / totalBigrams : 0;
+        
+        // Share of the shorter note's words found in the longer one
+        const tokensA = new Set(a.split(' '));
+        const tokensB = new Set(b.split(' '));
+        const [shorter, longer] = tokensA.size <= tokensB.size ? [tokensA, tokensB] : [tokensB, tokensA];
+        const containment = shorter.size >= MIN_CONTAINMENT_TOKENS
+            ? [...shorter].filter(token => longer.has(token)).length / shorter.size
+            : 0;
+        
+        return Math.max(dice, containment);
+    }
+    
     /**
      * Compare two markers for conflicts
      * @param {Object} newMarker - New marker
@@ -189,6 +332,12 @@ class MarkerConflictDetector {
             };
         }
         
+        // Check for the same note reworded (reported ahead of name/timecode clashes, which it usually also is)
+        const duplicate = await this.checkNearDuplicate(newMarker, existingMarker, newMarkerIndex);
+        if (duplicate) {
+            return duplicate;
+        }
+        
         // Check for same name, different timecode
         if (newName === existingName) {
             return {
@@ -213,6 +362,23 @@ class MarkerConflictDetector {
             };
         }
         
+        // Check for overlapping ranges (a point inside a range counts)
+        const overlap = this.calculateRangeOverlap(newTimecode, newMarker.endTimecode, existingTimecode, existingMarker.endLocation);
+        if (overlap) {
+            const existingSpan = existingMarker.endLocation ? `${existingTimecode}-${existingMarker.endLocation}` : existingTimecode;
+            const newSpan = newMarker.endTimecode ? `${newTimecode}-${newMarker.endTimecode}` : newTimecode;
+            return {
+                type: CONFLICT_TYPES.RANGE_OVERLAP,
+                existingMarker,
+                newMarkerIndex,
+                severity: 'low',
+                overlapFrames: overlap.overlapFrames,
+                framesToClear: overlap.framesToClear,
+                description: `Range overlap: "${newName}" (${newSpan}) overlaps "${existingName}" (${existingSpan}) by ${overlap.overlapFrames} frames`,
+                suggestions: ['skip', 'replace', 'offset']
+            };
+        }
+        
         // Check for near timecode conflicts if enabled
         if (this.config.enableNearTimecodeDetection) {
             const timecodeDistance = await this.calculateTimecodeDistance(newTimecode, existingTimecode);
@@ -245,6 +411,7 @@ class MarkerConflictDetector {
                 resolved: true,
                 modifiedMarkers: [],
                 skippedIndices: [],
+                mergedMarkers: [],
                 results: []
             };
         }
@@ -260,6 +427,7 @@ class MarkerConflictDetector {
         const resolutionResults = [];
         const skippedIndices = new Set();
         const modifiedMarkers = [];
+        const mergedMarkers = [];
         
         for (const conflictGroup of conflictResults.conflicts) {
             try {
@@ -278,6 +446,14 @@ class MarkerConflictDetector {
                         modifiedMarker: resolution.modifiedMarker
                     });
                     this.stats.offset++;
+                } else if (resolution.action === 'merge') {
+                    mergedMarkers.push({
+                        originalIndex: conflictGroup.newMarkerIndex,
+                        targetIndex: resolution.targetIndex,
+                        existingMarker: resolution.targetIndex === null ? resolution.duplicate.existingMarker : null,
+                        similarity: resolution.duplicate.similarity
+                    });
+                    this.stats.merged++;
                 } else if (resolution.action === 'cancel') {
                     this.stats.cancelled++;
                     return {
@@ -286,6 +462,7 @@ class MarkerConflictDetector {
                         cancelled: true,
                         modifiedMarkers: [],
                         skippedIndices: [],
+                        mergedMarkers: [],
                         results: resolutionResults
                     };
                 }
@@ -307,6 +484,7 @@ class MarkerConflictDetector {
             resolved: true,
             modifiedMarkers,
             skippedIndices: Array.from(skippedIndices),
+            mergedMarkers,
             results: resolutionResults,
             stats: { ...this.stats }
         };
@@ -353,6 +531,23 @@ class MarkerConflictDetector {
                     reason: 'User chose to replace existing marker'
                 };
                 
+            case CONFLICT_STRATEGIES.MERGE: {
+                // Merge into the most similar note; other clashes aren't duplicates, so offset rather than lose them
+                const duplicate = conflicts
+                    .filter(conflict => conflict.type === CONFLICT_TYPES.NEAR_DUPLICATE)
+                    .sort((a, b) => b.similarity - a.similarity)[0];
+                if (duplicate) {
+                    const target = duplicate.existingMarker.pending ? 'earlier note' : 'existing marker';
+                    return {
+                        conflict: conflictGroup,
+                        action: 'merge',
+                        duplicate,
+                        targetIndex: duplicate.existingMarker.pending ? duplicate.duplicateIndex : null,
+                        reason: `Merged into ${target} "${duplicate.existingMarker.comments || duplicate.existingMarker.name}" (${Math.round(duplicate.similarity * 100)}% similar)`
+                    };
+                }
+            }
+            // falls through
             case CONFLICT_STRATEGIES.OFFSET:
                 const offsetMarker = await this.calculateOffsetMarker(newMarker, conflicts);
                 return {
@@ -392,6 +587,9 @@ class MarkerConflictDetector {
             newMarker,
             conflicts,
             options: {
+                ...(conflicts.some(conflict => conflict.type === CONFLICT_TYPES.NEAR_DUPLICATE)
+                    ? { merge: 'Merge into one marker' }
+                    : {}),
                 skip: 'Skip this marker',
                 replace: 'Replace existing marker(s)',
                 offset: 'Offset to next available timecode',
@@ -436,19 +634,25 @@ class MarkerConflictDetector {
                 offsetFrames = Math.max(offsetFrames, this.config.defaultOffsetFrames);
             } else if (conflict.type === CONFLICT_TYPES.NEAR_TIMECODE) {
                 offsetFrames = Math.max(offsetFrames, conflict.distance + this.config.defaultOffsetFrames);
+            } else if (conflict.type === CONFLICT_TYPES.RANGE_OVERLAP) {
+                // Start just after whatever it overlaps
+                offsetFrames = Math.max(offsetFrames, conflict.framesToClear + 1);
             }
         }
         
         // Calculate new timecode
-        const originalTC = this.timecodeCalculator.parseTimecode(originalTimecode);
-        const originalFrames = this.timecodeCalculator.timecodeToFrames(originalTC);
-        const newFrames = originalFrames + offsetFrames;
-        const newTC = this.timecodeCalculator.framesToTimecode(newFrames);
-        const newTimecode = this.timecodeCalculator.formatTimecode(newTC);
+        const shift = timecode => {
+            const tc = this.timecodeCalculator.parseTimecode(timecode);
+            const frames = this.timecodeCalculator.timecodeToFrames(tc) + offsetFrames;
+            return this.timecodeCalculator.formatTimecode(this.timecodeCalculator.framesToTimecode(frames));
+        };
+        const newTimecode = shift(originalTimecode);
         
         const offsetMarker = {
             ...newMarker,
             timecode: newTimecode,
+            // Ranges move as a whole
+            endTimecode: newMarker.endTimecode ? shift(newMarker.endTimecode) : newMarker.endTimecode,
             name: newMarker.name + ` (+${Math.round(offsetFrames / this.timecodeCalculator.frameRateInfo.framesPerSecond * 10) / 10}s)`,
             offsetInfo: {
                 originalTimecode,
@@ -488,21 +692,65 @@ class MarkerConflictDetector {
         }
     }
     
+    /**
+     * Work out how far a new marker overlaps an existing one when either is a range
+     * Touching ranges (one ends where the next starts) don't overlap
+     * @param {string} start1 - New marker start
+     * @param {string} [end1] - New marker end (range markers only)
+     * @param {string} start2 - Existing marker start
+     * @param {string} [end2] - Existing marker end (range markers only)
+     * @returns {Object|null} {overlapFrames, framesToClear} or null if they don't overlap
+     */
+    calculateRangeOverlap(start1, end1, start2, end2) {
+        if (!end1 && !end2) {
+            return null;
+        }
+        
+        try {
+            const toFrames = timecode => this.timecodeCalculator.timecodeToFrames(this.timecodeCalculator.parseTimecode(timecode));
+            const newStart = toFrames(start1);
+            const newEnd = end1 ? toFrames(end1) : newStart;
+            const existingStart = toFrames(start2);
+            const existingEnd = end2 ? toFrames(end2) : existingStart;
+            
+            const overlapStart = Math.max(newStart, existingStart);
+            const overlapEnd = Math.min(newEnd, existingEnd);
+            
+            // Ranges are half-open [start, end); a point sits inside a range if start <= point < end
+            let overlaps;
+            if (newStart === newEnd) {
+                overlaps = existingStart <= newStart && newStart < existingEnd;
+            } else if (existingStart === existingEnd) {
+                overlaps = newStart <= existingStart && existingStart < newEnd;
+            } else {
+                overlaps = overlapStart < overlapEnd;
+            }
+            
+            if (!overlaps) {
+                return null;
+            }
+            
+            return {
+                overlapFrames: overlapEnd - overlapStart,
+                framesToClear: existingEnd - newStart
+            };
+        } catch (error) {
+            // Non-timecode locations (samples, bars|beats) can't be compared
+            log.debug('Could not compare marker ranges', { start1, end1, start2, end2, error: error.message });
+            return null;
+        }
+    }
+    
     /**
      * Calculate distance between two timecodes in frames
+     * Markers either side of midnight (23:59:59:xx / 00:00:00:xx) count as neighbours
      * @param {string} timecode1 - First timecode
      * @param {string} timecode2 - Second timecode
      * @returns {number} Distance in frames (0 if same, positive if different)
      */
     async calculateTimecodeDistance(timecode1, timecode2) {
         try {
-            const tc1 = this.timecodeCalculator.parseTimecode(timecode1);
-            const tc2 = this.timecodeCalculator.parseTimecode(timecode2);
-            
-            const frames1 = this.timecodeCalculator.timecodeToFrames(tc1);
-            const frames2 = this.timecodeCalculator.timecodeToFrames(tc2);
-            
-            return Math.abs(frames1 - frames2);
+            return this.timecodeCalculator.timecodeDistance(timecode1, timecode2);
         } catch (error) {
             log.error('Error calculating timecode distance:', error);
             return Infinity;
@@ -537,6 +785,8 @@ class MarkerConflictDetector {
             nameConflicts: conflictsByType[CONFLICT_TYPES.EXACT_NAME].length,
             timecodeConflicts: conflictsByType[CONFLICT_TYPES.EXACT_TIMECODE].length,
             nearTimecodeConflicts: conflictsByType[CONFLICT_TYPES.NEAR_TIMECODE].length,
+            rangeOverlaps: conflictsByType[CONFLICT_TYPES.RANGE_OVERLAP].length,
+            nearDuplicates: conflictsByType[CONFLICT_TYPES.NEAR_DUPLICATE].length,
             totalConflicts: Object.values(conflictsByType).reduce((sum, arr) => sum + arr.length, 0)
         };
     }
@@ -572,6 +822,7 @@ class MarkerConflictDetector {
             skipped: 0,
             replaced: 0,
             offset: 0,
+            merged: 0,
             cancelled: 0
         };
         
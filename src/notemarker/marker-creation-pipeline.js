@@ -1,8 +1,15 @@
 const log = require('electron-log');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
 const PTSLMessageBuilder = require('./ptsl-message-builder.js');
 const { PTSLErrorHandler, PTSL_ERROR_TYPES } = require('./ptsl-error-handler.js');
 const { MarkerConflictDetector, ConflictDetectionUtils, CONFLICT_STRATEGIES } = require('./marker-conflict-detector.js');
 const { ComprehensiveErrorHandler, ERROR_CATEGORIES, RECOVERY_STRATEGIES } = require('./comprehensive-error-handler.js');
+const { MarkerLedger } = require('./marker-ledger.js');
+const { MarkerTrackRouter } = require('./marker-track-router.js');
+const { TimecodeCalculator, FRAME_RATES } = require('./timecode-calculator.js');
+const { parseFrameioExport, detectFrameioFormat } = require('./frameio-parser.js');
 
 /**
  * Marker Creation Pipeline
@@ -27,6 +34,21 @@ class MarkerCreationPipeline {
         this.conflictDetector = null;
         this.userInteractionCallback = null;
         
+        // Persistent record of created markers (see marker-ledger.js)
+        this.ledger = null;
+        
+        // Per-session settings and import history (see session-settings-store.js)
+        this.sessionStore = null;
+        
+        // Plan from the last preview run, waiting for approval
+        this.pendingPreview = null;
+        
+        // Markers written by the last live run, for undoLastRun()
+        this.lastRun = null;
+        
+        // Per-author/department marker track routing (see marker-track-router.js)
+        this.trackRouter = null;
+        
         // Comprehensive error handling
         this.errorHandler = new ComprehensiveErrorHandler({
             maxRetries: 3,
@@ -73,6 +95,22 @@ class MarkerCreationPipeline {
         }
     }
     
+    /**
+     * Set marker ledger used to skip already-spotted notes and record results
+     * @param {MarkerLedger} ledger - Ledger instance (null disables)
+     */
+    setLedger(ledger) {
+        this.ledger = ledger;
+    }
+    
+    /**
+     * Set session settings store used to record import history per session
+     * @param {SessionSettingsStore} store - Store instance (null disables)
+     */
+    setSessionStore(store) {
+        this.sessionStore = store;
+    }
+    
     /**
      * Set progress callback for error handling
      * @param {Function} callback - Function to handle progress updates
@@ -83,10 +121,60 @@ class MarkerCreationPipeline {
         }
     }
     
+    /**
+     * Parse a note file and create its markers
+     * Accepts anything frameio-parser detects: Frame.io exports, Avid locators,
+     * EDLs, SRT/WebVTT subtitles and timecoded spotting-note documents
+     * @param {string} filePath - Path to the note file
+     * @param {Function} [progressCallback] - Function to handle progress updates
+     * @param {Object} [options] - Pipeline options, see createMarkers()
+     * @returns {Promise<Object>} createMarkers() result
+     */
+    async processFrameIOFile(filePath, progressCallback = null, options = {}) {
+        if (progressCallback) {
+            this.setProgressCallback(progressCallback);
+        }
+        
+        const text = await fs.promises.readFile(filePath, 'utf8');
+        const fileName = path.basename(filePath);
+        
+        // Subtitle timestamps are real time - convert them at the session's rate
+        let frameRate = options.frameRate;
+        if (!frameRate) {
+            const sessionInfo = await this.connectionManager.getSessionInfo();
+            this.sessionTimecodeRate = this.parseTimecodeRate(sessionInfo.timeCodeRate || sessionInfo.timecodeFormat);
+            frameRate = this.getFrameRateKey();
+        }
+        
+        const notes = parseFrameioExport(text, {
+            fileName,
+            frameRate,
+            fps: FRAME_RATES[frameRate].framesPerSecond
+        });
+        
+        return this.createMarkers(notes, {
+            sourceName: fileName,
+            sourceType: detectFrameioFormat(text, fileName),
+            ...options
+        });
+    }
+    
     /**
      * Main pipeline entry point
      * @param {Array} frameioMarkers - Array of Frame.io markers to create
      * @param {Object} options - Pipeline options
+     * @param {boolean} [options.dryRun] - Parse, validate and resolve conflicts without touching Pro Tools
+     * @param {string} [options.frameRate] - FRAME_RATES key used in place of the session rate for dry runs
+     * @param {Array} [options.existingMarkers] - Memory locations to check conflicts against in dry runs
+     * @param {string} [options.markerTrack] - Named marker ruler to create markers on (main ruler otherwise)
+     * @param {string} [options.routeBy] - 'author' or 'department': one marker ruler per author/department, created on demand
+     * @param {string} [options.trackPrefix] - Prefix for routed marker ruler names
+     * @param {Object} [options.departments] - Department name -> keywords for routeBy 'department'
+     * @param {Object} [options.authorColors] - Author name -> colour index overrides for routed markers
+     * @param {Array} [options.existingTracks] - Tracks to plan marker rulers against in dry runs
+     * @param {boolean} [options.preview] - Stop before creating anything and return a diff; see commitPreview()
+     * @param {number} [options.duplicateThreshold] - Text similarity (0-1) at which nearby notes count as duplicates
+     * @param {boolean} [options.detectDuplicates] - Set false to turn near-duplicate detection off
      */
     async createMarkers(frameioMarkers, options = {}) {
         if (this.isRunning) {
@@ -105,9 +193,13 @@ class MarkerCreationPipeline {
             log.info(`Starting marker creation pipeline for ${this.totalMarkers} markers`);
             this.reportProgress('Starting pipeline', 0);
             
+            this.trackRouter = options.routeBy ? new MarkerTrackRouter(options) : null;
+            
             // Step 1: Validate session compatibility
             this.currentOperation = 'Validating session compatibility';
-            const validationResult = await this.validateSessionCompatibility();
+            const validationResult = options.dryRun
+                ? this.initializeDryRunSession(options)
+                : await this.validateSessionCompatibility();
             if (!validationResult.valid) {
                 throw new Error(`Session validation failed: ${validationResult.errors.join(', ')}`);
             }
@@ -115,7 +207,11 @@ class MarkerCreationPipeline {
             
             // Step 2: Get existing markers to check for conflicts
             this.currentOperation = 'Checking for existing markers';
-            await this.getExistingMarkers();
+            if (options.dryRun) {
+                this.existingMarkers = options.existingMarkers || [];
+            } else {
+                await this.getExistingMarkers();
+            }
             this.reportProgress(this.currentOperation, 20);
             
             // Step 3: Initialize conflict detector with session settings
@@ -128,35 +224,412 @@ class MarkerCreationPipeline {
             const validatedMarkers = await this.validateMarkers(frameioMarkers);
             this.reportProgress(this.currentOperation, 35);
             
+            // Step 4b: Skip notes the ledger says are already in this session
+            const { pendingMarkers, alreadySpotted } = this.filterSpottedMarkers(validatedMarkers, options);
+            
             // Step 5: Detect and resolve conflicts
             this.currentOperation = 'Checking for conflicts';
-            const { finalMarkers, conflictResults } = await this.handleConflicts(validatedMarkers, options);
+            const { finalMarkers, conflictResults } = await this.handleConflicts(pendingMarkers, options);
             this.reportProgress(this.currentOperation, 50);
             
-            // Step 6: Create markers in batches
-            this.currentOperation = 'Creating markers';
-            const results = await this.batchCreateMarkers(finalMarkers, options);
-            this.reportProgress('Pipeline completed', 100);
+            // Preview: hand back the diff and keep the plan until it's approved
+            if (options.preview) {
+                return this.storePreview(frameioMarkers, validatedMarkers, finalMarkers, conflictResults, alreadySpotted, options);
+            }
             
-            log.info('Marker creation pipeline completed', {
-                total: this.totalMarkers,
-                created: this.createdMarkers,
-                skipped: this.skippedMarkers,
-                failed: this.failedMarkers
+            return await this.finishMarkerCreation(finalMarkers, conflictResults, alreadySpotted, options);
+            
+        } catch (error) {
+            log.error('Marker creation pipeline failed:', error);
+            this.reportProgress(`Pipeline failed: ${error.message}`, -1);
+            throw error;
+        } finally {
+            this.isRunning = false;
+            this.currentOperation = null;
+        }
+    }
+    
+    /**
+     * Steps 6-7: create (or, for dry runs, plan) the resolved markers and record them
+     * @private
+     */
+    async finishMarkerCreation(finalMarkers, conflictResults, alreadySpotted, options) {
+        // Step 5b: Make sure the marker rulers the markers go on exist
+        this.currentOperation = 'Preparing marker tracks';
+        const tracks = await this.prepareMarkerTracks(finalMarkers, options);
+        
+        // Step 6: Create markers in batches (dry runs only report where they would go)
+        this.currentOperation = 'Creating markers';
+        const results = options.dryRun
+            ? this.planMarkers(finalMarkers)
+            : await this.batchCreateMarkers(finalMarkers, options);
+        
+        // Step 7: Record what was created
+        this.currentOperation = 'Recording marker ledger';
+        let ledgerEntries = [];
+        if (!options.dryRun) {
+            const created = results.filter(result => result.success);
+            const markerNumbers = created.length > 0 ? await this.lookupMarkerNumbers(created) : [];
+            ledgerEntries = this.recordLedgerEntries(created, markerNumbers, conflictResults, options);
+            this.rememberRun(created, markerNumbers, options);
+            this.recordImportHistory(finalMarkers, alreadySpotted, options);
+        }
+        this.reportProgress('Pipeline completed', 100);
+        
+        log.info('Marker creation pipeline completed', {
+            total: this.totalMarkers,
+            created: this.createdMarkers,
+            skipped: this.skippedMarkers,
+            failed: this.failedMarkers
+        });
+        
+        return {
+            success: true,
+            dryRun: !!options.dryRun,
+            session: this.sessionInfo,
+            total: this.totalMarkers,
+            created: this.createdMarkers,
+            skipped: this.skippedMarkers,
+            failed: this.failedMarkers,
+            results: results,
+            conflictResults: conflictResults,
+            alreadySpotted: alreadySpotted,
+            ledgerEntries: ledgerEntries,
+            tracks: tracks,
+            lastRun: options.dryRun ? null : this.getLastRun()
+        };
+    }
+    
+    /**
+     * Create the named marker rulers markers are routed to that the session doesn't have yet
+     * Dry runs only report what would be created (against options.existingTracks)
+     * @param {Array} finalMarkers - Markers about to be created; trackName is updated if Pro Tools renames a track
+     * @param {Object} options - Pipeline options
+     * @returns {Promise<Object>} {used: string[], created: string[]}
+     * @private
+     */
+    async prepareMarkerTracks(finalMarkers, options = {}) {
+        const trackNames = [...new Set(finalMarkers.map(marker => marker.trackName).filter(Boolean))];
+        if (trackNames.length === 0) {
+            return { used: [], created: [] };
+        }
+        
+        if (options.dryRun) {
+            const plan = MarkerTrackRouter.planTracks(trackNames, options.existingTracks || []);
+            return { used: trackNames, created: plan.missing };
+        }
+        
+        const { tracks: existingTracks } = await this.connectionManager.getTrackList();
+        const plan = MarkerTrackRouter.planTracks(trackNames, existingTracks);
+        const created = [];
+        
+        for (const trackName of plan.missing) {
+            const result = await this.connectionManager.createNewTracks({
+                trackName,
+                trackType: 'Markers',
+                insertionPoint: 'Last'
+            });
+            
+            // Pro Tools suffixes the name if a non-marker track already uses it
+            const createdName = result.trackNames[0] || trackName;
+            if (createdName !== trackName) {
+                finalMarkers
+                    .filter(marker => marker.trackName === trackName)
+                    .forEach(marker => { marker.trackName = createdName; });
+            }
+            created.push(createdName);
+        }
+        
+        if (created.length > 0) {
+            log.info('Created marker tracks', { created });
+        }
+        
+        return {
+            used: [...new Set(finalMarkers.map(marker => marker.trackName).filter(Boolean))],
+            created
+        };
+    }
+    
+    /**
+     * Remember the memory location numbers a live run created, for undoLastRun()
+     * Runs that created nothing leave the previous run undoable
+     * @private
+     */
+    rememberRun(created, markerNumbers, options = {}) {
+        if (created.length === 0) {
+            return;
+        }
+        
+        const markers = created.map((result, index) => ({
+            number: markerNumbers[index],
+            name: result.marker.comments,
+            timecode: result.finalTimecode || result.marker.timecode,
+            trackName: result.marker.trackName || null
+        }));
+        
+        this.lastRun = {
+            id: crypto.randomUUID(),
+            sessionName: this.sessionInfo?.name || null,
+            sourceName: options.sourceName || null,
+            createdAt: new Date().toISOString(),
+            markers: markers.filter(marker => marker.number !== null),
+            unmatched: markers.filter(marker => marker.number === null).length
+        };
+        
+        if (this.lastRun.unmatched > 0) {
+            log.warn('Some created markers could not be matched to memory location numbers and cannot be undone', {
+                unmatched: this.lastRun.unmatched
+            });
+        }
+    }
+    
+    /**
+     * Summary of the run undoLastRun() would remove
+     * @returns {Object|null} {id, sessionName, sourceName, createdAt, count, unmatched}
+     */
+    getLastRun() {
+        if (!this.lastRun) {
+            return null;
+        }
+        
+        const { id, sessionName, sourceName, createdAt, markers, unmatched } = this.lastRun;
+        return { id, sessionName, sourceName, createdAt, count: markers.length, unmatched };
+    }
+    
+    /**
+     * Remove exactly the markers the last live run created
+     * Markers that were renamed, moved or deleted since are left alone
+     * @returns {Promise<Object>} {success, runId, sessionName, cleared, missing, ledgerEntriesRemoved}
+     */
+    async undoLastRun() {
+        const run = this.lastRun;
+        if (!run || run.markers.length === 0) {
+            throw new Error('No marker run to undo');
+        }
+        if (this.isRunning) {
+            throw new Error('Pipeline is already running');
+        }
+        
+        this.isRunning = true;
+        this.currentOperation = 'Undoing last marker run';
+        
+        try {
+            const sessionInfo = await this.connectionManager.getSessionInfo();
+            if (run.sessionName && sessionInfo.name !== run.sessionName) {
+                throw new Error(`Last run was written to "${run.sessionName}", but "${sessionInfo.name}" is open`);
+            }
+            
+            // Only clear numbers that still hold the marker we created - the user
+            // may have deleted ours and reused the number since
+            const { memoryLocations } = await this.connectionManager.getMemoryLocations();
+            const current = new Map(memoryLocations.map(location => [location.number, location]));
+            const toClear = [];
+            const missing = [];
+            
+            run.markers.forEach(marker => {
+                const location = current.get(marker.number);
+                const startTime = location && (location.startTime || location.start_time);
+                if (location && location.name === marker.name && (!startTime || startTime === marker.timecode)) {
+                    toClear.push(marker.number);
+                } else {
+                    missing.push(marker);
+                }
+            });
+            
+            if (toClear.length > 0) {
+                await this.connectionManager.clearMemoryLocations(toClear);
+            }
+            
+            let ledgerEntriesRemoved = 0;
+            if (this.ledger && run.sessionName) {
+                try {
+                    ledgerEntriesRemoved = this.ledger.forgetMarkers(run.sessionName, toClear);
+                } catch (error) {
+                    log.error('Failed to remove undone markers from the ledger', { error: error.message });
+                }
+            }
+            
+            this.lastRun = null;
+            
+            log.info('Last marker run undone', {
+                runId: run.id,
+                sessionName: run.sessionName,
+                cleared: toClear.length,
+                missing: missing.length
             });
             
             return {
                 success: true,
+                runId: run.id,
+                sessionName: run.sessionName,
+                cleared: toClear,
+                missing,
+                ledgerEntriesRemoved
+            };
+            
+        } catch (error) {
+            log.error('Undoing last marker run failed:', error);
+            throw error;
+        } finally {
+            this.isRunning = false;
+            this.currentOperation = null;
+        }
+    }
+    
+    /**
+     * Keep a preview plan for commitPreview() and return its diff
+     * @private
+     */
+    storePreview(frameioMarkers, validatedMarkers, finalMarkers, conflictResults, alreadySpotted, options) {
+        const diff = this.buildPreviewDiff(frameioMarkers, validatedMarkers, finalMarkers, conflictResults, alreadySpotted);
+        
+        this.pendingPreview = {
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            sessionName: this.sessionInfo?.name || null,
+            finalMarkers,
+            conflictResults,
+            alreadySpotted,
+            options: { ...options, preview: false },
+            counts: {
                 total: this.totalMarkers,
-                created: this.createdMarkers,
                 skipped: this.skippedMarkers,
-                failed: this.failedMarkers,
-                results: results,
-                conflictResults: conflictResults
-            };
+                failed: this.failedMarkers
+            }
+        };
+        
+        this.reportProgress('Preview ready', 100);
+        log.info('Marker preview ready', { previewId: this.pendingPreview.id, summary: diff.summary });
+        
+        return {
+            success: true,
+            preview: true,
+            previewId: this.pendingPreview.id,
+            session: this.sessionInfo,
+            total: this.totalMarkers,
+            diff
+        };
+    }
+    
+    /**
+     * Describe what a run would do to the session, per note
+     * @param {Array} frameioMarkers - Notes passed to createMarkers()
+     * @param {Array} validatedMarkers - Markers that passed validation
+     * @param {Array} finalMarkers - Markers left after ledger filtering and conflict resolution
+     * @param {Object} conflictResults - handleConflicts() results
+     * @param {Array} alreadySpotted - Notes skipped because the ledger has them
+     * @returns {Object} {summary: {add, offset, rename, replace, merge, skip}, changes: [...]}
+     */
+    buildPreviewDiff(frameioMarkers, validatedMarkers, finalMarkers, conflictResults, alreadySpotted) {
+        const describe = marker => ({
+            name: marker.name,
+            text: marker.comments,
+            author: marker.author,
+            timecode: marker.timecode,
+            finalTimecode: this.resolveFinalTimecode(marker.timecode),
+            finalEndTimecode: marker.endTimecode ? this.resolveFinalTimecode(marker.endTimecode) : null,
+            colorIndex: marker.colorIndex,
+            trackName: marker.trackName || null
+        });
+        
+        const validatedByIndex = new Map(validatedMarkers.map(marker => [marker.originalIndex, marker]));
+        const finalByIndex = new Map(finalMarkers.map(marker => [marker.originalIndex, marker]));
+        const spottedByIndex = new Map(alreadySpotted.map(entry => [entry.originalIndex, entry]));
+        const resolutions = new Map();
+        (conflictResults?.resolutionResults?.results || []).forEach(resolution => {
+            const marker = resolution.conflict?.newMarker;
+            if (marker) {
+                resolutions.set(marker.originalIndex, resolution);
+            }
+        });
+        
+        const changes = frameioMarkers.map((note, index) => {
+            const validated = validatedByIndex.get(index);
+            const resolution = resolutions.get(index);
+            const conflicts = (resolution?.conflict?.conflicts || []).map(conflict => ({
+                type: conflict.type,
+                existingName: conflict.existingMarker?.name,
+                existingLocation: conflict.existingMarker?.sessionLocation || conflict.existingMarker?.startLocation
+            }));
+            
+            if (!validated) {
+                return { index, action: 'skip', reason: 'invalid', note: { timecode: note.timecode, text: note.text, author: note.author } };
+            }
+            if (spottedByIndex.has(index)) {
+                return { index, action: 'skip', reason: 'already spotted', marker: describe(validated), ledger: spottedByIndex.get(index) };
+            }
+            
+            const final = finalByIndex.get(index);
+            const mergedInto = finalMarkers.find(marker => (marker.mergedNotes || []).includes(validated.frameioData));
+            if (resolution?.action === 'merge' && (mergedInto || resolution.targetIndex === null)) {
+                return {
+                    index,
+                    action: 'merge',
+                    reason: resolution.reason,
+                    marker: describe(validated),
+                    mergedInto: mergedInto ? describe(mergedInto) : null,
+                    conflicts
+                };
+            }
+            if (!final) {
+                return { index, action: 'skip', reason: 'conflict', marker: describe(validated), conflicts };
+            }
+            if (resolution?.action === 'replace') {
+                return { index, action: 'replace', marker: describe(final), conflicts };
+            }
+            if (final.timecode !== validated.timecode) {
+                return { index, action: 'offset', marker: describe(final), previous: describe(validated), conflicts };
+            }
+            if (final.name !== validated.name || final.comments !== validated.comments) {
+                return { index, action: 'rename', marker: describe(final), previous: describe(validated), conflicts };
+            }
+            return { index, action: 'add', marker: describe(final), conflicts };
+        });
+        
+        const summary = { add: 0, offset: 0, rename: 0, replace: 0, merge: 0, skip: 0 };
+        changes.forEach(change => summary[change.action]++);
+        
+        return { summary, changes };
+    }
+    
+    /**
+     * Create the markers from the last preview exactly as shown
+     * @param {string} previewId - previewId returned by createMarkers({preview: true})
+     * @returns {Promise<Object>} Same shape as createMarkers()
+     */
+    async commitPreview(previewId) {
+        const preview = this.pendingPreview;
+        if (!preview || preview.id !== previewId) {
+            throw new Error('Preview not found or superseded - run the preview again');
+        }
+        if (this.isRunning) {
+            throw new Error('Pipeline is already running');
+        }
+        
+        this.isRunning = true;
+        this.pendingPreview = null;
+        this.options = preview.options;
+        this.totalMarkers = preview.counts.total;
+        this.processedMarkers = 0;
+        this.createdMarkers = 0;
+        this.skippedMarkers = preview.counts.skipped;
+        this.failedMarkers = preview.counts.failed;
+        
+        try {
+            // The session may have changed while the diff was on screen
+            const validationResult = await this.validateSessionCompatibility();
+            if (!validationResult.valid) {
+                throw new Error(`Session validation failed: ${validationResult.errors.join(', ')}`);
+            }
+            if (preview.sessionName && this.sessionInfo?.name !== preview.sessionName) {
+                throw new Error(`Session changed since preview ("${preview.sessionName}" -> "${this.sessionInfo?.name}")`);
+            }
+            
+            log.info('Committing marker preview', { previewId, markers: preview.finalMarkers.length });
+            return await this.finishMarkerCreation(preview.finalMarkers, preview.conflictResults, preview.alreadySpotted, preview.options);
             
         } catch (error) {
-            log.error('Marker creation pipeline failed:', error);
+            log.error('Committing marker preview failed:', error);
             this.reportProgress(`Pipeline failed: ${error.message}`, -1);
             throw error;
         } finally {
@@ -176,7 +649,8 @@ class MarkerCreationPipeline {
             const sessionInfo = await this.connectionManager.getSessionInfo();
             
             // Parse timecode settings from session info
-            this.sessionTimecodeRate = this.parseTimecodeRate(sessionInfo.timeCodeRate);
+            // The connection manager reports the PTSL rate as timecodeFormat (e.g. "STCR_Fps2997")
+            this.sessionTimecodeRate = this.parseTimecodeRate(sessionInfo.timeCodeRate || sessionInfo.timecodeFormat);
             this.isDropFrame = this.sessionTimecodeRate.dropFrame;
             
             // Store processed session info
@@ -184,7 +658,7 @@ class MarkerCreationPipeline {
                 name: sessionInfo.name || 'Unknown Session',
                 sampleRate: sessionInfo.sampleRate,
                 timecodeRate: this.sessionTimecodeRate,
-                timeCodeRate: sessionInfo.timeCodeRate, // Keep original for reference
+                timeCodeRate: sessionInfo.timeCodeRate || sessionInfo.timecodeFormat, // Keep original for reference
                 frameRate: sessionInfo.frameRate, // Numeric frame rate from Pro Tools
                 isDropFrame: this.isDropFrame
             };
@@ -284,6 +758,58 @@ class MarkerCreationPipeline {
         }
     }
     
+    /**
+     * Stand-in for validateSessionCompatibility() when no Pro Tools session is available
+     * @param {Object} options - Pipeline options (frameRate, sessionName)
+     * @returns {Object} Validation result
+     */
+    initializeDryRunSession(options = {}) {
+        const frameRate = String(options.frameRate || '29.97').toLowerCase();
+        const rateInfo = FRAME_RATES[frameRate];
+        
+        if (!rateInfo) {
+            return {
+                valid: false,
+                errors: [`Unsupported frame rate: ${options.frameRate}. Supported: ${Object.keys(FRAME_RATES).join(', ')}`],
+                warnings: [],
+                sessionInfo: null
+            };
+        }
+        
+        this.sessionTimecodeRate = { fps: rateInfo.fps, dropFrame: rateInfo.dropFrame };
+        this.isDropFrame = rateInfo.dropFrame;
+        this.sessionInfo = {
+            name: options.sessionName || null,
+            timecodeRate: this.sessionTimecodeRate,
+            frameRate: rateInfo.fps,
+            isDropFrame: this.isDropFrame,
+            dryRun: true
+        };
+        
+        log.info('Dry run - skipping Pro Tools session validation', this.sessionInfo);
+        
+        return { valid: true, errors: [], warnings: [], sessionInfo: this.sessionInfo };
+    }
+    
+    /**
+     * Dry-run counterpart of batchCreateMarkers(): resolve final timecodes only
+     * @param {Array} finalMarkers - Markers after conflict resolution
+     * @returns {Array} Results in the createSingleMarker() shape
+     */
+    planMarkers(finalMarkers) {
+        const results = finalMarkers.map(marker => ({
+            success: true,
+            dryRun: true,
+            marker: marker,
+            finalTimecode: this.resolveFinalTimecode(marker.timecode),
+            finalEndTimecode: marker.endTimecode ? this.resolveFinalTimecode(marker.endTimecode) : null,
+            markerTrack: marker.trackName || null
+        }));
+        
+        this.processedMarkers = results.length;
+        return results;
+    }
+    
     /**
      * Get existing markers to check for conflicts using connection manager's enhanced method
      */
@@ -296,8 +822,11 @@ class MarkerCreationPipeline {
             
             // Extract markers from result
             this.existingMarkers = result.memoryLocations.map(marker => ({
+                number: marker.number,
                 name: marker.name,
                 startLocation: marker.startTime || marker.startLocation, // Handle both field names
+                // Selections (range markers) also have an end
+                endLocation: /Selection$/.test(String(marker.timeProperties)) ? marker.endTime || null : null,
                 startTime: marker.startTime,
                 timeProperties: marker.timeProperties,
                 reference: marker.reference,
@@ -333,7 +862,9 @@ class MarkerCreationPipeline {
                 nearTimecodeThreshold: 15,     // 0.5 seconds at 30fps
                 defaultOffset: 30,             // 1 second at 30fps
                 enableNearDetection: true,
-                caseSensitiveNames: false
+                caseSensitiveNames: false,
+                enableDuplicateDetection: this.options?.detectDuplicates !== false,
+                duplicateThreshold: this.options?.duplicateThreshold
             });
             
             // Set user interaction callback if available
@@ -372,7 +903,7 @@ class MarkerCreationPipeline {
             // Step 1: Detect conflicts
             const conflictResults = await this.conflictDetector.detectConflicts(
                 validatedMarkers, 
-                this.existingMarkers
+                this.getPictureRelativeMarkers(this.existingMarkers)
             );
             
             if (!conflictResults.hasConflicts) {
@@ -408,14 +939,15 @@ class MarkerCreationPipeline {
             // Step 4: Apply resolution results
             const finalMarkers = this.applyConflictResolution(validatedMarkers, resolutionResults);
             
-            // Update skip count for pipeline stats
-            this.skippedMarkers += resolutionResults.skippedIndices.length;
+            // Update skip count for pipeline stats (merged notes are skipped as markers of their own)
+            this.skippedMarkers += validatedMarkers.length - finalMarkers.length;
             
             log.info('Conflict resolution completed', {
                 originalCount: validatedMarkers.length,
                 finalCount: finalMarkers.length,
                 skipped: resolutionResults.skippedIndices.length,
                 modified: resolutionResults.modifiedMarkers.length,
+                merged: resolutionResults.mergedMarkers.length,
                 strategy: resolutionResults.strategy
             });
             
@@ -433,6 +965,201 @@ class MarkerCreationPipeline {
         }
     }
     
+    /**
+     * Shift existing session markers into picture-relative time so they compare
+     * against note timecodes; markers before picture start can't conflict
+     * @param {Array} existingMarkers - Markers with session-absolute startLocation
+     * @returns {Array} Markers with picture-relative startLocation
+     */
+    getPictureRelativeMarkers(existingMarkers) {
+        const sessionStart = this.options?.sessionStart;
+        if (!sessionStart || sessionStart === '00:00:00:00') {
+            return existingMarkers;
+        }
+        
+        const calculator = new TimecodeCalculator(this.getFrameRateKey());
+        
+        return existingMarkers.reduce((markers, marker) => {
+            const validation = calculator.validateTimecode(String(marker.startLocation || '').replace(/;/g, ':'));
+            if (!validation.valid) {
+                // Non-timecode locations (samples, bars|beats) only conflict by name
+                markers.push(marker);
+                return markers;
+            }
+            
+            const relative = calculator.calculateDuration(sessionStart, validation.timecode);
+            if (!relative.crossesMidnight) {
+                const endValidation = marker.endLocation ? calculator.validateTimecode(String(marker.endLocation).replace(/;/g, ':')) : null;
+                const endLocation = endValidation?.valid ? calculator.calculateDuration(sessionStart, endValidation.timecode).duration : null;
+                markers.push({ ...marker, startLocation: relative.duration, endLocation, sessionLocation: marker.startLocation });
+            }
+            return markers;
+        }, []);
+    }
+    
+    /**
+     * Drop markers whose notes are already recorded in the ledger for this session
+     * @param {Array} validatedMarkers - Validated markers
+     * @param {Object} options - Pipeline options (sourceName, ignoreLedger)
+     * @returns {Object} {pendingMarkers, alreadySpotted}
+     */
+    filterSpottedMarkers(validatedMarkers, options = {}) {
+        if (!this.ledger || options.ignoreLedger || !this.sessionInfo?.name) {
+            return { pendingMarkers: validatedMarkers, alreadySpotted: [] };
+        }
+        
+        let entries;
+        try {
+            entries = this.ledger.getSessionEntries(this.sessionInfo.name);
+        } catch (error) {
+            log.warn('Failed to read marker ledger, relying on conflict detection only', { error: error.message });
+            return { pendingMarkers: validatedMarkers, alreadySpotted: [] };
+        }
+        
+        const pendingMarkers = [];
+        const alreadySpotted = [];
+        
+        for (const marker of validatedMarkers) {
+            const noteKey = MarkerLedger.noteKey(marker.frameioData, options.sourceName);
+            const entry = entries.get(noteKey);
+            
+            if (entry) {
+                alreadySpotted.push({
+                    originalIndex: marker.originalIndex,
+                    name: marker.name,
+                    timecode: marker.timecode,
+                    markerNumber: entry.marker_number,
+                    finalTimecode: entry.final_timecode,
+                    spottedAt: entry.updated_at
+                });
+            } else {
+                pendingMarkers.push(marker);
+            }
+        }
+        
+        if (alreadySpotted.length > 0) {
+            this.skippedMarkers += alreadySpotted.length;
+            log.info(`Skipping ${alreadySpotted.length} notes already spotted into "${this.sessionInfo.name}"`);
+        }
+        
+        return { pendingMarkers, alreadySpotted };
+    }
+    
+    /**
+     * Record successful marker creations in the ledger
+     * @param {Array} created - Successful results from batchCreateMarkers
+     * @param {Array<number|null>} markerNumbers - Memory location numbers, in the same order
+     * @param {Object} conflictResults - Conflict detection/resolution results
+     * @param {Object} options - Pipeline options (sourceName)
+     * @returns {Array} Ledger entries written
+     */
+    recordLedgerEntries(created, markerNumbers, conflictResults, options = {}) {
+        if (!this.ledger || !this.sessionInfo?.name || created.length === 0) {
+            return [];
+        }
+        
+        // Map each marker's original index to the conflict action applied to it
+        const resolutions = new Map();
+        (conflictResults?.resolutionResults?.results || []).forEach(resolution => {
+            const marker = resolution.conflict?.newMarker;
+            if (marker && resolution.action) {
+                resolutions.set(marker.originalIndex, resolution.action);
+            }
+        });
+        
+        // Notes merged into a marker are recorded against it too, so they aren't spotted again
+        const entries = created.flatMap((result, index) => [
+            { note: result.marker.frameioData || {}, resolution: resolutions.get(result.marker.originalIndex) || null },
+            ...(result.marker.mergedNotes || []).map(note => ({ note, resolution: 'merge' }))
+        ].map(({ note, resolution }) => ({
+            noteKey: MarkerLedger.noteKey(note, options.sourceName),
+            sourceType: note.source || 'file',
+            sourceName: options.sourceName || null,
+            commentId: note.commentId || null,
+            markerNumber: markerNumbers[index],
+            markerName: result.marker.comments,
+            noteTimecode: note.timecode,
+            finalTimecode: result.finalTimecode || result.marker.timecode,
+            conflictResolution: resolution
+        })));
+        
+        try {
+            this.ledger.record(this.sessionInfo.name, entries);
+        } catch (error) {
+            log.error('Failed to record marker ledger entries', { error: error.message });
+            return [];
+        }
+        
+        return entries;
+    }
+    
+    /**
+     * Record the outcome of this run in the session's import history
+     * @param {Array} finalMarkers - Markers the run tried to create
+     * @param {Array} alreadySpotted - Notes skipped because the ledger has them
+     * @param {Object} options - Pipeline options (sourceName, sourceType, frameRate/fps, sessionStart)
+     */
+    recordImportHistory(finalMarkers, alreadySpotted, options = {}) {
+        if (!this.sessionStore || !this.sessionInfo?.name) {
+            return;
+        }
+        
+        // notes.html queues several files per run; each note remembers the file it came from
+        const notes = finalMarkers.map(marker => marker.frameioData || {});
+        const sourceName = options.sourceName ||
+            [...new Set(notes.map(note => note.sourceFile).filter(Boolean))].join(', ') || null;
+        const sourceType = options.sourceType ||
+            [...new Set(notes.map(note => note.source).filter(Boolean))].join(', ') || null;
+        
+        try {
+            this.sessionStore.recordImport(this.sessionInfo.name, {
+                sourceName,
+                sourceType,
+                notes: this.totalMarkers,
+                created: this.createdMarkers,
+                skipped: this.skippedMarkers,
+                failed: this.failedMarkers,
+                alreadySpotted: alreadySpotted.length,
+                frameRate: options.frameRate || options.fps,
+                sessionStart: options.sessionStart
+            });
+        } catch (error) {
+            log.error('Failed to record import history', { error: error.message });
+        }
+    }
+    
+    /**
+     * Find the memory location numbers Pro Tools assigned to created markers
+     * @param {Array} createdResults - Successful creation results
+     * @returns {Array<number|null>} Marker numbers in the same order
+     */
+    async lookupMarkerNumbers(createdResults) {
+        try {
+            const { memoryLocations } = await this.connectionManager.getMemoryLocations();
+            
+            // Markers that were there before the run can't be ours, even with the same name and time
+            const preexisting = new Set(this.existingMarkers.map(marker => marker.number).filter(number => number != null));
+            const unclaimed = memoryLocations.filter(location => !preexisting.has(location.number));
+            
+            return createdResults.map(result => {
+                const index = unclaimed.findIndex(location =>
+                    location.name === result.marker.comments &&
+                    (location.startTime || location.start_time || result.finalTimecode) === result.finalTimecode);
+                
+                if (index === -1) {
+                    return null;
+                }
+                
+                // Claim the location so identical notes map to distinct numbers
+                const [location] = unclaimed.splice(index, 1);
+                return location.number ?? null;
+            });
+        } catch (error) {
+            log.warn('Could not look up created marker numbers', { error: error.message });
+            return createdResults.map(() => null);
+        }
+    }
+    
     /**
      * Apply conflict resolution results to marker list
      * @param {Array} originalMarkers - Original validated markers
@@ -443,6 +1170,7 @@ class MarkerCreationPipeline {
         const finalMarkers = [];
         const skippedIndices = new Set(resolutionResults.skippedIndices);
         const modifiedMarkers = new Map();
+        const mergedMarkers = new Map((resolutionResults.mergedMarkers || []).map(merge => [merge.originalIndex, merge]));
         
         // Create map of modified markers
         resolutionResults.modifiedMarkers.forEach(mod => {
@@ -450,24 +1178,70 @@ class MarkerCreationPipeline {
         });
         
         // Build final marker list
+        const finalByIndex = new Map();
         for (let i = 0; i < originalMarkers.length; i++) {
             if (skippedIndices.has(i)) {
                 // Skip this marker
                 continue;
             }
             
-            if (modifiedMarkers.has(i)) {
-                // Use modified marker
-                finalMarkers.push(modifiedMarkers.get(i));
-            } else {
-                // Use original marker
-                finalMarkers.push(originalMarkers[i]);
+            const merge = mergedMarkers.get(i);
+            if (merge) {
+                // Duplicates of session markers are already in the session
+                if (merge.targetIndex === null) {
+                    continue;
+                }
+                
+                // Follow chains (C repeats B, which repeats A) to the note that's kept
+                let targetIndex = merge.targetIndex;
+                while (mergedMarkers.get(targetIndex)?.targetIndex != null && !finalByIndex.has(targetIndex)) {
+                    targetIndex = mergedMarkers.get(targetIndex).targetIndex;
+                }
+                
+                if (finalByIndex.has(targetIndex)) {
+                    const target = finalByIndex.get(targetIndex);
+                    const merged = this.mergeDuplicateMarker(target, originalMarkers[i]);
+                    finalMarkers[finalMarkers.indexOf(target)] = merged;
+                    finalByIndex.set(targetIndex, merged);
+                    continue;
+                }
+                
+                // The note it repeats was skipped, so this one stands on its own
+                log.debug('Merge target not created, keeping duplicate note', { index: i, targetIndex });
             }
+            
+            // Use modified marker if conflict resolution changed it
+            const marker = modifiedMarkers.has(i) ? modifiedMarkers.get(i) : originalMarkers[i];
+            finalMarkers.push(marker);
+            finalByIndex.set(i, marker);
         }
         
         return finalMarkers;
     }
     
+    /**
+     * Fold a near-duplicate note into the marker it repeats
+     * The repeat's wording is appended only if it adds words, and its author joins
+     * the marker's name (which becomes the Pro Tools comments field)
+     * @param {Object} target - Marker being kept
+     * @param {Object} duplicate - Validated marker for the repeated note
+     * @returns {Object} Merged marker
+     */
+    mergeDuplicateMarker(target, duplicate) {
+        const authors = [...new Set([...(target.mergedAuthors || [target.name]), duplicate.name].filter(Boolean))];
+        const targetWords = new Set(MarkerConflictDetector.normalizeNoteText(target.comments).split(' '));
+        const addsWords = MarkerConflictDetector.normalizeNoteText(duplicate.comments).split(' ')
+            .some(word => word && !targetWords.has(word));
+        
+        return {
+            ...target,
+            name: this.sanitizeMarkerName(authors.join(', ')),
+            comments: addsWords ? `${target.comments} / ${duplicate.comments}` : target.comments,
+            mergedAuthors: authors,
+            mergedNotes: [...(target.mergedNotes || []), duplicate.frameioData]
+        };
+    }
+    
     /**
      * Report conflict detection to user interface
      * @param {Object} conflictResults - Conflict detection results
@@ -533,6 +1307,31 @@ class MarkerCreationPipeline {
                     continue;
                 }
                 
+                // Range notes: out point must be a valid timecode after the in point
+                let range = null;
+                if (marker.endTimecode) {
+                    try {
+                        range = this.validateRange(validatedTimecode, marker.endTimecode);
+                    } catch (rangeValidationError) {
+                        const rangeError = await this.errorHandler.handleError(rangeValidationError, {
+                            operation: 'validate_range',
+                            markerIndex: i,
+                            markerName: marker.name,
+                            timecode: marker.timecode,
+                            endTimecode: marker.endTimecode
+                        });
+                        
+                        log.warn(`Skipping marker ${i + 1}: ${rangeError.userMessage}`, {
+                            timecode: marker.timecode,
+                            endTimecode: marker.endTimecode,
+                            error: rangeError
+                        });
+                        
+                        this.skippedMarkers++;
+                        continue;
+                    }
+                }
+                
                 // Note: Conflict detection is now handled separately in handleConflicts()
                 // This allows for more sophisticated conflict resolution options
                 
@@ -543,10 +1342,13 @@ class MarkerCreationPipeline {
                 const validatedMarker = {
                     name: this.sanitizeMarkerName(marker.name),
                     timecode: validatedTimecode,
+                    endTimecode: range ? range.endTimecode : null,
+                    duration: range ? range.duration : null,
                     comments: marker.text || marker.comment || '',
                     colorIndex: colorIndex,
                     isReply: marker.isReply || false,
                     author: marker.author || '',
+                    trackName: this.resolveMarkerTrack(marker),
                     originalIndex: i,
                     frameioData: marker
                 };
@@ -815,22 +1617,22 @@ class MarkerCreationPipeline {
                     maxRetries: 3,
                     location: 'MainRuler' // Always use main marker ruler
                 };
+                
+                // Range notes become selection memory locations spanning in to out
+                const finalEndTimecode = marker.endTimecode ? this.resolveFinalTimecode(marker.endTimecode) : null;
+                if (finalEndTimecode) {
+                    creationOptions.endTime = finalEndTimecode;
+                    creationOptions.timeProperties = 'selection';
+                }
+                
+                // Named marker ruler (e.g. "Director Notes", or the author's ruler when routing)
+                if (marker.trackName) {
+                    creationOptions.trackName = marker.trackName;
+                    creationOptions.location = 'NamedRuler';
+                }
 
                 // Apply session start offset if provided  
-                let finalTimecode = marker.timecode;
-                if (this.options?.sessionStart && this.options.sessionStart !== '00:00:00:00') {
-                    log.info('🔥 PIPELINE DEBUG: Applying timecode offset', {
-                        original: marker.timecode,
-                        sessionStart: this.options.sessionStart,
-                        hasOffset: true
-                    });
-                    finalTimecode = this.addTimecodeOffset(marker.timecode, this.options.sessionStart);
-                    log.info('🔥 PIPELINE DEBUG: After offset calculation', {
-                        original: marker.timecode,
-                        sessionStart: this.options.sessionStart,
-                        final: finalTimecode
-                    });
-                }
+                const finalTimecode = this.resolveFinalTimecode(marker.timecode);
 
                 // Use connection manager's createMemoryLocation method
                 // Put comment text in the name field, and name in the comments field
@@ -852,6 +1654,8 @@ class MarkerCreationPipeline {
                 return {
                     success: true,
                     marker: marker,
+                    finalTimecode: finalTimecode,
+                    finalEndTimecode: finalEndTimecode,
                     response: response,
                     attempts: attempt + 1
                 };
@@ -972,7 +1776,8 @@ class MarkerCreationPipeline {
     }
     
     /**
-     * Validate and convert timecode to proper format (hh:mm:ss:ff)
+     * Validate and convert timecode to proper format (hh:mm:ss:ff) at the session rate
+     * @returns {string|null} Normalized timecode, or null if it isn't valid at the session rate
      */
     validateAndConvertTimecode(timecode) {
         try {
@@ -987,40 +1792,22 @@ class MarkerCreationPipeline {
                 }
             }
             
-            // Validate format: hh:mm:ss:ff
-            const timecodeRegex = /^(\d{1,2}):(\d{2}):(\d{2}):(\d{2})$/;
-            const match = cleanTimecode.match(timecodeRegex);
-            
-            if (!match) {
-                return null;
-            }
-            
-            const [, hours, minutes, seconds, frames] = match;
+            const calculator = new TimecodeCalculator(this.getFrameRateKey());
             
-            // Validate ranges
-            if (parseInt(hours) > 23 || parseInt(minutes) > 59 || parseInt(seconds) > 59) {
+            // Handle drop-frame conversion if needed, then validate ranges at the session rate
+            const validation = calculator.validateTimecode(this.convertToDropFrame(cleanTimecode, calculator));
+            if (!validation.valid) {
+                log.debug('Timecode rejected', { original: timecode, error: validation.error });
                 return null;
             }
             
-            // Validate frames based on session timecode rate
-            const maxFrames = this.getMaxFramesForRate();
-            if (parseInt(frames) >= maxFrames) {
-                return null;
-            }
-            
-            // Handle drop-frame conversion if needed
-            const convertedTimecode = this.convertToDropFrame(cleanTimecode);
-            
-            // Ensure proper zero-padding
-            const paddedTimecode = this.padTimecode(convertedTimecode);
-            
             log.debug('Timecode validated and converted', { 
                 original: timecode, 
-                converted: paddedTimecode,
-                isDropFrame: this.isDropFrame
+                converted: validation.timecode,
+                frameRate: calculator.frameRate
             });
             
-            return paddedTimecode;
+            return validation.timecode;
             
         } catch (error) {
             log.error('Timecode validation failed:', error);
@@ -1029,49 +1816,49 @@ class MarkerCreationPipeline {
     }
     
     /**
-     * Convert timecode to drop-frame format if needed
+     * Validate a range note's out point against its (validated) in point
+     * @param {string} startTimecode - Validated in point
+     * @param {string} endTimecode - Raw out point
+     * @returns {Object} {endTimecode, duration}
+     * @throws {Error} If the out point is invalid or not after the in point
      */
-    convertToDropFrame(timecode) {
-        if (!this.isDropFrame) {
-            return timecode;
+    validateRange(startTimecode, endTimecode) {
+        const validatedEnd = this.validateAndConvertTimecode(endTimecode);
+        if (!validatedEnd) {
+            throw new Error(`Invalid range end timecode format: ${endTimecode}`);
         }
         
-        // Drop-frame conversion logic
-        // For 29.97 FPS, frames 00 and 01 are dropped at the start of every minute except multiples of 10
-        const parts = timecode.split(':');
-        const hours = parseInt(parts[0]);
-        const minutes = parseInt(parts[1]);
-        const seconds = parseInt(parts[2]);
-        let frames = parseInt(parts[3]);
+        const calculator = new TimecodeCalculator(this.getFrameRateKey());
+        const duration = calculator.calculateDuration(startTimecode, validatedEnd);
         
-        // Drop-frame rules for 29.97 FPS
-        if (this.sessionTimecodeRate.fps === 29.97 && seconds === 0 && (frames === 0 || frames === 1) && minutes % 10 !== 0) {
-            frames = 2; // Skip frames 0 and 1
+        // calculateDuration wraps end-before-start through midnight; notes never span it
+        if (duration.frames === 0 || duration.crossesMidnight) {
+            throw new Error(`Range end ${endTimecode} must be after its start ${startTimecode}`);
         }
         
-        return `${parts[0]}:${parts[1]}:${parts[2]}:${frames.toString().padStart(2, '0')}`;
+        return { endTimecode: validatedEnd, duration: duration.duration };
     }
     
     /**
-     * Get maximum frames per second based on session rate
+     * Move labels that drop-frame timecode skips onto the first real frame of the minute
+     * (e.g. 00:01:00:00 -> 00:01:00:02 at 29.97 DF, 00:01:00:04 at 59.94 DF)
+     * @param {string} timecode - HH:MM:SS:FF
+     * @param {TimecodeCalculator} calculator - Calculator at the session rate
+     * @returns {string} Timecode with an existing drop-frame label
      */
-    getMaxFramesForRate() {
-        if (!this.sessionTimecodeRate) {
-            return 30; // Default fallback
+    convertToDropFrame(timecode, calculator) {
+        const dropped = calculator.droppedFramesPerMinute;
+        const match = timecode.match(/^(\d{1,2}):(\d{2}):(\d{2})[:;](\d{2,3})$/);
+        if (!dropped || !match) {
+            return timecode;
         }
         
-        return Math.ceil(this.sessionTimecodeRate.fps);
-    }
-    
-    /**
-     * Pad timecode to ensure proper format
-     */
-    padTimecode(timecode) {
-        const parts = timecode.split(':');
-        return parts.map((part, index) => {
-            const padding = index === 0 ? 2 : 2; // Hours can be 1-2 digits, others always 2
-            return part.padStart(padding, '0');
-        }).join(':');
+        const [, hours, minutes, seconds, frames] = match;
+        if (parseInt(seconds, 10) === 0 && parseInt(minutes, 10) % 10 !== 0 && parseInt(frames, 10) < dropped) {
+            return `${hours}:${minutes}:${seconds}:${dropped.toString().padStart(2, '0')}`;
+        }
+        
+        return timecode;
     }
     
     /**
@@ -1086,13 +1873,19 @@ class MarkerCreationPipeline {
             'Fps2997Drop': { fps: 29.97, dropFrame: true },
             'Fps30': { fps: 30, dropFrame: false },
             'Fps30Drop': { fps: 30, dropFrame: true },
+            'Fps47952': { fps: 47.952, dropFrame: false },
+            'Fps48': { fps: 48, dropFrame: false },
             'Fps50': { fps: 50, dropFrame: false },
             'Fps5994': { fps: 59.94, dropFrame: false },
             'Fps5994Drop': { fps: 59.94, dropFrame: true },
-            'Fps60': { fps: 60, dropFrame: false }
+            'Fps60': { fps: 60, dropFrame: false },
+            'Fps100': { fps: 100, dropFrame: false },
+            'Fps11988': { fps: 119.88, dropFrame: false },
+            'Fps11988Drop': { fps: 119.88, dropFrame: true },
+            'Fps120': { fps: 120, dropFrame: false }
         };
         
-        return rates[timecodeRate] || { fps: 25, dropFrame: false };
+        return rates[String(timecodeRate || '').replace(/^STCR_/, '')] || { fps: 25, dropFrame: false };
     }
     
     /**
@@ -1104,6 +1897,36 @@ class MarkerCreationPipeline {
         );
     }
 
+    /**
+     * Session timecode a marker lands on once the session start offset is applied
+     * @param {string} timecode - Picture-relative marker timecode
+     * @returns {string} Session timecode
+     */
+    resolveFinalTimecode(timecode) {
+        if (!this.options?.sessionStart || this.options.sessionStart === '00:00:00:00') {
+            return timecode;
+        }
+        
+        log.debug('Applying timecode offset', { original: timecode, sessionStart: this.options.sessionStart });
+        return this.addTimecodeOffset(timecode, this.options.sessionStart);
+    }
+    
+    /**
+     * FRAME_RATES key for the session timecode rate
+     * @returns {string} Frame rate key (29.97 if unknown)
+     */
+    getFrameRateKey() {
+        if (!this.sessionTimecodeRate) {
+            return '29.97';
+        }
+        
+        const { fps, dropFrame } = this.sessionTimecodeRate;
+        const key = `${fps}${dropFrame ? 'drop' : ''}`;
+        
+        // 30/60/120 drop aren't calculator rates; their frame counts match non-drop
+        return FRAME_RATES[key] ? key : (FRAME_RATES[String(fps)] ? String(fps) : '29.97');
+    }
+    
     /**
      * Add timecode offset to marker timecode
      * @param {string} markerTimecode - Original marker timecode (e.g. "00:03:30:12")
@@ -1112,55 +1935,19 @@ class MarkerCreationPipeline {
      */
     addTimecodeOffset(markerTimecode, sessionStart) {
         try {
-            log.info('🔥 OFFSET DEBUG: addTimecodeOffset called', {
-                markerTimecode,
-                sessionStart,
-                hasSessionStart: !!sessionStart,
-                sessionStartType: typeof sessionStart
-            });
-            
-            // Parse both timecodes
-            const [mH, mM, mS, mF] = markerTimecode.split(':').map(Number);
-            const [sH, sM, sS, sF] = sessionStart.split(':').map(Number);
-            
-            // Simple addition
-            let totalHours = mH + sH;
-            let totalMinutes = mM + sM;
-            let totalSeconds = mS + sS;
-            let totalFrames = mF + sF;
-            
-            // Handle overflow - use conservative 24fps
-            if (totalFrames >= 24) {
-                totalSeconds += Math.floor(totalFrames / 24);
-                totalFrames = totalFrames % 24;
-            }
-            
-            if (totalSeconds >= 60) {
-                totalMinutes += Math.floor(totalSeconds / 60);
-                totalSeconds = totalSeconds % 60;
-            }
-            
-            if (totalMinutes >= 60) {
-                totalHours += Math.floor(totalMinutes / 60);
-                totalMinutes = totalMinutes % 60;
-            }
+            // Frame-accurate addition at the session rate; wraps past 23:59:59:xx
+            const calculator = new TimecodeCalculator(this.getFrameRateKey());
+            const { absoluteTimecode, components } = calculator.addTimecodes(markerTimecode, sessionStart);
             
-            // Format back to timecode string
-            const result = [
-                totalHours.toString().padStart(2, '0'),
-                totalMinutes.toString().padStart(2, '0'),
-                totalSeconds.toString().padStart(2, '0'), 
-                totalFrames.toString().padStart(2, '0')
-            ].join(':');
-            
-            log.info('🔥 OFFSET DEBUG: Calculated result', {
+            log.debug('Applied session start offset', {
                 original: markerTimecode,
                 sessionStart,
-                final: result,
-                calculation: { totalHours, totalMinutes, totalSeconds, totalFrames }
+                final: absoluteTimecode,
+                frameRate: calculator.frameRate,
+                dayOverflow: components.dayOverflow
             });
             
-            return result;
+            return absoluteTimecode;
             
         } catch (error) {
             log.error('Failed to add timecode offset', {
@@ -1172,10 +1959,34 @@ class MarkerCreationPipeline {
         }
     }
     
+    /**
+     * Determine the named marker ruler a note goes on
+     * @returns {string|null} Track name, or null for the main ruler
+     */
+    resolveMarkerTrack(marker) {
+        if (this.trackRouter) {
+            return this.trackRouter.getTrackName(marker);
+        }
+        
+        return typeof this.options?.markerTrack === 'string' && this.options.markerTrack
+            ? this.options.markerTrack
+            : null;
+    }
+    
     /**
      * Determine marker color based on comment type
      */
     determineMarkerColor(marker) {
+        // Explicit colour from the note source (e.g. Avid locator colour)
+        if (Number.isInteger(marker.colorIndex)) {
+            return marker.colorIndex;
+        }
+        
+        // Routed notes are coloured per author so e.g. director and producer notes stay distinct
+        if (this.trackRouter) {
+            return this.trackRouter.getAuthorColor(marker.author);
+        }
+
         if (marker.isReply) {
             return this.markerColors.reply;
         }
@@ -0,0 +1,204 @@
+const log = require('electron-log');
+const { TimecodeCalculator, FRAME_RATES } = require('./timecode-calculator.js');
+
+/**
+ * Marker Exporter
+ * Reverse of the NoteMarker import: reads Pro Tools memory locations and turns
+ * them into picture-relative notes that can be written out as a Frame.io-style
+ * TXT/CSV list or posted back as review comments
+ */
+
+const EXPORT_FORMATS = {
+    TXT: 'txt',
+    CSV: 'csv'
+};
+
+/**
+ * Resolve a FRAME_RATES key from Pro Tools session info
+ * @param {number|string} frameRate - Numeric frame rate (e.g. 29.97) or FRAME_RATES key
+ * @param {string} [timecodeFormat] - PTSL timecode format (e.g. "STCR_Fps2997Drop")
+ * @returns {string} FRAME_RATES key
+ */
+function frameRateKeyFromSession(frameRate, timecodeFormat = '') {
+    if (typeof frameRate === 'string' && FRAME_RATES[frameRate.toLowerCase()]) {
+        return frameRate.toLowerCase();
+    }
+
+    const isDrop = /drop/i.test(String(timecodeFormat));
+    const numeric = parseFloat(frameRate);
+    const candidates = Object.keys(FRAME_RATES).filter(key =>
+        Math.abs(FRAME_RATES[key].fps - numeric) < 0.01 && FRAME_RATES[key].dropFrame === isDrop);
+
+    if (candidates.length > 0) {
+        return candidates[0];
+    }
+
+    log.warn('Unknown session frame rate for export, falling back to 29.97', { frameRate, timecodeFormat });
+    return '29.97';
+}
+
+/**
+ * Extract name, comment and start timecode from a memory location,
+ * tolerating both the camelCase protobuf and snake_case JSON field names
+ * @private
+ */
+function readMemoryLocation(location) {
+    return {
+        number: location.number ?? null,
+        name: (location.name || '').trim(),
+        comments: (location.comments || location.comment || location.generalProperties?.comment || location.general_properties?.comment || '').trim(),
+        startTime: String(location.startTime || location.start_time || location.startLocation || '').trim()
+    };
+}
+
+/**
+ * Convert memory locations into picture-relative notes
+ * @param {Array} memoryLocations - Memory locations from getMemoryLocations()
+ * @param {Object} options - Conversion options
+ * @param {string} [options.sessionStart='00:00:00:00'] - Session timecode at picture start
+ * @param {string} [options.frameRate='29.97'] - FRAME_RATES key
+ * @param {string} [options.author='Mix'] - Author name to attach to exported notes
+ * @param {number} [options.sampleRate=48000] - Session sample rate, for sample-based start times
+ * @returns {Object} {notes, skipped: [{number, name, reason}]}
+ */
+function memoryLocationsToNotes(memoryLocations, options = {}) {
+    const { sessionStart = '00:00:00:00', frameRate = '29.97', author = 'Mix', sampleRate = 48000 } = options;
+
+    const calculator = new TimecodeCalculator(frameRate);
+    const notes = [];
+    const skipped = [];
+
+    for (const location of memoryLocations || []) {
+        const { number, name, comments, startTime } = readMemoryLocation(location);
+
+        if (!name && !comments) {
+            skipped.push({ number, name, reason: 'empty marker' });
+            continue;
+        }
+
+        // Sessions whose main counter is in samples report start times as plain integers
+        const sessionTimecode = /^\d+$/.test(startTime)
+            ? calculator.samplesToTimecode(parseInt(startTime, 10), sampleRate)
+            : startTime.replace(/;/g, ':');
+
+        const validation = calculator.validateTimecode(sessionTimecode);
+        if (!validation.valid) {
+            skipped.push({ number, name, reason: `unsupported start time "${startTime}"` });
+            continue;
+        }
+
+        const relative = calculator.calculateDuration(sessionStart, validation.timecode);
+        if (relative.crossesMidnight) {
+            skipped.push({ number, name, reason: 'before picture start' });
+            continue;
+        }
+
+        // Pro Tools shows the name on the ruler; the comments field carries the detail
+        const text = comments && comments !== name ? `${name}: ${comments}` : (name || comments);
+
+        notes.push({
+            timecode: relative.duration,
+            text,
+            author,
+            isReply: false,
+            markerNumber: number,
+            sessionTimecode: validation.timecode
+        });
+    }
+
+    notes.sort((a, b) => a.timecode.localeCompare(b.timecode));
+
+    log.info('Converted memory locations to notes', {
+        total: (memoryLocations || []).length,
+        notes: notes.length,
+        skipped: skipped.length,
+        sessionStart,
+        frameRate
+    });
+
+    return { notes, skipped };
+}
+
+/**
+ * Format notes as a Frame.io-style TXT export (readable by parseFrameioTXT)
+ * @param {Array} notes - Notes from memoryLocationsToNotes
+ * @param {Object} [options] - {exportedAt: Date}
+ * @returns {string} TXT content
+ */
+function formatNotesAsTXT(notes, options = {}) {
+    const exportedAt = options.exportedAt || new Date();
+    const time = exportedAt.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: true }).replace(/\s/g, '');
+    const date = exportedAt.toLocaleDateString('en-US', { month: 'long', day: '2-digit', year: 'numeric' });
+
+    return notes.map((note, index) => {
+        // Author headers are dash-delimited, so dashes in names would split the header
+        const author = (note.author || 'Unknown').replace(/-/g, ' ').trim();
+        const text = (note.text || '').replace(/\s*\r?\n\s*/g, ' ');
+        return `${String(index + 1).padStart(3, '0')} - ${author} - ${time} ${date}\n${note.timecode} - ${text}\n`;
+    }).join('\n');
+}
+
+/**
+ * Format notes as a Frame.io-style CSV export (readable by parseFrameioCSV)
+ * @param {Array} notes - Notes from memoryLocationsToNotes
+ * @returns {string} CSV content
+ */
+function formatNotesAsCSV(notes) {
+    const escape = value => {
+        const str = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+
+    const header = ['Comment Number', 'Commenter', 'Comment', 'Timecode', 'Completed'];
+    const rows = notes.map((note, index) => [index + 1, note.author, note.text, note.timecode, note.completed ? 'true' : 'false']);
+
+    return [header, ...rows].map(row => row.map(escape).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Convert picture-relative "HH:MM:SS:FF" to the review player's "HH:MM:SS"
+ * @param {string} timecode - Timecode with frames
+ * @returns {string} Timecode without frames
+ */
+function toReviewTimecode(timecode) {
+    return timecode.split(':').slice(0, 3).join(':');
+}
+
+/**
+ * Post notes as comments on an Alternaview file so they show on the client review page
+ * @param {number} fileId - File ID
+ * @param {Array} notes - Notes from memoryLocationsToNotes
+ * @returns {Object} {fileId, posted, commentIds}
+ */
+function postNotesAsComments(fileId, notes) {
+    // Required lazily so the PTSL modules stay usable without the database
+    const { db, fileQueries, commentQueries } = require('../../server/models/database');
+
+    const file = fileQueries.findById.get(fileId);
+    if (!file) {
+        throw new Error(`File ${fileId} not found`);
+    }
+
+    const postAll = db.transaction(() => notes.map(note =>
+        commentQueries.create.run(fileId, note.author, toReviewTimecode(note.timecode), null, note.text, null).lastInsertRowid
+    ));
+
+    const commentIds = postAll();
+
+    log.info('Posted session markers as review comments', {
+        fileId,
+        fileName: file.original_name,
+        posted: commentIds.length
+    });
+
+    return { fileId, posted: commentIds.length, commentIds };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    frameRateKeyFromSession,
+    memoryLocationsToNotes,
+    formatNotesAsTXT,
+    formatNotesAsCSV,
+    postNotesAsComments
+};
@@ -0,0 +1,142 @@
+const log = require('electron-log');
+const crypto = require('crypto');
+
+/**
+ * Marker Ledger
+ * Persistent record of which notes became which Pro Tools memory locations,
+ * keyed by session name so re-running the same notes is idempotent
+ */
+class MarkerLedger {
+    /**
+     * @param {Object} [queries] - { markerLedgerQueries, commentQueries, db }; defaults to the Alternaview database
+     */
+    constructor(queries = null) {
+        this.queries = queries;
+    }
+
+    /**
+     * Lazily resolve database queries so the PTSL modules load without SQLite
+     * @private
+     */
+    _getQueries() {
+        if (!this.queries) {
+            const { db, markerLedgerQueries, commentQueries } = require('../../server/models/database');
+            this.queries = { db, markerLedgerQueries, commentQueries };
+        }
+        return this.queries;
+    }
+
+    /**
+     * Build a stable key for a note
+     * Database comments are keyed by id; file notes by source, timecode, author and text
+     * @param {Object} note - Note as produced by a parser (or marker.frameioData)
+     * @param {string} [sourceName] - File the note came from
+     * @returns {string} Ledger key
+     */
+    static noteKey(note, sourceName = '') {
+        if (note.commentId) {
+            return `comment:${note.commentId}`;
+        }
+
+        const fingerprint = [
+            sourceName || '',
+            note.timecode || '',
+            (note.author || '').trim().toLowerCase(),
+            (note.text || note.comment || '').replace(/\s+/g, ' ').trim().toLowerCase(),
+            note.isReply ? 'reply' : 'comment'
+        ].join('|');
+
+        return `note:${crypto.createHash('sha1').update(fingerprint).digest('hex').substring(0, 16)}`;
+    }
+
+    /**
+     * Get ledger entries for a session, keyed by note key
+     * @param {string} sessionName - Pro Tools session name
+     * @returns {Map<string, Object>} note key -> ledger row
+     */
+    getSessionEntries(sessionName) {
+        const { markerLedgerQueries } = this._getQueries();
+        const rows = markerLedgerQueries.findBySession.all(sessionName);
+        return new Map(rows.map(row => [row.note_key, row]));
+    }
+
+    /**
+     * Record created markers and mark database comments as spotted
+     * @param {string} sessionName - Pro Tools session name
+     * @param {Array} entries - [{noteKey, sourceType, sourceName, commentId, markerNumber, markerName, noteTimecode, finalTimecode, conflictResolution}]
+     * @returns {number} Number of entries recorded
+     */
+    record(sessionName, entries) {
+        if (!entries || entries.length === 0) {
+            return 0;
+        }
+
+        const { db, markerLedgerQueries, commentQueries } = this._getQueries();
+
+        const recordAll = db.transaction(() => {
+            for (const entry of entries) {
+                markerLedgerQueries.upsert.run(
+                    sessionName,
+                    entry.noteKey,
+                    entry.sourceType,
+                    entry.sourceName || null,
+                    entry.commentId || null,
+                    entry.markerNumber ?? null,
+                    entry.markerName || null,
+                    entry.noteTimecode || null,
+                    entry.finalTimecode || null,
+                    entry.conflictResolution || null
+                );
+
+                if (entry.commentId) {
+                    commentQueries.markSpotted.run(sessionName, entry.commentId);
+                }
+            }
+        });
+
+        recordAll();
+
+        log.info('Marker ledger updated', {
+            sessionName,
+            entries: entries.length,
+            spottedComments: entries.filter(entry => entry.commentId).length
+        });
+
+        return entries.length;
+    }
+
+    /**
+     * Forget specific markers (e.g. after undoing a run) so their notes can be spotted again
+     * @param {string} sessionName - Pro Tools session name
+     * @param {Array<number>} markerNumbers - Memory location numbers that were removed
+     * @returns {number} Number of entries removed
+     */
+    forgetMarkers(sessionName, markerNumbers) {
+        if (!markerNumbers || markerNumbers.length === 0) {
+            return 0;
+        }
+
+        const { db, markerLedgerQueries, commentQueries } = this._getQueries();
+        const numbers = new Set(markerNumbers);
+        const rows = markerLedgerQueries.findBySession.all(sessionName)
+            .filter(row => numbers.has(row.marker_number));
+
+        const forgetAll = db.transaction(() => {
+            for (const row of rows) {
+                markerLedgerQueries.deleteBySessionAndMarker.run(sessionName, row.marker_number);
+
+                if (row.comment_id) {
+                    commentQueries.clearSpotted.run(row.comment_id, sessionName);
+                }
+            }
+        });
+
+        forgetAll();
+
+        log.info('Marker ledger entries removed', { sessionName, entries: rows.length });
+
+        return rows.length;
+    }
+}
+
+module.exports = { MarkerLedger };
@@ -0,0 +1,162 @@
+const log = require('electron-log');
+const crypto = require('crypto');
+
+/**
+ * Marker Track Router
+ * Routes notes onto separate marker rulers (Markers tracks) per author or per
+ * department, and gives every author a stable marker colour so e.g. director
+ * and producer notes stay visually distinct across sessions
+ */
+
+const ROUTE_BY = {
+    AUTHOR: 'author',
+    DEPARTMENT: 'department'
+};
+
+/**
+ * Default department keywords, matched as whole words against the note text
+ */
+const DEPARTMENT_KEYWORDS = {
+    Dialogue: ['dialogue', 'dialog', 'dx', 'adr', 'vo', 'voice', 'line', 'lines', 'loop group', 'walla', 'mumble', 'intelligible'],
+    Music: ['music', 'mx', 'score', 'cue', 'song', 'source', 'needle drop', 'theme', 'stinger'],
+    FX: ['fx', 'sfx', 'effects', 'sound effect', 'foley', 'ambience', 'amb', 'bg', 'backgrounds', 'whoosh', 'hit', 'impact']
+};
+
+const DEFAULT_DEPARTMENT = 'General';
+const UNKNOWN_AUTHOR = 'Unknown Author';
+
+/**
+ * Pro Tools marker colour indices handed out to authors
+ */
+const AUTHOR_COLOR_PALETTE = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16];
+
+// Pro Tools track names are limited to 31 characters
+const MAX_TRACK_NAME_LENGTH = 31;
+
+class MarkerTrackRouter {
+    /**
+     * @param {Object} options
+     * @param {string} options.routeBy - One of ROUTE_BY
+     * @param {string} [options.trackPrefix=''] - Prefix for created track names (e.g. "Notes - ")
+     * @param {Object} [options.departments] - Department name -> keywords, replaces DEPARTMENT_KEYWORDS
+     * @param {Object} [options.authorColors] - Author name -> colour index overrides
+     */
+    constructor(options = {}) {
+        if (!Object.values(ROUTE_BY).includes(options.routeBy)) {
+            throw new Error(`Unsupported routeBy: ${options.routeBy} (use ${Object.values(ROUTE_BY).join(' or ')})`);
+        }
+
+        this.routeBy = options.routeBy;
+        this.trackPrefix = options.trackPrefix || '';
+        this.departments = Object.entries(options.departments || DEPARTMENT_KEYWORDS).map(([name, keywords]) => ({
+            name,
+            patterns: keywords.map(keyword => new RegExp(`\\b${keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i'))
+        }));
+        this.authorColors = new Map(Object.entries(options.authorColors || {})
+            .map(([author, colorIndex]) => [MarkerTrackRouter.normalizeAuthor(author).toLowerCase(), colorIndex]));
+
+        // First spelling seen for each author, so "Director" and "director" share a ruler
+        this.authorLabels = new Map();
+    }
+
+    /**
+     * Normalize an author name for display and matching
+     * @param {string} author - Author as given by the note source
+     * @returns {string} Trimmed name with collapsed whitespace
+     */
+    static normalizeAuthor(author) {
+        return (author || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Work out which department a note belongs to
+     * An explicit note.department wins over keyword matching
+     * @param {Object} note - Note as produced by a parser
+     * @returns {string} Department name
+     */
+    getDepartment(note) {
+        if (note.department) {
+            const explicit = this.departments.find(department => department.name.toLowerCase() === String(note.department).toLowerCase());
+            return explicit ? explicit.name : String(note.department);
+        }
+
+        const text = note.text || note.comment || '';
+        const match = this.departments.find(department => department.patterns.some(pattern => pattern.test(text)));
+        return match ? match.name : DEFAULT_DEPARTMENT;
+    }
+
+    /**
+     * Get the marker track a note should go on
+     * @param {Object} note - Note as produced by a parser
+     * @returns {string} Track name
+     */
+    getTrackName(note) {
+        const label = this.routeBy === ROUTE_BY.AUTHOR
+            ? this.getAuthorLabel(note.author)
+            : this.getDepartment(note);
+
+        return `${this.trackPrefix}${label}`
+            .replace(/[<>:"/\\|?*]/g, '_')
+            .substring(0, MAX_TRACK_NAME_LENGTH)
+            .trim();
+    }
+
+    /**
+     * Get the display name used for an author's ruler
+     * @private
+     */
+    getAuthorLabel(author) {
+        const name = MarkerTrackRouter.normalizeAuthor(author) || UNKNOWN_AUTHOR;
+        const key = name.toLowerCase();
+
+        if (!this.authorLabels.has(key)) {
+            this.authorLabels.set(key, name);
+        }
+        return this.authorLabels.get(key);
+    }
+
+    /**
+     * Get the marker colour for an author
+     * Hashed from the name, so the same author gets the same colour in every session
+     * @param {string} author - Note author
+     * @returns {number} Pro Tools colour index
+     */
+    getAuthorColor(author) {
+        const key = MarkerTrackRouter.normalizeAuthor(author).toLowerCase();
+
+        if (this.authorColors.has(key)) {
+            return this.authorColors.get(key);
+        }
+
+        const hash = crypto.createHash('sha1').update(key || UNKNOWN_AUTHOR.toLowerCase()).digest();
+        return AUTHOR_COLOR_PALETTE[hash.readUInt32BE(0) % AUTHOR_COLOR_PALETTE.length];
+    }
+
+    /**
+     * Split the tracks markers need into existing and missing Markers tracks
+     * @param {Array<string>} trackNames - Track names markers are routed to
+     * @param {Array} existingTracks - Tracks from PTSLConnectionManager.getTrackList()
+     * @returns {Object} {existing: string[], missing: string[]}
+     */
+    static planTracks(trackNames, existingTracks = []) {
+        // Only Markers tracks can hold named-ruler markers; an audio track with the same name doesn't count
+        const markerTracks = new Set(existingTracks
+            .filter(track => /Markers$/.test(String(track.type)))
+            .map(track => track.name));
+
+        const required = [...new Set(trackNames.filter(Boolean))];
+        const plan = {
+            existing: required.filter(name => markerTracks.has(name)),
+            missing: required.filter(name => !markerTracks.has(name))
+        };
+
+        log.debug('Marker track plan', plan);
+        return plan;
+    }
+}
+
+module.exports = {
+    MarkerTrackRouter,
+    ROUTE_BY,
+    DEPARTMENT_KEYWORDS
+};
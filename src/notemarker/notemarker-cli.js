@@ -0,0 +1,402 @@
+#!/usr/bin/env node
+
+/**
+ * NoteMarker CLI
+ * Headless batch spotting: parses note files, runs them through
+ * MarkerCreationPipeline (validate, conflict-resolve, create) and prints a
+ * JSON report. With --dry-run nothing talks to Pro Tools, so spotting prep
+ * can be scripted and run in CI.
+ *
+ * Usage:
+ *   node src/notemarker/notemarker-cli.js [options] <notes-file...>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const log = require('electron-log');
+const { parseFrameioExport, detectFrameioFormat } = require('./frameio-parser.js');
+const { FRAME_RATES, TimecodeUtils } = require('./timecode-calculator.js');
+const { CONFLICT_STRATEGIES } = require('./marker-conflict-detector.js');
+const { ROUTE_BY } = require('./marker-track-router.js');
+const MarkerCreationPipeline = require('./marker-creation-pipeline.js');
+
+const USAGE = `Usage: notemarker-cli [options] <notes-file...>
+
+Note files can be Frame.io TXT/CSV/JSON exports, Avid locator exports, EDLs,
+SRT/WebVTT subtitles or documents of timecoded notes ("01:02:03:04 - text").
+
+Options:
+  --fps <rate>            Frame rate, e.g. 23.976, 24, 25, 29.97, 29.97drop, 48, 119.88 [29.97]
+  --session-start <tc>    Session timecode at picture start [00:00:00:00]
+  --marker-track <name>   Named marker ruler to create markers on [main ruler]
+  --route-by <key>        One marker ruler per author or department, created as needed
+  --track-prefix <text>   Prefix for --route-by ruler names, e.g. "Notes - "
+  --conflict <strategy>   skip, replace, offset, merge or cancel [skip]
+  --duplicate-threshold <n>  Text similarity (0-1) at which nearby notes are duplicates [0.8]
+  --dry-run               Parse, validate and resolve conflicts without Pro Tools
+  --existing <file>       JSON array of memory locations to check conflicts against (dry run)
+  --session-name <name>   Session name to report (dry run)
+  --host <host>           PTSL host [localhost]
+  --port <port>           PTSL port [31416]
+  --output <file>         Write the JSON report to a file instead of stdout
+  --verbose               Log pipeline progress to stderr
+  --help                  Show this help
+`;
+
+/**
+ * Options that take a value, mapped to their option key
+ */
+const VALUE_OPTIONS = {
+    '--fps': 'frameRate',
+    '--session-start': 'sessionStart',
+    '--marker-track': 'markerTrack',
+    '--route-by': 'routeBy',
+    '--track-prefix': 'trackPrefix',
+    '--conflict': 'conflictStrategy',
+    '--duplicate-threshold': 'duplicateThreshold',
+    '--existing': 'existingFile',
+    '--session-name': 'sessionName',
+    '--host': 'host',
+    '--port': 'port',
+    '--output': 'output'
+};
+
+/**
+ * Parse command-line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} CLI options
+ */
+function parseArgs(argv) {
+    const options = {
+        files: [],
+        frameRate: '29.97',
+        sessionStart: '00:00:00:00',
+        markerTrack: null,
+        routeBy: null,
+        trackPrefix: '',
+        conflictStrategy: CONFLICT_STRATEGIES.SKIP,
+        duplicateThreshold: null,
+        dryRun: false,
+        existingFile: null,
+        sessionName: null,
+        host: 'localhost',
+        port: 31416,
+        output: null,
+        verbose: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inlineValue] = arg.startsWith('--') ? arg.split(/=(.*)/s) : [arg];
+
+        if (VALUE_OPTIONS[flag]) {
+            const value = inlineValue !== undefined ? inlineValue : argv[++i];
+            if (value === undefined || value === '') {
+                throw new Error(`${flag} requires a value`);
+            }
+            options[VALUE_OPTIONS[flag]] = value;
+        } else if (flag === '--dry-run') {
+            options.dryRun = true;
+        } else if (flag === '--verbose') {
+            options.verbose = true;
+        } else if (flag === '--help' || flag === '-h') {
+            options.help = true;
+        } else if (flag.startsWith('-')) {
+            throw new Error(`Unknown option: ${flag}`);
+        } else {
+            options.files.push(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Validate parsed options before anything runs
+ * @param {Object} options - CLI options
+ */
+function validateOptions(options) {
+    options.frameRate = String(options.frameRate).toLowerCase();
+    if (!FRAME_RATES[options.frameRate]) {
+        throw new Error(`Unsupported frame rate: ${options.frameRate}`);
+    }
+
+    if (!TimecodeUtils.isValidTimecode(options.sessionStart, options.frameRate)) {
+        throw new Error(`Invalid --session-start: ${options.sessionStart} (HH:MM:SS:FF at ${options.frameRate} fps)`);
+    }
+
+    options.port = Number(options.port);
+    if (!Number.isInteger(options.port) || options.port < 1 || options.port > 65535) {
+        throw new Error('--port must be a whole number from 1 to 65535');
+    }
+
+    // Interactive resolution needs the notes.html dialog
+    const strategies = Object.values(CONFLICT_STRATEGIES).filter(strategy => strategy !== CONFLICT_STRATEGIES.ASK_EACH);
+    if (!strategies.includes(options.conflictStrategy)) {
+        throw new Error(`Unsupported conflict strategy: ${options.conflictStrategy} (use ${strategies.join(', ')})`);
+    }
+
+    if (options.duplicateThreshold !== null) {
+        options.duplicateThreshold = Number(options.duplicateThreshold);
+        if (!(options.duplicateThreshold > 0 && options.duplicateThreshold <= 1)) {
+            throw new Error('--duplicate-threshold must be a number above 0 and at most 1');
+        }
+    }
+
+    if (options.routeBy) {
+        options.routeBy = options.routeBy.toLowerCase();
+        if (!Object.values(ROUTE_BY).includes(options.routeBy)) {
+            throw new Error(`Unsupported --route-by: ${options.routeBy} (use ${Object.values(ROUTE_BY).join(' or ')})`);
+        }
+        if (options.markerTrack) {
+            throw new Error('--marker-track and --route-by cannot be combined');
+        }
+    }
+
+    if (options.files.length === 0) {
+        throw new Error('No note files given');
+    }
+
+    if (options.existingFile && !options.dryRun) {
+        throw new Error('--existing is only used with --dry-run; live runs read markers from the session');
+    }
+}
+
+/**
+ * Read and parse one note file
+ * @param {string} filePath - Path to the notes file
+ * @param {Object} options - CLI options
+ * @returns {Promise<Object>} {file, format, notes}
+ */
+async function loadNoteFile(filePath, options) {
+    const text = await fs.promises.readFile(filePath, 'utf8');
+    const fileName = path.basename(filePath);
+    const fps = FRAME_RATES[options.frameRate].framesPerSecond;
+
+    return {
+        file: filePath,
+        format: detectFrameioFormat(text, fileName),
+        notes: parseFrameioExport(text, { fileName, fps, frameRate: options.frameRate })
+    };
+}
+
+/**
+ * Load memory locations for dry-run conflict checks
+ * Accepts a bare array or a getMemoryLocations() result ({memoryLocations})
+ * @param {string} filePath - JSON file path
+ * @returns {Promise<Array>} Existing markers in the pipeline's shape
+ */
+async function loadExistingMarkers(filePath) {
+    const data = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    const locations = Array.isArray(data) ? data : (data.memoryLocations || []);
+
+    return locations.map(location => ({
+        name: location.name,
+        startLocation: location.startTime || location.startLocation,
+        endLocation: location.endTime || location.endLocation || null,
+        startTime: location.startTime,
+        colorIndex: location.colorIndex
+    }));
+}
+
+/**
+ * Summarize one pipeline run for the report
+ * @param {Object} loaded - {file, format, notes}
+ * @param {Object} result - createMarkers() result
+ * @returns {Object} File report
+ */
+function buildFileReport(loaded, result) {
+    // Map each marker's original index to the conflict action applied to it
+    const resolutions = new Map();
+    const conflictSkipped = [];
+    const conflictMerged = [];
+    (result.conflictResults?.resolutionResults?.results || []).forEach(resolution => {
+        const marker = resolution.conflict?.newMarker;
+        if (!marker || !resolution.action) {
+            return;
+        }
+        resolutions.set(marker.originalIndex, resolution.action);
+        if (resolution.action === 'skip') {
+            conflictSkipped.push({
+                name: marker.name,
+                text: marker.comments,
+                timecode: marker.timecode,
+                conflicts: resolution.conflict.conflicts.map(conflict => conflict.type)
+            });
+        }
+        if (resolution.action === 'merge') {
+            conflictMerged.push({
+                name: marker.name,
+                text: marker.comments,
+                timecode: marker.timecode,
+                mergedInto: resolution.duplicate.existingMarker.comments || resolution.duplicate.existingMarker.name,
+                similarity: resolution.duplicate.similarity
+            });
+        }
+    });
+
+    return {
+        file: loaded.file,
+        format: loaded.format,
+        notes: loaded.notes.length,
+        created: result.created,
+        planned: result.dryRun ? result.results.length : 0,
+        skipped: result.skipped,
+        failed: result.failed,
+        alreadySpotted: (result.alreadySpotted || []).length,
+        tracks: result.tracks || { used: [], created: [] },
+        conflicts: {
+            total: result.conflictResults?.totalConflicts || 0,
+            summary: result.conflictResults?.summary || null
+        },
+        markers: result.results.map(entry => ({
+            name: entry.marker.name,
+            text: entry.marker.comments,
+            author: entry.marker.author,
+            isReply: entry.marker.isReply,
+            colorIndex: entry.marker.colorIndex,
+            trackName: entry.marker.trackName || null,
+            timecode: entry.marker.timecode,
+            endTimecode: entry.marker.endTimecode || null,
+            finalTimecode: entry.finalTimecode || null,
+            finalEndTimecode: entry.finalEndTimecode || null,
+            conflictResolution: resolutions.get(entry.marker.originalIndex) || null,
+            success: entry.success,
+            error: entry.error || null
+        })),
+        conflictSkipped,
+        conflictMerged
+    };
+}
+
+/**
+ * Send all logging to stderr - stdout carries the report
+ * @param {Object} options - CLI options
+ */
+function configureLogging(options) {
+    log.transports.file.level = false;
+    log.transports.console.level = options.verbose ? 'info' : 'warn';
+    log.transports.console.writeFn = ({ message }) => {
+        process.stderr.write(`${util.format(...message.data)}\n`);
+    };
+}
+
+/**
+ * Run the CLI
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+        if (options.help) {
+            process.stdout.write(USAGE);
+            return 0;
+        }
+        configureLogging(options);
+        validateOptions(options);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        return 1;
+    }
+
+    let connectionManager = null;
+    try {
+        if (!options.dryRun) {
+            // Required lazily so dry runs never load the gRPC client
+            const { PTSLConnectionManager } = require('./ptsl-connection-manager.js');
+            connectionManager = new PTSLConnectionManager({
+                host: options.host,
+                port: options.port,
+                companyName: 'alternatone',
+                applicationName: 'alternassist'
+            });
+            await connectionManager.connect();
+        }
+
+        const pipeline = new MarkerCreationPipeline(connectionManager);
+        let existingMarkers = options.existingFile ? await loadExistingMarkers(options.existingFile) : [];
+        let existingTracks = [];
+
+        const report = {
+            generatedAt: new Date().toISOString(),
+            dryRun: options.dryRun,
+            frameRate: options.frameRate,
+            sessionStart: options.sessionStart,
+            markerTrack: options.markerTrack,
+            routeBy: options.routeBy,
+            conflictStrategy: options.conflictStrategy,
+            session: null,
+            files: [],
+            totals: { notes: 0, created: 0, planned: 0, skipped: 0, failed: 0 }
+        };
+
+        for (const filePath of options.files) {
+            const loaded = await loadNoteFile(filePath, options);
+
+            const result = await pipeline.createMarkers(loaded.notes, {
+                dryRun: options.dryRun,
+                frameRate: options.frameRate,
+                sessionName: options.sessionName,
+                existingMarkers,
+                existingTracks,
+                sessionStart: options.sessionStart,
+                markerTrack: options.markerTrack,
+                routeBy: options.routeBy,
+                trackPrefix: options.trackPrefix,
+                conflictStrategy: options.conflictStrategy,
+                duplicateThreshold: options.duplicateThreshold,
+                sourceName: path.basename(filePath)
+            });
+
+            const fileReport = buildFileReport(loaded, result);
+            report.session = result.session || report.session;
+            report.files.push(fileReport);
+
+            ['notes', 'created', 'planned', 'skipped', 'failed'].forEach(key => {
+                report.totals[key] += fileReport[key];
+            });
+
+            // Later files in a dry run conflict with what earlier files would have created
+            if (options.dryRun) {
+                existingMarkers = existingMarkers.concat(fileReport.markers.map(marker => ({
+                    name: marker.text,
+                    startLocation: marker.finalTimecode,
+                    endLocation: marker.finalEndTimecode
+                })));
+                existingTracks = existingTracks.concat(fileReport.tracks.created.map(name => ({
+                    name,
+                    type: 'TT_Markers'
+                })));
+            }
+        }
+
+        const json = JSON.stringify(report, null, 2);
+        if (options.output) {
+            await fs.promises.writeFile(options.output, `${json}\n`, 'utf8');
+        } else {
+            process.stdout.write(`${json}\n`);
+        }
+
+        return report.totals.failed > 0 ? 2 : 0;
+
+    } catch (error) {
+        process.stderr.write(`NoteMarker failed: ${error.message}\n`);
+        return 1;
+    } finally {
+        if (connectionManager) {
+            await connectionManager.disconnect().catch(() => {});
+        }
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
+
+module.exports = { main, parseArgs, validateOptions };
@@ -0,0 +1,26 @@
+const log = require('electron-log');
+
+/**
+ * Parser Log
+ * Logger for the note parsers (Frame.io, Avid locators, spotting notes).
+ * Messages go through electron-log rather than console.log so the app, the
+ * server and the CLI each decide where they land - the CLI keeps stdout for
+ * its report. Debug stays silent, as it always has for the parsers.
+ */
+
+/**
+ * Create a parser logger
+ * @param {string} scope - Label shown with each message, e.g. 'Parser'
+ * @returns {Object} {info, warn, error, debug}
+ */
+function createParserLogger(scope) {
+    const scoped = log.scope(scope);
+    return {
+        info: (...args) => scoped.info(...args),
+        warn: (...args) => scoped.warn(...args),
+        error: (...args) => scoped.error(...args),
+        debug: () => {}
+    };
+}
+
+module.exports = { createParserLogger };
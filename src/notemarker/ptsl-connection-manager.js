@@ -1,12 +1,13 @@
 const grpc = require('@grpc/grpc-js');
-const protoLoader = require('@grpc/proto-loader');
 const EventEmitter = require('events');
+const fs = require('fs');
 const log = require('electron-log');
 const path = require('path');
 const PTSLMessageBuilder = require('./ptsl-message-builder.js');
 const { PTSLErrorHandler, PTSL_ERROR_TYPES } = require('./ptsl-error-handler.js');
 // Import generated protobuf definitions for creating message instances
 const ptslProto = require('./ptsl-proto.js');
+const { createPTSLServiceDefinition } = require('./ptsl-service-definition.js');
 
 // Get correct app path for packaged Electron apps
 function getAppPath() {
@@ -92,6 +93,11 @@ class PTSLConnectionManager extends EventEmitter {
             totalReconnections: 0
         };
         
+        // Diagnostics: recent state transitions and command round trips (see getDiagnostics)
+        this.maxDiagnosticEntries = options.maxDiagnosticEntries || 50;
+        this.stateHistory = [];
+        this.commandHistory = [];
+        
         this.setupEventHandlers();
         this.setupShutdownHandlers();
         
@@ -203,25 +209,35 @@ class PTSLConnectionManager extends EventEmitter {
             const appPath = getAppPath();
             const protoPath = path.join(appPath, 'src', 'proto', 'PTSL.proto');
             
-            const packageDefinition = protoLoader.loadSync(protoPath, {
-                keepCase: true,
-                longs: String,
-                enums: String,
-                defaults: true,
-                oneofs: true
-            });
-            
-            const proto = grpc.loadPackageDefinition(packageDefinition);
+            let PTSLClient;
+            if (fs.existsSync(protoPath)) {
+                // Required lazily - only needed alongside the SDK's PTSL.proto
+                const protoLoader = require('@grpc/proto-loader');
+                const packageDefinition = protoLoader.loadSync(protoPath, {
+                    keepCase: true,
+                    longs: String,
+                    enums: String,
+                    defaults: true,
+                    oneofs: true
+                });
+                
+                // Store proto definitions for creating message instances
+                this.proto = grpc.loadPackageDefinition(packageDefinition);
+                PTSLClient = this.proto.ptsl.PTSL;
+            } else {
+                // No SDK proto installed (e.g. Linux dev box against the mock server) -
+                // the bundled definitions decode to the same snake_case shape
+                log.debug('PTSL.proto not found, using bundled ptsl-proto.js service definition', { protoPath });
+                PTSLClient = grpc.makeGenericClientConstructor(createPTSLServiceDefinition({ enums: String }), 'PTSL');
+            }
             
-            // Store proto definitions for creating message instances
-            this.proto = proto;
             this.ptslProto = ptslProto.ptsl;
             
             // Update message builder with proto definitions for creating instances
             this.messageBuilder.setProtoDefinitions(this.ptslProto);
             
             // Create gRPC client with target string
-            this.grpcClient = new proto.ptsl.PTSL(
+            this.grpcClient = new PTSLClient(
                 `${this.host}:${this.port}`,
                 grpc.credentials.createInsecure()
             );
@@ -242,10 +258,76 @@ class PTSLConnectionManager extends EventEmitter {
         const oldState = this.state;
         if (oldState !== newState) {
             this.state = newState;
+            this.recordDiagnostic(this.stateHistory, { from: oldState, to: newState, timestamp: Date.now() });
             this.emit('state-changed', newState, oldState);
         }
     }
     
+    /**
+     * Append an entry to a diagnostics ring buffer
+     * @private
+     */
+    recordDiagnostic(buffer, entry) {
+        buffer.push(entry);
+        if (buffer.length > this.maxDiagnosticEntries) {
+            buffer.splice(0, buffer.length - this.maxDiagnosticEntries);
+        }
+    }
+    
+    /**
+     * Record a finished gRPC round trip for diagnostics
+     * Only headers and status are kept - request and response bodies can hold note text
+     * @private
+     */
+    recordCommand(request, response, error, startedAt) {
+        const commandId = request.header?.command;
+        let responseErrors = null;
+        
+        if (response?.response_error_json) {
+            try {
+                responseErrors = (JSON.parse(response.response_error_json).errors || [])
+                    .map(entry => ({
+                        type: typeof entry.command_error_type === 'number'
+                            ? ptslProto.ptsl.CommandErrorType[entry.command_error_type] || entry.command_error_type
+                            : entry.command_error_type,
+                        message: entry.command_error_message
+                    }));
+            } catch (e) {
+                responseErrors = [{ message: 'Unparseable response_error_json' }];
+            }
+        }
+        
+        // Status may arrive as the enum value or its name, with or without the TStatus_ prefix
+        const rawStatus = response?.header?.status;
+        const status = typeof rawStatus === 'number' ? ptslProto.ptsl.TaskStatus[rawStatus] : String(rawStatus);
+        
+        this.recordDiagnostic(this.commandHistory, {
+            commandId,
+            command: ptslProto.ptsl.CommandId[commandId] || String(commandId),
+            timestamp: startedAt,
+            latencyMs: Date.now() - startedAt,
+            success: !error && !/^(TStatus_)?Failed/.test(status),
+            requestHeader: { ...request.header },
+            responseHeader: response?.header ? { ...response.header } : null,
+            responseErrors,
+            grpcError: error ? { code: error.code, message: error.details || error.message } : null
+        });
+    }
+    
+    /**
+     * Get raw diagnostics: status, state transitions, recent commands and error statistics
+     * Headers include session IDs; redact before the data leaves the process (see ptsl-diagnostics.js)
+     * @returns {Object} {status, stateHistory, commands, errorStatistics}
+     */
+    getDiagnostics() {
+        return {
+            status: this.getStatus(),
+            stateHistory: [...this.stateHistory],
+            commands: [...this.commandHistory],
+            errorStatistics: this.errorHandler.getErrorStatistics()
+        };
+    }
+    
     /**
      * Connect to Pro Tools with full connection lifecycle
      */
@@ -572,7 +654,8 @@ class PTSLConnectionManager extends EventEmitter {
                     return;
                 }
                 
-                const deadline = Date.now() + timeout;
+                const startedAt = Date.now();
+                const deadline = startedAt + timeout;
                 
                 // TRACE POINT 3: Right before the grpc service call - log the actual message being sent
                 log.debug('🔍 TRACE[3] Right before grpc call - final request with validated header:', {
@@ -593,6 +676,7 @@ class PTSLConnectionManager extends EventEmitter {
                     request,
                     { deadline },
                     async (error, response) => {
+                        this.recordCommand(request, response, error, startedAt);
                         if (error) {
                             log.debug('🔍 TRACE[4] gRPC call returned error:', {
                                 commandId: request.header.command,
@@ -1118,9 +1202,11 @@ class PTSLConnectionManager extends EventEmitter {
                 }
             }
             
+            const tracks = responseBody.track_list || responseBody.tracks || [];
+            
             return {
-                tracks: responseBody.tracks || [],
-                totalCount: responseBody.total_count || responseBody.tracks?.length || 0,
+                tracks,
+                totalCount: responseBody.pagination_response?.total || responseBody.total_count || tracks.length,
                 sessionId: this.sessionId,
                 isConnected: true
             };
@@ -1138,6 +1224,64 @@ class PTSLConnectionManager extends EventEmitter {
         }
     }
     
+    /**
+     * Create new tracks in the Pro Tools session
+     * @param {Object} options - Track options for PTSLMessageBuilder.buildCreateNewTracksRequest
+     * @returns {Promise<Object>} {trackNames: string[], trackIds: string[], response}
+     */
+    async createNewTracks(options = {}) {
+        if (this.state !== CONNECTION_STATE.CONNECTED) {
+            throw new Error('Not connected to Pro Tools');
+        }
+
+        try {
+            log.debug('Creating tracks in Pro Tools', {
+                trackName: options.trackName,
+                trackType: options.trackType,
+                numberOfTracks: options.numberOfTracks || 1
+            });
+
+            const request = this.messageBuilder.buildCreateNewTracksRequest(options);
+            this.messageBuilder.validateMessage(request);
+
+            const response = await this.sendGrpcRequest(request);
+
+            if (response.responseError && response.responseError.errorType !== 0) {
+                throw new Error(`Create tracks failed: ${response.responseError.errorMessage}`);
+            }
+
+            let responseBody = {};
+            if (response.response_body_json) {
+                try {
+                    responseBody = JSON.parse(response.response_body_json);
+                } catch (parseError) {
+                    log.warn('Failed to parse CreateNewTracks response body JSON:', parseError);
+                }
+            }
+
+            const trackNames = responseBody.created_track_names || [];
+
+            log.info('Tracks created', { trackNames });
+
+            return {
+                trackNames,
+                trackIds: responseBody.created_track_ids || [],
+                response
+            };
+
+        } catch (error) {
+            log.error('Failed to create tracks:', error);
+
+            // No retryFunction: a retried create could add duplicate tracks
+            const handledError = await this.errorHandler.handleError(error, {
+                operation: 'create_new_tracks',
+                trackName: options.trackName
+            });
+
+            throw handledError;
+        }
+    }
+    
     /**
      * Create memory location
      */
@@ -1457,9 +1601,29 @@ class PTSLConnectionManager extends EventEmitter {
                 throw new Error(`Get memory locations failed: ${response.responseError.errorMessage}`);
             }
             
-            // Extract memory locations from response
-            const memoryLocations = response.getMemoryLocationsResponseBody?.memoryLocations || [];
-            const stats = response.getMemoryLocationsResponseBody?.stats || {};
+            // Parse the JSON response body (same pattern as GetTrackList)
+            let responseBody = {};
+            if (response.response_body_json) {
+                try {
+                    responseBody = JSON.parse(response.response_body_json);
+                } catch (parseError) {
+                    log.warn('Failed to parse GetMemoryLocations response body JSON:', parseError);
+                }
+            }
+            
+            // Extract memory locations from response, with the camelCase names the pipeline reads
+            const memoryLocations = responseBody.memory_locations
+                ? responseBody.memory_locations.map(location => ({
+                    ...location,
+                    startTime: location.start_time,
+                    endTime: location.end_time,
+                    timeProperties: location.time_properties,
+                    generalProperties: location.general_properties,
+                    trackName: location.track_name,
+                    colorIndex: location.color_index
+                }))
+                : response.getMemoryLocationsResponseBody?.memoryLocations || [];
+            const stats = responseBody.pagination_response || responseBody.stats || response.getMemoryLocationsResponseBody?.stats || {};
             
             log.debug('Memory locations retrieved successfully', {
                 count: memoryLocations.length,
@@ -1486,6 +1650,50 @@ class PTSLConnectionManager extends EventEmitter {
         }
     }
     
+    /**
+     * Remove memory locations by number
+     * @param {Array<number>} locationNumbers - Memory location numbers to remove
+     * @returns {Promise<Object>} {cleared: number[], response}
+     */
+    async clearMemoryLocations(locationNumbers) {
+        if (this.state !== CONNECTION_STATE.CONNECTED) {
+            throw new Error('Not connected to Pro Tools');
+        }
+
+        try {
+            log.debug('Clearing memory locations in Pro Tools', { count: (locationNumbers || []).length });
+
+            const request = this.messageBuilder.buildClearMemoryLocationRequest(locationNumbers);
+            this.messageBuilder.validateMessage(request);
+
+            const response = await this.sendGrpcRequest(request);
+
+            if (response.responseError && response.responseError.errorType !== 0) {
+                throw new Error(`Clear memory locations failed: ${response.responseError.errorMessage}`);
+            }
+
+            const cleared = JSON.parse(request.request_body_json).location_list;
+
+            log.info('Memory locations cleared', { count: cleared.length });
+
+            return {
+                cleared,
+                response
+            };
+
+        } catch (error) {
+            log.error('Failed to clear memory locations:', error);
+
+            // No retryFunction: clearing is not repeated behind the caller's back
+            const handledError = await this.errorHandler.handleError(error, {
+                operation: 'clear_memory_locations',
+                locationNumbers
+            });
+
+            throw handledError;
+        }
+    }
+    
     /**
      * Convert PTSL timecode format string to numeric frame rate
      * @private
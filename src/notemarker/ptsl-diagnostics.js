@@ -0,0 +1,137 @@
+const os = require('os');
+
+/**
+ * PTSL Diagnostics
+ * Collects error statistics, circuit-breaker transitions, connection-state
+ * history, command latencies and recent request/response headers into one
+ * bundle that can be attached to a bug report. PTSL session IDs authenticate
+ * the connection, so every copy of them is redacted
+ */
+
+const BUNDLE_VERSION = 1;
+const REDACTED = '[redacted]';
+
+// Keys whose values are PTSL session IDs wherever they appear
+const SESSION_ID_KEYS = /^session_?id$/i;
+
+/**
+ * Deep-copy a value, replacing PTSL session IDs
+ * @param {*} value - Value to copy
+ * @param {Array<string>} [knownIds] - Session IDs to also scrub from free text (e.g. error messages)
+ * @returns {*} Redacted copy
+ */
+function redactSessionIds(value, knownIds = []) {
+    const ids = knownIds.filter(id => typeof id === 'string' && id.length > 0);
+
+    const redact = (item, key) => {
+        if (key !== undefined && SESSION_ID_KEYS.test(key)) {
+            return item ? REDACTED : item;
+        }
+        if (typeof item === 'string') {
+            return ids.reduce((text, id) => text.split(id).join(REDACTED), item);
+        }
+        if (Array.isArray(item)) {
+            return item.map(entry => redact(entry));
+        }
+        if (item instanceof Error) {
+            return { name: item.name, message: redact(item.message), code: item.code };
+        }
+        if (item && typeof item === 'object') {
+            return Object.fromEntries(Object.entries(item).map(([entryKey, entry]) => [entryKey, redact(entry, entryKey)]));
+        }
+        return item;
+    };
+
+    return redact(value);
+}
+
+/**
+ * Summarize round-trip latency per command
+ * @param {Array} commands - Command history from PTSLConnectionManager.getDiagnostics()
+ * @returns {Object} command name -> {count, failures, avgMs, p95Ms, maxMs}
+ */
+function summarizeLatencies(commands = []) {
+    const byCommand = new Map();
+    commands.forEach(entry => {
+        if (!byCommand.has(entry.command)) {
+            byCommand.set(entry.command, []);
+        }
+        byCommand.get(entry.command).push(entry);
+    });
+
+    return Object.fromEntries([...byCommand].map(([command, entries]) => {
+        const latencies = entries.map(entry => entry.latencyMs).sort((a, b) => a - b);
+        return [command, {
+            count: entries.length,
+            failures: entries.filter(entry => !entry.success).length,
+            avgMs: Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length),
+            p95Ms: latencies[Math.min(latencies.length - 1, Math.ceil(latencies.length * 0.95) - 1)],
+            maxMs: latencies[latencies.length - 1]
+        }];
+    }));
+}
+
+/**
+ * Build a diagnostics bundle
+ * @param {Object} sources
+ * @param {PTSLConnectionManager} [sources.connectionManager] - Connection to Pro Tools
+ * @param {MarkerCreationPipeline} [sources.markerPipeline] - Marker pipeline
+ * @param {Object} [sources.app] - Application details (name, version)
+ * @param {number} [sources.commandLimit=20] - Number of recent request/response headers to include
+ * @returns {Object} Redacted bundle, safe to write to disk
+ */
+function buildDiagnosticsBundle({ connectionManager = null, markerPipeline = null, app = {}, commandLimit = 20 } = {}) {
+    const connection = connectionManager ? connectionManager.getDiagnostics() : null;
+    const commands = connection?.commands || [];
+
+    const bundle = {
+        bundleVersion: BUNDLE_VERSION,
+        generatedAt: new Date().toISOString(),
+        app: {
+            ...app,
+            platform: process.platform,
+            arch: process.arch,
+            osRelease: os.release(),
+            node: process.versions.node,
+            electron: process.versions.electron || null
+        },
+        connection: connection ? {
+            status: connection.status,
+            stateHistory: connection.stateHistory
+        } : null,
+        commands: {
+            latencies: summarizeLatencies(commands),
+            recent: commands.slice(-commandLimit).map(entry => ({
+                command: entry.command,
+                timestamp: new Date(entry.timestamp).toISOString(),
+                latencyMs: entry.latencyMs,
+                success: entry.success,
+                requestHeader: entry.requestHeader,
+                responseHeader: entry.responseHeader,
+                responseErrors: entry.responseErrors,
+                grpcError: entry.grpcError
+            }))
+        },
+        errors: {
+            connection: connection?.errorStatistics || null,
+            pipeline: markerPipeline?.errorHandler ? markerPipeline.errorHandler.getErrorStatistics() : null
+        },
+        pipeline: markerPipeline ? {
+            statistics: markerPipeline.getStatistics(),
+            lastRun: markerPipeline.getLastRun ? markerPipeline.getLastRun() : null
+        } : null
+    };
+
+    const knownIds = [
+        connectionManager?.sessionId,
+        ...commands.map(entry => entry.requestHeader?.session_id)
+    ];
+
+    return redactSessionIds(bundle, [...new Set(knownIds)]);
+}
+
+module.exports = {
+    buildDiagnosticsBundle,
+    redactSessionIds,
+    summarizeLatencies
+};
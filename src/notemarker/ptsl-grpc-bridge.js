@@ -4,6 +4,8 @@ const log = require('electron-log');
 // Import connection manager and marker pipeline
 const { PTSLConnectionManager, CONNECTION_STATE, PTSL_ERROR_TYPES: CONNECTION_ERROR_TYPES } = require('./ptsl-connection-manager.js');
 const MarkerCreationPipeline = require('./marker-creation-pipeline.js');
+const { TimecodeCalculator, FRAME_RATES, TIMECODE_DAY_HOURS } = require('./timecode-calculator.js');
+const { buildDiagnosticsBundle } = require('./ptsl-diagnostics.js');
 
 // Comprehensive Error Classification System
 const ERROR_TYPES = {
@@ -303,7 +305,7 @@ class PTSLGrpcBridge extends EventEmitter {
             await this.validateMarkerTrack(settings.markerTrack, validationResult);
             
             // Validate session start time format
-            this.validateSessionStartTime(settings.sessionStart, validationResult);
+            this.validateSessionStartTime(settings.sessionStart, validationResult, settings.fps);
             
             // Set overall validity
             validationResult.valid = validationResult.errors.length === 0;
@@ -421,9 +423,9 @@ class PTSLGrpcBridge extends EventEmitter {
      * Validate session start time format
      * @private
      */
-    validateSessionStartTime(sessionStart, validationResult) {
+    validateSessionStartTime(sessionStart, validationResult, fps) {
         // Validate timecode format
-        const timecodeRegex = /^\d{1,2}:\d{2}:\d{2}:\d{2}$/;
+        const timecodeRegex = /^\d{1,2}:\d{2}:\d{2}[:;]\d{2,3}$/;
         if (!timecodeRegex.test(sessionStart)) {
             validationResult.errors.push(
                 `Invalid session start time format: "${sessionStart}". ` +
@@ -433,11 +435,11 @@ class PTSLGrpcBridge extends EventEmitter {
         }
         
         // Parse timecode components
-        const [hours, minutes, seconds, frames] = sessionStart.split(':').map(Number);
+        const [hours, minutes, seconds, frames] = sessionStart.split(/[:;]/).map(Number);
         
-        // Validate ranges
-        if (hours > 23) {
-            validationResult.errors.push(`Invalid hours in session start time: ${hours} (max: 23)`);
+        // Session start is time-of-day; markers after it may run past midnight and wrap
+        if (hours >= TIMECODE_DAY_HOURS) {
+            validationResult.errors.push(`Invalid hours in session start time: ${hours} (max: ${TIMECODE_DAY_HOURS - 1})`);
         }
         if (minutes > 59) {
             validationResult.errors.push(`Invalid minutes in session start time: ${minutes} (max: 59)`);
@@ -445,7 +447,17 @@ class PTSLGrpcBridge extends EventEmitter {
         if (seconds > 59) {
             validationResult.errors.push(`Invalid seconds in session start time: ${seconds} (max: 59)`);
         }
-        if (frames > 29) {
+        
+        // Frame range depends on the rate (up to 119 at 119.88/120 fps)
+        const frameRateKey = String(fps || '').toLowerCase();
+        if (FRAME_RATES[frameRateKey]) {
+            const validation = new TimecodeCalculator(frameRateKey).validateTimecode(sessionStart);
+            if (!validation.valid && validation.details?.errors) {
+                validation.details.errors
+                    .filter(error => error.startsWith('Frame'))
+                    .forEach(error => validationResult.errors.push(`Invalid frames in session start time: ${error}`));
+            }
+        } else if (frames > 29) {
             validationResult.warnings.push(`High frame value in session start time: ${frames}. Verify this matches your session's frame rate.`);
         }
     }
@@ -455,21 +467,36 @@ class PTSLGrpcBridge extends EventEmitter {
      * @private
      */
     normalizeFpsValue(fps) {
-        const fpsString = String(fps).toLowerCase();
+        // PTSL reports rates as e.g. "STCR_Fps11988Drop" / "Fps2997"
+        const fpsString = String(fps).toLowerCase().replace(/^(stcr_)?fps/, '');
         
         // Handle common frame rate variations
         const fpsMap = {
             '23.976': '23.976',
+            '23976': '23.976',
             '23.98': '23.976',
             '24': '24',
             '25': '25', 
             '29.97': '29.97',
+            '2997': '29.97',
             '29.97drop': '29.97',
+            '2997drop': '29.97',
             '30': '30',
+            '47.952': '47.952',
+            '47952': '47.952',
+            '48': '48',
             '50': '50',
             '59.94': '59.94',
+            '5994': '59.94',
             '59.94drop': '59.94',
-            '60': '60'
+            '5994drop': '59.94',
+            '60': '60',
+            '100': '100',
+            '119.88': '119.88',
+            '11988': '119.88',
+            '119.88drop': '119.88',
+            '11988drop': '119.88',
+            '120': '120'
         };
         
         return fpsMap[fpsString] || fpsString;
@@ -839,6 +866,19 @@ class PTSLGrpcBridge extends EventEmitter {
         };
     }
     
+    /**
+     * Get debug information: the redacted diagnostics bundle for this bridge
+     * @param {Object} [options] - {commandLimit}
+     * @returns {Object} Diagnostics bundle (see ptsl-diagnostics.js)
+     */
+    getDebugInfo(options = {}) {
+        return buildDiagnosticsBundle({
+            connectionManager: this.connectionManager,
+            markerPipeline: this.markerPipeline,
+            commandLimit: options.commandLimit
+        });
+    }
+    
     /**
      * Reset error counters for fresh session
      */
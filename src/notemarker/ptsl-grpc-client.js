@@ -4,6 +4,7 @@ const EventEmitter = require('events');
 
 // Import the generated protobuf definitions
 const ptslProto = require('./ptsl-proto.js');
+const { createPTSLServiceDefinition } = require('./ptsl-service-definition.js');
 
 // PTSL Error Classification based on official SDK CommandErrorType
 const PTSL_ERROR_TYPES = {
@@ -29,35 +30,8 @@ const PTSL_ERROR_TYPES = {
     PARSING_ERROR: 'PARSING_ERROR'
 };
 
-// Create gRPC service definition based on official PTSL SDK service:
-// service PTSL {
-//     rpc SendGrpcRequest (Request) returns (Response);
-//     rpc SendGrpcStreamingRequest (Request) returns (stream Response);
-// }
-const ptslService = {
-    SendGrpcRequest: {
-        path: '/ptsl.PTSL/SendGrpcRequest',
-        requestStream: false,
-        responseStream: false,
-        requestType: ptslProto.ptsl.Request,
-        responseType: ptslProto.ptsl.Response,
-        requestSerialize: (request) => ptslProto.ptsl.Request.encode(request).finish(),
-        requestDeserialize: (buffer) => ptslProto.ptsl.Request.decode(buffer),
-        responseSerialize: (response) => ptslProto.ptsl.Response.encode(response).finish(),
-        responseDeserialize: (buffer) => ptslProto.ptsl.Response.decode(buffer)
-    },
-    SendGrpcStreamingRequest: {
-        path: '/ptsl.PTSL/SendGrpcStreamingRequest',
-        requestStream: false,
-        responseStream: true,
-        requestType: ptslProto.ptsl.Request,
-        responseType: ptslProto.ptsl.Response,
-        requestSerialize: (request) => ptslProto.ptsl.Request.encode(request).finish(),
-        requestDeserialize: (buffer) => ptslProto.ptsl.Request.decode(buffer),
-        responseSerialize: (response) => ptslProto.ptsl.Response.encode(response).finish(),
-        responseDeserialize: (buffer) => ptslProto.ptsl.Response.decode(buffer)
-    }
-};
+// gRPC service definition based on official PTSL SDK service (see ptsl-service-definition.js)
+const ptslService = createPTSLServiceDefinition();
 
 /**
  * Create a classified PTSL error with proper typing and context
@@ -648,6 +622,7 @@ class PTSLGrpcClient extends EventEmitter {
      * @param {string} commandId - PTSL command ID 
      * @param {Object} requestBody - Request body data (will be JSON serialized)
      * @param {Object} options - Request options
+     * @param {boolean} [options.allowEmptyResponse=false] - Resolve with {} when the response has no body
      * @returns {Promise<Object>} - Parsed response body
      */
     async sendPTSLCommand(commandId, requestBody = {}, options = {}) {
@@ -723,6 +698,12 @@ class PTSLGrpcClient extends EventEmitter {
         }
         
         // Parse and return response body
+        // Some commands (e.g. ClearMemoryLocation) complete with an empty body
+        if (!response.response_body_json && options.allowEmptyResponse) {
+            log.debug('PTSL command completed with empty response body', { commandId, taskId });
+            return {};
+        }
+        
         if (!response.response_body_json) {
             throw createPTSLError(
                 PTSL_ERROR_TYPES.PARSING_ERROR,
@@ -945,6 +926,53 @@ class PTSLGrpcClient extends EventEmitter {
         }
     }
     
+    /**
+     * Remove memory locations by number
+     * Command ID: ClearMemoryLocation (61)
+     *
+     * @param {Array<number>} locationNumbers - Memory location numbers to remove
+     * @returns {Promise<Array<number>>} - Numbers that were sent for removal
+     */
+    async clearMemoryLocations(locationNumbers) {
+        try {
+            const numbers = (locationNumbers || []).filter(number => Number.isInteger(number) && number >= 1);
+            if (numbers.length === 0) {
+                throw createPTSLError(
+                    PTSL_ERROR_TYPES.UNKNOWN_ERROR,
+                    'No valid memory location numbers to clear'
+                );
+            }
+
+            log.info('Clearing Pro Tools memory locations', { count: numbers.length });
+
+            await this.sendPTSLCommand(
+                ptslProto.ptsl.CommandId.ClearMemoryLocation,
+                { location_list: numbers },
+                { timeout: 10000, allowEmptyResponse: true }
+            );
+
+            log.info('✅ Successfully cleared memory locations', {
+                count: numbers.length
+            });
+
+            return numbers;
+
+        } catch (error) {
+            const classifiedError = error.type ? error : createPTSLError(
+                PTSL_ERROR_TYPES.UNKNOWN_ERROR,
+                `Failed to clear memory locations: ${error.message}`,
+                error
+            );
+
+            log.error('❌ Failed to clear memory locations', {
+                errorType: classifiedError.type,
+                message: classifiedError.message
+            });
+
+            throw classifiedError;
+        }
+    }
+
     /**
      * Validate Pro Tools session compatibility for Frame.io marker creation
      * Checks session properties and provides compatibility warnings/errors
@@ -1014,9 +1042,16 @@ class PTSLGrpcClient extends EventEmitter {
                 'STCR_Fps2997Drop',   // 29.97 Drop Frame - NTSC broadcast
                 'STCR_Fps30',         // 30 fps - Digital standard
                 'STCR_Fps30Drop',     // 30 Drop Frame
+                'STCR_Fps47952',      // 47.952 fps - HFR film
+                'STCR_Fps48',         // 48 fps - HFR film
                 'STCR_Fps50',         // 50 fps - High frame rate
                 'STCR_Fps5994',       // 59.94 fps - High frame rate
-                'STCR_Fps60'          // 60 fps - High frame rate
+                'STCR_Fps5994Drop',   // 59.94 Drop Frame
+                'STCR_Fps60',         // 60 fps - High frame rate
+                'STCR_Fps100',        // 100 fps - HFR
+                'STCR_Fps11988',      // 119.88 fps - HFR
+                'STCR_Fps11988Drop',  // 119.88 Drop Frame
+                'STCR_Fps120'         // 120 fps - HFR
             ];
             
             if (!compatibleTimecodeRates.includes(sessionInfo.timecodeRate)) {
@@ -1155,6 +1190,8 @@ class PTSLGrpcClient extends EventEmitter {
             if (fps === '23976') return 23.976;
             if (fps === '2997') return 29.97;
             if (fps === '5994') return 59.94;
+            if (fps === '47952') return 47.952;
+            if (fps === '11988') return 119.88;
             return parseFloat(fps);
         }
         
@@ -1203,9 +1240,16 @@ class PTSLGrpcClient extends EventEmitter {
             'STCR_Fps2997Drop': '29.97 fps (Drop Frame)',
             'STCR_Fps30': '30 fps',
             'STCR_Fps30Drop': '30 fps (Drop Frame)',
+            'STCR_Fps47952': '47.952 fps',
+            'STCR_Fps48': '48 fps',
             'STCR_Fps50': '50 fps',
             'STCR_Fps5994': '59.94 fps',
-            'STCR_Fps60': '60 fps'
+            'STCR_Fps5994Drop': '59.94 fps (Drop Frame)',
+            'STCR_Fps60': '60 fps',
+            'STCR_Fps100': '100 fps',
+            'STCR_Fps11988': '119.88 fps',
+            'STCR_Fps11988Drop': '119.88 fps (Drop Frame)',
+            'STCR_Fps120': '120 fps'
         };
         return conversions[ptslRate] || ptslRate;
     }
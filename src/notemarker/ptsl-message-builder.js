@@ -439,8 +439,10 @@ class PTSLMessageBuilder {
      * @param {Object} options - Track creation options
      * @param {number} [options.numberOfTracks=1] - Number of tracks to create
      * @param {string} [options.trackName] - Name for the track(s)
-     * @param {string} [options.trackType='Audio'] - Track type (Audio, Midi, Aux, etc.)
+     * @param {string} [options.trackType='Audio'] - Track type (Audio, Midi, Aux, Markers, etc.)
      * @param {string} [options.trackFormat='Mono'] - Track format (Mono, Stereo, LCR)
+     * @param {string} [options.trackTimebase='Samples'] - Track timebase (Samples, Ticks)
+     * @param {string} [options.insertionPoint] - Where to insert the track (First, Last)
      */
     buildCreateNewTracksRequest(options = {}) {
         try {
@@ -475,6 +477,10 @@ class PTSLMessageBuilder {
                 case 'vca':
                     requestBody.trackType = ptsl.TrackType.Vca;
                     break;
+                case 'markers':
+                case 'marker':
+                    requestBody.trackType = ptsl.TrackType.TT_Markers;
+                    break;
                 default:
                     requestBody.trackType = ptsl.TrackType.AudioTrack; // Default to audio
             }
@@ -494,16 +500,32 @@ class PTSLMessageBuilder {
                     requestBody.trackFormat = ptsl.TrackFormat.TFormat_Mono; // Default to mono
             }
             
-            // Convert to JSON for PTSL transmission
+            // Set track timebase
+            requestBody.trackTimebase = options.trackTimebase?.toLowerCase() === 'ticks'
+                ? ptsl.TrackTimebase.TTB_Ticks
+                : ptsl.TrackTimebase.TTB_Samples;
+            
+            // Convert to JSON for PTSL transmission (snake_case, as for CreateMemoryLocation)
             const requestBodyJson = {
-                numberOfTracks: requestBody.numberOfTracks,
-                trackType: requestBody.trackType,
-                trackFormat: requestBody.trackFormat
+                number_of_tracks: requestBody.numberOfTracks,
+                track_type: requestBody.trackType,
+                track_format: requestBody.trackFormat,
+                track_timebase: requestBody.trackTimebase
             };
             
             // Add optional track name if provided
             if (requestBody.trackName) {
-                requestBodyJson.trackName = requestBody.trackName;
+                requestBodyJson.track_name = requestBody.trackName;
+            }
+            
+            // Optional insertion point (defaults to Pro Tools' own placement)
+            switch (options.insertionPoint?.toLowerCase()) {
+                case 'first':
+                    requestBodyJson.insertion_point_position = ptsl.TrackInsertionPoint.TIPoint_First;
+                    break;
+                case 'last':
+                    requestBodyJson.insertion_point_position = ptsl.TrackInsertionPoint.TIPoint_Last;
+                    break;
             }
             
             request.request_body_json = JSON.stringify(requestBodyJson);
@@ -511,10 +533,10 @@ class PTSLMessageBuilder {
             log.debug('Built CreateNewTracks request:', {
                 commandId: request.header.command,
                 taskId: request.header.task_id,
-                numberOfTracks: requestBodyJson.numberOfTracks,
-                trackName: requestBodyJson.trackName,
-                trackType: requestBodyJson.trackType,
-                trackFormat: requestBodyJson.trackFormat
+                numberOfTracks: requestBodyJson.number_of_tracks,
+                trackName: requestBodyJson.track_name,
+                trackType: requestBodyJson.track_type,
+                trackFormat: requestBodyJson.track_format
             });
             
             return request;
@@ -525,6 +547,39 @@ class PTSLMessageBuilder {
         }
     }
 
+    /**
+     * Build ClearMemoryLocation request
+     * @param {Array<number>} locationNumbers - Memory location numbers to remove
+     */
+    buildClearMemoryLocationRequest(locationNumbers) {
+        try {
+            const request = this.createBaseRequest(ptsl.CommandId.CId_ClearMemoryLocation);
+
+            const numbers = (locationNumbers || [])
+                .map(number => parseInt(number, 10))
+                .filter(number => Number.isInteger(number) && number >= 1);
+
+            if (numbers.length === 0) {
+                throw new Error('At least one memory location number is required');
+            }
+
+            // PTSL expects snake_case JSON: {"location_list": [1, 2]}
+            request.request_body_json = JSON.stringify({ location_list: numbers });
+
+            log.debug('Built ClearMemoryLocation request:', {
+                commandId: request.header.command,
+                taskId: request.header.task_id,
+                count: numbers.length
+            });
+
+            return request;
+
+        } catch (error) {
+            log.error('Failed to build ClearMemoryLocation request:', error);
+            throw new Error(`Failed to build ClearMemoryLocation request: ${error.message}`);
+        }
+    }
+
     /**
      * Build HostReadyCheck request (for connection validation)
      */
@@ -650,14 +705,28 @@ class PTSLMessageBuilder {
                     }
                     try {
                         const body = JSON.parse(message.request_body_json);
-                        if (!body.numberOfTracks || body.numberOfTracks < 1) {
-                            throw new Error('Invalid numberOfTracks in request body');
+                        if (!body.number_of_tracks || body.number_of_tracks < 1) {
+                            throw new Error('Invalid number_of_tracks in request body');
                         }
-                        if (body.trackType === undefined) {
-                            throw new Error('Missing trackType in request body');
+                        if (body.track_type === undefined) {
+                            throw new Error('Missing track_type in request body');
                         }
-                        if (body.trackFormat === undefined) {
-                            throw new Error('Missing trackFormat in request body');
+                        if (body.track_format === undefined) {
+                            throw new Error('Missing track_format in request body');
+                        }
+                    } catch (parseError) {
+                        throw new Error('Invalid JSON in request body: ' + parseError.message);
+                    }
+                    break;
+
+                case 61: // ClearMemoryLocation / CId_ClearMemoryLocation
+                    if (!message.request_body_json) {
+                        throw new Error('Missing ClearMemoryLocation request body JSON');
+                    }
+                    try {
+                        const body = JSON.parse(message.request_body_json);
+                        if (!Array.isArray(body.location_list) || body.location_list.length === 0) {
+                            throw new Error('Missing location_list in request body');
                         }
                     } catch (parseError) {
                         throw new Error('Invalid JSON in request body: ' + parseError.message);
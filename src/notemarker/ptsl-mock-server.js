@@ -0,0 +1,541 @@
+#!/usr/bin/env node
+
+/**
+ * Mock PTSL Server
+ * Fake Pro Tools PTSL gRPC service built from the same ptsl-proto.js
+ * definitions the clients use, so PTSLConnectionManager, PTSLGrpcClient,
+ * PTSLGrpcBridge and the marker pipeline can run without Pro Tools.
+ * Holds session state in memory and supports scripted error injection.
+ *
+ * Usage:
+ *   node src/notemarker/ptsl-mock-server.js [--port 31416] [--session <fixture.json>]
+ */
+
+const grpc = require('@grpc/grpc-js');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const log = require('electron-log');
+const ptslProto = require('./ptsl-proto.js');
+const { createPTSLServiceDefinition } = require('./ptsl-service-definition.js');
+
+/**
+ * Session the server starts with unless another is given
+ */
+const DEFAULT_SESSION = {
+    name: 'Mock Session',
+    sampleRate: 'SR_48000',
+    timecodeRate: 'STCR_Fps2997',
+    tracks: [
+        { name: 'Dialog', type: 'TT_Audio', format: 'TF_Mono' },
+        { name: 'Music', type: 'TT_Audio', format: 'TF_Stereo' },
+        { name: 'Markers', type: 'TT_Markers', format: 'TF_Unknown' }
+    ],
+    memoryLocations: []
+};
+
+/**
+ * Kinds of injected faults
+ */
+const FAULT_TYPES = {
+    PTSL: 'ptsl',       // Command fails with a PTSL error (status Failed + response_error_json)
+    WARNING: 'warning', // Command completes with a non-blocking warning
+    GRPC: 'grpc',       // gRPC call fails (e.g. UNAVAILABLE), like Pro Tools going away
+    DELAY: 'delay'      // Response is delayed, e.g. past the client deadline
+};
+
+/**
+ * Normalize a command name ("CId_GetSessionName" or "GetSessionName")
+ * @private
+ */
+function commandName(command) {
+    const name = typeof command === 'number' ? ptslProto.ptsl.CommandId[command] : String(command);
+    return (name || '').replace(/^CId_/, '');
+}
+
+/**
+ * Read an enum value that may arrive as a number or a name
+ * @private
+ */
+function enumName(enumType, value, fallback) {
+    if (typeof value === 'number') {
+        return enumType[value] || fallback;
+    }
+    return value || fallback;
+}
+
+/**
+ * Error thrown by command handlers to produce a failed PTSL response
+ * @private
+ */
+class CommandError extends Error {
+    constructor(errorType, message) {
+        super(message);
+        this.errorType = errorType;
+    }
+}
+
+class MockPTSLServer extends EventEmitter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.host='127.0.0.1'] - Address to bind
+     * @param {number} [options.port=31416] - Port to bind (0 picks a free port)
+     * @param {Object|null} [options.session] - Initial session state (see DEFAULT_SESSION); null means no session open
+     */
+    constructor(options = {}) {
+        super();
+
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port ?? 31416;
+        this.server = null;
+
+        this.connections = new Map();
+        this.faults = [];
+        this.requestLog = [];
+
+        this.handlers = {
+            RegisterConnection: body => this.handleRegisterConnection(body),
+            HostReadyCheck: () => this.handleHostReadyCheck(),
+            GetSessionName: () => ({ session_name: this.requireSession().name }),
+            GetSessionSampleRate: () => ({ sample_rate: this.requireSession().sampleRate }),
+            GetSessionTimeCodeRate: () => this.handleGetSessionTimeCodeRate(),
+            GetTrackList: () => this.handleGetTrackList(),
+            GetMemoryLocations: () => this.handleGetMemoryLocations(),
+            CreateMemoryLocation: body => this.handleCreateMemoryLocation(body),
+            CreateNewTracks: body => this.handleCreateNewTracks(body),
+            ClearMemoryLocation: body => this.handleClearMemoryLocation(body)
+        };
+
+        this.reset(options.session === undefined ? DEFAULT_SESSION : options.session);
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<number>} Bound port
+     */
+    async start() {
+        if (this.server) {
+            return this.port;
+        }
+
+        const server = new grpc.Server();
+        const service = createPTSLServiceDefinition({ enums: String });
+
+        server.addService(service, {
+            SendGrpcRequest: (call, callback) => this.handleCall(call.request, callback),
+            SendGrpcStreamingRequest: call => this.handleCall(call.request, (error, response) => {
+                if (error) {
+                    call.destroy(error);
+                } else {
+                    call.write(response);
+                    call.end();
+                }
+            })
+        });
+
+        this.port = await new Promise((resolve, reject) => {
+            server.bindAsync(`${this.host}:${this.port}`, grpc.ServerCredentials.createInsecure(), (error, port) => {
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(port);
+                }
+            });
+        });
+
+        this.server = server;
+        log.info('Mock PTSL server listening', { host: this.host, port: this.port, session: this.session?.name || null });
+        this.emit('started', this.port);
+
+        return this.port;
+    }
+
+    /**
+     * Stop listening, dropping open calls like a Pro Tools quit would
+     */
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+
+        this.server.forceShutdown();
+        this.server = null;
+        this.connections.clear();
+
+        log.info('Mock PTSL server stopped', { port: this.port });
+        this.emit('stopped');
+    }
+
+    /**
+     * Simulate Pro Tools quitting and relaunching
+     * Registered connections are forgotten, session state is kept
+     * @param {number} [downtimeMs=0] - Time to stay down
+     */
+    async restart(downtimeMs = 0) {
+        await this.stop();
+        await new Promise(resolve => setTimeout(resolve, downtimeMs));
+        return this.start();
+    }
+
+    /**
+     * Replace the session state
+     * @param {Object|null} session - Session state, or null for "no session open"
+     */
+    reset(session = DEFAULT_SESSION) {
+        if (session === null) {
+            this.session = null;
+            return;
+        }
+
+        const state = JSON.parse(JSON.stringify({ ...DEFAULT_SESSION, ...session }));
+        state.tracks = state.tracks.map((track, index) => ({
+            id: track.id || crypto.randomUUID(),
+            index: track.index ?? index + 1,
+            color: '',
+            ...track
+        }));
+        this.session = state;
+    }
+
+    /**
+     * Make upcoming calls to a command fail, warn or stall
+     * @param {string} command - Command name (e.g. "CreateMemoryLocation") or "*" for any
+     * @param {Object} fault
+     * @param {string} [fault.type='ptsl'] - One of FAULT_TYPES
+     * @param {string} [fault.errorType='PT_UnknownError'] - CommandErrorType name for ptsl/warning faults
+     * @param {string} [fault.message] - Error message
+     * @param {number} [fault.code=grpc.status.UNAVAILABLE] - gRPC status for grpc faults
+     * @param {number} [fault.delayMs=0] - Delay before responding
+     * @param {number} [fault.times=1] - How many calls to affect (Infinity for all)
+     */
+    injectError(command, fault = {}) {
+        this.faults.push({
+            command: commandName(command),
+            type: fault.type || FAULT_TYPES.PTSL,
+            errorType: fault.errorType || 'PT_UnknownError',
+            message: fault.message || `Injected ${fault.type || FAULT_TYPES.PTSL} fault`,
+            code: fault.code ?? grpc.status.UNAVAILABLE,
+            delayMs: fault.delayMs || 0,
+            remaining: fault.times ?? 1
+        });
+    }
+
+    /**
+     * Remove all injected faults
+     */
+    clearErrors() {
+        this.faults = [];
+    }
+
+    /**
+     * Snapshot of server state for assertions
+     * @returns {Object} {session, connections, requests}
+     */
+    getState() {
+        return {
+            session: this.session ? JSON.parse(JSON.stringify(this.session)) : null,
+            connections: [...this.connections.values()],
+            requests: [...this.requestLog]
+        };
+    }
+
+    /**
+     * Handle one PTSL request
+     * @private
+     */
+    async handleCall(request, callback) {
+        const header = request.header || {};
+        const command = commandName(header.command);
+        this.requestLog.push({ command, taskId: header.task_id, at: Date.now() });
+        this.emit('request', { command, request });
+
+        const fault = this.takeFault(command);
+        if (fault?.delayMs) {
+            await new Promise(resolve => setTimeout(resolve, fault.delayMs));
+        }
+
+        if (fault?.type === FAULT_TYPES.GRPC) {
+            callback({ code: fault.code, details: fault.message });
+            return;
+        }
+
+        const respond = (status, body, errors) => callback(null, {
+            header: {
+                task_id: header.task_id,
+                command: header.command,
+                status,
+                progress: 100,
+                version: header.version,
+                version_minor: header.version_minor,
+                version_revision: header.version_revision
+            },
+            response_body_json: body ? JSON.stringify(body) : '',
+            response_error_json: errors ? JSON.stringify({ errors }) : ''
+        });
+
+        const error = (errorType, message, isWarning = false) => ({
+            command_error_type: ptslProto.ptsl.CommandErrorType[errorType] ?? ptslProto.ptsl.CommandErrorType.PT_UnknownError,
+            command_error_message: message,
+            is_warning: isWarning
+        });
+
+        if (fault?.type === FAULT_TYPES.PTSL) {
+            respond('TStatus_Failed', null, [error(fault.errorType, fault.message)]);
+            return;
+        }
+
+        try {
+            const handler = this.handlers[command];
+            if (!handler) {
+                throw new CommandError('PT_UnsupportedCommand', `Command ${command || header.command} is not supported by the mock PTSL server`);
+            }
+
+            if (command !== 'RegisterConnection' && command !== 'HostReadyCheck' && !this.connections.has(header.session_id)) {
+                throw new CommandError('SDK_SessionIdParseError', 'Unknown or missing session_id - call RegisterConnection first');
+            }
+
+            const body = request.request_body_json ? JSON.parse(request.request_body_json) : {};
+
+            const responseBody = handler(body);
+            const warnings = fault?.type === FAULT_TYPES.WARNING ? [error(fault.errorType, fault.message, true)] : null;
+            respond('TStatus_Completed', responseBody, warnings);
+
+        } catch (handlerError) {
+            const errorType = handlerError instanceof CommandError ? handlerError.errorType : 'PT_InvalidParameter';
+            log.debug('Mock PTSL command failed', { command, errorType, message: handlerError.message });
+            respond('TStatus_Failed', null, [error(errorType, handlerError.message)]);
+        }
+    }
+
+    /**
+     * Consume the next matching fault, if any
+     * @private
+     */
+    takeFault(command) {
+        const fault = this.faults.find(candidate =>
+            candidate.remaining > 0 && (candidate.command === '*' || candidate.command === command));
+
+        if (!fault) {
+            return null;
+        }
+
+        fault.remaining--;
+        this.faults = this.faults.filter(candidate => candidate.remaining > 0);
+        return fault;
+    }
+
+    /**
+     * @private
+     */
+    requireSession() {
+        if (!this.session) {
+            throw new CommandError('PT_NoOpenedSession', 'No session is open');
+        }
+        return this.session;
+    }
+
+    /**
+     * @private
+     */
+    handleRegisterConnection(body) {
+        if (!body.company_name || !body.application_name) {
+            throw new CommandError('PT_InvalidParameter', 'company_name and application_name are required');
+        }
+
+        const sessionId = crypto.randomUUID();
+        this.connections.set(sessionId, {
+            sessionId,
+            companyName: body.company_name,
+            applicationName: body.application_name,
+            registeredAt: new Date().toISOString()
+        });
+
+        return { session_id: sessionId };
+    }
+
+    /**
+     * @private
+     */
+    handleHostReadyCheck() {
+        return { is_host_ready: true };
+    }
+
+    /**
+     * @private
+     */
+    handleGetSessionTimeCodeRate() {
+        const session = this.requireSession();
+        return {
+            current_setting: session.timecodeRate,
+            possible_settings: Object.keys(ptslProto.ptsl.SessionTimeCodeRate).filter(rate => rate.startsWith('STCR_Fps'))
+        };
+    }
+
+    /**
+     * @private
+     */
+    handleGetTrackList() {
+        const tracks = this.requireSession().tracks;
+        return {
+            track_list: tracks,
+            pagination_response: { total: tracks.length, limit: 0, offset: 0 }
+        };
+    }
+
+    /**
+     * @private
+     */
+    handleGetMemoryLocations() {
+        const locations = [...this.requireSession().memoryLocations].sort((a, b) => a.number - b.number);
+        return {
+            memory_locations: locations,
+            pagination_response: { total: locations.length, limit: 0, offset: 0 }
+        };
+    }
+
+    /**
+     * @private
+     */
+    handleCreateMemoryLocation(body) {
+        const session = this.requireSession();
+
+        if (!body.start_time) {
+            throw new CommandError('PT_InvalidParameter', 'start_time is required');
+        }
+
+        const used = new Set(session.memoryLocations.map(location => location.number));
+        let number = body.number;
+        if (number !== undefined && number !== null) {
+            if (used.has(number)) {
+                throw new CommandError('PT_InvalidParameter', `Memory location number ${number} is already used`);
+            }
+        } else {
+            number = 1;
+            while (used.has(number)) {
+                number++;
+            }
+        }
+
+        const location = enumName(ptslProto.ptsl.MarkerLocation, body.location, 'MLC_MainRuler');
+        if (/NamedRuler|_Track$/.test(location)) {
+            if (!body.track_name) {
+                throw new CommandError('PT_InvalidParameter', 'track_name is required for named ruler and track markers');
+            }
+            if (!session.tracks.some(track => track.name === body.track_name)) {
+                throw new CommandError('PT_InvalidParameter', `Track "${body.track_name}" does not exist`);
+            }
+        }
+
+        session.memoryLocations.push({
+            number,
+            name: body.name || '',
+            start_time: body.start_time,
+            end_time: body.end_time || '',
+            time_properties: enumName(ptslProto.ptsl.TimeProperties, body.time_properties, 'TP_Marker'),
+            reference: enumName(ptslProto.ptsl.MemoryLocationReference, body.reference, 'MLR_Absolute'),
+            general_properties: body.general_properties || {},
+            comments: body.comments || '',
+            location,
+            track_name: body.track_name || '',
+            color_index: body.color_index || 0
+        });
+
+        this.emit('memory-location-created', number);
+        return {};
+    }
+
+    /**
+     * @private
+     */
+    handleCreateNewTracks(body) {
+        const session = this.requireSession();
+        const count = body.number_of_tracks || 1;
+        const baseName = body.track_name || 'Track';
+        const names = new Set(session.tracks.map(track => track.name));
+        const created = [];
+
+        for (let i = 0; i < count; i++) {
+            // Pro Tools suffixes names that are already taken
+            let name = count === 1 ? baseName : `${baseName} ${i + 1}`;
+            for (let suffix = 1; names.has(name); suffix++) {
+                name = `${baseName}.${suffix}`;
+            }
+            names.add(name);
+
+            const track = {
+                id: crypto.randomUUID(),
+                index: session.tracks.length + 1,
+                color: '',
+                name,
+                type: enumName(ptslProto.ptsl.TrackType, body.track_type, 'TT_Audio'),
+                format: enumName(ptslProto.ptsl.TrackFormat, body.track_format, 'TF_Mono')
+            };
+            session.tracks.push(track);
+            created.push(track);
+        }
+
+        return {
+            created_track_names: created.map(track => track.name),
+            created_track_ids: created.map(track => track.id)
+        };
+    }
+
+    /**
+     * @private
+     */
+    handleClearMemoryLocation(body) {
+        const session = this.requireSession();
+        const numbers = new Set(body.location_list || []);
+
+        if (numbers.size === 0) {
+            throw new CommandError('PT_InvalidParameter', 'location_list is required');
+        }
+
+        session.memoryLocations = session.memoryLocations.filter(location => !numbers.has(location.number));
+        return {};
+    }
+}
+
+/**
+ * Run the server from the command line
+ * @param {Array} argv - Arguments after the script name
+ */
+async function main(argv) {
+    const options = { port: 31416, session: undefined };
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inlineValue] = argv[i].split(/=(.*)/s);
+        const value = () => (inlineValue !== undefined ? inlineValue : argv[++i]);
+
+        switch (flag) {
+            case '--port':
+                options.port = parseInt(value(), 10);
+                break;
+            case '--session':
+                options.session = JSON.parse(fs.readFileSync(value(), 'utf8'));
+                break;
+            case '--no-session':
+                options.session = null;
+                break;
+            default:
+                throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+
+    const server = new MockPTSLServer(options);
+    const port = await server.start();
+    process.stderr.write(`Mock PTSL server listening on ${server.host}:${port}\n`);
+
+    const shutdown = () => server.stop().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        process.stderr.write(`Mock PTSL server failed: ${error.message}\n`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { MockPTSLServer, DEFAULT_SESSION, FAULT_TYPES };
@@ -0,0 +1,88 @@
+const ptslProto = require('./ptsl-proto.js');
+
+/**
+ * PTSL gRPC Service Definition
+ * Builds the PTSL service from the generated ptsl-proto.js definitions:
+ *
+ *   service PTSL {
+ *       rpc SendGrpcRequest (Request) returns (Response);
+ *       rpc SendGrpcStreamingRequest (Request) returns (stream Response);
+ *   }
+ *
+ * The PTSL modules use the SDK's snake_case field names (task_id,
+ * request_body_json, ...) while ptsl-proto.js uses camelCase, so messages are
+ * converted at the wire. Used by PTSLGrpcClient, by PTSLConnectionManager when
+ * the SDK's PTSL.proto is not installed, and by the mock PTSL server.
+ */
+
+const PTSL_SERVICE_NAME = 'ptsl.PTSL';
+
+/**
+ * Recursively rename object keys
+ * @private
+ */
+function renameKeys(value, rename) {
+    if (Array.isArray(value)) {
+        return value.map(item => renameKeys(item, rename));
+    }
+    if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) {
+        return value;
+    }
+
+    return Object.keys(value).reduce((renamed, key) => {
+        renamed[rename(key)] = renameKeys(value[key], rename);
+        return renamed;
+    }, {});
+}
+
+const toCamelCase = key => key.replace(/_([a-z0-9])/g, (match, char) => char.toUpperCase());
+const toSnakeCase = key => key.replace(/([A-Z])/g, '_$1').toLowerCase();
+
+/**
+ * Create a serializer/deserializer pair for a ptsl-proto.js message type
+ * @private
+ */
+function createCodec(messageType, objectOptions) {
+    return {
+        serialize: message => messageType.encode(messageType.fromObject(renameKeys(message, toCamelCase))).finish(),
+        deserialize: buffer => renameKeys(messageType.toObject(messageType.decode(buffer), objectOptions), toSnakeCase)
+    };
+}
+
+/**
+ * Create the PTSL service definition for grpc.makeGenericClientConstructor / Server.addService
+ * @param {Object} [options]
+ * @param {Function} [options.enums=Number] - Decode enums as Number (ptsl-proto.js values) or String (proto-loader style names)
+ * @returns {Object} gRPC service definition
+ */
+function createPTSLServiceDefinition(options = {}) {
+    const objectOptions = {
+        enums: options.enums || Number,
+        longs: String,
+        defaults: true
+    };
+
+    const request = createCodec(ptslProto.ptsl.Request, objectOptions);
+    const response = createCodec(ptslProto.ptsl.Response, objectOptions);
+
+    const method = (name, responseStream) => ({
+        path: `/${PTSL_SERVICE_NAME}/${name}`,
+        originalName: name.charAt(0).toLowerCase() + name.slice(1),
+        requestStream: false,
+        responseStream,
+        requestSerialize: request.serialize,
+        requestDeserialize: request.deserialize,
+        responseSerialize: response.serialize,
+        responseDeserialize: response.deserialize
+    });
+
+    return {
+        SendGrpcRequest: method('SendGrpcRequest', false),
+        SendGrpcStreamingRequest: method('SendGrpcStreamingRequest', true)
+    };
+}
+
+module.exports = {
+    PTSL_SERVICE_NAME,
+    createPTSLServiceDefinition
+};
@@ -10,26 +10,36 @@
  */
 
 const log = require('electron-log');
+const { TimecodeCalculator, FRAME_RATES, FILM_FORMATS } = require('./timecode-calculator.js');
 
 /**
  * Time format types supported by PTSL
  */
 const TIME_FORMATS = {
-    TIMECODE: 'timecode'
+    TIMECODE: 'timecode',
+    SAMPLES: 'samples',
+    BARS_BEATS: 'bars_beats',
+    MILLISECONDS: 'milliseconds',
+    FEET_FRAMES: 'feet_frames'
 };
 
 /**
  * Reference types that correspond to different time formats
  */
 const REFERENCE_TYPES = {
-    ABSOLUTE: 'absolute'
+    ABSOLUTE: 'absolute',
+    BAR_BEAT: 'bar_beat'
 };
 
 /**
  * Time format validation patterns
  */
 const TIME_PATTERNS = {
-    TIMECODE: /^([0-9]{1,2}):([0-9]{2}):([0-9]{2})[:\.]([0-9]{2,3})$/
+    TIMECODE: /^([0-9]{1,2}):([0-9]{2}):([0-9]{2})[:\.]([0-9]{2,3})$/,
+    SAMPLES: /^-?[0-9]+$/,
+    BARS_BEATS: /^\|([0-9]+)\|([0-9]+)\|([0-9]+)$/,
+    MILLISECONDS: /^([0-9]+(?:\.[0-9]+)?)ms$/,
+    FEET_FRAMES: /^([0-9]+)\+([0-9]{1,2})$/
 };
 
 /**
@@ -41,6 +51,7 @@ class PTSLTimeFormatter {
     constructor() {
         this.defaultSampleRate = 48000; // Default to 48kHz
         this.defaultFrameRate = 29.97; // Default to 29.97 fps
+        this.filmFormat = '35mm';
     }
 
     /**
@@ -48,16 +59,29 @@ class PTSLTimeFormatter {
      * @param {number} sampleRate - Session sample rate (e.g., 44100, 48000)
      * @param {number} frameRate - Session frame rate (e.g., 23.976, 24, 25, 29.97, 30)
      */
-    setSessionParameters(sampleRate, frameRate) {
+    setSessionParameters(sampleRate, frameRate, filmFormat) {
         this.defaultSampleRate = sampleRate || 48000;
         this.defaultFrameRate = frameRate || 29.97;
+        this.filmFormat = filmFormat || this.filmFormat;
         
         log.debug('PTSL time formatter parameters updated:', {
             sampleRate: this.defaultSampleRate,
-            frameRate: this.defaultFrameRate
+            frameRate: this.defaultFrameRate,
+            filmFormat: this.filmFormat
         });
     }
 
+    /**
+     * TimecodeCalculator for the session frame rate
+     * Feet+frames are counted in whole frames, so drop-frame labelling doesn't matter here
+     * @returns {TimecodeCalculator} Calculator
+     */
+    getCalculator() {
+        const key = Object.keys(FRAME_RATES).find(rate =>
+            !FRAME_RATES[rate].dropFrame && Math.abs(FRAME_RATES[rate].fps - this.defaultFrameRate) < 0.01);
+        return new TimecodeCalculator(key || '29.97');
+    }
+
     /**
      * Detect the time format of a time string
      * @param {string} timeString - Time string to analyze
@@ -239,8 +263,9 @@ class PTSLTimeFormatter {
             return false;
         }
 
-        // 16 frames per foot in 35mm film
-        if (parseInt(frames) >= 16) {
+        // 16 frames per foot in 35mm 4-perf, 40 in 16mm
+        const film = FILM_FORMATS[this.filmFormat] || FILM_FORMATS['35mm'];
+        if (parseInt(frames) >= film.framesPerFoot) {
             return false;
         }
 
@@ -330,16 +355,10 @@ class PTSLTimeFormatter {
      * @returns {number} Samples
      */
     feetFramesToSamples(feetFrames) {
-        const match = TIME_PATTERNS.FEET_FRAMES.exec(feetFrames);
-        if (!match) throw new Error('Invalid feet/frames format');
-
-        const [, feet, frames] = match;
-        
-        // 35mm film: 16 frames per foot, 24 fps standard
-        const totalFrames = parseInt(feet) * 16 + parseInt(frames);
-        const seconds = totalFrames / 24; // Assuming 24fps film
+        const calculator = this.getCalculator();
+        const { totalFrames } = calculator.parseFeetFrames(feetFrames, this.filmFormat);
         
-        return Math.floor(seconds * this.defaultSampleRate);
+        return calculator.framesToSamples(totalFrames, this.defaultSampleRate);
     }
 
     /**
@@ -352,7 +371,7 @@ class PTSLTimeFormatter {
             [TIME_FORMATS.SAMPLES]: ['1440000', '48000', '-22050'],
             [TIME_FORMATS.BARS_BEATS]: ['|1|1|0', '|4|2|480000', '|16|3|240000'],
             [TIME_FORMATS.MILLISECONDS]: ['1000ms', '500.5ms', '30000ms'],
-            [TIME_FORMATS.FEET_FRAMES]: ['100+8', '0+15', '250+0']
+            [TIME_FORMATS.FEET_FRAMES]: ['100+08', '0+15', '250+00']
         };
     }
 }
@@ -0,0 +1,205 @@
+const log = require('electron-log');
+
+/**
+ * Session Settings Store
+ * Remembers NoteMarker settings (frame rate, session start, marker track,
+ * routing, conflict strategy) per Pro Tools session name, together with the
+ * session's timecode rate at the time, and keeps a history of note imports
+ */
+
+// Sessions the connection manager reports when it can't read a real name
+const UNNAMED_SESSIONS = ['', 'Unknown Session'];
+
+/**
+ * Normalize a PTSL timecode rate for comparison ("STCR_Fps2997" -> "Fps2997")
+ * @param {string|number} rate - Timecode rate as reported by PTSL
+ * @returns {string|null} Normalized rate
+ */
+function normalizeTimecodeRate(rate) {
+    if (rate === undefined || rate === null || rate === '') {
+        return null;
+    }
+    return String(rate).replace(/^STCR_/, '');
+}
+
+/**
+ * Readable form of a normalized timecode rate ("Fps2997Drop" -> "29.97 drop")
+ * @param {string} rate - Rate from normalizeTimecodeRate
+ * @returns {string}
+ */
+function describeTimecodeRate(rate) {
+    const match = /^Fps(\d{2})(\d*)(Drop)?$/.exec(rate);
+    if (!match) {
+        return rate;
+    }
+    return `${match[1]}${match[2] ? `.${match[2]}` : ''}${match[3] ? ' drop' : ''} fps`;
+}
+
+class SessionSettingsStore {
+    /**
+     * @param {Object} [queries] - { noteMarkerSessionQueries }; defaults to the Alternaview database
+     */
+    constructor(queries = null) {
+        this.queries = queries;
+    }
+
+    /**
+     * Lazily resolve database queries so the PTSL modules load without SQLite
+     * @private
+     */
+    _getQueries() {
+        if (!this.queries) {
+            const { noteMarkerSessionQueries } = require('../../server/models/database');
+            this.queries = { noteMarkerSessionQueries };
+        }
+        return this.queries;
+    }
+
+    /**
+     * Whether a session name is real enough to store settings under
+     * @param {string} sessionName - Pro Tools session name
+     * @returns {boolean}
+     */
+    static isKnownSession(sessionName) {
+        return typeof sessionName === 'string' && !UNNAMED_SESSIONS.includes(sessionName.trim());
+    }
+
+    /**
+     * Get the settings stored for a session
+     * @param {string} sessionName - Pro Tools session name
+     * @returns {Object|null} {frameRate, sessionStart, markerTrack, routeBy, conflictStrategy, timecodeRate, updatedAt}
+     */
+    getSettings(sessionName) {
+        if (!SessionSettingsStore.isKnownSession(sessionName)) {
+            return null;
+        }
+
+        const { noteMarkerSessionQueries } = this._getQueries();
+        const row = noteMarkerSessionQueries.findByName.get(sessionName);
+        if (!row) {
+            return null;
+        }
+
+        return {
+            frameRate: row.frame_rate,
+            sessionStart: row.session_start,
+            markerTrack: row.marker_track,
+            routeBy: row.route_by,
+            conflictStrategy: row.conflict_strategy,
+            timecodeRate: row.timecode_rate,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * Remember settings for a session
+     * @param {string} sessionName - Pro Tools session name
+     * @param {Object} settings - {frameRate|fps, sessionStart, markerTrack, routeBy, conflictStrategy}
+     * @param {string} [timecodeRate] - Session timecode rate reported by Pro Tools (kept if omitted)
+     * @returns {boolean} True if stored
+     */
+    saveSettings(sessionName, settings = {}, timecodeRate = null) {
+        if (!SessionSettingsStore.isKnownSession(sessionName)) {
+            log.debug('Not saving NoteMarker settings for unnamed session');
+            return false;
+        }
+
+        const { noteMarkerSessionQueries } = this._getQueries();
+        const frameRate = settings.frameRate || settings.fps;
+
+        noteMarkerSessionQueries.upsert.run(
+            sessionName,
+            frameRate ? String(frameRate) : null,
+            settings.sessionStart || null,
+            // notes.html passes 1 for the main ruler - only named rulers are worth remembering
+            typeof settings.markerTrack === 'string' && settings.markerTrack ? settings.markerTrack : null,
+            settings.routeBy || null,
+            settings.conflictStrategy || null,
+            timecodeRate ? String(timecodeRate) : null
+        );
+
+        log.info('NoteMarker settings saved', { sessionName });
+        return true;
+    }
+
+    /**
+     * Compare the stored timecode rate with the live session's
+     * @param {string} sessionName - Pro Tools session name
+     * @param {string} liveTimecodeRate - Timecode rate Pro Tools reports now
+     * @returns {Object|null} {storedRate, liveRate, message} when they disagree, otherwise null
+     */
+    checkTimecodeRate(sessionName, liveTimecodeRate) {
+        const stored = this.getSettings(sessionName);
+        const storedRate = normalizeTimecodeRate(stored?.timecodeRate);
+        const liveRate = normalizeTimecodeRate(liveTimecodeRate);
+
+        if (!storedRate || !liveRate || storedRate === liveRate) {
+            return null;
+        }
+
+        return {
+            storedRate,
+            liveRate,
+            message: `"${sessionName}" was last spotted at ${describeTimecodeRate(storedRate)}, ` +
+                `but Pro Tools now reports ${describeTimecodeRate(liveRate)}. ` +
+                'Check the session start and note frame rate before creating markers.'
+        };
+    }
+
+    /**
+     * Record the outcome of a note import into a session
+     * @param {string} sessionName - Pro Tools session name
+     * @param {Object} entry - {sourceName, sourceType, notes, created, skipped, failed, alreadySpotted, frameRate, sessionStart}
+     * @returns {boolean} True if recorded
+     */
+    recordImport(sessionName, entry = {}) {
+        if (!SessionSettingsStore.isKnownSession(sessionName)) {
+            return false;
+        }
+
+        const { noteMarkerSessionQueries } = this._getQueries();
+        noteMarkerSessionQueries.addImport.run(
+            sessionName,
+            entry.sourceName || null,
+            entry.sourceType || null,
+            entry.notes || 0,
+            entry.created || 0,
+            entry.skipped || 0,
+            entry.failed || 0,
+            entry.alreadySpotted || 0,
+            entry.frameRate ? String(entry.frameRate) : null,
+            entry.sessionStart || null
+        );
+
+        return true;
+    }
+
+    /**
+     * Get recent imports into a session, newest first
+     * @param {string} sessionName - Pro Tools session name
+     * @param {number} [limit=20] - Maximum entries
+     * @returns {Array} [{sourceName, sourceType, notes, created, skipped, failed, alreadySpotted, frameRate, sessionStart, createdAt}]
+     */
+    getHistory(sessionName, limit = 20) {
+        if (!SessionSettingsStore.isKnownSession(sessionName)) {
+            return [];
+        }
+
+        const { noteMarkerSessionQueries } = this._getQueries();
+        return noteMarkerSessionQueries.findImportsBySession.all(sessionName, limit).map(row => ({
+            id: row.id,
+            sourceName: row.source_name,
+            sourceType: row.source_type,
+            notes: row.note_count,
+            created: row.created_count,
+            skipped: row.skipped_count,
+            failed: row.failed_count,
+            alreadySpotted: row.already_spotted_count,
+            frameRate: row.frame_rate,
+            sessionStart: row.session_start,
+            createdAt: row.created_at
+        }));
+    }
+}
+
+module.exports = { SessionSettingsStore, normalizeTimecodeRate };
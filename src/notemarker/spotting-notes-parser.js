@@ -0,0 +1,77 @@
+const { createParserLogger } = require('./parser-log');
+const log = createParserLogger('SpottingParser');
+
+const { removeDuplicateComments } = require('./frameio-parser');
+const spottingNotes = require('../../server/utils/spotting-notes');
+
+/**
+ * Spotting Notes Parser
+ * Reads the notes directors send outside Frame.io: Word/Google Docs style
+ * documents with one timecoded line per note, SRT and WebVTT subtitle files.
+ * Parsing lives in server/utils/spotting-notes.js so the cues API shares it;
+ * this adds logging and the same duplicate handling as Frame.io exports.
+ */
+
+/**
+ * Parse a document of timecoded notes, one note per line
+ * @param {string} text - Raw document text (copied or exported as .txt)
+ * @param {Object} options - {fps, frameRate, author}
+ * @returns {Array} Normalized comments: {timecode, endTimecode?, text, author, isReply}
+ */
+function parseTimecodedText(text, options = {}) {
+    if (!text || typeof text !== 'string') {
+        log.warn('Empty or invalid spotting notes content provided');
+        return [];
+    }
+
+    const comments = spottingNotes.parseTimecodedText(text, options);
+    log.info(`Timecoded text parsing complete: ${comments.length} notes`);
+    return removeDuplicateComments(comments);
+}
+
+/**
+ * Parse an SRT subtitle file
+ * @param {string} text - Raw SRT content
+ * @param {Object} options - {fps, frameRate, author}
+ * @returns {Array} Normalized comments with endTimecode from each cue's out time
+ */
+function parseSRT(text, options = {}) {
+    if (!text || typeof text !== 'string') {
+        log.warn('Empty or invalid SRT content provided');
+        return [];
+    }
+
+    const comments = spottingNotes.parseSRT(text, options);
+    log.info(`SRT parsing complete: ${comments.length} notes`);
+    return removeDuplicateComments(comments);
+}
+
+/**
+ * Parse a WebVTT subtitle file. NOTE, STYLE and REGION blocks are skipped;
+ * a <v Name> voice tag becomes the note's author.
+ * @param {string} text - Raw WebVTT content
+ * @param {Object} options - {fps, frameRate, author}
+ * @returns {Array} Normalized comments with endTimecode from each cue's out time
+ */
+function parseWebVTT(text, options = {}) {
+    if (!text || typeof text !== 'string') {
+        log.warn('Empty or invalid WebVTT content provided');
+        return [];
+    }
+
+    const comments = spottingNotes.parseWebVTT(text, options);
+    log.info(`WebVTT parsing complete: ${comments.length} notes`);
+    return removeDuplicateComments(comments);
+}
+
+module.exports = {
+    parseTimecodedText,
+    parseSRT,
+    parseWebVTT,
+    millisecondsToTimecode: spottingNotes.millisecondsToTimecode,
+    parseMilliseconds: spottingNotes.parseMilliseconds,
+    resolveFrameRate: spottingNotes.resolveFrameRate,
+    isSRT: spottingNotes.isSRT,
+    isWebVTT: spottingNotes.isWebVTT,
+    isTimecodedText: spottingNotes.isTimecodedText
+};
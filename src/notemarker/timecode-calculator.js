@@ -8,34 +8,42 @@
  */
 
 const log = require('electron-log');
+const { FRAME_RATES } = require('../../server/utils/frame-rates');
 
 /**
- * Frame rate definitions with drop-frame support
+ * Film gauges for feet+frames conversion
  */
-const FRAME_RATES = {
-    '23.976': { fps: 23.976, dropFrame: false, framesPerSecond: 24 },
-    '23.98': { fps: 23.976, dropFrame: false, framesPerSecond: 24 },
-    '24': { fps: 24, dropFrame: false, framesPerSecond: 24 },
-    '25': { fps: 25, dropFrame: false, framesPerSecond: 25 },
-    '29.97': { fps: 29.97, dropFrame: false, framesPerSecond: 30 },
-    '29.97drop': { fps: 29.97, dropFrame: true, framesPerSecond: 30 },
-    '30': { fps: 30, dropFrame: false, framesPerSecond: 30 },
-    '50': { fps: 50, dropFrame: false, framesPerSecond: 50 },
-    '59.94': { fps: 59.94, dropFrame: false, framesPerSecond: 60 },
-    '59.94drop': { fps: 59.94, dropFrame: true, framesPerSecond: 60 },
-    '60': { fps: 60, dropFrame: false, framesPerSecond: 60 }
+const FILM_FORMATS = {
+    '35mm': { framesPerFoot: 16, description: '35mm 4-perf' },
+    '16mm': { framesPerFoot: 40, description: '16mm' }
+};
+
+/**
+ * Units accepted by TimecodeCalculator.convert()
+ */
+const TIME_UNITS = {
+    TIMECODE: 'timecode',
+    FEET_FRAMES: 'feetFrames',
+    SAMPLES: 'samples',
+    SECONDS: 'seconds',
+    FRAMES: 'frames'
 };
 
 /**
  * Timecode validation ranges
  */
 const TIMECODE_LIMITS = {
-    hours: { min: 0, max: 23 },
+    hours: { min: 0, max: 99 }, // Long-form durations and note offsets can exceed a day
     minutes: { min: 0, max: 59 },
     seconds: { min: 0, max: 59 },
     frames: { min: 0, max: 29 } // Will be adjusted based on frame rate
 };
 
+/**
+ * Session (time-of-day) timecode wraps from 23:59:59:xx back to 00:00:00:00
+ */
+const TIMECODE_DAY_HOURS = 24;
+
 /**
  * Timecode parsing and validation errors
  */
@@ -76,6 +84,11 @@ class TimecodeCalculator {
         this.frameRateInfo = FRAME_RATES[frameRateKey];
         this.maxFrames = this.frameRateInfo.framesPerSecond - 1;
         
+        // SMPTE drop-frame skips 2 labels per minute at 29.97, 4 at 59.94, 8 at 119.88
+        this.droppedFramesPerMinute = this.frameRateInfo.dropFrame
+            ? Math.round(this.frameRateInfo.framesPerSecond / 15)
+            : 0;
+        
         log.debug('Frame rate set', {
             frameRate: this.frameRate,
             info: this.frameRateInfo,
@@ -85,7 +98,7 @@ class TimecodeCalculator {
     
     /**
      * Parse timecode string into components
-     * @param {string} timecodeString - Timecode in HH:MM:SS:FF format
+     * @param {string} timecodeString - Timecode in HH:MM:SS:FF format (FFF above 100 fps)
      * @returns {Object} Parsed timecode components
      */
     parseTimecode(timecodeString) {
@@ -99,7 +112,7 @@ class TimecodeCalculator {
         
         // Remove any whitespace and validate format
         const cleaned = timecodeString.trim();
-        const timecodeRegex = /^(\d{1,2}):(\d{2}):(\d{2}):(\d{2})$/;
+        const timecodeRegex = /^(\d{1,2}):(\d{2}):(\d{2})[:;](\d{2,3})$/;
         const match = cleaned.match(timecodeRegex);
         
         if (!match) {
@@ -149,6 +162,11 @@ class TimecodeCalculator {
             errors.push(`Frames ${frames} out of range (${TIMECODE_LIMITS.frames.min}-${this.maxFrames}) for ${this.frameRate} fps`);
         }
         
+        // Drop-frame labels that don't exist (e.g. 00:01:00;00 at 29.97 DF)
+        if (this.droppedFramesPerMinute > 0 && seconds === 0 && minutes % 10 !== 0 && frames < this.droppedFramesPerMinute) {
+            errors.push(`Frame ${frames} does not exist at ${minutes} minutes in drop-frame timecode`);
+        }
+        
         if (errors.length > 0) {
             throw new TimecodeError(
                 `Invalid timecode components in "${originalString}": ${errors.join(', ')}`,
@@ -188,9 +206,11 @@ class TimecodeCalculator {
     /**
      * Convert total frames back to timecode
      * @param {number} totalFrames - Total frame count
+     * @param {Object} [options] - {wrap = true}; wrap=false keeps hours past 23 (durations)
      * @returns {Object} Timecode components
      */
-    framesToTimecode(totalFrames) {
+    framesToTimecode(totalFrames, options = {}) {
+        const { wrap = true } = options;
         const frameRate = this.frameRateInfo;
         let remainingFrames = Math.floor(totalFrames);
         
@@ -213,17 +233,46 @@ class TimecodeCalculator {
         const frames = remainingFrames % framesPerSecond;
         
         // Handle midnight crossing (24+ hours)
-        const normalizedHours = hours % 24;
+        const normalizedHours = wrap ? hours % TIMECODE_DAY_HOURS : hours;
         
         return {
             hours: normalizedHours,
             minutes,
             seconds,
             frames,
-            dayOverflow: Math.floor(hours / 24)
+            dayOverflow: wrap ? Math.floor(hours / TIMECODE_DAY_HOURS) : 0
         };
     }
     
+    /**
+     * Number of frames in one 24-hour timecode day at this rate
+     * @returns {number} Frames per day
+     */
+    getFramesPerDay() {
+        return this.timecodeToFrames({ hours: TIMECODE_DAY_HOURS, minutes: 0, seconds: 0, frames: 0 });
+    }
+    
+    /**
+     * Distance in frames between two session timecodes
+     * Time-of-day timecodes are compared around midnight, so 23:59:59:xx and
+     * 00:00:00:xx are neighbours; anything past 24 hours is compared linearly
+     * @param {string} timecode1 - First timecode
+     * @param {string} timecode2 - Second timecode
+     * @returns {number} Distance in frames
+     */
+    timecodeDistance(timecode1, timecode2) {
+        const frames1 = this.timecodeStringToFrames(timecode1);
+        const frames2 = this.timecodeStringToFrames(timecode2);
+        const distance = Math.abs(frames1 - frames2);
+        
+        const framesPerDay = this.getFramesPerDay();
+        if (frames1 >= framesPerDay || frames2 >= framesPerDay) {
+            return distance;
+        }
+        
+        return Math.min(distance, framesPerDay - distance);
+    }
+    
     /**
      * Apply drop-frame correction for SMPTE timecode
      * @param {Object} timecode - Original timecode
@@ -235,17 +284,14 @@ class TimecodeCalculator {
             return totalFrames;
         }
         
-        const { hours, minutes, seconds } = timecode;
+        const { hours, minutes } = timecode;
         
-        // Drop-frame timecode drops 2 frames at the start of every minute
+        // Drop-frame timecode skips labels at the start of every minute
         // except for minutes divisible by 10 (00, 10, 20, 30, 40, 50)
         const totalMinutes = hours * 60 + minutes;
         const droppedMinutes = totalMinutes - Math.floor(totalMinutes / 10);
         
-        // Each dropped minute loses 2 frames
-        const droppedFrames = droppedMinutes * 2;
-        
-        return totalFrames - droppedFrames;
+        return totalFrames - droppedMinutes * this.droppedFramesPerMinute;
     }
     
     /**
@@ -258,12 +304,19 @@ class TimecodeCalculator {
             return totalFrames;
         }
         
-        // This is an approximation for reverse calculation
-        // In practice, this conversion is complex and may need iteration
-        const framesPerMinute = this.frameRateInfo.framesPerSecond * 60;
-        const approximateMinutes = Math.floor(totalFrames / framesPerMinute);
-        const droppedMinutes = approximateMinutes - Math.floor(approximateMinutes / 10);
-        const droppedFrames = droppedMinutes * 2;
+        // Standard SMPTE reverse calculation: count whole 10-minute blocks
+        // (9 dropped minutes each), then dropped minutes within the last block
+        const dropped = this.droppedFramesPerMinute;
+        const framesPerMinute = this.frameRateInfo.framesPerSecond * 60 - dropped;
+        const framesPer10Minutes = this.frameRateInfo.framesPerSecond * 600 - dropped * 9;
+        
+        const tenMinuteBlocks = Math.floor(totalFrames / framesPer10Minutes);
+        const remainder = totalFrames % framesPer10Minutes;
+        
+        let droppedFrames = dropped * 9 * tenMinuteBlocks;
+        if (remainder > dropped) {
+            droppedFrames += dropped * Math.floor((remainder - dropped) / framesPerMinute);
+        }
         
         return totalFrames + droppedFrames;
     }
@@ -400,11 +453,11 @@ class TimecodeCalculator {
             
             // Handle negative duration (crossing midnight)
             if (durationFrames < 0) {
-                const framesPerDay = 24 * 60 * 60 * this.frameRateInfo.framesPerSecond;
-                durationFrames += framesPerDay;
+                durationFrames += this.getFramesPerDay();
             }
             
-            const durationTC = this.framesToTimecode(durationFrames);
+            // Durations are elapsed time, so they don't wrap at 24 hours
+            const durationTC = this.framesToTimecode(durationFrames, { wrap: false });
             
             return {
                 duration: this.formatTimecode(durationTC),
@@ -422,6 +475,253 @@ class TimecodeCalculator {
         }
     }
     
+    /**
+     * Actual frames per second of real time (e.g. 24000/1001 for 23.976)
+     * Timecode counts at the nominal rate; fractional rates run 0.1% slow
+     * @returns {number} Real-time frame rate
+     */
+    getRealFrameRate() {
+        const { fps, framesPerSecond } = this.frameRateInfo;
+        return Number.isInteger(fps) ? fps : framesPerSecond * 1000 / 1001;
+    }
+    
+    /**
+     * Convert a timecode string to a frame count
+     * @param {string} timecodeString - Timecode (HH:MM:SS:FF)
+     * @returns {number} Frame count
+     */
+    timecodeStringToFrames(timecodeString) {
+        return this.timecodeToFrames(this.parseTimecode(timecodeString));
+    }
+    
+    /**
+     * Convert a frame count to a timecode string
+     * @param {number} totalFrames - Frame count
+     * @returns {string} Timecode (HH:MM:SS:FF)
+     */
+    framesToTimecodeString(totalFrames) {
+        return this.formatTimecode(this.framesToTimecode(totalFrames));
+    }
+    
+    /**
+     * Convert timecode to seconds of real time
+     * @param {string} timecodeString - Timecode
+     * @returns {number} Seconds
+     */
+    timecodeToSeconds(timecodeString) {
+        return this.timecodeStringToFrames(timecodeString) / this.getRealFrameRate();
+    }
+    
+    /**
+     * Convert seconds of real time to timecode (frame containing that instant)
+     * @param {number} seconds - Seconds
+     * @returns {string} Timecode
+     */
+    secondsToTimecode(seconds) {
+        return this.framesToTimecodeString(this.secondsToFrames(seconds));
+    }
+    
+    /**
+     * Convert seconds of real time to a frame count
+     * @param {number} seconds - Seconds
+     * @returns {number} Frame count
+     */
+    secondsToFrames(seconds) {
+        if (typeof seconds !== 'number' || !isFinite(seconds) || seconds < 0) {
+            throw new TimecodeError(`Invalid seconds value: ${seconds}`, 'INVALID_INPUT', { input: seconds });
+        }
+        // Epsilon guards against 0.999999 frames from float division
+        return Math.floor(seconds * this.getRealFrameRate() + 1e-6);
+    }
+    
+    /**
+     * Convert timecode to a sample position
+     * @param {string} timecodeString - Timecode
+     * @param {number} [sampleRate=48000] - Sample rate in Hz
+     * @returns {number} Samples
+     */
+    timecodeToSamples(timecodeString, sampleRate = 48000) {
+        return this.framesToSamples(this.timecodeStringToFrames(timecodeString), sampleRate);
+    }
+    
+    /**
+     * Convert a sample position to timecode
+     * @param {number} samples - Sample position
+     * @param {number} [sampleRate=48000] - Sample rate in Hz
+     * @returns {string} Timecode
+     */
+    samplesToTimecode(samples, sampleRate = 48000) {
+        return this.framesToTimecodeString(this.samplesToFrames(samples, sampleRate));
+    }
+    
+    /**
+     * Convert a frame count to samples (the first sample inside the frame)
+     * Rounding up keeps samplesToFrames() landing back on the same frame at
+     * fractional rates, where frames don't start on whole samples
+     * @param {number} totalFrames - Frame count
+     * @param {number} [sampleRate=48000] - Sample rate in Hz
+     * @returns {number} Samples
+     */
+    framesToSamples(totalFrames, sampleRate = 48000) {
+        // Epsilon guards against 1600.0000001 samples from float division
+        return Math.ceil(totalFrames * sampleRate / this.getRealFrameRate() - 1e-6);
+    }
+    
+    /**
+     * Convert samples to a frame count
+     * @param {number} samples - Sample position
+     * @param {number} [sampleRate=48000] - Sample rate in Hz
+     * @returns {number} Frame count
+     */
+    samplesToFrames(samples, sampleRate = 48000) {
+        const value = Number(samples);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new TimecodeError(`Invalid sample position: ${samples}`, 'INVALID_INPUT', { input: samples });
+        }
+        return Math.floor(value * this.getRealFrameRate() / sampleRate + 1e-6);
+    }
+    
+    /**
+     * Parse a feet+frames string ("123+08")
+     * @param {string} feetFramesString - Feet+frames
+     * @param {string} [filmFormat='35mm'] - FILM_FORMATS key
+     * @returns {Object} {feet, frames, totalFrames}
+     */
+    parseFeetFrames(feetFramesString, filmFormat = '35mm') {
+        const film = this.getFilmFormat(filmFormat);
+        const match = String(feetFramesString || '').trim().match(/^(\d+)\+(\d{1,2})$/);
+        
+        if (!match) {
+            throw new TimecodeError(
+                `Invalid feet+frames format: "${feetFramesString}". Expected FEET+FRAMES`,
+                'INVALID_FORMAT',
+                { input: feetFramesString, expected: 'FEET+FRAMES' }
+            );
+        }
+        
+        const feet = parseInt(match[1], 10);
+        const frames = parseInt(match[2], 10);
+        
+        if (frames >= film.framesPerFoot) {
+            throw new TimecodeError(
+                `Frames ${frames} out of range (0-${film.framesPerFoot - 1}) for ${film.description}`,
+                'INVALID_RANGE',
+                { input: feetFramesString, filmFormat }
+            );
+        }
+        
+        return { feet, frames, totalFrames: feet * film.framesPerFoot + frames };
+    }
+    
+    /**
+     * Format a frame count as feet+frames
+     * @param {number} totalFrames - Frame count
+     * @param {string} [filmFormat='35mm'] - FILM_FORMATS key
+     * @returns {string} Feet+frames ("123+08")
+     */
+    formatFeetFrames(totalFrames, filmFormat = '35mm') {
+        const film = this.getFilmFormat(filmFormat);
+        const frames = Math.max(0, Math.floor(totalFrames));
+        const feet = Math.floor(frames / film.framesPerFoot);
+        const remainder = frames % film.framesPerFoot;
+        return `${feet}+${remainder.toString().padStart(2, '0')}`;
+    }
+    
+    /**
+     * Convert timecode to feet+frames, counted from an origin (usually picture start)
+     * @param {string} timecodeString - Timecode
+     * @param {string} [filmFormat='35mm'] - FILM_FORMATS key
+     * @param {string} [originTimecode='00:00:00:00'] - Timecode at 0+00
+     * @returns {string} Feet+frames
+     */
+    timecodeToFeetFrames(timecodeString, filmFormat = '35mm', originTimecode = '00:00:00:00') {
+        const frames = this.timecodeStringToFrames(timecodeString) - this.timecodeStringToFrames(originTimecode);
+        if (frames < 0) {
+            throw new TimecodeError(
+                `Timecode ${timecodeString} is before feet+frames origin ${originTimecode}`,
+                'INVALID_RANGE',
+                { timecode: timecodeString, originTimecode }
+            );
+        }
+        return this.formatFeetFrames(frames, filmFormat);
+    }
+    
+    /**
+     * Convert feet+frames back to timecode
+     * @param {string} feetFramesString - Feet+frames
+     * @param {string} [filmFormat='35mm'] - FILM_FORMATS key
+     * @param {string} [originTimecode='00:00:00:00'] - Timecode at 0+00
+     * @returns {string} Timecode
+     */
+    feetFramesToTimecode(feetFramesString, filmFormat = '35mm', originTimecode = '00:00:00:00') {
+        const { totalFrames } = this.parseFeetFrames(feetFramesString, filmFormat);
+        return this.framesToTimecodeString(totalFrames + this.timecodeStringToFrames(originTimecode));
+    }
+    
+    /**
+     * Convert between any two TIME_UNITS
+     * @param {string|number} value - Value in the source unit
+     * @param {string} fromUnit - TIME_UNITS value
+     * @param {string} toUnit - TIME_UNITS value
+     * @param {Object} [options] - {sampleRate = 48000, filmFormat = '35mm', originTimecode = '00:00:00:00'}
+     * @returns {string|number} Value in the target unit
+     */
+    convert(value, fromUnit, toUnit, options = {}) {
+        const { sampleRate = 48000, filmFormat = '35mm', originTimecode = '00:00:00:00' } = options;
+        
+        let frames;
+        switch (fromUnit) {
+            case TIME_UNITS.TIMECODE:
+                frames = this.timecodeStringToFrames(value);
+                break;
+            case TIME_UNITS.FEET_FRAMES:
+                frames = this.parseFeetFrames(value, filmFormat).totalFrames + this.timecodeStringToFrames(originTimecode);
+                break;
+            case TIME_UNITS.SAMPLES:
+                frames = this.samplesToFrames(value, sampleRate);
+                break;
+            case TIME_UNITS.SECONDS:
+                frames = this.secondsToFrames(Number(value));
+                break;
+            case TIME_UNITS.FRAMES:
+                frames = Math.floor(Number(value));
+                break;
+            default:
+                throw new TimecodeError(`Unsupported source unit: ${fromUnit}`, 'INVALID_UNIT', { unit: fromUnit, supportedUnits: Object.values(TIME_UNITS) });
+        }
+        
+        switch (toUnit) {
+            case TIME_UNITS.TIMECODE:
+                return this.framesToTimecodeString(frames);
+            case TIME_UNITS.FEET_FRAMES:
+                return this.formatFeetFrames(frames - this.timecodeStringToFrames(originTimecode), filmFormat);
+            case TIME_UNITS.SAMPLES:
+                return this.framesToSamples(frames, sampleRate);
+            case TIME_UNITS.SECONDS:
+                return frames / this.getRealFrameRate();
+            case TIME_UNITS.FRAMES:
+                return frames;
+            default:
+                throw new TimecodeError(`Unsupported target unit: ${toUnit}`, 'INVALID_UNIT', { unit: toUnit, supportedUnits: Object.values(TIME_UNITS) });
+        }
+    }
+    
+    /**
+     * Look up a film format
+     * @private
+     */
+    getFilmFormat(filmFormat) {
+        const film = FILM_FORMATS[String(filmFormat).toLowerCase()];
+        if (!film) {
+            throw new TimecodeError(
+                `Unsupported film format: ${filmFormat}`,
+                'INVALID_FILM_FORMAT',
+                { filmFormat, supportedFormats: Object.keys(FILM_FORMATS) }
+            );
+        }
+        return film;
+    }
+    
     /**
      * Get frame rate information
      * @returns {Object} Current frame rate information
@@ -478,6 +778,19 @@ const TimecodeUtils = {
         }
     },
     
+    /**
+     * Quick unit conversion without creating calculator instance
+     * @param {string|number} value - Value in the source unit
+     * @param {string} fromUnit - TIME_UNITS value
+     * @param {string} toUnit - TIME_UNITS value
+     * @param {string} frameRate - Frame rate
+     * @param {Object} [options] - See TimecodeCalculator.convert
+     * @returns {string|number} Converted value
+     */
+    convert(value, fromUnit, toUnit, frameRate = '29.97', options = {}) {
+        return new TimecodeCalculator(frameRate).convert(value, fromUnit, toUnit, options);
+    },
+    
     /**
      * Get supported frame rates
      * @returns {Array} Array of supported frame rate strings
@@ -492,5 +805,8 @@ module.exports = {
     TimecodeError,
     TimecodeUtils,
     FRAME_RATES,
-    TIMECODE_LIMITS
+    TIMECODE_LIMITS,
+    TIMECODE_DAY_HOURS,
+    FILM_FORMATS,
+    TIME_UNITS
 };
\ No newline at end of file
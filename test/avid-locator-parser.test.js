@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseAvidLocatorTXT } = require('../src/notemarker/avid-locator-parser');
+const { parseReviewNotes, FRAMEIO_FORMATS } = require('../src/notemarker/frameio-parser');
+
+test('parseAvidLocatorTXT emits an end timecode for locators with a duration', () => {
+    const text = [
+        'Alex\t01:00:10:20\tV1\tred\tFix the hit\t30',
+        'Sam\t01:00:20:00\tV1\tblue\tTrim the tail\t0'
+    ].join('\n');
+
+    const [span, point] = parseAvidLocatorTXT(text, { fps: 24, frameRate: '24' });
+
+    assert.strictEqual(span.durationFrames, 30);
+    assert.strictEqual(span.endTimecode, '01:00:12:02');
+    assert.strictEqual(point.durationFrames, 0);
+    assert.strictEqual(point.endTimecode, undefined);
+});
+
+test('parseAvidLocatorTXT places durations at the frame rate', () => {
+    const text = 'Alex\t00:00:59:28\tV1\tred\tAcross the drop\t4\n';
+
+    const [locator] = parseAvidLocatorTXT(text, { fps: 30, frameRate: '29.97drop' });
+
+    assert.strictEqual(locator.endTimecode, '00:01:00:04');
+});
+
+test('parseReviewNotes routes Avid locator exports and EDLs through the format parsers', () => {
+    const locators = parseReviewNotes('Alex\t01:00:00:00\tV1\tgreen\tLift the dialogue\t48\n', {
+        fileName: 'locators.txt',
+        frameRate: '24'
+    });
+    const edl = parseReviewNotes([
+        'TITLE: REEL 1',
+        '001  AX  V  C  01:00:00:00 01:00:05:00 01:00:00:00 01:00:05:00',
+        '* LOC: 01:00:02:10 RED     Fix the hit here'
+    ].join('\n'), { fileName: 'reel1.edl', frameRate: '24' });
+
+    assert.strictEqual(locators.format, FRAMEIO_FORMATS.AVID_LOCATORS);
+    assert.strictEqual(locators.comments[0].endTimecode, '01:00:02:00');
+    assert.strictEqual(edl.format, FRAMEIO_FORMATS.EDL);
+    assert.strictEqual(edl.comments[0].timecode, '01:00:02:10');
+    assert.strictEqual(edl.summary.valid, 1);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    CUE_IMPORT_FORMATS,
+    parseCueImport,
+    parseProToolsCues,
+    parseLogicProCues,
+    convertLogicCue,
+    diffCueImport
+} = require('../server/utils/cue-import');
+
+const PRO_TOOLS_EXPORT = [
+    'SESSION NAME:\tEpisode 101',
+    '',
+    'T R A C K  L I S T I N G',
+    'CHANNEL \tEVENT   \tCLIP NAME                     \tSTART TIME    \tEND TIME      \tDURATION      \tSTATE',
+    '1       \t1       \tMain_Title_02-01.L            \t01:00:05:12   \t01:01:35:00   \t00:01:29:12   \tUnmuted',
+    '2       \t1       \tMain_Title_02-01.R            \t01:00:05:12   \t01:01:35:00   \t00:01:29:12   \tUnmuted',
+    '1       \t2       \tchase-cue.wav                 \t01:04:00:00   \t01:05:10:20   \t00:01:10:20   \tUnmuted',
+    '1       \t3       \tNo timecode                   \tstart         \tend           \t              \tUnmuted'
+].join('\n');
+
+const LOGIC_EXPORT = [
+    'BPM: 120',
+    'Time Signature: 4/4',
+    'FPS: 24',
+    'Project Start: 02:00:00:00',
+    '```',
+    '1 1 1 1 | 4 0 0 0 | Opening',
+    '9 1 1 1 | 2 0 0 0 |',
+    'not a position | 1 0 0 0 | Skipped',
+    '```'
+].join('\n');
+
+test('parseProToolsCues takes one cue per start time and cleans clip names', () => {
+    const cues = parseProToolsCues(PRO_TOOLS_EXPORT);
+
+    assert.deepStrictEqual(cues, [
+        { cue_number: '1m1', title: 'Main Title', start_time: '01:00:05', end_time: '01:01:35', duration: '1:30' },
+        { cue_number: '1m2', title: 'chase cue', start_time: '01:04:00', end_time: '01:05:10', duration: '1:10' }
+    ]);
+});
+
+test('parseLogicProCues places bar 1 at the project start and keeps list order', () => {
+    const cues = parseLogicProCues(LOGIC_EXPORT);
+
+    assert.deepStrictEqual(cues.map(cue => [cue.cue_number, cue.title]), [['1m1', 'Opening'], ['1m2', '']]);
+    assert.strictEqual(cues[0].start_time, '02:00:00');
+    assert.ok(cues[1].start_time > cues[0].start_time);
+    assert.ok(cues[0].end_time > cues[0].start_time);
+});
+
+test('convertLogicCue rejects positions that are not bar beat division tick', () => {
+    assert.strictEqual(convertLogicCue('1 1 1', '1 0 0 0', 120, [4, 4]), null);
+    assert.strictEqual(convertLogicCue('1 1 x 1', '1 0 0 0', 120, [4, 4]), null);
+    assert.deepStrictEqual(convertLogicCue('1 1 1 1', '0 0 0 0', 120, [4, 4], 24, '00:30:00:00'), {
+        start: '00:30:00',
+        end: '00:30:00'
+    });
+});
+
+test('parseCueImport detects Pro Tools and falls back to Logic', () => {
+    assert.strictEqual(parseCueImport(PRO_TOOLS_EXPORT).format, CUE_IMPORT_FORMATS.PRO_TOOLS);
+    assert.strictEqual(parseCueImport(LOGIC_EXPORT).format, CUE_IMPORT_FORMATS.LOGIC);
+});
+
+test('diffCueImport matches by start time, then cue number', () => {
+    const existing = [
+        { id: 1, cue_number: '1m1', title: 'Main Title', start_time: '01:00:05', end_time: '01:01:35', duration: '1:30', status: 'approved' },
+        { id: 2, cue_number: '1m7', title: 'Old Chase', start_time: '01:04:00', end_time: '01:05:00', duration: '1:00', status: 'sketch' },
+        { id: 3, cue_number: '1m3', title: 'Kept', start_time: '01:20:00', end_time: '01:21:00', duration: '1:00' }
+    ];
+    const imported = parseProToolsCues(PRO_TOOLS_EXPORT).concat({
+        cue_number: '1m3', title: 'Tag', start_time: '01:30:00', end_time: '01:30:30', duration: '0:30'
+    });
+
+    const diff = diffCueImport(existing, imported);
+
+    assert.deepStrictEqual(diff.summary, { created: 0, updated: 2, unchanged: 1 });
+    assert.deepStrictEqual(diff.unchanged.map(cue => cue.id), [1]);
+    assert.deepStrictEqual(diff.updated.map(({ id }) => id), [2, 3]);
+    assert.deepStrictEqual(diff.updated[0].changes, {
+        title: { from: 'Old Chase', to: 'chase cue' },
+        end_time: { from: '01:05:00', to: '01:05:10' },
+        duration: { from: '1:00', to: '1:10' }
+    });
+    assert.strictEqual(diff.updated[0].cue.status, 'sketch');
+    assert.strictEqual(diff.updated[0].cue.cue_number, '1m7');
+});
+
+test('diffCueImport renumbers new cues that collide with unmatched ones', () => {
+    const existing = [
+        { id: 1, cue_number: '1m1', title: 'Elsewhere', start_time: '00:10:00', end_time: '00:11:00', duration: '1:00' },
+        { id: 2, cue_number: '1m2', title: 'Also elsewhere', start_time: '00:20:00', end_time: '00:21:00', duration: '1:00' }
+    ];
+    const imported = [
+        { cue_number: '1m1', title: 'Elsewhere', start_time: '00:10:00', end_time: '00:11:00', duration: '1:00' },
+        { cue_number: '1m2', title: 'New', start_time: '00:30:00', end_time: '00:31:00', duration: '1:00' },
+        { cue_number: '1m3', title: 'Newer', start_time: '00:40:00', end_time: '00:41:00', duration: '1:00' }
+    ];
+
+    const diff = diffCueImport(existing, imported);
+
+    // 1m2 matches the existing 1m2 by number; 1m3 is free
+    assert.deepStrictEqual(diff.summary, { created: 1, updated: 1, unchanged: 1 });
+    assert.deepStrictEqual(diff.created.map(cue => cue.cue_number), ['1m3']);
+});
+
+test('diffCueImport keeps titles for unnamed Logic markers', () => {
+    const existing = [{ id: 1, cue_number: '1m1', title: 'Named', start_time: '02:00:00', end_time: '02:00:10', duration: '0:10' }];
+    const imported = [{ cue_number: '1m1', title: '', start_time: '02:00:00', end_time: '02:00:10', duration: '0:10' }];
+
+    assert.deepStrictEqual(diffCueImport(existing, imported).summary, { created: 0, updated: 0, unchanged: 1 });
+});
+
+test('diffCueImport fingerprint changes when the project cues change', () => {
+    const imported = parseProToolsCues(PRO_TOOLS_EXPORT);
+    const existing = [{ id: 1, cue_number: '1m1', title: 'Main Title', start_time: '01:00:05', end_time: '01:01:00', duration: '0:55' }];
+
+    const preview = diffCueImport(existing, imported);
+    const again = diffCueImport(existing.map(cue => ({ ...cue })), parseProToolsCues(PRO_TOOLS_EXPORT));
+    const edited = diffCueImport([{ ...existing[0], end_time: '01:01:20' }], parseProToolsCues(PRO_TOOLS_EXPORT));
+
+    assert.match(preview.fingerprint, /^[0-9a-f]{8}$/);
+    assert.strictEqual(again.fingerprint, preview.fingerprint);
+    assert.notStrictEqual(edited.fingerprint, preview.fingerprint);
+});
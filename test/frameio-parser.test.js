@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseReviewNotes, FRAMEIO_FORMATS } = require('../src/notemarker/frameio-parser');
+
+test('parseReviewNotes parses a Frame.io CSV into the queue shape', () => {
+    const csv = [
+        'Comment Number,Timecode,Commenter,Comment',
+        '1,00:00:05:00,Alex,Lower the pad here',
+        '2,00:00:12:10,Sam,Hit on the cut'
+    ].join('\n');
+
+    const result = parseReviewNotes(csv, { fileName: 'review.csv', frameRate: '24' });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.format, FRAMEIO_FORMATS.CSV);
+    assert.strictEqual(result.fileName, 'review.csv');
+    assert.deepStrictEqual(result.summary, { total: 2, valid: 2, original: 2, replies: 0 });
+    assert.deepStrictEqual(result.invalidComments, []);
+    assert.strictEqual(result.comments[0].timecode, '00:00:05:00');
+    assert.strictEqual(result.comments[1].author, 'Sam');
+});
+
+test('parseReviewNotes converts subtitle times at the requested frame rate', () => {
+    const srt = '1\n00:00:01,500 --> 00:00:02,000\nSwell into the reveal\n';
+
+    const at24 = parseReviewNotes(srt, { fileName: 'notes.srt', frameRate: '24' });
+    const at30 = parseReviewNotes(srt, { fileName: 'notes.srt', frameRate: '30' });
+
+    assert.strictEqual(at24.format, FRAMEIO_FORMATS.SRT);
+    assert.strictEqual(at24.comments[0].timecode, '00:00:01:12');
+    assert.strictEqual(at30.comments[0].timecode, '00:00:01:15');
+    assert.strictEqual(at24.comments[0].endTimecode, '00:00:02:00');
+});
+
+test('parseReviewNotes falls back to 30 fps for unknown frame rates', () => {
+    const json = JSON.stringify([{ frame: 45, text: 'Door slam', owner: { name: 'Alex' } }]);
+
+    const result = parseReviewNotes(json, { fileName: 'comments.json', frameRate: 'auto-detect' });
+
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.format, FRAMEIO_FORMATS.JSON);
+    assert.strictEqual(result.comments[0].timecode, '00:00:01:15');
+});
+
+test('parseReviewNotes labels export frame numbers with drop-frame timecode', () => {
+    // Ten minutes of 29.97 drop-frame is 17982 frames
+    const json = JSON.stringify([{ frame: 17982, text: 'Reel change', owner: { name: 'Alex' } }]);
+
+    const drop = parseReviewNotes(json, { fileName: 'comments.json', frameRate: '29.97drop' });
+    const nonDrop = parseReviewNotes(json, { fileName: 'comments.json', frameRate: '29.97' });
+
+    assert.strictEqual(drop.comments[0].timecode, '00:10:00:00');
+    assert.strictEqual(nonDrop.comments[0].timecode, '00:09:59:12');
+});
+
+test('parseReviewNotes returns an empty summary for empty files', () => {
+    const result = parseReviewNotes('', { fileName: 'empty.txt' });
+
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(result.comments, []);
+    assert.strictEqual(result.summary.valid, 0);
+});
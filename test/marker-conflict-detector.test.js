@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { MarkerConflictDetector, CONFLICT_TYPES } = require('../src/notemarker/marker-conflict-detector');
+
+const note = (name, comments, timecode) => ({ name, comments, timecode });
+
+test('checkNearDuplicate compares note text with the existing marker comments', async () => {
+    const detector = new MarkerConflictDetector('24');
+    const existing = { name: 'Alex', comments: 'Lower the pad under the dialogue', startLocation: '00:00:10:00' };
+
+    const duplicate = await detector.checkNearDuplicate(note('Sam', 'lower the pad under the dialogue please', '00:00:12:00'), existing, 0);
+    const unrelated = await detector.checkNearDuplicate(note('Sam', 'Alex', '00:00:12:00'), existing, 0);
+
+    assert.strictEqual(duplicate.type, CONFLICT_TYPES.NEAR_DUPLICATE);
+    assert.strictEqual(unrelated, null);
+});
+
+test('checkNearDuplicate falls back to the marker name when it has no comments', async () => {
+    const detector = new MarkerConflictDetector('24');
+    const sessionMarker = { name: 'Lower the pad under the dialogue', startLocation: '00:00:10:00' };
+
+    const duplicate = await detector.checkNearDuplicate(note('Sam', 'Lower the pad under the dialogue', '00:00:11:00'), sessionMarker, 0);
+
+    assert.strictEqual(duplicate.similarity, 1);
+});
+
+test('findBatchDuplicates matches earlier notes by their text', async () => {
+    const detector = new MarkerConflictDetector('24');
+    const earlier = [
+        note('Alex', 'Swell into the reveal', '00:00:20:00'),
+        note('Swell into the reveal', 'Unrelated note', '00:00:20:00')
+    ];
+
+    const conflicts = await detector.findBatchDuplicates(note('Sam', 'swell into the reveal!', '00:00:21:00'), earlier, 2);
+
+    assert.strictEqual(conflicts.length, 1);
+    assert.strictEqual(conflicts[0].duplicateIndex, 0);
+    assert.strictEqual(conflicts[0].existingMarker.name, 'Alex');
+    assert.strictEqual(conflicts[0].existingMarker.pending, true);
+});
+
+test('duplicate options keep explicit zero values', async () => {
+    const detector = new MarkerConflictDetector('24', { duplicateWindowSeconds: 0 });
+    const existing = { name: 'Alex', comments: 'Swell into the reveal', startLocation: '00:00:20:00' };
+
+    assert.strictEqual(detector.config.duplicateWindowSeconds, 0);
+    assert.strictEqual(await detector.checkNearDuplicate(note('Sam', 'Swell into the reveal', '00:00:20:01'), existing, 0), null);
+    assert.ok(await detector.checkNearDuplicate(note('Sam', 'Swell into the reveal', '00:00:20:00'), existing, 0));
+
+    const anyText = new MarkerConflictDetector('24', { duplicateThreshold: 0 });
+    assert.strictEqual(anyText.config.duplicateThreshold, 0);
+    assert.strictEqual(new MarkerConflictDetector('24').config.duplicateThreshold, 0.8);
+});
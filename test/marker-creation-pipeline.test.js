@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const MarkerCreationPipeline = require('../src/notemarker/marker-creation-pipeline');
+
+function pipelineAt(fps, dropFrame = false) {
+    const pipeline = new MarkerCreationPipeline({});
+    pipeline.sessionTimecodeRate = { fps, dropFrame };
+    return pipeline;
+}
+
+test('validateAndConvertTimecode accepts hours past a day up to the calculator limit', () => {
+    const pipeline = pipelineAt(25);
+
+    assert.strictEqual(pipeline.validateAndConvertTimecode('25:00:00:00'), '25:00:00:00');
+    assert.strictEqual(pipeline.validateAndConvertTimecode('99:59:59:24'), '99:59:59:24');
+    assert.strictEqual(pipeline.validateAndConvertTimecode('100:00:00:00'), null);
+});
+
+test('validateAndConvertTimecode validates frames at the session rate', () => {
+    assert.strictEqual(pipelineAt(25).validateAndConvertTimecode('00:00:00:25'), null);
+    assert.strictEqual(pipelineAt(59.94).validateAndConvertTimecode('00:00:00:59'), '00:00:00:59');
+    assert.strictEqual(pipelineAt(119.88).validateAndConvertTimecode('00:00:00:119'), '00:00:00:119');
+    assert.strictEqual(pipelineAt(24).validateAndConvertTimecode('00:03:30.12'), '00:03:30:12');
+});
+
+test('validateAndConvertTimecode moves dropped labels at every drop-frame rate', () => {
+    assert.strictEqual(pipelineAt(29.97, true).validateAndConvertTimecode('00:01:00:00'), '00:01:00:02');
+    assert.strictEqual(pipelineAt(59.94, true).validateAndConvertTimecode('00:01:00:02'), '00:01:00:04');
+    assert.strictEqual(pipelineAt(119.88, true).validateAndConvertTimecode('00:01:00:00'), '00:01:00:08');
+
+    // Every tenth minute keeps its labels
+    assert.strictEqual(pipelineAt(59.94, true).validateAndConvertTimecode('00:10:00:00'), '00:10:00:00');
+    assert.strictEqual(pipelineAt(29.97).validateAndConvertTimecode('00:01:00:00'), '00:01:00:00');
+});
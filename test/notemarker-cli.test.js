@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const { parseArgs, validateOptions } = require('../src/notemarker/notemarker-cli');
+
+const CLI = path.join(__dirname, '..', 'src', 'notemarker', 'notemarker-cli.js');
+
+function runCli(args) {
+    return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 30000 });
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notemarker-cli-'));
+test.after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+function writeNotes(content, fileName = 'notes.csv') {
+    const filePath = path.join(tmpDir, fileName);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+test('parseArgs reads --host and --port with PTSL defaults', () => {
+    assert.deepStrictEqual(
+        (({ host, port }) => ({ host, port }))(parseArgs(['notes.txt'])),
+        { host: 'localhost', port: 31416 }
+    );
+
+    const options = parseArgs(['--host', '10.0.0.5', '--port=31417', 'notes.txt']);
+    validateOptions(options);
+    assert.strictEqual(options.host, '10.0.0.5');
+    assert.strictEqual(options.port, 31417);
+});
+
+test('validateOptions rejects a bad port', () => {
+    assert.throws(() => validateOptions(parseArgs(['--port', 'ptsl', 'notes.txt'])), /--port/);
+    assert.throws(() => validateOptions(parseArgs(['--port', '70000', 'notes.txt'])), /--port/);
+});
+
+test('validateOptions checks --session-start at the frame rate', () => {
+    assert.throws(() => validateOptions(parseArgs(['--session-start', '01:00:00', 'notes.txt'])), /--session-start/);
+    assert.throws(() => validateOptions(parseArgs(['--fps', '25', '--session-start', '01:00:00:25', 'notes.txt'])), /--session-start/);
+    assert.throws(() => validateOptions(parseArgs(['--fps', '29.97drop', '--session-start', '01:01:00:00', 'notes.txt'])), /--session-start/);
+
+    const options = parseArgs(['--fps', '29.97drop', '--session-start', '01:00:00:00', 'notes.txt']);
+    assert.doesNotThrow(() => validateOptions(options));
+});
+
+test('CLI exits non-zero on an invalid --session-start', () => {
+    const result = runCli(['--dry-run', '--session-start', '1:00', writeNotes('Timecode,Commenter,Comment\n', 'empty.csv')]);
+
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /Invalid --session-start/);
+    assert.strictEqual(result.stdout, '');
+});
+
+test('CLI dry run prints only the JSON report on stdout', () => {
+    const notes = writeNotes([
+        'Timecode,Commenter,Comment',
+        '00:00:05:00,Alex,Lower the pad here',
+        '00:00:12:10,Sam,Hit on the cut'
+    ].join('\n'));
+
+    const result = runCli(['--dry-run', '--fps', '24', '--session-start', '01:00:00:00', notes]);
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    const report = JSON.parse(result.stdout);
+    assert.strictEqual(report.totals.notes, 2);
+    assert.strictEqual(report.totals.planned, 2);
+    assert.strictEqual(report.files[0].markers[0].finalTimecode, '01:00:05:00');
+});
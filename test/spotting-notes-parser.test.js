@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+    parseSRT,
+    parseWebVTT,
+    parseTimecodedText,
+    millisecondsToTimecode
+} = require('../src/notemarker/spotting-notes-parser');
+const spottingNotes = require('../server/utils/spotting-notes');
+const frameRates = require('../server/utils/frame-rates');
+const { TimecodeCalculator, FRAME_RATES } = require('../src/notemarker/timecode-calculator');
+
+test('parseSRT converts cue times to timecode at the frame rate', () => {
+    const text = [
+        '1',
+        '00:00:01,500 --> 00:00:04,000',
+        'Music starts <i>softly</i>',
+        '',
+        '2',
+        '00:01:00,000 --> 00:01:00,000',
+        'Hit on the cut'
+    ].join('\r\n');
+
+    const notes = parseSRT(text, { frameRate: '30', author: 'Director' });
+
+    assert.deepStrictEqual(notes, [
+        { timecode: '00:00:01:15', endTimecode: '00:00:04:00', text: 'Music starts softly', author: 'Director', isReply: false },
+        { timecode: '00:01:00:00', text: 'Hit on the cut', author: 'Director', isReply: false }
+    ]);
+});
+
+test('parseSRT reads real time at 29.97 drop frame', () => {
+    const text = '1\n00:10:00,000 --> 00:10:02,000\nTen minutes in\n';
+
+    const [note] = parseSRT(text, { frameRate: '29.97drop' });
+
+    assert.strictEqual(note.timecode, '00:10:00:00');
+    // Two seconds of real time is 59.94 frames
+    assert.strictEqual(note.endTimecode, '00:10:01:29');
+});
+
+test('parseWebVTT skips NOTE blocks and takes the author from the voice tag', () => {
+    const text = [
+        'WEBVTT',
+        '',
+        'NOTE This cue list came from the director',
+        '',
+        'intro',
+        '00:02.000 --> 00:03.500 line:90%',
+        '<v Sam Rivers>Bring the strings in here',
+        '',
+        '00:00:05.000 --> 00:00:06.000',
+        'No voice tag'
+    ].join('\n');
+
+    const notes = parseWebVTT(text, { frameRate: '24' });
+
+    assert.deepStrictEqual(notes, [
+        { timecode: '00:00:02:00', endTimecode: '00:00:03:12', text: 'Bring the strings in here', author: 'Sam Rivers', isReply: false },
+        { timecode: '00:00:05:00', endTimecode: '00:00:06:00', text: 'No voice tag', author: 'Spotting Notes', isReply: false }
+    ]);
+});
+
+test('parseTimecodedText reads one note per line, ranges and wrapped lines', () => {
+    const text = [
+        'Spotting notes - Reel 1',
+        '',
+        '• 01:00:10:12 – more tension here',
+        'and hold it through the cut',
+        '[01:00:20:00 - 01:00:25:00] Swell into the title',
+        '01:00:30;02: drop-frame hit',
+        '01:00:40 plain seconds',
+        '01:00:50:40 frames past the rate'
+    ].join('\n');
+
+    const notes = parseTimecodedText(text, { frameRate: '30' });
+
+    assert.deepStrictEqual(notes.map(({ timecode, endTimecode, text: noteText }) => [timecode, endTimecode, noteText]), [
+        ['01:00:10:12', undefined, 'more tension here and hold it through the cut'],
+        ['01:00:20:00', '01:00:25:00', 'Swell into the title'],
+        ['01:00:30:02', undefined, 'drop-frame hit'],
+        ['01:00:40:00', undefined, 'plain seconds']
+    ]);
+});
+
+test('parseTimecodedText drops repeated notes', () => {
+    const text = '00:00:01:00 Hit\n00:00:01:00 hit\n00:00:02:00 Hit\n';
+
+    assert.strictEqual(parseTimecodedText(text).length, 2);
+});
+
+test('parseSpottingNotes detects each format and passes on other text', () => {
+    const srt = spottingNotes.parseSpottingNotes('1\n00:00:01,000 --> 00:00:02,000\nHello\n');
+    const vtt = spottingNotes.parseSpottingNotes('00:01.000 --> 00:02.000\nHello\n', { fileName: 'notes.vtt' });
+    const text = spottingNotes.parseSpottingNotes('00:00:01:00 Hello\n');
+    const frameio = spottingNotes.parseSpottingNotes('001 - Alex - 06:56PM April 06, 2025\n00:00:01:00 Hello\n');
+
+    assert.strictEqual(srt.format, spottingNotes.SPOTTING_FORMATS.SRT);
+    assert.strictEqual(vtt.format, spottingNotes.SPOTTING_FORMATS.WEBVTT);
+    assert.strictEqual(text.format, spottingNotes.SPOTTING_FORMATS.TIMECODED_TEXT);
+    assert.deepStrictEqual(frameio, { format: null, notes: [] });
+    [srt, vtt, text].forEach(result => assert.strictEqual(result.notes[0].text, 'Hello'));
+});
+
+test('TimecodeCalculator and the cues API share one frame rate table', () => {
+    assert.strictEqual(frameRates.FRAME_RATES, FRAME_RATES);
+});
+
+test('millisecondsToTimecode matches TimecodeCalculator at every frame rate', () => {
+    const milliseconds = [0, 1500, 59999, 60000, 600000, 3599999, 3723456];
+
+    Object.keys(FRAME_RATES).forEach(frameRate => {
+        const calculator = new TimecodeCalculator(frameRate);
+        milliseconds.forEach(ms => {
+            const frames = calculator.secondsToFrames(ms / 1000);
+            assert.strictEqual(
+                millisecondsToTimecode(ms, frameRate),
+                calculator.framesToTimecodeString(frames),
+                `${ms}ms at ${frameRate}`
+            );
+        });
+    });
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { TimecodeCalculator, FRAME_RATES } = require('../src/notemarker/timecode-calculator');
+
+const SAMPLE_RATES = [44100, 48000, 96000];
+
+// Spread across an hour so fractional-rate drift has room to show
+const FRAME_COUNTS = [0, 1, 2, 3, 29, 1001, 1799, 17982, 107892];
+
+for (const frameRate of Object.keys(FRAME_RATES)) {
+    test(`frames survive a samples round trip at ${frameRate}`, () => {
+        const calculator = new TimecodeCalculator(frameRate);
+
+        for (const sampleRate of SAMPLE_RATES) {
+            for (const frames of FRAME_COUNTS) {
+                const samples = calculator.framesToSamples(frames, sampleRate);
+                assert.strictEqual(
+                    calculator.samplesToFrames(samples, sampleRate),
+                    frames,
+                    `${frames} frames -> ${samples} samples at ${sampleRate} Hz`
+                );
+            }
+        }
+    });
+
+    test(`timecode survives a samples round trip at ${frameRate}`, () => {
+        const calculator = new TimecodeCalculator(frameRate);
+
+        for (const frames of FRAME_COUNTS) {
+            const timecode = calculator.framesToTimecodeString(frames);
+            const samples = calculator.timecodeToSamples(timecode);
+            assert.strictEqual(calculator.samplesToTimecode(samples), timecode);
+        }
+    });
+}
+
+test('framesToSamples returns the first sample inside the frame', () => {
+    const calculator = new TimecodeCalculator('29.97');
+
+    // Frame 1 starts 1601.6 samples in at 48 kHz
+    assert.strictEqual(calculator.framesToSamples(1), 1602);
+    assert.strictEqual(calculator.samplesToFrames(1601), 0);
+    assert.strictEqual(calculator.samplesToFrames(1602), 1);
+    assert.strictEqual(calculator.framesToSamples(30, 48000), 48048);
+});